@@ -1,5 +1,6 @@
 import { supabaseAdmin } from '../../lib/supabase.js';
 import { verifyToken } from '../../lib/authMiddleware.js';
+import { getAchievements } from '../../lib/achievements.js';
 
 export default async function handler(req, res) {
     // CORS headers
@@ -55,10 +56,14 @@ export default async function handler(req, res) {
                 .order('created_at', { ascending: false })
                 .limit(10);
 
+            // Every achievement, unlocked_at is null for the locked ones
+            const achievements = await getAchievements(user.id);
+
             return res.status(200).json({
                 profile,
                 stats: stats || { wins: 0, losses: 0, draws: 0, total_games: 0, rating: 1000 },
-                recentGames: recentGames || []
+                recentGames: recentGames || [],
+                achievements
             });
         } catch (error) {
             console.error('Get profile error:', error);
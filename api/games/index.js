@@ -1,5 +1,89 @@
 import { supabaseAdmin } from '../../lib/supabase.js';
 import { verifyToken } from '../../lib/authMiddleware.js';
+import { getGameRecord, completeGameRecord, savePendingResult, rateCompletedGame } from '../../lib/gameResults.js';
+import { RULESET, getDifficulty } from '../../js/shared/GameRules.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Clock drift allowed between the players' reported duration and the game row's age (seconds)
+const DURATION_TOLERANCE = 5;
+
+const isUuid = value => typeof value === 'string' && UUID_PATTERN.test(value);
+const isCount = value => Number.isInteger(value) && value >= 0;
+
+// Body of POST /api/games; any other field is rejected
+const RESULT_SCHEMA = {
+    game_id: { required: true, check: isUuid, message: 'must be a game id' },
+    winner_id: { required: true, check: value => value === null || isUuid(value), message: 'must be a player id, or null for a draw' },
+    player1_score: { required: true, check: isCount, message: 'must be a non-negative integer' },
+    player2_score: { required: true, check: isCount, message: 'must be a non-negative integer' },
+    duration: { required: true, check: isCount, message: 'must be a non-negative integer (seconds)' },
+    board_state: { required: false, check: value => !!value && typeof value === 'object' && !Array.isArray(value), message: 'must be an object' }
+};
+
+// List everything wrong with a result body (empty when it is valid)
+function validateResultBody(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return ['Body must be a JSON object'];
+    }
+
+    const errors = [];
+    for (const [field, rule] of Object.entries(RESULT_SCHEMA)) {
+        if (body[field] === undefined) {
+            if (rule.required) errors.push(`${field} is required`);
+        } else if (!rule.check(body[field])) {
+            errors.push(`${field} ${rule.message}`);
+        }
+    }
+    for (const field of Object.keys(body)) {
+        if (!RESULT_SCHEMA[field]) errors.push(`${field} is not allowed`);
+    }
+    return errors;
+}
+
+// Realtime matches played through make_move keep their own scores on the row
+function hasServerMoves(game) {
+    return (game.player1_moves?.length || 0) + (game.player2_moves?.length || 0) > 0;
+}
+
+// Both players must report the same winner and scores; their durations may drift apart
+function isSameResult(a, b) {
+    return a.winner_id === b.winner_id &&
+        a.player1_score === b.player1_score &&
+        a.player2_score === b.player2_score &&
+        Math.abs(a.duration - b.duration) <= DURATION_TOLERANCE;
+}
+
+// Check a submitted result against the game it claims to finish
+// Returns { status, code, error } for the first problem found, or null if it holds up
+function checkResult(game, result) {
+    const { winner_id, player1_score, player2_score, duration } = result;
+
+    if (winner_id !== null && winner_id !== game.player1_id && winner_id !== game.player2_id) {
+        return { status: 422, code: 'invalid_winner', error: 'Winner is not a player in this game' };
+    }
+
+    // Highest score wins, equal scores are a draw
+    const expectedWinner = player1_score > player2_score ? game.player1_id
+        : player2_score > player1_score ? game.player2_id : null;
+    if (winner_id !== expectedWinner) {
+        return { status: 422, code: 'winner_mismatch', error: 'Winner does not match the scores' };
+    }
+
+    // Nobody can score more than revealing every safe cell of their board
+    const { gridSize, mineCount } = getDifficulty(game.difficulty);
+    const maxScore = (gridSize * gridSize - mineCount) * RULESET.scoring.safeCell;
+    if (player1_score > maxScore || player2_score > maxScore) {
+        return { status: 422, code: 'score_out_of_range', error: `Scores cannot exceed ${maxScore} on ${game.difficulty}` };
+    }
+
+    const age = (Date.now() - new Date(game.started_at || game.created_at).getTime()) / 1000;
+    if (duration > age + DURATION_TOLERANCE) {
+        return { status: 422, code: 'invalid_duration', error: 'Duration is longer than the game has existed' };
+    }
+
+    return null;
+}
 
 export default async function handler(req, res) {
     // CORS headers
@@ -11,113 +95,126 @@ export default async function handler(req, res) {
         return res.status(200).end();
     }
 
-    // POST - Save game result
+    // POST - Submit the result of a matched game
+    // Both players must report the same result; server-scored games are settled by end_game instead
     if (req.method === 'POST') {
         const user = await verifyToken(req);
         if (!user) {
-            return res.status(401).json({ error: 'Unauthorized' });
+            return res.status(401).json({ error: 'Unauthorized', code: 'unauthorized' });
+        }
+
+        const errors = validateResultBody(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid game result', code: 'invalid_body', details: errors });
         }
 
         try {
-            const {
-                opponent_id,
-                winner_id,
-                player1_score,
-                player2_score,
-                difficulty,
-                duration,
-                board_state
-            } = req.body;
+            const { game_id, winner_id, player1_score, player2_score, duration, board_state } = req.body;
 
-            // Create game record
-            const { data: game, error: gameError } = await supabaseAdmin
-                .from('games')
-                .insert({
-                    player1_id: user.id,
-                    player2_id: opponent_id,
-                    winner_id,
-                    player1_score,
-                    player2_score,
-                    difficulty,
-                    duration,
-                    board_state,
-                    status: 'completed',
-                    created_at: new Date().toISOString()
-                })
-                .select()
-                .single();
-
-            if (gameError) {
-                console.error('Game save error:', gameError);
-                return res.status(400).json({ error: 'Failed to save game' });
+            const game = await getGameRecord(game_id);
+            if (!game) {
+                return res.status(404).json({ error: 'Game not found', code: 'game_not_found' });
+            }
+
+            // Only games opened by matchmaking, with both players on record, take results
+            if (!game.player1_id || !game.player2_id) {
+                return res.status(422).json({ error: 'Game has no recorded opponent', code: 'not_matched' });
+            }
+
+            if (user.id !== game.player1_id && user.id !== game.player2_id) {
+                return res.status(403).json({ error: 'Not a player in this game', code: 'not_participant' });
+            }
+
+            if (game.status === 'completed') {
+                return res.status(409).json({ error: 'Result already submitted', code: 'already_submitted' });
+            }
+            if (game.status !== 'in_progress') {
+                return res.status(409).json({ error: `Game is ${game.status}`, code: 'game_closed' });
+            }
+
+            // make_move keeps the score and end_game decides when the match is over
+            if (hasServerMoves(game)) {
+                return res.status(409).json({ error: 'This game is settled by the server when it ends', code: 'server_scored' });
             }
 
-            // Update player stats
-            const isWinner = winner_id === user.id;
-            const isDraw = winner_id === null;
-
-            // Get current stats
-            const { data: currentStats } = await supabaseAdmin
-                .from('player_stats')
-                .select('*')
-                .eq('user_id', user.id)
-                .single();
-
-            const newWinStreak = isWinner ? (currentStats?.win_streak || 0) + 1 : 0;
-            const bestStreak = Math.max(currentStats?.best_streak || 0, newWinStreak);
-
-            // Calculate rating change (ELO-like system)
-            const ratingChange = isWinner ? 25 : (isDraw ? 0 : -20);
-            const newRating = Math.max(0, (currentStats?.rating || 1000) + ratingChange);
-
-            await supabaseAdmin
-                .from('player_stats')
-                .upsert({
-                    user_id: user.id,
-                    wins: (currentStats?.wins || 0) + (isWinner ? 1 : 0),
-                    losses: (currentStats?.losses || 0) + (!isWinner && !isDraw ? 1 : 0),
-                    draws: (currentStats?.draws || 0) + (isDraw ? 1 : 0),
-                    total_games: (currentStats?.total_games || 0) + 1,
-                    total_score: (currentStats?.total_score || 0) + (player1_score || 0),
-                    win_streak: newWinStreak,
-                    best_streak: bestStreak,
-                    rating: newRating
+            const rejection = checkResult(game, req.body);
+            if (rejection) {
+                const { status, ...body } = rejection;
+                return res.status(status).json(body);
+            }
+
+            // Nothing on the server backs these scores, so the first report waits for the other player
+            const { pending_result: pending, ...storedState } = game.board_state || {};
+
+            if (!pending) {
+                const { data: held, error: holdError } = await savePendingResult(game_id, {
+                    ...storedState,
+                    pending_result: { winner_id, player1_score, player2_score, duration, board_state: board_state || null, submitted_by: user.id }
                 });
 
-            // Also update opponent stats if they exist
-            if (opponent_id) {
-                const { data: opponentStats } = await supabaseAdmin
-                    .from('player_stats')
-                    .select('*')
-                    .eq('user_id', opponent_id)
-                    .single();
-
-                const opponentIsWinner = winner_id === opponent_id;
-                const opponentNewStreak = opponentIsWinner ? (opponentStats?.win_streak || 0) + 1 : 0;
-                const opponentBestStreak = Math.max(opponentStats?.best_streak || 0, opponentNewStreak);
-                const opponentRatingChange = opponentIsWinner ? 25 : (isDraw ? 0 : -20);
-                const opponentNewRating = Math.max(0, (opponentStats?.rating || 1000) + opponentRatingChange);
-
-                await supabaseAdmin
-                    .from('player_stats')
-                    .upsert({
-                        user_id: opponent_id,
-                        wins: (opponentStats?.wins || 0) + (opponentIsWinner ? 1 : 0),
-                        losses: (opponentStats?.losses || 0) + (!opponentIsWinner && !isDraw ? 1 : 0),
-                        draws: (opponentStats?.draws || 0) + (isDraw ? 1 : 0),
-                        total_games: (opponentStats?.total_games || 0) + 1,
-                        total_score: (opponentStats?.total_score || 0) + (player2_score || 0),
-                        win_streak: opponentNewStreak,
-                        best_streak: opponentBestStreak,
-                        rating: opponentNewRating
-                    });
+                if (holdError) {
+                    console.error('Game save error:', holdError);
+                    return res.status(500).json({ error: 'Failed to save game', code: 'save_failed' });
+                }
+
+                // The other player's report got there first; sending again confirms it
+                if (!held) {
+                    return res.status(409).json({ error: 'Your opponent reported this game first - submit again to confirm', code: 'result_pending' });
+                }
+
+                return res.status(202).json({ success: true, pending: true, game_id });
+            }
+
+            if (pending.submitted_by === user.id) {
+                return res.status(409).json({ error: 'Waiting for your opponent to confirm the result', code: 'awaiting_confirmation' });
+            }
+
+            if (!isSameResult(pending, req.body)) {
+                return res.status(409).json({ error: 'Result does not match the one your opponent reported', code: 'result_mismatch' });
+            }
+
+            // The server's own keys stay as they are; what each player sent is kept under reported
+            const boardState = {
+                ...storedState,
+                reported: {
+                    [pending.submitted_by]: pending.board_state || null,
+                    [user.id]: board_state || null
+                },
+                submitted_by: pending.submitted_by,
+                confirmed_by: user.id
+            };
+
+            const { data: saved, error: saveError } = await completeGameRecord(game_id, {
+                winnerId: winner_id,
+                player1Score: player1_score,
+                player2Score: player2_score,
+                duration,
+                boardState
+            });
+
+            if (saveError) {
+                console.error('Game save error:', saveError);
+                return res.status(500).json({ error: 'Failed to save game', code: 'save_failed' });
+            }
+
+            // The other player got there first
+            if (!saved) {
+                return res.status(409).json({ error: 'Result already submitted', code: 'already_submitted' });
+            }
+
+            // Rate both players; each one's change is returned so the client can show both
+            const { changes, error: ratingError } = await rateCompletedGame(saved);
+            if (ratingError) {
+                console.error('Game rating error:', ratingError);
             }
+            const { newRating, ratingChange } = changes?.[user.id] || {};
 
             return res.status(201).json({
                 success: true,
-                game,
+                game: saved,
                 newRating,
-                ratingChange
+                ratingChange,
+                ratings: changes || null
             });
         } catch (error) {
             console.error('Save game error:', error);
@@ -1,10 +1,157 @@
 import { supabaseAdmin } from '../lib/supabase.js';
+import { verifyToken } from '../lib/authMiddleware.js';
+import { isProvisional } from '../js/shared/Glicko2.js';
+import { getCurrentSeason, getSeason, getSeasonStandings } from '../lib/seasons.js';
 
+// Season ladders only track rating and results
+const SEASON_SORT = {
+    rating: { live: 'rating', archived: 'rank' },
+    wins: { live: 'season_wins', archived: 'wins' }
+};
+
+const LEADERBOARD_TYPES = ['rating', 'wins', 'streak', 'score'];
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Time windows in days (ranked from the games table)
+const PERIODS = { all: null, week: 7, month: 30 };
+
+const MAX_LIMIT = 100;
+const AROUND_ME_RADIUS = 5;
+
+// Shape a leaderboard row the same way for every ladder
+// Standings rows (leaderboard_standings) already carry their rank and profile fields
+function toEntry(entry, index) {
+    return {
+        rank: index + 1,
+        ...entry,
+        username: entry.profile?.username || entry.username || 'Unknown',
+        avatar_url: entry.profile?.avatar_url ?? entry.avatar_url,
+        provisional: isProvisional(entry.rating_deviation)
+    };
+}
+
+// ?season=current or ?season=<id>: the running season's ladder, or an archived season's final standings
+async function getSeasonLeaderboard(res, { season: seasonParam, type, limit }) {
+    const sort = SEASON_SORT[type];
+    if (!sort) {
+        return res.status(400).json({ error: `Season leaderboards support type ${Object.keys(SEASON_SORT).join(' or ')}` });
+    }
+
+    const current = await getCurrentSeason();
+    let season = current;
+    if (seasonParam !== 'current') {
+        const seasonId = parseInt(seasonParam);
+        if (!Number.isInteger(seasonId) || String(seasonId) !== seasonParam) {
+            return res.status(400).json({ error: 'season must be "current" or a season id' });
+        }
+        season = seasonId === current?.id ? current : await getSeason(seasonId);
+    }
+
+    if (!season) {
+        return res.status(404).json({ error: 'Season not found' });
+    }
+
+    let data, error;
+    if (season.status === 'archived') {
+        ({ data, error } = await getSeasonStandings(season.id, { orderBy: sort.archived, limit }));
+    } else {
+        ({ data, error } = await supabaseAdmin
+            .from('player_stats')
+            .select(`
+                user_id,
+                season_wins,
+                season_losses,
+                season_draws,
+                season_games,
+                rating,
+                rating_deviation,
+                profile:profiles!player_stats_user_id_fkey(username, avatar_url)
+            `)
+            .gte('season_games', 1)
+            .order(sort.live, { ascending: false })
+            .limit(limit));
+    }
+
+    if (error) {
+        console.error('Season leaderboard error:', error);
+        return res.status(400).json({ error: error.message });
+    }
+
+    return res.status(200).json({
+        type,
+        season: {
+            id: season.id,
+            name: season.name,
+            starts_at: season.starts_at,
+            ends_at: season.ends_at,
+            status: season.status
+        },
+        leaderboard: data?.map(toEntry) || []
+    });
+}
+
+// Ranked standings for the filters (database/leaderboard_filters.sql)
+function standings({ type, difficulty, since }) {
+    return supabaseAdmin.rpc('leaderboard_standings', {
+        p_type: type,
+        p_difficulty: difficulty,
+        p_since: since
+    });
+}
+
+// Top of the board, or the page after ?cursor (the rank of the last row already shown)
+async function getStandingsPage(filters, { cursor, limit }) {
+    const { data, error } = await standings(filters)
+        .gt('rank', cursor)
+        .order('rank', { ascending: true })
+        .limit(limit);
+
+    if (error) return { error };
+
+    const leaderboard = data.map(toEntry);
+    return {
+        leaderboard,
+        next_cursor: leaderboard.length === limit ? String(leaderboard[leaderboard.length - 1].rank) : null
+    };
+}
+
+// The caller's row with the players right above and below
+async function getAroundMe(filters, userId) {
+    const { data: me, error } = await standings(filters)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) return { error };
+    if (!me) return { leaderboard: [], me: null, next_cursor: null };
+
+    const { data, error: pageError } = await standings(filters)
+        .gte('rank', me.rank - AROUND_ME_RADIUS)
+        .lte('rank', me.rank + AROUND_ME_RADIUS)
+        .order('rank', { ascending: true });
+
+    if (pageError) return { error: pageError };
+
+    const leaderboard = data.map(toEntry);
+    return {
+        leaderboard,
+        me: toEntry(me),
+        next_cursor: leaderboard.length > 0 ? String(leaderboard[leaderboard.length - 1].rank) : null
+    };
+}
+
+/**
+ * Leaderboard API
+ * GET ?type=rating|wins|streak|score&limit=50
+ *     &difficulty=all|easy|medium|hard&period=all|week|month : Filtered standings
+ *     &cursor=<next_cursor> : Next page
+ *     &around=me (auth) : The caller's rank with the players around it
+ *     ?season=current|<id> : Season ladder (see getSeasonLeaderboard)
+ */
 export default async function handler(req, res) {
     // CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
     if (req.method === 'OPTIONS') {
         return res.status(200).end();
@@ -15,61 +162,67 @@ export default async function handler(req, res) {
     }
 
     try {
-        const { type = 'rating', limit = 50, difficulty } = req.query;
+        const { type = 'rating', limit = 50, difficulty = 'all', period = 'all', around, cursor = '0', season } = req.query;
+        const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_LIMIT);
 
-        let query = supabaseAdmin
-            .from('player_stats')
-            .select(`
-                user_id,
-                wins,
-                losses,
-                draws,
-                total_games,
-                total_score,
-                win_streak,
-                best_streak,
-                rating,
-                profile:profiles!player_stats_user_id_fkey(username, avatar_url)
-            `)
-            .gte('total_games', 1);
-
-        // Sort by type
-        switch (type) {
-            case 'wins':
-                query = query.order('wins', { ascending: false });
-                break;
-            case 'streak':
-                query = query.order('best_streak', { ascending: false });
-                break;
-            case 'score':
-                query = query.order('total_score', { ascending: false });
-                break;
-            case 'rating':
-            default:
-                query = query.order('rating', { ascending: false });
-                break;
+        if (season) {
+            if (difficulty !== 'all' || period !== 'all') {
+                return res.status(400).json({ error: 'season cannot be combined with difficulty or period' });
+            }
+            return await getSeasonLeaderboard(res, { season, type, limit: pageSize });
         }
 
-        query = query.limit(parseInt(limit));
+        if (!LEADERBOARD_TYPES.includes(type)) {
+            return res.status(400).json({ error: `type must be one of ${LEADERBOARD_TYPES.join(', ')}` });
+        }
+        if (difficulty !== 'all' && !DIFFICULTIES.includes(difficulty)) {
+            return res.status(400).json({ error: `difficulty must be all or one of ${DIFFICULTIES.join(', ')}` });
+        }
+        if (!(period in PERIODS)) {
+            return res.status(400).json({ error: `period must be one of ${Object.keys(PERIODS).join(', ')}` });
+        }
+        // Streaks are only tracked all-time across every difficulty
+        if (type === 'streak' && (difficulty !== 'all' || period !== 'all')) {
+            return res.status(400).json({ error: 'streak leaderboards cannot be filtered' });
+        }
 
-        const { data: leaderboard, error } = await query;
+        const afterRank = parseInt(cursor);
+        if (!Number.isInteger(afterRank) || afterRank < 0 || String(afterRank) !== cursor) {
+            return res.status(400).json({ error: 'cursor must be a rank from next_cursor' });
+        }
+
+        const filters = {
+            type,
+            difficulty: difficulty === 'all' ? null : difficulty,
+            since: PERIODS[period] ? new Date(Date.now() - PERIODS[period] * 24 * 60 * 60 * 1000).toISOString() : null
+        };
 
-        if (error) {
-            console.error('Leaderboard error:', error);
-            return res.status(400).json({ error: error.message });
+        let result;
+        if (around !== undefined) {
+            if (around !== 'me') {
+                return res.status(400).json({ error: 'around must be "me"' });
+            }
+
+            const user = await verifyToken(req);
+            if (!user) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+
+            result = await getAroundMe(filters, user.id);
+        } else {
+            result = await getStandingsPage(filters, { cursor: afterRank, limit: pageSize });
         }
 
-        // Add rank to each entry
-        const rankedLeaderboard = leaderboard?.map((entry, index) => ({
-            rank: index + 1,
-            ...entry,
-            username: entry.profile?.username || 'Unknown',
-            avatar_url: entry.profile?.avatar_url
-        }));
+        if (result.error) {
+            console.error('Leaderboard error:', result.error);
+            return res.status(400).json({ error: result.error.message });
+        }
 
         return res.status(200).json({
             type,
-            leaderboard: rankedLeaderboard || []
+            difficulty,
+            period,
+            ...result
         });
     } catch (error) {
         console.error('Leaderboard error:', error);
@@ -1,5 +1,7 @@
 import { supabaseAdmin } from '../lib/supabase.js';
 import { verifyToken } from '../lib/authMiddleware.js';
+import { matchmakingEngine, queueEntryFromRow, fetchWaitingQueue } from '../js/shared/MatchmakingEngine.js';
+import { createMatchGame } from '../lib/gameResults.js';
 
 // In-memory matchmaking queue (for serverless, consider using Redis/Supabase Realtime in production)
 const matchmakingQueues = {
@@ -26,7 +28,7 @@ export default async function handler(req, res) {
     // POST - Join matchmaking queue
     if (req.method === 'POST') {
         try {
-            const { difficulty = 'medium' } = req.body;
+            const { difficulty = 'medium', allowFallback } = req.body;
 
             // Get user profile and stats
             const { data: profile } = await supabaseAdmin
@@ -69,25 +71,47 @@ export default async function handler(req, res) {
                     avatar_url: playerData.avatar_url,
                     rating: playerData.rating,
                     difficulty,
+                    allow_fallback: allowFallback ?? null,
                     status: 'waiting',
                     created_at: new Date().toISOString()
                 });
 
-            // Try to find a match
-            const { data: waitingPlayers } = await supabaseAdmin
-                .from('matchmaking_queue')
-                .select('*')
-                .eq('difficulty', difficulty)
-                .eq('status', 'waiting')
-                .neq('user_id', user.id)
-                .order('created_at', { ascending: true })
-                .limit(1);
+            // Try to find a match by rating proximity
+            const waitingPlayers = await fetchWaitingQueue(supabaseAdmin);
+            const seeker = {
+                id: user.id,
+                rating: playerData.rating,
+                difficulty,
+                allowFallback,
+                joinedAt: playerData.joinedAt
+            };
+            const candidates = waitingPlayers
+                .filter(row => row.user_id !== user.id)
+                .map(queueEntryFromRow);
+            const match = matchmakingEngine.findBestMatch(seeker, candidates);
 
-            if (waitingPlayers && waitingPlayers.length > 0) {
-                const opponent = waitingPlayers[0];
+            if (match) {
+                const opponent = match.opponent.row;
 
                 // Create match
-                const matchId = `match_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+                let matchId = `match_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+                // Registered pairs also get a game row, which POST /api/games later completes
+                // (guests from the realtime client can't be stored in games)
+                if (!String(opponent.user_id).startsWith('guest_')) {
+                    const { data: game, error: gameError } = await createMatchGame({
+                        player1Id: user.id,
+                        player2Id: opponent.user_id,
+                        difficulty: match.difficulty
+                    });
+
+                    if (gameError) {
+                        console.error('Match game create error:', gameError);
+                        return res.status(500).json({ error: 'Failed to create match' });
+                    }
+
+                    matchId = game.id;
+                }
 
                 // Update both players in queue
                 await supabaseAdmin
@@ -104,15 +128,19 @@ export default async function handler(req, res) {
                         avatar_url: opponent.avatar_url,
                         rating: opponent.rating
                     },
-                    difficulty
+                    difficulty: match.difficulty
                 });
             }
 
+            const queueStatus = matchmakingEngine.getQueueStatus(seeker, [seeker, ...candidates]);
+
             return res.status(200).json({
                 status: 'waiting',
                 message: 'Added to matchmaking queue',
                 difficulty,
-                position: 1
+                position: queueStatus.position,
+                estimatedWait: queueStatus.estimatedWait,
+                ratingWindow: queueStatus.ratingWindow
             });
         } catch (error) {
             console.error('Matchmaking error:', error);
@@ -162,19 +190,20 @@ export default async function handler(req, res) {
                 });
             }
 
-            // Get queue position
-            const { count } = await supabaseAdmin
-                .from('matchmaking_queue')
-                .select('*', { count: 'exact', head: true })
-                .eq('difficulty', queueEntry.difficulty)
-                .eq('status', 'waiting')
-                .lt('created_at', queueEntry.created_at);
+            // Get queue position and estimated wait
+            const waitingPlayers = await fetchWaitingQueue(supabaseAdmin);
+            const queueStatus = matchmakingEngine.getQueueStatus(
+                queueEntryFromRow(queueEntry),
+                waitingPlayers.map(queueEntryFromRow)
+            );
 
             return res.status(200).json({
                 status: 'waiting',
                 difficulty: queueEntry.difficulty,
-                position: (count || 0) + 1,
-                waitTime: Math.floor((Date.now() - new Date(queueEntry.created_at).getTime()) / 1000)
+                position: queueStatus.position,
+                estimatedWait: queueStatus.estimatedWait,
+                ratingWindow: queueStatus.ratingWindow,
+                waitTime: Math.floor(queueStatus.waitTime / 1000)
             });
         } catch (error) {
             console.error('Check matchmaking error:', error);
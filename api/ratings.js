@@ -0,0 +1,85 @@
+import { verifyToken } from '../lib/authMiddleware.js';
+import { getGameRecord, rateCompletedGame, getPlayerRatings } from '../lib/gameResults.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Ratings API - Glicko-2, computed only here on the server
+ * GET ?user_id=xxx : Overall and per-difficulty ratings (with provisional status)
+ * POST (body: { game_id }) : Rate a game the server settled (Supabase realtime matches)
+ */
+export default async function handler(req, res) {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method === 'GET') {
+        const { user_id } = req.query;
+        if (!UUID_PATTERN.test(user_id || '')) {
+            return res.status(400).json({ error: 'user_id is required' });
+        }
+
+        try {
+            const ratings = await getPlayerRatings(user_id);
+            return res.status(200).json({ user_id, ...ratings });
+        } catch (error) {
+            console.error('Get ratings error:', error);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    // POST - Rate a finished game; both players may ask, it is rated once
+    if (req.method === 'POST') {
+        const user = await verifyToken(req);
+        if (!user) {
+            return res.status(401).json({ error: 'Unauthorized', code: 'unauthorized' });
+        }
+
+        const { game_id } = req.body || {};
+        if (!UUID_PATTERN.test(game_id || '')) {
+            return res.status(400).json({ error: 'game_id must be a game id', code: 'invalid_body' });
+        }
+
+        try {
+            const game = await getGameRecord(game_id);
+            if (!game) {
+                return res.status(404).json({ error: 'Game not found', code: 'game_not_found' });
+            }
+
+            if (user.id !== game.player1_id && user.id !== game.player2_id) {
+                return res.status(403).json({ error: 'Not a player in this game', code: 'not_participant' });
+            }
+
+            if (!game.player1_id || !game.player2_id) {
+                return res.status(422).json({ error: 'Game has no recorded opponent', code: 'not_matched' });
+            }
+
+            // The result must already be settled by the server (end_game)
+            if (game.status !== 'completed') {
+                return res.status(409).json({ error: 'Game is not finished', code: 'not_finished' });
+            }
+
+            const { changes, error, code } = await rateCompletedGame(game);
+            if (error) {
+                return res.status(409).json({ error, code });
+            }
+
+            return res.status(200).json({
+                success: true,
+                game_id,
+                ...changes[user.id],
+                ratings: changes
+            });
+        } catch (error) {
+            console.error('Rate game error:', error);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+}
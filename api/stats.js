@@ -1,10 +1,13 @@
 import { supabaseAdmin } from '../lib/supabase.js';
+import { getHeadToHead } from '../lib/gameResults.js';
 
 const GLOBAL_BOT_ID = '00000000-0000-0000-0000-000000000001';
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 /**
  * Stats API - Hem player stats hem de bot learning için
  * GET ?user_id=xxx : Player stats
+ * GET ?user_id=xxx&opponent_id=yyy : İki oyuncunun karşılıklı maç geçmişi (head-to-head)
  * GET ?bot_learning=true : Global bot learning verisi
  * GET ?test=true : API test
  * GET ?debug=true : Detaylı debug bilgisi
@@ -156,6 +159,11 @@ export default async function handler(req, res) {
             return await getBotLearning(req, res);
         }
         
+        // GET with user_id + opponent_id = Head-to-head
+        if (req.method === 'GET' && req.query.opponent_id) {
+            return await getHeadToHeadStats(req, res);
+        }
+        
         // GET with user_id = Player stats
         if (req.method === 'GET') {
             return await getPlayerStats(req, res);
@@ -212,6 +220,27 @@ async function getPlayerStats(req, res) {
     });
 }
 
+// ==================== HEAD TO HEAD ====================
+async function getHeadToHeadStats(req, res) {
+    const { user_id, opponent_id } = req.query;
+
+    if (!UUID_PATTERN.test(user_id || '') || !UUID_PATTERN.test(opponent_id || '')) {
+        return res.status(400).json({ error: 'user_id and opponent_id must be user ids' });
+    }
+
+    if (user_id === opponent_id) {
+        return res.status(400).json({ error: 'user_id and opponent_id must be different players' });
+    }
+
+    const headToHead = await getHeadToHead(user_id, opponent_id);
+    if (headToHead.error) {
+        console.error('[HEAD TO HEAD] Error:', headToHead.error);
+        return res.status(500).json({ error: 'Failed to load head-to-head', details: headToHead.error.message });
+    }
+
+    return res.status(200).json({ user_id, opponent_id, ...headToHead });
+}
+
 // ==================== BOT LEARNING - GET ====================
 async function getBotLearning(req, res) {
     try {
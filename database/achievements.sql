@@ -0,0 +1,24 @@
+-- MineDuel Achievements
+-- Run this in Supabase SQL Editor after leaderboard_filters.sql
+-- Unlocked achievements per player. The definitions live in js/shared/Achievements.js;
+-- lib/achievements.js checks them when a ranked game is settled.
+
+CREATE TABLE IF NOT EXISTS player_achievements (
+    user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+    achievement_id VARCHAR(50) NOT NULL,
+    game_id UUID REFERENCES games(id) ON DELETE SET NULL, -- NULL for WebSocket games
+    unlocked_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (user_id, achievement_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_player_achievements_user ON player_achievements(user_id, unlocked_at DESC);
+
+-- Everyone can see unlocks (profile gallery); only the server (service role) grants them
+ALTER TABLE player_achievements ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Achievements are viewable by everyone" ON player_achievements;
+CREATE POLICY "Achievements are viewable by everyone"
+    ON player_achievements FOR SELECT
+    USING (true);
+
+COMMENT ON TABLE player_achievements IS 'Achievements each player has unlocked (definitions in js/shared/Achievements.js)';
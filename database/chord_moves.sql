@@ -0,0 +1,210 @@
+-- MineDuel Chord Moves
+-- Run this in Supabase SQL Editor after security_update.sql
+-- Adds the 'chord' move type: clicking a revealed number whose flags match it
+-- opens all its other neighbours. A wrong flag means a mine hit.
+
+-- Allow chord in the move log
+ALTER TABLE game_moves DROP CONSTRAINT IF EXISTS game_moves_move_type_check;
+ALTER TABLE game_moves ADD CONSTRAINT game_moves_move_type_check
+    CHECK (move_type IN ('reveal', 'flag', 'unflag', 'power', 'chord'));
+
+-- Function to score a chord
+-- p_flags is the player's own flags around the cell; a wrong flag only hurts them
+CREATE OR REPLACE FUNCTION calculate_chord_score(
+    p_game_id UUID,
+    p_player_id TEXT,
+    p_x INTEGER,
+    p_y INTEGER,
+    p_flags JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    game_record RECORD;
+    mines JSONB;
+    moves JSONB;
+    number_count INTEGER := 0;
+    flag_count INTEGER := 0;
+    nx INTEGER;
+    ny INTEGER;
+    cell_score INTEGER;
+    total_points INTEGER := 0;
+    mines_hit INTEGER := 0;
+    opened JSONB := '[]'::jsonb;
+BEGIN
+    SELECT * INTO game_record FROM games WHERE id = p_game_id;
+
+    IF game_record IS NULL THEN
+        RETURN jsonb_build_object('valid', false);
+    END IF;
+
+    mines := generate_mines(
+        game_record.mine_seed,
+        game_record.grid_size,
+        game_record.mine_count
+    );
+
+    -- The chorded cell must be a number, not a mine
+    IF EXISTS (
+        SELECT 1 FROM jsonb_array_elements(mines) AS m
+        WHERE (m->>'x')::integer = p_x AND (m->>'y')::integer = p_y
+    ) THEN
+        RETURN jsonb_build_object('valid', false);
+    END IF;
+
+    SELECT COUNT(*) INTO number_count
+    FROM jsonb_array_elements(mines) AS m
+    WHERE (m->>'x')::integer BETWEEN p_x - 1 AND p_x + 1
+      AND (m->>'y')::integer BETWEEN p_y - 1 AND p_y + 1;
+
+    -- Flags must be distinct neighbours and match the number
+    SELECT COUNT(DISTINCT (f->>'x', f->>'y')) INTO flag_count
+    FROM jsonb_array_elements(COALESCE(p_flags, '[]'::jsonb)) AS f
+    WHERE (f->>'x')::integer BETWEEN p_x - 1 AND p_x + 1
+      AND (f->>'y')::integer BETWEEN p_y - 1 AND p_y + 1
+      AND NOT ((f->>'x')::integer = p_x AND (f->>'y')::integer = p_y);
+
+    IF number_count = 0 OR flag_count != number_count THEN
+        RETURN jsonb_build_object('valid', false);
+    END IF;
+
+    IF game_record.player1_id = p_player_id THEN
+        moves := game_record.player1_moves;
+    ELSE
+        moves := game_record.player2_moves;
+    END IF;
+
+    FOR ny IN GREATEST(0, p_y - 1)..LEAST(game_record.grid_size - 1, p_y + 1) LOOP
+        FOR nx IN GREATEST(0, p_x - 1)..LEAST(game_record.grid_size - 1, p_x + 1) LOOP
+            CONTINUE WHEN nx = p_x AND ny = p_y;
+
+            -- Skip flagged neighbours
+            CONTINUE WHEN EXISTS (
+                SELECT 1 FROM jsonb_array_elements(COALESCE(p_flags, '[]'::jsonb)) AS f
+                WHERE (f->>'x')::integer = nx AND (f->>'y')::integer = ny
+            );
+
+            -- Skip cells this player already opened
+            CONTINUE WHEN EXISTS (
+                SELECT 1 FROM jsonb_array_elements(COALESCE(moves, '[]'::jsonb)) AS mv
+                WHERE ((mv->>'type') = 'reveal' AND (mv->>'x')::integer = nx AND (mv->>'y')::integer = ny)
+                   OR (mv->'cells') @> jsonb_build_array(jsonb_build_object('x', nx, 'y', ny))
+            );
+
+            cell_score := calculate_reveal_score(p_game_id, p_player_id, nx, ny);
+            IF cell_score < 0 THEN
+                mines_hit := mines_hit + 1;
+            END IF;
+
+            total_points := total_points + cell_score;
+            opened := opened || jsonb_build_object('x', nx, 'y', ny);
+        END LOOP;
+    END LOOP;
+
+    RETURN jsonb_build_object(
+        'valid', true,
+        'points', total_points,
+        'mines_hit', mines_hit,
+        'cells', opened
+    );
+END;
+$$;
+
+-- make_move gains a p_flags argument, so the old signature is replaced
+DROP FUNCTION IF EXISTS make_move(UUID, TEXT, INTEGER, INTEGER, VARCHAR);
+
+CREATE OR REPLACE FUNCTION make_move(
+    p_game_id UUID,
+    p_player_id TEXT,
+    p_x INTEGER,
+    p_y INTEGER,
+    p_move_type VARCHAR(20) DEFAULT 'reveal',
+    p_flags JSONB DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    game_record RECORD;
+    is_player1 BOOLEAN;
+    points INTEGER := 0;
+    mines_hit INTEGER := 0;
+    chord_result JSONB;
+    move_record JSONB;
+    current_score INTEGER;
+BEGIN
+    -- Get game
+    SELECT * INTO game_record FROM games WHERE id = p_game_id;
+
+    IF game_record IS NULL THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Game not found');
+    END IF;
+
+    IF game_record.status != 'in_progress' THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Game already ended');
+    END IF;
+
+    -- Determine which player
+    is_player1 := game_record.player1_id = p_player_id;
+
+    IF NOT is_player1 AND game_record.player2_id != p_player_id THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Not a player in this game');
+    END IF;
+
+    move_record := jsonb_build_object('x', p_x, 'y', p_y, 'type', p_move_type);
+
+    -- Calculate points for reveal or chord
+    IF p_move_type = 'reveal' THEN
+        points := calculate_reveal_score(p_game_id, p_player_id, p_x, p_y);
+        IF points < 0 THEN
+            mines_hit := 1;
+        END IF;
+    ELSIF p_move_type = 'chord' THEN
+        chord_result := calculate_chord_score(p_game_id, p_player_id, p_x, p_y, p_flags);
+
+        IF NOT (chord_result->>'valid')::boolean THEN
+            RETURN jsonb_build_object('success', false, 'error', 'Flags do not match this number');
+        END IF;
+
+        points := (chord_result->>'points')::integer;
+        mines_hit := (chord_result->>'mines_hit')::integer;
+        move_record := move_record || jsonb_build_object('cells', chord_result->'cells');
+    END IF;
+
+    move_record := move_record || jsonb_build_object('points', points);
+
+    -- Update score
+    IF is_player1 THEN
+        UPDATE games
+        SET player1_server_score = GREATEST(0, player1_server_score + points),
+            player1_moves = player1_moves || move_record
+        WHERE id = p_game_id
+        RETURNING player1_server_score INTO current_score;
+    ELSE
+        UPDATE games
+        SET player2_server_score = GREATEST(0, player2_server_score + points),
+            player2_moves = player2_moves || move_record
+        WHERE id = p_game_id
+        RETURNING player2_server_score INTO current_score;
+    END IF;
+
+    -- Record move
+    INSERT INTO game_moves (game_id, player_id, move_type, x, y, points_earned)
+    VALUES (p_game_id, p_player_id, p_move_type, p_x, p_y, points);
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'points', points,
+        'total_score', current_score,
+        'hit_mine', mines_hit > 0,
+        'mines_hit', mines_hit,
+        'cells', COALESCE(chord_result->'cells', '[]'::jsonb)
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION calculate_chord_score TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION make_move TO anon, authenticated;
+
+COMMENT ON FUNCTION make_move IS 'Validates and records a player move (reveal, chord, flag, power), returns points earned';
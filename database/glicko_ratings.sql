@@ -0,0 +1,57 @@
+-- MineDuel Glicko-2 Ratings
+-- Run this in Supabase SQL Editor after server_scoring.sql
+-- Ratings are now computed on the server (lib/gameResults.js, js/shared/Glicko2.js)
+-- with a rating deviation and volatility, overall and per difficulty.
+
+-- Overall rating: player_stats.rating keeps its meaning, Glicko-2 state alongside it
+-- Existing ratings are kept and start out as fully uncertain
+ALTER TABLE player_stats ADD COLUMN IF NOT EXISTS rating_deviation REAL DEFAULT 350;
+ALTER TABLE player_stats ADD COLUMN IF NOT EXISTS volatility REAL DEFAULT 0.06;
+
+-- Per-difficulty ratings
+CREATE TABLE IF NOT EXISTS player_ratings (
+    user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+    difficulty VARCHAR(10) NOT NULL CHECK (difficulty IN ('easy', 'medium', 'hard')),
+    rating INTEGER DEFAULT 1000,
+    rating_deviation REAL DEFAULT 350,
+    volatility REAL DEFAULT 0.06,
+    games_played INTEGER DEFAULT 0,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (user_id, difficulty)
+);
+
+CREATE INDEX IF NOT EXISTS idx_player_ratings_difficulty ON player_ratings(difficulty, rating DESC);
+
+-- A game is rated once; both players' changes are kept so either can read them back
+ALTER TABLE games ADD COLUMN IF NOT EXISTS rated_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS rating_changes JSONB;
+
+-- Games finished before this migration were already counted under the old system
+UPDATE games SET rated_at = COALESCE(completed_at, created_at)
+WHERE status = 'completed' AND rated_at IS NULL;
+
+-- Only the server (service role) writes ratings
+ALTER TABLE player_ratings ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Player ratings are viewable by everyone" ON player_ratings;
+CREATE POLICY "Player ratings are viewable by everyone"
+    ON player_ratings FOR SELECT
+    USING (true);
+
+-- Clients may still create their starting stats row, but no longer update it
+DROP POLICY IF EXISTS "Allow all stats operations" ON player_stats;
+DROP POLICY IF EXISTS "System can update player stats" ON player_stats;
+DROP POLICY IF EXISTS "System can insert player stats" ON player_stats;
+DROP POLICY IF EXISTS "Player stats are viewable by everyone" ON player_stats;
+
+CREATE POLICY "Player stats are viewable by everyone"
+    ON player_stats FOR SELECT
+    USING (true);
+
+CREATE POLICY "Players can create starting stats"
+    ON player_stats FOR INSERT
+    WITH CHECK (total_games = 0 AND COALESCE(rating, 1000) = 1000);
+
+COMMENT ON COLUMN player_stats.rating_deviation IS 'Glicko-2 rating deviation; above 110 the rating is provisional';
+COMMENT ON TABLE player_ratings IS 'Glicko-2 rating per player and difficulty';
+COMMENT ON COLUMN games.rating_changes IS 'Rating change per player id, written once when the game is rated';
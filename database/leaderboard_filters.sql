@@ -0,0 +1,154 @@
+-- MineDuel Leaderboard Filters
+-- Run this in Supabase SQL Editor after seasons.sql
+-- Ranked standings for api/leaderboard.js: all-time from player_stats, or per
+-- difficulty and time window computed from finished games. Every row carries
+-- its rank, so the API can page by rank and look up "around me".
+
+CREATE INDEX IF NOT EXISTS idx_games_completed ON games(completed_at DESC) WHERE status = 'completed';
+CREATE INDEX IF NOT EXISTS idx_games_difficulty_completed ON games(difficulty, completed_at DESC) WHERE status = 'completed';
+
+-- p_type: rating, wins, streak or score
+-- p_difficulty: NULL for all difficulties
+-- p_since: NULL for all time, otherwise only games finished since then
+-- In a time window "rating" ranks by rating gained in that window
+CREATE OR REPLACE FUNCTION leaderboard_standings(
+    p_type TEXT DEFAULT 'rating',
+    p_difficulty TEXT DEFAULT NULL,
+    p_since TIMESTAMP WITH TIME ZONE DEFAULT NULL
+)
+RETURNS TABLE (
+    rank BIGINT,
+    user_id UUID,
+    username VARCHAR,
+    avatar_url TEXT,
+    rating INTEGER,
+    rating_deviation REAL,
+    wins BIGINT,
+    losses BIGINT,
+    draws BIGINT,
+    total_games BIGINT,
+    total_score BIGINT,
+    best_streak INTEGER,
+    rating_change BIGINT
+)
+LANGUAGE plpgsql
+STABLE
+AS $$
+BEGIN
+    -- Overall all-time board: the stats are already totalled
+    IF p_difficulty IS NULL AND p_since IS NULL THEN
+        RETURN QUERY
+        SELECT ROW_NUMBER() OVER (
+                   ORDER BY (CASE p_type
+                                 WHEN 'wins' THEN s.wins
+                                 WHEN 'streak' THEN s.best_streak
+                                 WHEN 'score' THEN s.total_score
+                                 ELSE s.rating
+                             END) DESC,
+                            s.rating DESC,
+                            s.user_id
+               ),
+               s.user_id,
+               p.username,
+               p.avatar_url,
+               s.rating,
+               s.rating_deviation,
+               s.wins::BIGINT,
+               s.losses::BIGINT,
+               s.draws::BIGINT,
+               s.total_games::BIGINT,
+               s.total_score::BIGINT,
+               s.best_streak,
+               NULL::BIGINT
+        FROM player_stats s
+        JOIN profiles p ON p.id = s.user_id
+        WHERE s.total_games >= 1;
+        RETURN;
+    END IF;
+
+    -- Filtered boards: total each player's side of the matching games
+    RETURN QUERY
+    WITH results AS (
+        SELECT g.player1_id AS player_id,
+               g.player1_score AS score,
+               g.winner_id,
+               g.rating_changes -> g.player1_id::TEXT AS change
+        FROM games g
+        WHERE g.status = 'completed'
+          AND g.player1_id IS NOT NULL
+          AND g.player2_id IS NOT NULL
+          AND (p_difficulty IS NULL OR g.difficulty = p_difficulty)
+          AND (p_since IS NULL OR g.completed_at >= p_since)
+        UNION ALL
+        SELECT g.player2_id,
+               g.player2_score,
+               g.winner_id,
+               g.rating_changes -> g.player2_id::TEXT
+        FROM games g
+        WHERE g.status = 'completed'
+          AND g.player1_id IS NOT NULL
+          AND g.player2_id IS NOT NULL
+          AND (p_difficulty IS NULL OR g.difficulty = p_difficulty)
+          AND (p_since IS NULL OR g.completed_at >= p_since)
+    ),
+    totals AS (
+        SELECT r.player_id,
+               COUNT(*) FILTER (WHERE r.winner_id = r.player_id) AS wins,
+               COUNT(*) FILTER (WHERE r.winner_id <> r.player_id) AS losses,
+               COUNT(*) FILTER (WHERE r.winner_id IS NULL) AS draws,
+               COUNT(*) AS games,
+               COALESCE(SUM(r.score), 0)::BIGINT AS score,
+               -- Per-difficulty boards count the difficulty rating's change
+               COALESCE(SUM(CASE WHEN p_difficulty IS NULL
+                                 THEN (r.change ->> 'ratingChange')::INTEGER
+                                 ELSE (r.change -> 'difficulty' ->> 'ratingChange')::INTEGER
+                            END), 0)::BIGINT AS rating_change
+        FROM results r
+        GROUP BY r.player_id
+    ),
+    rated AS (
+        SELECT t.*,
+               CASE WHEN p_difficulty IS NULL THEN s.rating ELSE pr.rating END AS current_rating,
+               CASE WHEN p_difficulty IS NULL THEN s.rating_deviation ELSE pr.rating_deviation END AS current_deviation
+        FROM totals t
+        LEFT JOIN player_stats s ON s.user_id = t.player_id
+        LEFT JOIN player_ratings pr ON pr.user_id = t.player_id AND pr.difficulty = p_difficulty
+    )
+    SELECT ROW_NUMBER() OVER (
+               ORDER BY (CASE p_type
+                             WHEN 'wins' THEN x.wins
+                             WHEN 'score' THEN x.score
+                             ELSE CASE WHEN p_since IS NULL THEN x.current_rating ELSE x.rating_change END
+                         END) DESC NULLS LAST,
+                        x.current_rating DESC NULLS LAST,
+                        x.player_id
+           ),
+           x.player_id,
+           p.username,
+           p.avatar_url,
+           x.current_rating,
+           x.current_deviation,
+           x.wins,
+           x.losses,
+           x.draws,
+           x.games,
+           x.score,
+           NULL::INTEGER,
+           x.rating_change
+    FROM rated x
+    JOIN profiles p ON p.id = x.player_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION leaderboard_standings TO anon, authenticated;
+
+COMMENT ON FUNCTION leaderboard_standings IS 'Ranked leaderboard rows, overall or filtered by difficulty and time window';
+
+-- WebSocket games used to be saved without completed_at, which left them out of every
+-- time window; they were saved the moment they finished
+UPDATE games SET completed_at = COALESCE(rated_at, created_at)
+WHERE status = 'completed' AND completed_at IS NULL;
+
+-- Their rating changes weren't kept either. Those can't be rebuilt after the fact, so the
+-- old rows count toward wins and score but add nothing to a window's rating change;
+-- server.js stores rating_changes on every ranked game from now on.
@@ -0,0 +1,7 @@
+-- MATCHMAKING FALLBACK: Persist each player's difficulty fallback choice
+-- Run this in Supabase SQL Editor
+
+-- MatchmakingEngine reads allowFallback from every queue entry; NULL means
+-- the engine default. Both the API and the browser client write it on join.
+ALTER TABLE matchmaking_queue
+ADD COLUMN IF NOT EXISTS allow_fallback BOOLEAN;
@@ -0,0 +1,80 @@
+-- MIRROR BOARDS: Both players solve the same mine layout
+-- Run this in Supabase SQL Editor
+
+-- The games_mirror_mode trigger below stores the mode in board_state (compatible with
+-- old schema); expose it as a real column so ranked queues and stats can filter on it
+ALTER TABLE games
+ADD COLUMN IF NOT EXISTS mirror_board BOOLEAN
+GENERATED ALWAYS AS (COALESCE((board_state->>'mirror_board')::BOOLEAN, FALSE)) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_games_mirror_board ON games(mirror_board);
+
+-- The server decides the mode: one row per matchmaking difficulty
+-- (the browser used to pick it with a client constant, which was always on)
+CREATE TABLE IF NOT EXISTS matchmaking_modes (
+    difficulty VARCHAR(20) PRIMARY KEY,
+    mirror_board BOOLEAN NOT NULL DEFAULT FALSE
+);
+
+INSERT INTO matchmaking_modes (difficulty, mirror_board) VALUES
+    ('easy', TRUE),
+    ('medium', TRUE),
+    ('hard', TRUE)
+ON CONFLICT (difficulty) DO NOTHING;
+
+ALTER TABLE matchmaking_modes ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Matchmaking modes are viewable by everyone" ON matchmaking_modes;
+CREATE POLICY "Matchmaking modes are viewable by everyone"
+    ON matchmaking_modes FOR SELECT
+    USING (true);
+
+-- Seeded games (createGame) get the mode and the shared opening here, whatever the
+-- client sent; later updates can't switch the mode or move the opening
+CREATE OR REPLACE FUNCTION set_game_mirror_mode()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    use_mirror BOOLEAN;
+    board_size INTEGER;
+BEGIN
+    IF TG_OP = 'UPDATE' THEN
+        IF OLD.board_state ? 'mirror_board' THEN
+            NEW.board_state := COALESCE(NEW.board_state, '{}'::jsonb) || jsonb_build_object(
+                'mirror_board', OLD.board_state->'mirror_board',
+                'safe_opening', OLD.board_state->'safe_opening'
+            );
+        END IF;
+        RETURN NEW;
+    END IF;
+
+    IF NEW.status != 'in_progress' OR NOT (NEW.board_state ? 'mine_seed') THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT mirror_board INTO use_mirror FROM matchmaking_modes WHERE difficulty = NEW.difficulty;
+    use_mirror := COALESCE(use_mirror, FALSE);
+    board_size := (NEW.board_state->>'grid_size')::INTEGER;
+
+    IF use_mirror THEN
+        -- Both players open the same interior cell
+        NEW.board_state := NEW.board_state || jsonb_build_object(
+            'mirror_board', TRUE,
+            'safe_opening', jsonb_build_object(
+                'x', 1 + floor(random() * (board_size - 2))::INTEGER,
+                'y', 1 + floor(random() * (board_size - 2))::INTEGER
+            )
+        );
+    ELSE
+        NEW.board_state := (NEW.board_state - 'safe_opening') || jsonb_build_object('mirror_board', FALSE);
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS games_mirror_mode ON games;
+CREATE TRIGGER games_mirror_mode
+    BEFORE INSERT OR UPDATE OF board_state ON games
+    FOR EACH ROW EXECUTE FUNCTION set_game_mirror_mode();
@@ -0,0 +1,75 @@
+-- MineDuel Ruleset v1
+-- Run this in Supabase SQL Editor after chord_moves.sql
+-- Brings the SQL scoring in line with js/shared/GameRules.js (RULESET version 1)
+-- and records which ruleset every game was played under.
+-- Whenever RULESET changes, add a new ruleset_vN.sql alongside it.
+
+-- Ruleset version per game
+ALTER TABLE games ADD COLUMN IF NOT EXISTS ruleset_version INTEGER;
+
+-- createGame keeps it in board_state (compatible with old schema); copy it into the column
+CREATE OR REPLACE FUNCTION set_game_ruleset_version()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF NEW.ruleset_version IS NULL AND NEW.board_state ? 'ruleset_version' THEN
+        NEW.ruleset_version := (NEW.board_state->>'ruleset_version')::INTEGER;
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS games_ruleset_version ON games;
+CREATE TRIGGER games_ruleset_version
+    BEFORE INSERT ON games
+    FOR EACH ROW EXECUTE FUNCTION set_game_ruleset_version();
+
+CREATE INDEX IF NOT EXISTS idx_games_ruleset_version ON games(ruleset_version);
+
+-- Reveal score: RULESET.scoring.safeCell per safe cell, -RULESET.scoring.minePenalty per mine
+CREATE OR REPLACE FUNCTION calculate_reveal_score(
+    p_game_id UUID,
+    p_player_id TEXT,
+    p_x INTEGER,
+    p_y INTEGER
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    game_record RECORD;
+    mines JSONB;
+    is_mine BOOLEAN := false;
+BEGIN
+    -- Get game data
+    SELECT * INTO game_record FROM games WHERE id = p_game_id;
+
+    IF game_record IS NULL THEN
+        RETURN 0;
+    END IF;
+
+    -- Generate mines from seed
+    mines := generate_mines(
+        game_record.mine_seed,
+        game_record.grid_size,
+        game_record.mine_count
+    );
+
+    -- Check if hit mine
+    is_mine := EXISTS (
+        SELECT 1 FROM jsonb_array_elements(mines) AS m
+        WHERE (m->>'x')::integer = p_x AND (m->>'y')::integer = p_y
+    );
+
+    IF is_mine THEN
+        RETURN -30; -- Mine penalty
+    END IF;
+
+    RETURN 5; -- Every safe cell, numbered or empty
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION calculate_reveal_score TO anon, authenticated;
+
+COMMENT ON COLUMN games.ruleset_version IS 'RULESET.version from js/shared/GameRules.js the game was played under';
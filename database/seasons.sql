@@ -0,0 +1,136 @@
+-- MineDuel Seasons
+-- Run this in Supabase SQL Editor after glicko_ratings.sql
+-- Ranked play is split into seasons. When a season ends, the final standings are
+-- archived and every rating is pulled part of the way back toward the mean,
+-- so each season starts as a fresh ladder. lib/seasons.js triggers the rollover.
+
+CREATE TABLE IF NOT EXISTS seasons (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(50) NOT NULL,
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'archived')),
+    archived_at TIMESTAMP WITH TIME ZONE,
+    CONSTRAINT season_dates CHECK (ends_at > starts_at)
+);
+
+-- Only one season runs at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_seasons_active ON seasons(status) WHERE status = 'active';
+
+-- Final standings of archived seasons
+CREATE TABLE IF NOT EXISTS season_standings (
+    season_id INTEGER REFERENCES seasons(id) ON DELETE CASCADE NOT NULL,
+    user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+    rank INTEGER NOT NULL,
+    rating INTEGER NOT NULL,
+    rating_deviation REAL,
+    wins INTEGER DEFAULT 0,
+    losses INTEGER DEFAULT 0,
+    draws INTEGER DEFAULT 0,
+    games INTEGER DEFAULT 0,
+    PRIMARY KEY (season_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_season_standings_rank ON season_standings(season_id, rank);
+CREATE INDEX IF NOT EXISTS idx_season_standings_user ON season_standings(user_id);
+
+-- Results of the running season (player_stats.wins etc. stay all-time)
+ALTER TABLE player_stats ADD COLUMN IF NOT EXISTS season_wins INTEGER DEFAULT 0;
+ALTER TABLE player_stats ADD COLUMN IF NOT EXISTS season_losses INTEGER DEFAULT 0;
+ALTER TABLE player_stats ADD COLUMN IF NOT EXISTS season_draws INTEGER DEFAULT 0;
+ALTER TABLE player_stats ADD COLUMN IF NOT EXISTS season_games INTEGER DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_player_stats_season_games ON player_stats(season_games);
+
+-- End the active season if it is over and start the next one
+-- Safe to call any time; returns the season that is running afterwards
+CREATE OR REPLACE FUNCTION rollover_season(
+    p_mean_rating INTEGER DEFAULT 1000,
+    p_reset_factor REAL DEFAULT 0.5,        -- Share of the distance from the mean a rating keeps
+    p_reset_deviation REAL DEFAULT 150,     -- Minimum rating deviation at the start of a season
+    p_season_length INTERVAL DEFAULT '90 days'
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    current_season RECORD;
+    next_season RECORD;
+    has_current BOOLEAN;
+    season_count INTEGER;
+BEGIN
+    -- Lock the active season so two callers can't both roll it over
+    SELECT * INTO current_season FROM seasons WHERE status = 'active' FOR UPDATE;
+    has_current := FOUND;
+
+    IF has_current AND current_season.ends_at > NOW() THEN
+        RETURN jsonb_build_object('rolled_over', false, 'season', to_jsonb(current_season));
+    END IF;
+
+    IF has_current THEN
+        -- Archive the final standings of everyone who played this season
+        INSERT INTO season_standings (season_id, user_id, rank, rating, rating_deviation, wins, losses, draws, games)
+        SELECT current_season.id,
+               user_id,
+               RANK() OVER (ORDER BY rating DESC),
+               rating,
+               rating_deviation,
+               season_wins,
+               season_losses,
+               season_draws,
+               season_games
+        FROM player_stats
+        WHERE season_games > 0
+        ON CONFLICT (season_id, user_id) DO NOTHING;
+
+        UPDATE seasons SET status = 'archived', archived_at = NOW() WHERE id = current_season.id;
+
+        -- Soft reset toward the mean, with the uncertainty of a fresh ladder
+        UPDATE player_stats
+        SET rating = ROUND(p_mean_rating + (rating - p_mean_rating) * p_reset_factor),
+            rating_deviation = GREATEST(COALESCE(rating_deviation, p_reset_deviation), p_reset_deviation),
+            season_wins = 0,
+            season_losses = 0,
+            season_draws = 0,
+            season_games = 0
+        WHERE user_id IS NOT NULL; -- Every row (Supabase rejects UPDATEs without WHERE)
+
+        UPDATE player_ratings
+        SET rating = ROUND(p_mean_rating + (rating - p_mean_rating) * p_reset_factor),
+            rating_deviation = GREATEST(COALESCE(rating_deviation, p_reset_deviation), p_reset_deviation),
+            updated_at = NOW()
+        WHERE user_id IS NOT NULL;
+    END IF;
+
+    SELECT COUNT(*) INTO season_count FROM seasons;
+
+    INSERT INTO seasons (name, starts_at, ends_at)
+    VALUES ('Season ' || (season_count + 1), NOW(), NOW() + p_season_length)
+    RETURNING * INTO next_season;
+
+    RETURN jsonb_build_object('rolled_over', has_current, 'season', to_jsonb(next_season));
+END;
+$$;
+
+-- Everyone can read seasons and standings; only the server (service role) rolls them over
+ALTER TABLE seasons ENABLE ROW LEVEL SECURITY;
+ALTER TABLE season_standings ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Seasons are viewable by everyone" ON seasons;
+CREATE POLICY "Seasons are viewable by everyone"
+    ON seasons FOR SELECT
+    USING (true);
+
+DROP POLICY IF EXISTS "Season standings are viewable by everyone" ON season_standings;
+CREATE POLICY "Season standings are viewable by everyone"
+    ON season_standings FOR SELECT
+    USING (true);
+
+REVOKE EXECUTE ON FUNCTION rollover_season FROM PUBLIC, anon, authenticated;
+
+-- The first season starts now
+SELECT rollover_season();
+
+COMMENT ON TABLE seasons IS 'Ranked seasons; exactly one is active';
+COMMENT ON TABLE season_standings IS 'Final standings of archived seasons';
+COMMENT ON FUNCTION rollover_season IS 'Archives the active season once it has ended, soft-resets ratings and starts the next season';
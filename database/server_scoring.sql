@@ -0,0 +1,739 @@
+-- MineDuel Server-Authoritative Scoring
+-- Run this in Supabase SQL Editor after ruleset_v1.sql
+-- Supabase realtime matches keep every player's board on the server: mines are laid out
+-- here on the first click, and every reveal, chord, flag and power goes through make_move.
+-- The mines never leave the database; the client only sees the cells a move opens.
+-- player1_server_score / player2_server_score are the only scores that count.
+-- Every function acts for the signed-in caller (auth.uid()) and only on their own games.
+-- Values mirror RULESET version 1 in js/shared/GameRules.js.
+
+-- Per-player board state
+-- games is readable by everyone, so mines and boards live in game_boards instead:
+-- RLS without policies keeps clients out, the SECURITY DEFINER functions below read it
+CREATE TABLE IF NOT EXISTS game_boards (
+    game_id UUID PRIMARY KEY REFERENCES games(id) ON DELETE CASCADE,
+    board_seed TEXT NOT NULL DEFAULT uuid_generate_v4()::text, -- games.mine_seed is public, this one isn't
+    player1_mines JSONB,
+    player2_mines JSONB,
+    player1_board JSONB NOT NULL DEFAULT '{}'::jsonb, -- 'x,y' -> 'revealed' | 'flagged'
+    player2_board JSONB NOT NULL DEFAULT '{}'::jsonb
+);
+
+ALTER TABLE game_boards ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON game_boards FROM anon, authenticated;
+
+-- Earlier versions of this script kept them on games
+ALTER TABLE games DROP COLUMN IF EXISTS player1_mines;
+ALTER TABLE games DROP COLUMN IF EXISTS player2_mines;
+ALTER TABLE games DROP COLUMN IF EXISTS player1_board;
+ALTER TABLE games DROP COLUMN IF EXISTS player2_board;
+
+ALTER TABLE games ADD COLUMN IF NOT EXISTS player1_shield_until TIMESTAMP WITH TIME ZONE;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS player2_shield_until TIMESTAMP WITH TIME ZONE;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS player1_frozen_until TIMESTAMP WITH TIME ZONE;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS player2_frozen_until TIMESTAMP WITH TIME ZONE;
+
+-- createGame keeps the seed and board size in board_state (compatible with old schema);
+-- copy them into the columns the server functions read
+CREATE OR REPLACE FUNCTION set_game_secure_columns()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF NEW.board_state ? 'mine_seed' THEN
+        NEW.mine_seed := COALESCE(NEW.mine_seed, NEW.board_state->>'mine_seed');
+        NEW.grid_size := COALESCE((NEW.board_state->>'grid_size')::INTEGER, NEW.grid_size);
+        NEW.mine_count := COALESCE((NEW.board_state->>'mine_count')::INTEGER, NEW.mine_count);
+        NEW.player1_name := COALESCE(NEW.player1_name, NEW.board_state->>'player1_name');
+        NEW.player2_name := COALESCE(NEW.player2_name, NEW.board_state->>'player2_name');
+    END IF;
+    NEW.started_at := COALESCE(NEW.started_at, NOW());
+    -- Every match starts from zero on the server, whatever the client inserted
+    NEW.player1_server_score := 0;
+    NEW.player2_server_score := 0;
+    NEW.player1_moves := '[]'::jsonb;
+    NEW.player2_moves := '[]'::jsonb;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS games_secure_columns ON games;
+CREATE TRIGGER games_secure_columns
+    BEFORE INSERT ON games
+    FOR EACH ROW EXECUTE FUNCTION set_game_secure_columns();
+
+-- Players may update their own game row (schema.sql), but the scores, the result and the
+-- power timers only change through the functions below
+CREATE OR REPLACE FUNCTION protect_server_result()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF current_user IN ('anon', 'authenticated') THEN
+        NEW.status := OLD.status;
+        NEW.winner_id := OLD.winner_id;
+        NEW.player1_score := OLD.player1_score;
+        NEW.player2_score := OLD.player2_score;
+        NEW.completed_at := OLD.completed_at;
+        NEW.started_at := OLD.started_at;
+        NEW.player1_server_score := OLD.player1_server_score;
+        NEW.player2_server_score := OLD.player2_server_score;
+        NEW.player1_moves := OLD.player1_moves;
+        NEW.player2_moves := OLD.player2_moves;
+        NEW.player1_shield_until := OLD.player1_shield_until;
+        NEW.player2_shield_until := OLD.player2_shield_until;
+        NEW.player1_frozen_until := OLD.player1_frozen_until;
+        NEW.player2_frozen_until := OLD.player2_frozen_until;
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS games_protect_server_result ON games;
+CREATE TRIGGER games_protect_server_result
+    BEFORE UPDATE ON games
+    FOR EACH ROW EXECUTE FUNCTION protect_server_result();
+
+-- Lay out the caller's mines on their first click; only success comes back, never the mines
+-- Mirror boards ignore the click: both players get the same layout around the shared opening
+DROP FUNCTION IF EXISTS start_board(UUID, TEXT, INTEGER, INTEGER);
+
+CREATE OR REPLACE FUNCTION start_board(
+    p_game_id UUID,
+    p_safe_x INTEGER,
+    p_safe_y INTEGER
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    caller TEXT := auth.uid()::text;
+    game_record RECORD;
+    boards RECORD;
+    is_player1 BOOLEAN;
+    mines JSONB;
+    seed TEXT;
+    safe_x INTEGER := p_safe_x;
+    safe_y INTEGER := p_safe_y;
+BEGIN
+    IF caller IS NULL THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Not signed in');
+    END IF;
+
+    SELECT * INTO game_record FROM games WHERE id = p_game_id FOR UPDATE;
+
+    IF game_record IS NULL THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Game not found');
+    END IF;
+
+    is_player1 := game_record.player1_id::text = caller;
+
+    IF NOT is_player1 AND game_record.player2_id::text IS DISTINCT FROM caller THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Not a player in this game');
+    END IF;
+
+    IF game_record.status != 'in_progress' THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Game already ended');
+    END IF;
+
+    INSERT INTO game_boards (game_id) VALUES (p_game_id) ON CONFLICT (game_id) DO NOTHING;
+    SELECT * INTO boards FROM game_boards WHERE game_id = p_game_id;
+
+    -- Already started (a reload or a repeated first click): nothing to do
+    mines := CASE WHEN is_player1 THEN boards.player1_mines ELSE boards.player2_mines END;
+    IF mines IS NOT NULL THEN
+        RETURN jsonb_build_object('success', true);
+    END IF;
+
+    IF COALESCE((game_record.board_state->>'mirror_board')::BOOLEAN, false) THEN
+        seed := boards.board_seed;
+        safe_x := (game_record.board_state->'safe_opening'->>'x')::INTEGER;
+        safe_y := (game_record.board_state->'safe_opening'->>'y')::INTEGER;
+    ELSE
+        seed := boards.board_seed || '_' || caller;
+    END IF;
+
+    mines := generate_mines(seed, game_record.grid_size, game_record.mine_count, safe_x, safe_y);
+
+    IF is_player1 THEN
+        UPDATE game_boards SET player1_mines = mines WHERE game_id = p_game_id;
+    ELSE
+        UPDATE game_boards SET player2_mines = mines WHERE game_id = p_game_id;
+    END IF;
+
+    RETURN jsonb_build_object('success', true);
+END;
+$$;
+
+-- Percentage of safe cells revealed, like GameRules.getCompletion (0 before the board starts)
+CREATE OR REPLACE FUNCTION board_completion(
+    p_grid_size INTEGER,
+    p_mines JSONB,
+    p_board JSONB
+)
+RETURNS NUMERIC
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE WHEN p_mines IS NULL THEN 0 ELSE ROUND(100.0 * (
+        SELECT COUNT(*)
+        FROM jsonb_each_text(COALESCE(p_board, '{}'::jsonb)) AS cell
+        WHERE cell.value = 'revealed'
+          AND NOT p_mines @> jsonb_build_array(jsonb_build_object(
+              'x', split_part(cell.key, ',', 1)::INTEGER,
+              'y', split_part(cell.key, ',', 2)::INTEGER
+          ))
+    ) / GREATEST(1, p_grid_size * p_grid_size - jsonb_array_length(p_mines)), 2) END
+$$;
+
+-- Open a cell, flood-filling from empty cells like GameRules.revealCell
+-- Cells already in p_board (revealed or flagged) are never opened.
+-- Returns [{ x, y, is_mine, neighbor_count }, ...]
+CREATE OR REPLACE FUNCTION reveal_area(
+    p_grid_size INTEGER,
+    p_mines JSONB,
+    p_board JSONB,
+    p_x INTEGER,
+    p_y INTEGER
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    mine_set JSONB;
+    opened JSONB;
+    cells JSONB := '[]'::jsonb;
+    queue_x INTEGER[];
+    queue_y INTEGER[];
+    head INTEGER := 1;
+    cx INTEGER;
+    cy INTEGER;
+    nx INTEGER;
+    ny INTEGER;
+    cell_is_mine BOOLEAN;
+    adjacent INTEGER;
+    cell_key TEXT;
+BEGIN
+    cell_key := p_x || ',' || p_y;
+
+    IF p_x < 0 OR p_y < 0 OR p_x >= p_grid_size OR p_y >= p_grid_size OR p_board ? cell_key THEN
+        RETURN cells;
+    END IF;
+
+    SELECT COALESCE(jsonb_object_agg((m->>'x') || ',' || (m->>'y'), true), '{}'::jsonb)
+    INTO mine_set
+    FROM jsonb_array_elements(p_mines) AS m;
+
+    queue_x := ARRAY[p_x];
+    queue_y := ARRAY[p_y];
+    opened := jsonb_build_object(cell_key, true);
+
+    WHILE head <= array_length(queue_x, 1) LOOP
+        cx := queue_x[head];
+        cy := queue_y[head];
+        head := head + 1;
+
+        cell_is_mine := mine_set ? (cx || ',' || cy);
+        adjacent := 0;
+        FOR ny IN GREATEST(0, cy - 1)..LEAST(p_grid_size - 1, cy + 1) LOOP
+            FOR nx IN GREATEST(0, cx - 1)..LEAST(p_grid_size - 1, cx + 1) LOOP
+                IF NOT (nx = cx AND ny = cy) AND mine_set ? (nx || ',' || ny) THEN
+                    adjacent := adjacent + 1;
+                END IF;
+            END LOOP;
+        END LOOP;
+
+        cells := cells || jsonb_build_object(
+            'x', cx,
+            'y', cy,
+            'is_mine', cell_is_mine,
+            'neighbor_count', CASE WHEN cell_is_mine THEN 0 ELSE adjacent END
+        );
+
+        -- Empty cells open their neighbours; flags and open cells stop the fill
+        CONTINUE WHEN cell_is_mine OR adjacent > 0;
+
+        FOR ny IN GREATEST(0, cy - 1)..LEAST(p_grid_size - 1, cy + 1) LOOP
+            FOR nx IN GREATEST(0, cx - 1)..LEAST(p_grid_size - 1, cx + 1) LOOP
+                cell_key := nx || ',' || ny;
+                CONTINUE WHEN opened ? cell_key OR p_board ? cell_key OR mine_set ? cell_key;
+
+                opened := opened || jsonb_build_object(cell_key, true);
+                queue_x := queue_x || nx;
+                queue_y := queue_y || ny;
+            END LOOP;
+        END LOOP;
+    END LOOP;
+
+    RETURN cells;
+END;
+$$;
+
+-- Use a power: costs, per-match uses and cooldowns are checked against the server score
+-- Only make_move calls this, with the signed-in caller as p_player_id
+CREATE OR REPLACE FUNCTION use_power(
+    p_game_id UUID,
+    p_player_id TEXT,
+    p_power VARCHAR(20)
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    -- RULESET.powerCosts, RULESET.powerCooldowns (seconds) and RULESET.powerMaxUses
+    power_costs CONSTANT JSONB := '{"radar": 30, "safeburst": 40, "shield": 50, "freeze": 60}';
+    power_cooldowns CONSTANT JSONB := '{"radar": 15, "safeburst": 20, "shield": 30, "freeze": 25}';
+    max_uses CONSTANT INTEGER := 3;
+    safe_cell_points CONSTANT INTEGER := 5;     -- RULESET.scoring.safeCell
+    burst_cells CONSTANT INTEGER := 5;          -- Safe cells a burst opens
+    radar_mines CONSTANT INTEGER := 3;          -- Mines a radar shows
+    shield_duration CONSTANT INTERVAL := '10 seconds';
+    freeze_duration CONSTANT INTERVAL := '5 seconds';
+    game_record RECORD;
+    boards RECORD;
+    is_player1 BOOLEAN;
+    cost INTEGER;
+    score INTEGER;
+    mines JSONB;
+    board JSONB;
+    frozen_until TIMESTAMP WITH TIME ZONE;
+    opponent_shield_until TIMESTAMP WITH TIME ZONE;
+    uses INTEGER;
+    last_used TIMESTAMP WITH TIME ZONE;
+    cells JSONB := '[]'::jsonb;
+    area JSONB;
+    cell JSONB;
+    target RECORD;
+    found_mines JSONB := '[]'::jsonb;
+    points INTEGER := 0;
+BEGIN
+    SELECT * INTO game_record FROM games WHERE id = p_game_id FOR UPDATE;
+
+    IF game_record IS NULL THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Game not found');
+    END IF;
+
+    IF game_record.status != 'in_progress' THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Game already ended');
+    END IF;
+
+    is_player1 := game_record.player1_id::text = p_player_id;
+
+    IF NOT is_player1 AND game_record.player2_id::text IS DISTINCT FROM p_player_id THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Not a player in this game');
+    END IF;
+
+    cost := (power_costs->>p_power)::INTEGER;
+    IF cost IS NULL THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Unknown power');
+    END IF;
+
+    SELECT * INTO boards FROM game_boards WHERE game_id = p_game_id;
+
+    IF is_player1 THEN
+        score := game_record.player1_server_score;
+        mines := boards.player1_mines;
+        board := COALESCE(boards.player1_board, '{}'::jsonb);
+        frozen_until := game_record.player1_frozen_until;
+        opponent_shield_until := game_record.player2_shield_until;
+    ELSE
+        score := game_record.player2_server_score;
+        mines := boards.player2_mines;
+        board := COALESCE(boards.player2_board, '{}'::jsonb);
+        frozen_until := game_record.player2_frozen_until;
+        opponent_shield_until := game_record.player1_shield_until;
+    END IF;
+
+    IF frozen_until > NOW() THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Frozen');
+    END IF;
+
+    SELECT COUNT(*), MAX(timestamp) INTO uses, last_used
+    FROM game_moves
+    WHERE game_id = p_game_id AND player_id = p_player_id
+      AND move_type = 'power' AND power_type = p_power;
+
+    IF uses >= max_uses THEN
+        RETURN jsonb_build_object('success', false, 'error', 'No uses left', 'uses_left', 0);
+    END IF;
+
+    IF last_used + make_interval(secs => (power_cooldowns->>p_power)::INTEGER) > NOW() THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Power is cooling down');
+    END IF;
+
+    IF score < cost THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Not enough points');
+    END IF;
+
+    IF p_power IN ('radar', 'safeburst') AND mines IS NULL THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Board not started');
+    END IF;
+
+    IF p_power = 'freeze' AND opponent_shield_until > NOW() THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Opponent is shielded');
+    END IF;
+
+    score := score - cost;
+
+    IF p_power = 'radar' THEN
+        -- Hidden, unflagged mines
+        SELECT COALESCE(jsonb_agg(m), '[]'::jsonb) INTO found_mines
+        FROM (
+            SELECT m FROM jsonb_array_elements(mines) AS m
+            WHERE NOT board ? ((m->>'x') || ',' || (m->>'y'))
+            ORDER BY random()
+            LIMIT radar_mines
+        ) AS picked;
+
+    ELSIF p_power = 'safeburst' THEN
+        FOR target IN
+            SELECT gx AS x, gy AS y
+            FROM generate_series(0, game_record.grid_size - 1) AS gx,
+                 generate_series(0, game_record.grid_size - 1) AS gy
+            WHERE NOT board ? (gx || ',' || gy)
+              AND NOT mines @> jsonb_build_array(jsonb_build_object('x', gx, 'y', gy))
+            ORDER BY random()
+            LIMIT burst_cells
+        LOOP
+            -- An earlier cell's flood fill may already have opened this one
+            area := reveal_area(game_record.grid_size, mines, board, target.x, target.y);
+            FOR cell IN SELECT * FROM jsonb_array_elements(area) LOOP
+                board := board || jsonb_build_object((cell->>'x') || ',' || (cell->>'y'), 'revealed');
+                points := points + safe_cell_points;
+            END LOOP;
+            cells := cells || area;
+        END LOOP;
+        score := score + points;
+
+    END IF;
+
+    IF is_player1 THEN
+        UPDATE game_boards SET player1_board = board WHERE game_id = p_game_id;
+        UPDATE games
+        SET player1_server_score = score,
+            player1_shield_until = CASE WHEN p_power = 'shield' THEN NOW() + shield_duration ELSE player1_shield_until END,
+            player2_frozen_until = CASE WHEN p_power = 'freeze' THEN NOW() + freeze_duration ELSE player2_frozen_until END,
+            player1_moves = player1_moves || jsonb_build_object('type', 'power', 'power', p_power, 'points', points - cost)
+        WHERE id = p_game_id;
+    ELSE
+        UPDATE game_boards SET player2_board = board WHERE game_id = p_game_id;
+        UPDATE games
+        SET player2_server_score = score,
+            player2_shield_until = CASE WHEN p_power = 'shield' THEN NOW() + shield_duration ELSE player2_shield_until END,
+            player1_frozen_until = CASE WHEN p_power = 'freeze' THEN NOW() + freeze_duration ELSE player1_frozen_until END,
+            player2_moves = player2_moves || jsonb_build_object('type', 'power', 'power', p_power, 'points', points - cost)
+        WHERE id = p_game_id;
+    END IF;
+
+    INSERT INTO game_moves (game_id, player_id, move_type, x, y, power_type, points_earned)
+    VALUES (p_game_id, p_player_id, 'power', 0, 0, p_power, points - cost);
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'power', p_power,
+        'cost', cost,
+        'points', points,
+        'total_score', score,
+        'uses_left', max_uses - uses - 1,
+        'mines', found_mines,
+        'cells', cells,
+        'completion', board_completion(game_record.grid_size, mines, board)
+    );
+END;
+$$;
+
+-- make_move now plays the caller's move on the server's copy of their board:
+-- flags are stored, reveals flood-fill, chords use the stored flags (no more p_flags),
+-- and a live shield absorbs one mine. Powers are handed to use_power.
+-- Returns the opened cells with their numbers and the board's completion.
+DROP FUNCTION IF EXISTS make_move(UUID, TEXT, INTEGER, INTEGER, VARCHAR, JSONB);
+DROP FUNCTION IF EXISTS make_move(UUID, TEXT, INTEGER, INTEGER, VARCHAR, VARCHAR);
+
+CREATE OR REPLACE FUNCTION make_move(
+    p_game_id UUID,
+    p_x INTEGER,
+    p_y INTEGER,
+    p_move_type VARCHAR(20) DEFAULT 'reveal',
+    p_power VARCHAR(20) DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    safe_cell_points CONSTANT INTEGER := 5;     -- RULESET.scoring.safeCell
+    mine_penalty CONSTANT INTEGER := 30;        -- RULESET.scoring.minePenalty
+    caller TEXT := auth.uid()::text;
+    game_record RECORD;
+    boards RECORD;
+    is_player1 BOOLEAN;
+    mines JSONB;
+    board JSONB;
+    shield_until TIMESTAMP WITH TIME ZONE;
+    frozen_until TIMESTAMP WITH TIME ZONE;
+    cell_key TEXT;
+    cells JSONB := '[]'::jsonb;
+    area JSONB;
+    cell JSONB;
+    nx INTEGER;
+    ny INTEGER;
+    number_count INTEGER := 0;
+    flag_count INTEGER := 0;
+    gained INTEGER := 0;
+    damage INTEGER := 0;
+    mines_hit INTEGER := 0;
+    shield_used BOOLEAN := false;
+    points INTEGER := 0;
+    move_record JSONB;
+    current_score INTEGER;
+BEGIN
+    IF caller IS NULL THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Not signed in');
+    END IF;
+
+    IF p_move_type = 'power' THEN
+        RETURN use_power(p_game_id, caller, p_power);
+    END IF;
+
+    -- Lock the row so one player's moves are applied one at a time
+    SELECT * INTO game_record FROM games WHERE id = p_game_id FOR UPDATE;
+
+    IF game_record IS NULL THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Game not found');
+    END IF;
+
+    IF game_record.status != 'in_progress' THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Game already ended');
+    END IF;
+
+    is_player1 := game_record.player1_id::text = caller;
+
+    IF NOT is_player1 AND game_record.player2_id::text IS DISTINCT FROM caller THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Not a player in this game');
+    END IF;
+
+    SELECT * INTO boards FROM game_boards WHERE game_id = p_game_id;
+
+    IF is_player1 THEN
+        mines := boards.player1_mines;
+        board := COALESCE(boards.player1_board, '{}'::jsonb);
+        shield_until := game_record.player1_shield_until;
+        frozen_until := game_record.player1_frozen_until;
+    ELSE
+        mines := boards.player2_mines;
+        board := COALESCE(boards.player2_board, '{}'::jsonb);
+        shield_until := game_record.player2_shield_until;
+        frozen_until := game_record.player2_frozen_until;
+    END IF;
+
+    IF mines IS NULL THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Board not started');
+    END IF;
+
+    IF p_x < 0 OR p_y < 0 OR p_x >= game_record.grid_size OR p_y >= game_record.grid_size THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Cell out of bounds');
+    END IF;
+
+    IF frozen_until > NOW() THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Frozen');
+    END IF;
+
+    cell_key := p_x || ',' || p_y;
+
+    IF p_move_type IN ('flag', 'unflag') THEN
+        IF board->>cell_key = 'revealed' THEN
+            RETURN jsonb_build_object('success', false, 'error', 'Cell already revealed');
+        END IF;
+
+        IF p_move_type = 'flag' THEN
+            board := board || jsonb_build_object(cell_key, 'flagged');
+        ELSE
+            board := board - cell_key;
+        END IF;
+
+    ELSIF p_move_type = 'reveal' THEN
+        cells := reveal_area(game_record.grid_size, mines, board, p_x, p_y);
+
+    ELSIF p_move_type = 'chord' THEN
+        -- Only a revealed number whose flags match it can be chorded
+        IF board->>cell_key IS DISTINCT FROM 'revealed' THEN
+            RETURN jsonb_build_object('success', false, 'error', 'Cell is not revealed');
+        END IF;
+
+        FOR ny IN GREATEST(0, p_y - 1)..LEAST(game_record.grid_size - 1, p_y + 1) LOOP
+            FOR nx IN GREATEST(0, p_x - 1)..LEAST(game_record.grid_size - 1, p_x + 1) LOOP
+                CONTINUE WHEN nx = p_x AND ny = p_y;
+                IF mines @> jsonb_build_array(jsonb_build_object('x', nx, 'y', ny)) THEN
+                    number_count := number_count + 1;
+                END IF;
+                IF board->>(nx || ',' || ny) = 'flagged' THEN
+                    flag_count := flag_count + 1;
+                END IF;
+            END LOOP;
+        END LOOP;
+
+        IF number_count = 0 OR flag_count != number_count THEN
+            RETURN jsonb_build_object('success', false, 'error', 'Flags do not match this number');
+        END IF;
+
+        FOR ny IN GREATEST(0, p_y - 1)..LEAST(game_record.grid_size - 1, p_y + 1) LOOP
+            FOR nx IN GREATEST(0, p_x - 1)..LEAST(game_record.grid_size - 1, p_x + 1) LOOP
+                -- An earlier neighbour's flood fill may already have opened this one
+                area := reveal_area(game_record.grid_size, mines, board, nx, ny);
+                FOR cell IN SELECT * FROM jsonb_array_elements(area) LOOP
+                    board := board || jsonb_build_object((cell->>'x') || ',' || (cell->>'y'), 'revealed');
+                END LOOP;
+                cells := cells || area;
+            END LOOP;
+        END LOOP;
+
+    ELSE
+        RETURN jsonb_build_object('success', false, 'error', 'Unknown move type');
+    END IF;
+
+    -- Score the opened cells like GameRules.scoreReveal
+    FOR cell IN SELECT * FROM jsonb_array_elements(cells) LOOP
+        board := board || jsonb_build_object((cell->>'x') || ',' || (cell->>'y'), 'revealed');
+        IF (cell->>'is_mine')::BOOLEAN THEN
+            mines_hit := mines_hit + 1;
+        ELSE
+            gained := gained + safe_cell_points;
+        END IF;
+    END LOOP;
+
+    shield_used := mines_hit > 0 AND shield_until > NOW();
+    damage := (mines_hit - CASE WHEN shield_used THEN 1 ELSE 0 END) * mine_penalty;
+    points := gained - damage;
+
+    move_record := jsonb_build_object('x', p_x, 'y', p_y, 'type', p_move_type, 'points', points);
+
+    IF is_player1 THEN
+        UPDATE game_boards SET player1_board = board WHERE game_id = p_game_id;
+        UPDATE games
+        SET player1_server_score = GREATEST(0, player1_server_score + points),
+            player1_shield_until = CASE WHEN shield_used THEN NULL ELSE player1_shield_until END,
+            player1_moves = player1_moves || move_record
+        WHERE id = p_game_id
+        RETURNING player1_server_score INTO current_score;
+    ELSE
+        UPDATE game_boards SET player2_board = board WHERE game_id = p_game_id;
+        UPDATE games
+        SET player2_server_score = GREATEST(0, player2_server_score + points),
+            player2_shield_until = CASE WHEN shield_used THEN NULL ELSE player2_shield_until END,
+            player2_moves = player2_moves || move_record
+        WHERE id = p_game_id
+        RETURNING player2_server_score INTO current_score;
+    END IF;
+
+    INSERT INTO game_moves (game_id, player_id, move_type, x, y, points_earned)
+    VALUES (p_game_id, caller, p_move_type, p_x, p_y, points);
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'points', points,
+        'gained', gained,
+        'damage', damage,
+        'total_score', current_score,
+        'hit_mine', mines_hit > 0,
+        'mines_hit', mines_hit,
+        'shield_used', shield_used,
+        'cells', cells,
+        'completion', board_completion(game_record.grid_size, mines, board)
+    );
+END;
+$$;
+
+-- end_game may be called by both players once the match is over: the clock has run out
+-- or a board has reached RULESET.completionThreshold. The first call settles the result.
+CREATE OR REPLACE FUNCTION end_game(p_game_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    match_duration CONSTANT INTERVAL := '150 seconds';  -- CONFIG.MATCH_DURATION in js/gameSupabase.js
+    completion_threshold CONSTANT NUMERIC := 85;         -- RULESET.completionThreshold
+    caller TEXT := auth.uid()::text;
+    game_record RECORD;
+    boards RECORD;
+    winner TEXT;
+BEGIN
+    IF caller IS NULL THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Not signed in');
+    END IF;
+
+    SELECT * INTO game_record FROM games WHERE id = p_game_id FOR UPDATE;
+
+    IF game_record IS NULL THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Game not found');
+    END IF;
+
+    IF game_record.player1_id::text IS DISTINCT FROM caller AND game_record.player2_id::text IS DISTINCT FROM caller THEN
+        RETURN jsonb_build_object('success', false, 'error', 'Not a player in this game');
+    END IF;
+
+    IF game_record.status = 'in_progress' THEN
+        SELECT * INTO boards FROM game_boards WHERE game_id = p_game_id;
+
+        IF game_record.started_at + match_duration > NOW()
+           AND board_completion(game_record.grid_size, boards.player1_mines, boards.player1_board) < completion_threshold
+           AND board_completion(game_record.grid_size, boards.player2_mines, boards.player2_board) < completion_threshold THEN
+            RETURN jsonb_build_object('success', false, 'error', 'Game is still running');
+        END IF;
+    END IF;
+
+    -- Determine winner based on server scores
+    IF game_record.player1_server_score > game_record.player2_server_score THEN
+        winner := game_record.player1_id;
+    ELSIF game_record.player2_server_score > game_record.player1_server_score THEN
+        winner := game_record.player2_id;
+    ELSE
+        winner := NULL; -- Draw
+    END IF;
+
+    IF game_record.status = 'in_progress' THEN
+        UPDATE games
+        SET status = 'completed',
+            completed_at = NOW(),
+            player1_score = player1_server_score,
+            player2_score = player2_server_score,
+            winner_id = winner::uuid
+        WHERE id = p_game_id;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'winner', winner,
+        'player1_id', game_record.player1_id,
+        'player2_id', game_record.player2_id,
+        'player1_score', game_record.player1_server_score,
+        'player2_score', game_record.player2_server_score,
+        'is_draw', winner IS NULL,
+        'already_ended', game_record.status != 'in_progress'
+    );
+END;
+$$;
+
+-- Signed-in players only; functions are executable by PUBLIC unless revoked
+REVOKE EXECUTE ON FUNCTION start_board(UUID, INTEGER, INTEGER) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION make_move(UUID, INTEGER, INTEGER, VARCHAR, VARCHAR) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION end_game(UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION start_board(UUID, INTEGER, INTEGER) TO authenticated;
+GRANT EXECUTE ON FUNCTION make_move(UUID, INTEGER, INTEGER, VARCHAR, VARCHAR) TO authenticated;
+GRANT EXECUTE ON FUNCTION end_game(UUID) TO authenticated;
+
+-- Internal: only reached through the functions above
+REVOKE EXECUTE ON FUNCTION use_power(UUID, TEXT, VARCHAR) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION reveal_area(INTEGER, JSONB, JSONB, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION board_completion(INTEGER, JSONB, JSONB) FROM PUBLIC, anon, authenticated;
+
+COMMENT ON FUNCTION start_board IS 'Lays out the caller''s mines on their first click; the mines stay on the server';
+COMMENT ON FUNCTION use_power IS 'Validates a power against the server score, uses and cooldown, then applies it';
+COMMENT ON FUNCTION make_move IS 'Plays the caller''s move (reveal, chord, flag, unflag, power) on the server board, returns the opened cells and points earned';
+COMMENT ON FUNCTION end_game IS 'Ends a finished game (time up or a board completed) and determines winner based on server-validated scores';
@@ -145,10 +145,10 @@ class APIClient {
 
     // ==================== MATCHMAKING ====================
 
-    async joinMatchmaking(difficulty = 'medium') {
+    async joinMatchmaking(difficulty = 'medium', allowFallback = null) {
         return await this.request('/matchmaking', {
             method: 'POST',
-            body: JSON.stringify({ difficulty })
+            body: JSON.stringify({ difficulty, allowFallback })
         });
     }
 
@@ -4,6 +4,7 @@
  */
 
 import { Cell } from './Cell.js';
+import * as Rules from './shared/GameRules.js';
 
 export class BoardManager {
     constructor(canvas, gridSize = 10, mineCount = 15) {
@@ -127,6 +128,11 @@ export class BoardManager {
 
         const cell = this.grid[gridPos.y][gridPos.x];
         
+        // Clicking (or double-clicking) a revealed number chords it
+        if (cell.isRevealed) {
+            return this.chordCell(gridPos.x, gridPos.y);
+        }
+        
         // First click: place mines and start game
         if (!this.gameStarted) {
             this.placeMines(gridPos.x, gridPos.y);
@@ -153,31 +159,7 @@ export class BoardManager {
      * Place mines randomly, avoiding the first click position and its neighbors
      */
     placeMines(firstClickX, firstClickY) {
-        // Create list of safe positions (first click and its neighbors)
-        const safePositions = new Set();
-        for (let dy = -1; dy <= 1; dy++) {
-            for (let dx = -1; dx <= 1; dx++) {
-                const nx = firstClickX + dx;
-                const ny = firstClickY + dy;
-                if (nx >= 0 && nx < this.gridSize && ny >= 0 && ny < this.gridSize) {
-                    safePositions.add(`${nx},${ny}`);
-                }
-            }
-        }
-
-        // Create list of all possible positions
-        const allPositions = [];
-        for (let y = 0; y < this.gridSize; y++) {
-            for (let x = 0; x < this.gridSize; x++) {
-                if (!safePositions.has(`${x},${y}`)) {
-                    allPositions.push({ x, y });
-                }
-            }
-        }
-
-        // Randomly place mines
-        const minePositions = this.shuffleArray(allPositions).slice(0, this.mineCount);
-        minePositions.forEach(pos => {
+        Rules.placeMines(this.gridSize, this.mineCount, firstClickX, firstClickY).forEach(pos => {
             this.grid[pos.y][pos.x].setMine();
         });
     }
@@ -280,7 +262,7 @@ export class BoardManager {
         cell.reveal();
         let result = {
             hitMine: cell.isMine,
-            points: cell.isMine ? 0 : (cell.neighborCount === 0 ? 1 : cell.neighborCount + 1),
+            points: cell.isMine ? 0 : Rules.RULESET.scoring.safeCell,
             cellsRevealed: 1
         };
 
@@ -301,6 +283,55 @@ export class BoardManager {
         return result;
     }
 
+    /**
+     * Chord a revealed number: open all its other neighbors once the flags around it match
+     * A wrong flag means one or more of the opened neighbors is a mine
+     * @param {number} x - Grid X coordinate
+     * @param {number} y - Grid Y coordinate
+     * @returns {object} Result object like revealCell, plus the number of mines hit
+     */
+    chordCell(x, y) {
+        const result = { hitMine: false, minesHit: 0, points: 0, cellsRevealed: 0 };
+        if (x < 0 || x >= this.gridSize || y < 0 || y >= this.gridSize) return result;
+        
+        const cell = this.grid[y][x];
+        if (!cell.isRevealed || cell.isMine || cell.neighborCount === 0) return result;
+        
+        const hidden = [];
+        let flagCount = 0;
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                if (dx === 0 && dy === 0) continue;
+                
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx >= 0 && nx < this.gridSize && ny >= 0 && ny < this.gridSize) {
+                    const neighbor = this.grid[ny][nx];
+                    if (neighbor.isFlagged) {
+                        flagCount++;
+                    } else if (!neighbor.isRevealed) {
+                        hidden.push({ x: nx, y: ny });
+                    }
+                }
+            }
+        }
+        
+        if (flagCount !== cell.neighborCount) return result;
+        
+        // revealCell skips neighbors an earlier flood fill already opened
+        hidden.forEach(pos => {
+            const opened = this.revealCell(pos.x, pos.y);
+            result.points += opened.points;
+            result.cellsRevealed += opened.cellsRevealed;
+            if (opened.hitMine) {
+                result.hitMine = true;
+                result.minesHit++;
+            }
+        });
+        
+        return result;
+    }
+
     /**
      * Flood fill algorithm for revealing empty areas
      */
@@ -332,7 +363,7 @@ export class BoardManager {
                         if (neighbor.canBeOpened() && !neighbor.isMine) {
                             neighbor.reveal();
                             cellsRevealed++;
-                            totalPoints += neighbor.neighborCount === 0 ? 1 : neighbor.neighborCount + 1;
+                            totalPoints += Rules.RULESET.scoring.safeCell;
 
                             // Continue flood fill only for empty cells
                             if (neighbor.neighborCount === 0) {
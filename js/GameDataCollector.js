@@ -58,9 +58,17 @@ export class GameDataCollector {
                 difficulty: gameConfig.difficulty || 'medium',
                 matchDuration: gameConfig.matchDuration || 120000,
                 isVsBot: gameConfig.isVsBot || false,
-                botDifficulty: gameConfig.botDifficulty || null
+                botDifficulty: gameConfig.botDifficulty || null,
+                seed: gameConfig.seed ?? null  // Bot oyunu bu tohum ve replay kaydıyla hamle hamle tekrar oynanır
             },
             
+            // Bot oyunlarının tekrarı: maç saati başlangıcı, bot'un öğrenilmiş verisi ve oyuncunun hamleleri
+            replay: gameConfig.isVsBot ? {
+                startedAt: gameConfig.startedAt ?? null,
+                learned: null,
+                actions: []     // { at: maç başından ms, type: reveal/chord/flag/power, x, y, power, cost }
+            } : null,
+            
             // Oyuncular - detaylı bilgi
             players: {
                 player1: {
@@ -93,6 +101,12 @@ export class GameDataCollector {
             // Mayın pozisyonları (oyun başında veya sonunda doldurulacak)
             minePositions: [],
             
+            // Tahta zorluğu: 3BV, açıklık/ada sayısı, 3BV/s ve tıklama verimliliği (oyun sonunda)
+            boardStats: {
+                player1: null,
+                player2: null
+            },
+            
             // Tüm hamleler - çok detaylı
             moves: [],
             
@@ -289,7 +303,8 @@ export class GameDataCollector {
         stats.totalMoves++;
         stats.moveTimes.push(move.timeSinceLastMove);
         
-        if (moveData.type === 'reveal') {
+        // Akor da bir açma hamlesi sayılır
+        if (moveData.type === 'reveal' || moveData.type === 'chord') {
             stats.revealMoves++;
             if (moveData.result === 'mine') {
                 stats.mineHits++;
@@ -350,6 +365,26 @@ export class GameDataCollector {
         return totalSafe > 0 ? (revealed / totalSafe) * 100 : 0;
     }
     
+    // ==================== TEKRAR KAYDI ====================
+    
+    // Oyuncunun uygulanan hamlesi, maç saatine göre
+    recordReplayAction(action) {
+        if (!this.isRecording || !this.currentGame?.replay) return;
+        this.currentGame.replay.actions.push(action);
+    }
+    
+    // Bot'un bu oyunda kullandığı öğrenilmiş veri - tekrar aynı veriyle başlar
+    recordReplayLearning(learned) {
+        if (!this.isRecording || !this.currentGame?.replay) return;
+        this.currentGame.replay.learned = learned;
+    }
+    
+    // Kaydı kaydetmeden bırak (tekrar izlenirken yeni oyun kaydedilmez)
+    cancelRecording() {
+        this.isRecording = false;
+        this.currentGame = null;
+    }
+    
     // ==================== GÜÇ KULLANIMI KAYDI - STRATEJİK ANALİZ ====================
     
     recordPowerUsage(powerData) {
@@ -489,6 +524,11 @@ export class GameDataCollector {
             game.minePositions = endData.minePositions;
         }
         
+        // Tahta zorluğu - farklı tahtalardaki skorları karşılaştırmak için
+        if (endData.boardStats) {
+            game.boardStats = endData.boardStats;
+        }
+        
         // Oyuncu profillerini hesapla
         this.calculatePlayerProfiles();
         
@@ -699,7 +739,8 @@ export class GameDataCollector {
                         player1Score: game.result.player1Score,
                         player2Score: game.result.player2Score,
                         duration: game.result.duration,
-                        minePositions: game.minePositions
+                        minePositions: game.minePositions,
+                        boardStats: game.boardStats
                     },
                     moves: game.moves.map(m => ({
                         player: m.player,
@@ -129,9 +129,18 @@ export class GameManager {
      */
     handlePlayerAction(result) {
         if (result.hitMine) {
-            // Handle mine hit
+            // Handle mine hit - a chord over a wrong flag can hit several,
+            // and the shield only absorbs the first
             const damage = 10; // Base mine damage
-            const actualDamage = this.powerManager.handleMineHit(damage);
+            let actualDamage = 0;
+            for (let i = 0; i < (result.minesHit || 1); i++) {
+                actualDamage += this.powerManager.handleMineHit(damage);
+            }
+            
+            // Safe cells a chord opened still score
+            if (result.points > 0) {
+                this.addPlayerScore(result.points);
+            }
             
             if (actualDamage > 0) {
                 this.playerScore = Math.max(0, this.playerScore - actualDamage);
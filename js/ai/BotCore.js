@@ -5,6 +5,7 @@
  * 1. Deterministic Layer - Guaranteed Minesweeper rules (CSP-based)
  * 2. Probabilistic Layer - Risk estimation when no safe moves exist
  * 3. Strategic Layer - Speed, power usage, PvP decisions
+ * + Endgame Solver - Expected-score search over the last hidden cells (hard/expert)
  * 
  * CRITICAL FAIRNESS RULES:
  * - Bot NEVER accesses hidden mine locations
@@ -18,13 +19,38 @@
 import { DeterministicLayer } from './DeterministicLayer.js';
 import { ProbabilisticLayer } from './ProbabilisticLayer.js';
 import { StrategicLayer } from './StrategicLayer.js';
+import { EndgameSolver } from './EndgameSolver.js';
 import { BotDifficultyConfig } from './BotDifficultyConfig.js';
 import { BotLearningSystem } from './BotLearningSystem.js';
+import { RULESET } from '../shared/GameRules.js';
+import { createRandom } from '../shared/SeededRandom.js';
+
+// Real time; simulations and browser bot games pass a virtual clock with the same shape
+const REAL_CLOCK = {
+    now: () => Date.now(),
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: (id) => clearTimeout(id)
+};
 
 export class BotCore {
-    constructor(game, difficulty = 'medium') {
+    /**
+     * @param {object} game - The match the bot plays in (gameSupabase.js or BotMatchSimulator.js)
+     * @param {string} difficulty - easy, medium, hard or expert
+     * @param {object} options - clock: virtual match clock (default real time)
+     *                           offline: keep learning in memory, no localStorage or API
+     *                           learned: power effectiveness to play with instead of the stored one
+     *                           verbose: log every decision (default true)
+     *                           seed: replays every random choice of a game (default: a fresh seed)
+     */
+    constructor(game, difficulty = 'medium', options = {}) {
         this.game = game;
         this.difficulty = difficulty;
+        this.clock = options.clock || REAL_CLOCK;
+        this.verbose = options.verbose !== false;
+        
+        // Every random choice comes from this seed, so a game can be replayed move for move
+        this.seed = options.seed ?? Math.floor(Math.random() * 0x100000000);
+        this.random = createRandom(this.seed);
         
         // Grid reference (set by start())
         this.board = null;
@@ -40,15 +66,18 @@ export class BotCore {
         this.thinkTimer = null;
         
         // Load difficulty configuration
-        this.config = new BotDifficultyConfig(difficulty);
+        this.config = new BotDifficultyConfig(difficulty, () => this.random());
         
         // Initialize three AI layers
-        this.deterministicLayer = new DeterministicLayer(this);
+        this.deterministicLayer = new DeterministicLayer(this, { verbose: this.verbose });
         this.probabilisticLayer = new ProbabilisticLayer(this);
         this.strategicLayer = new StrategicLayer(this);
         
+        // Endgame search (hard/expert)
+        this.endgameSolver = new EndgameSolver(this);
+        
         // Initialize learning system
-        this.learningSystem = new BotLearningSystem(this);
+        this.learningSystem = new BotLearningSystem(this, { offline: options.offline, learned: options.learned });
         
         // Game state perception
         this.gameState = {
@@ -84,7 +113,7 @@ export class BotCore {
             pendingRadarFlags: []        // radar mines to be flagged
         };
         
-        console.log(`[BotCore v9] Initialized | Difficulty: ${difficulty} | Config: ${JSON.stringify(this.config.getParams())}`);
+        this.log(`[BotCore v9] Initialized | Difficulty: ${difficulty} | Config: ${JSON.stringify(this.config.getParams())}`);
     }
     
     // ==================== LIFECYCLE ====================
@@ -101,9 +130,10 @@ export class BotCore {
         this.isThinking = false;
         this.isFrozen = false;
         this.frozenUntil = 0;
+        this.random = createRandom(this.seed);
         
         // Debug: Board referansını kontrol et
-        console.log(`[BotCore] Board received:`, {
+        this.log(`[BotCore] Board received:`, {
             isOpponent: board?.isOpponent,
             gridSize: board?.gridSize,
             hasMines: board?.mines?.length > 0,
@@ -117,10 +147,11 @@ export class BotCore {
         this.learningSystem.startGame({
             gridSize,
             difficulty: this.difficulty,
-            timestamp: Date.now()
+            seed: this.seed,
+            timestamp: this.clock.now()
         });
         
-        console.log(`[BotCore] Started | Grid: ${gridSize}x${gridSize}`);
+        this.log(`[BotCore] Started | Grid: ${gridSize}x${gridSize} | Seed: ${this.seed}`);
         
         // Begin thinking loop
         this.scheduleThink();
@@ -134,11 +165,11 @@ export class BotCore {
         this.isThinking = false;
         
         if (this.thinkTimer) {
-            clearTimeout(this.thinkTimer);
+            this.clock.clearTimeout(this.thinkTimer);
             this.thinkTimer = null;
         }
         
-        console.log('[BotCore] Stopped');
+        this.log('[BotCore] Stopped');
     }
     
     /**
@@ -180,6 +211,7 @@ export class BotCore {
         this.deterministicLayer.reset();
         this.probabilisticLayer.reset();
         this.strategicLayer.reset();
+        this.endgameSolver.reset();
     }
     
     /**
@@ -188,8 +220,8 @@ export class BotCore {
      */
     freeze(durationMs) {
         this.isFrozen = true;
-        this.frozenUntil = Date.now() + durationMs;
-        console.log(`[BotCore] Frozen for ${durationMs}ms`);
+        this.frozenUntil = this.clock.now() + durationMs;
+        this.log(`[BotCore] Frozen for ${durationMs}ms`);
     }
     
     /**
@@ -218,7 +250,7 @@ export class BotCore {
         if (!this.isActive || this.game?.gameEnded) return;
         
         const delay = this.config.getThinkDelay();
-        this.thinkTimer = setTimeout(() => this.think(), delay);
+        this.thinkTimer = this.clock.setTimeout(() => this.think(), delay);
     }
     
     /**
@@ -228,7 +260,7 @@ export class BotCore {
         if (!this.isActive || this.isThinking || this.game?.gameEnded) return;
         
         // Check if frozen
-        if (this.isFrozen && Date.now() < this.frozenUntil) {
+        if (this.isFrozen && this.clock.now() < this.frozenUntil) {
             this.scheduleThink();
             return;
         }
@@ -241,23 +273,13 @@ export class BotCore {
             // STEP 1: Perceive the game state
             this.perceive();
             
-            // STEP 2: Rastgele güç kullanımını dene (her 5-10 saniyede bir)
-            const randomPowerUsed = this.tryRandomPowerUsage();
-            if (randomPowerUsed) {
-                // Güç kullandıysak bu turda başka hamle yapma
-                this.isThinking = false;
-                this.game?.hideBotThinking?.();
-                this.scheduleThink();
-                return;
-            }
-            
-            // STEP 3: Analyze visible board (never access hidden info!)
+            // STEP 2: Analyze visible board (never access hidden info!)
             this.analyzeVisibleBoard();
             
-            // STEP 4: Run three-layer decision process
+            // STEP 3: Run three-layer decision process
             const action = this.decide();
             
-            // STEP 5: Execute the chosen action
+            // STEP 4: Execute the chosen action
             if (action) {
                 this.execute(action);
             } else {
@@ -288,12 +310,16 @@ export class BotCore {
         const gs = this.gameState;
         
         // Scores
+        const opponentScore = this.game?.score || 0;
+        if (opponentScore !== gs.opponentScore) {
+            this.strategicLayer.updateOpponentScore(opponentScore);
+        }
         gs.myScore = this.game?.opponentScore || 0;
-        gs.opponentScore = this.game?.score || 0;
+        gs.opponentScore = opponentScore;
         gs.scoreDiff = gs.myScore - gs.opponentScore;
         
         // Time
-        const elapsed = Date.now() - (this.game?.matchStartTime || Date.now());
+        const elapsed = this.clock.now() - (this.game?.matchStartTime || this.clock.now());
         const total = this.game?.matchDuration || 120000;
         gs.timeRemaining = Math.max(0, 100 - (elapsed / total) * 100);
         
@@ -354,7 +380,7 @@ export class BotCore {
         const candidates = [];
         
         // Cooldown temizliği (10 saniyeden eski olanları sil)
-        const now = Date.now();
+        const now = this.clock.now();
         for (const [key, time] of this.visibleState.unflagCooldown) {
             if (now - time > 10000) {
                 this.visibleState.unflagCooldown.delete(key);
@@ -362,15 +388,26 @@ export class BotCore {
             }
         }
         
+        // ENDGAME: Birkaç gizli hücre kaldıysa tüm hamle ağacını ara (hard/expert)
+        if (this.config.usesEndgameSolver()) {
+            const endgameAction = this.planEndgame();
+            if (endgameAction) return endgameAction;
+        }
+        
+        // LAYER 3: Strategic power usage - limitler ve cooldown'lar StrategicLayer'da
+        const powerAction = this.strategicLayer.evaluatePowerUsage();
+        if (powerAction) candidates.push(powerAction);
+        
         // LAYER 1: Deterministic (guaranteed moves)
         const safeCells = this.deterministicLayer.findSafeCells();
         const mineCells = this.deterministicLayer.findMineCells();
+        const chordCells = this.deterministicLayer.findChordCells();
         const suspiciousFlags = this.deterministicLayer.getSuspiciousFlags();
         
-        console.log(`[BotCore] Deterministic found: ${safeCells.length} safe, ${mineCells.length} mines, ${suspiciousFlags.length} suspicious flags`);
+        this.log(`[BotCore] Deterministic found: ${safeCells.length} safe, ${mineCells.length} mines, ${suspiciousFlags.length} suspicious flags`);
         
         // ======================================================================
-        // YENİ ÖNCELİK SİSTEMİ: BAYRAK > REVEAL > GÜÇ
+        // YENİ ÖNCELİK SİSTEMİ: BAYRAK > PLANLANAN GÜÇ > REVEAL
         // ======================================================================
         
         // ÖNCELİK 1: Kesin mayınları bayrakla (EN ÖNEMLİ!)
@@ -405,7 +442,19 @@ export class BotCore {
             }
         }
         
-        // ÖNCELİK 2: Güvenli hücreleri aç
+        // ÖNCELİK 2: Akor - bayrakları tamam olan sayıların çevresini tek hamlede aç
+        for (const cell of chordCells) {
+            candidates.push({
+                type: 'chord',
+                x: cell.x,
+                y: cell.y,
+                priority: 89,  // Tek reveal'dan biraz önce - birden fazla hücre açar
+                reason: `Deterministic: Chord opens ${cell.opens} cells`,
+                layer: 'deterministic'
+            });
+        }
+        
+        // ÖNCELİK 3: Güvenli hücreleri aç
         for (const cell of safeCells) {
             candidates.push({
                 type: 'reveal',
@@ -420,9 +469,6 @@ export class BotCore {
         // NOT: Şüpheli bayrak kaldırma devre dışı - sorun çıkarıyordu
         // Bot artık sadece kesin bildiği mayınları bayraklıyor
         
-        // NOT: Güç kullanımı artık sadece tryRandomPowerUsage üzerinden
-        // StrategicLayer power önerileri devre dışı - limit kontrolü sorunları vardı
-        
         if (candidates.length > 0) {
             candidates.sort((a, b) => b.priority - a.priority);
             return this.selectActionByDifficulty(candidates);
@@ -445,9 +491,6 @@ export class BotCore {
             }
         }
         
-        // LAYER 3: Strategic power usage devre dışı
-        // Tüm güç kullanımı tryRandomPowerUsage üzerinden kontrollü yapılıyor
-        
         // No candidates? Return null for emergency action
         if (candidates.length === 0) return null;
         
@@ -458,6 +501,49 @@ export class BotCore {
         return this.selectActionByDifficulty(candidates);
     }
     
+    /**
+     * Endgame move that maximizes expected points
+     * @returns {Object|null} null while the board isn't small enough to search
+     */
+    planEndgame() {
+        const analysis = this.endgameSolver.analyze();
+        if (!analysis) return null;
+        
+        this.log(`[BotCore] Endgame: ${analysis.worlds} mine layouts, best +${analysis.expectedPoints.toFixed(1)} expected`);
+        
+        // Every reveal loses points on average - wait for the clock instead of guessing
+        if (!analysis.move) {
+            return {
+                type: 'wait',
+                reason: 'Endgame: every reveal loses points on average',
+                layer: 'endgame'
+            };
+        }
+        
+        if (analysis.move.type === 'power') {
+            return {
+                type: 'power',
+                power: analysis.move.power,
+                reason: 'Endgame: shield before the risky reveals',
+                layer: 'endgame'
+            };
+        }
+        
+        // Best first, so difficulty mistakes pick from the next best reveals
+        const candidates = analysis.moves
+            .filter(move => move.expectedPoints > 0)
+            .map(move => ({
+                type: 'reveal',
+                x: move.x,
+                y: move.y,
+                reason: `Endgame: +${move.expectedPoints.toFixed(1)} expected, ${(move.risk * 100).toFixed(1)}% risk`,
+                layer: 'endgame',
+                risk: move.risk
+            }));
+        
+        return this.selectActionByDifficulty(candidates);
+    }
+    
     /**
      * Select action based on difficulty (accuracy, mistakes)
      */
@@ -465,14 +551,14 @@ export class BotCore {
         const accuracy = this.config.getAccuracy();
         
         // Check for intentional mistake (human-like imperfection)
-        if (Math.random() > accuracy) {
+        if (this.random() > accuracy) {
             // Make a suboptimal choice
             const suboptimalIndex = Math.min(
-                Math.floor(Math.random() * 3),
+                Math.floor(this.random() * 3),
                 candidates.length - 1
             );
             const chosen = candidates[suboptimalIndex];
-            console.log(`[BotCore] Suboptimal choice (difficulty): ${chosen.reason}`);
+            this.log(`[BotCore] Suboptimal choice (difficulty): ${chosen.reason}`);
             return chosen;
         }
         
@@ -489,9 +575,11 @@ export class BotCore {
         const logPrefix = `[BotCore] ${action.layer?.toUpperCase() || 'ACTION'}`;
         
         if (action.type === 'power') {
-            console.log(`${logPrefix}: POWER ${action.power} (priority: ${action.priority}) - ${action.reason}`);
+            this.log(`${logPrefix}: POWER ${action.power} (priority: ${action.priority}) - ${action.reason}`);
+        } else if (action.type === 'wait') {
+            this.log(`${logPrefix}: wait - ${action.reason}`);
         } else {
-            console.log(`${logPrefix}: ${action.type} (${action.x},${action.y}) - ${action.reason}`);
+            this.log(`${logPrefix}: ${action.type} (${action.x},${action.y}) - ${action.reason}`);
         }
         
         switch (action.type) {
@@ -499,6 +587,10 @@ export class BotCore {
                 this.executeReveal(action);
                 break;
                 
+            case 'chord':
+                this.executeChord(action);
+                break;
+                
             case 'flag':
                 this.executeFlag(action);
                 break;
@@ -510,6 +602,9 @@ export class BotCore {
             case 'power':
                 this.executePower(action);
                 break;
+                
+            case 'wait':
+                break;
         }
         
         // Record move for learning
@@ -542,6 +637,34 @@ export class BotCore {
         }
     }
     
+    /**
+     * Execute a chord action - a wrong flag costs a mine hit like a bad reveal
+     */
+    executeChord(action) {
+        const result = this.game?.makeBotChord?.(action.x, action.y);
+        if (!result) return;
+        
+        this.gameState.movesThisGame++;
+        
+        if (result.hitMine) {
+            this.gameState.minesHit++;
+            this.learningSystem.recordMistake({
+                type: 'chord_mine_hit',
+                x: action.x,
+                y: action.y,
+                risk: 0,
+                layer: action.layer
+            });
+        } else {
+            this.learningSystem.recordSuccess({
+                type: 'safe_chord',
+                x: action.x,
+                y: action.y,
+                layer: action.layer
+            });
+        }
+    }
+    
     /**
      * Execute a flag action
      */
@@ -569,51 +692,37 @@ export class BotCore {
         
         // Cooldown ekle - bu hücreyi bir süre tekrar bayraklama
         this.visibleState.recentlyUnflagged.add(key);
-        this.visibleState.unflagCooldown.set(key, Date.now());
+        this.visibleState.unflagCooldown.set(key, this.clock.now());
         
         this.gameState.wrongFlags++; // Yanlış bayrak sayacı
-        console.log(`[BotCore] Unflagged (${action.x},${action.y}) - added to cooldown`);
+        this.log(`[BotCore] Unflagged (${action.x},${action.y}) - added to cooldown`);
     }
     
     /**
-     * Execute a power usage - TEK GİRİŞ NOKTASI, TÜM KONTROLLER BURADA
+     * Would executePower let this power through right now? Same check as executePower:
+     * the difficulty's power limits (BotDifficultyConfig), cooldowns and score
+     */
+    canUsePower(power) {
+        return !this.strategicLayer.getPowerBlocker(power);
+    }
+
+    /**
+     * Execute a power usage - TEK GİRİŞ NOKTASI, TÜM KONTROLLER StrategicLayer'DA
      */
     executePower(action) {
-        const costs = { freeze: 60, shield: 50, radar: 30, safeburst: 40 };
-        
-        // ===== LİMİT KONTROLÜ - MAÇ BAŞINA MAX 2 GÜÇ =====
-        const gameUsesLeft = this.game?.botPowerUsesLeft || {};
-        const initialUses = 3;
-        const totalUsedInGame = (initialUses - (gameUsesLeft.freeze || 0)) +
-                                 (initialUses - (gameUsesLeft.shield || 0)) +
-                                 (initialUses - (gameUsesLeft.radar || 0)) +
-                                 (initialUses - (gameUsesLeft.safeburst || 0));
-        
-        if (totalUsedInGame >= 2) {
-            console.log(`[BotCore] ⛔ Power BLOCKED - limit reached: ${totalUsedInGame}/2 powers used`);
+        const blocker = this.strategicLayer.getPowerBlocker(action.power);
+        if (blocker) {
+            this.log(`[BotCore] ⛔ Power BLOCKED - ${blocker}`);
             return;
         }
         
-        // Bu güç için hak kaldı mı?
-        if ((gameUsesLeft[action.power] || 0) <= 0) {
-            console.log(`[BotCore] ⛔ Power BLOCKED - no ${action.power} uses left`);
-            return;
-        }
-        
-        // Yeterli puan var mı?
-        const myScore = this.game?.opponentScore || 0;
-        const cost = costs[action.power];
-        if (myScore < cost) {
-            console.log(`[BotCore] ⛔ Power BLOCKED - not enough score: ${myScore} < ${cost}`);
-            return;
-        }
-        
-        const result = this.game?.useBotPower?.(action.power, cost);
+        const result = this.game?.useBotPower?.(action.power, RULESET.powerCosts[action.power]);
         
         if (result) {
             this.powerUsage[action.power]++;
-            this.powerUsage.lastUseTime = Date.now();
+            this.powerUsage.lastUseTime = this.clock.now();
             this.powerUsage.lastPowerUsed = action.power;
+            this.strategicLayer.recordPowerUse(action.power, action.reason);
             
             this.learningSystem.recordPowerUsage({
                 power: action.power,
@@ -621,183 +730,19 @@ export class BotCore {
                 reason: action.reason
             });
             
-            console.log(`[BotCore] ✅ Power used: ${action.power.toUpperCase()} (${totalUsedInGame + 1}/2)`);
+            this.log(`[BotCore] ✅ Power used: ${action.power.toUpperCase()} (${this.strategicLayer.powerLog.length}/${this.config.getMaxPowers()})`);
         } else {
-            console.log(`[BotCore] ❌ Power FAILED: ${action.power} - useBotPower returned:`, result);
+            this.log(`[BotCore] ❌ Power FAILED: ${action.power} - useBotPower returned:`, result);
         }
     }
     
-    /**
-     * RASTGELE GÜÇ KULLANIMI - Basit sistem
-     * Her oyunda rastgele 2 güç kullanır, sadece puan sınırlaması var
-     */
-    tryRandomPowerUsage() {
-        const costs = { freeze: 60, shield: 50, radar: 30, safeburst: 40 };
-        const powers = ['freeze', 'shield', 'radar', 'safeburst'];
-        
-        // Cooldown kontrolü - güçler arası 15-25 saniye rastgele
-        const timeSinceLastPower = Date.now() - this.powerUsage.lastUseTime;
-        const cooldown = this.powerUsage.lastUseTime === 0 ? 10000 : 20000; // İlk güç 10sn, sonraki 20sn
-        
-        if (timeSinceLastPower < cooldown) {
-            return false;
-        }
-        
-        // Mevcut puanı al
-        const myScore = this.game?.opponentScore || 0;
-        
-        // OYUNUN GERÇEK GÜÇ KULLANIMINI KONTROL ET
-        const gameUsesLeft = this.game?.botPowerUsesLeft || {};
-        const initialUses = 3;
-        const totalUsedInGame = (initialUses - (gameUsesLeft.freeze || 0)) +
-                                 (initialUses - (gameUsesLeft.shield || 0)) +
-                                 (initialUses - (gameUsesLeft.radar || 0)) +
-                                 (initialUses - (gameUsesLeft.safeburst || 0));
-        
-        // Maç başına max 2 güç!
-        if (totalUsedInGame >= 2) {
-            return false;
-        }
-        
-        // %15 şansla güç kullanmayı dene (rastgele)
-        if (Math.random() > 0.15) {
-            return false;
-        }
-        
-        // Kullanılabilir güçleri bul (sadece puan sınırlaması)
-        const availablePowers = powers.filter(power => {
-            const cost = costs[power];
-            const usesLeft = gameUsesLeft[power] || 0;
-            return usesLeft > 0 && myScore >= cost;
-        });
-        
-        if (availablePowers.length === 0) {
-            return false;
-        }
-        
-        // RASTGELE güç seç
-        const randomPower = availablePowers[Math.floor(Math.random() * availablePowers.length)];
-        
-        console.log(`[BotCore] 🎲 RANDOM POWER: ${randomPower} (score: ${myScore}, used: ${totalUsedInGame}/2)`);
-        
-        // executePower kullan - limit kontrolleri orada
-        this.executePower({
-            type: 'power',
-            power: randomPower,
-            reason: 'Random power usage'
-        });
-        
-        return true;
-    }
-    
-    /**
-     * Select the best power based on game situation (artık kullanılmıyor)
-     */
-    selectSmartPower(myScore, scoreDiff, lastPower, costs) {
-        const availablePowers = [];
-        
-        // Her güç için uygunluk ve öncelik hesapla
-        const powerPriorities = {
-            freeze: 0,
-            shield: 0,
-            radar: 0,
-            safeburst: 0
-        };
-        
-        // Kullanılabilir güçleri kontrol et
-        for (const power of Object.keys(costs)) {
-            const cost = costs[power];
-            const limit = this.config.getPowerLimit(power);
-            const used = this.powerUsage[power] || 0;
-            
-            // Yeterli puan ve limit kontrolü
-            if (myScore >= cost && used < limit) {
-                availablePowers.push(power);
-            }
-        }
-        
-        if (availablePowers.length === 0) {
-            return null;
-        }
-        
-        // Son kullanılan gücü listeden çıkar (aynı gücü üst üste kullanma)
-        const filteredPowers = availablePowers.filter(p => p !== lastPower);
-        const powersToChoose = filteredPowers.length > 0 ? filteredPowers : availablePowers;
-        
-        // Duruma göre öncelik belirle
-        for (const power of powersToChoose) {
-            let priority = 10; // Base priority
-            
-            if (power === 'freeze') {
-                // FREEZE: Çok güçlü - rakibi durdurmak için
-                priority += 25; // Base bonus - freeze güçlü
-                if (scoreDiff < -20) priority += 35;      // Çok gerideyiz - rakibi durdur
-                else if (scoreDiff < 0) priority += 25;   // Biraz gerideyiz
-                else if (scoreDiff < 30) priority += 20;  // Yakın veya biraz önde
-                else priority += 15;                       // Çok öndeyiz - yine de faydalı
-                // Oyun ortası/sonu daha değerli
-                if (this.gameState.phase === 'mid') priority += 15;
-                if (this.gameState.phase === 'late') priority += 25;
-                if (this.gameState.phase === 'critical') priority += 35;
-            }
-            
-            else if (power === 'shield') {
-                // SHIELD: Öndeyken koruma, gerideyken risk alırken
-                if (scoreDiff > 30) priority += 40;       // Çok öndeyiz - koru
-                else if (scoreDiff > 10) priority += 25;  // Öndeyiz
-                else if (scoreDiff < -20) priority += 20; // Gerideyiz, risk alacağız
-                // Oyun sonu daha değerli
-                if (this.gameState.phase === 'late') priority += 15;
-                if (this.gameState.phase === 'critical') priority += 25;
-            }
-            
-            else if (power === 'radar') {
-                // RADAR: Sadece gerektiğinde - çok fazla kullanma
-                priority += 5; // Düşük base bonus
-                if (this.gameState.phase === 'early') priority += 15;
-                // Güvenli hamle yoksa değerli
-                const safeCells = this.deterministicLayer.findSafeCells();
-                if (safeCells.length === 0) priority += 25;
-                // Zaten çok radar kullandıysa önceliği düşür
-                const radarUsed = this.powerUsage.radar || 0;
-                if (radarUsed >= 2) priority -= 20;
-            }
-            
-            else if (power === 'safeburst') {
-                // SAFEBURST: Gerideyken puan kapmak için
-                if (scoreDiff < -30) priority += 45;      // Çok gerideyiz
-                else if (scoreDiff < -10) priority += 30; // Gerideyiz
-                else if (scoreDiff < 10) priority += 15;  // Yakın maç
-                // Oyun sonu acil puan lazım
-                if (this.gameState.phase === 'late') priority += 20;
-                if (this.gameState.phase === 'critical') priority += 35;
-            }
-            
-            powerPriorities[power] = priority;
-        }
-        
-        // En yüksek öncelikli gücü seç
-        let bestPower = null;
-        let bestPriority = 0;
-        
-        for (const power of powersToChoose) {
-            if (powerPriorities[power] > bestPriority) {
-                bestPriority = powerPriorities[power];
-                bestPower = power;
-            }
-        }
-        
-        console.log(`[BotCore] Power priorities:`, powerPriorities);
-        return bestPower;
-    }
-    
     /**
      * Record a move for learning
      */
     recordMove(action) {
         this.moveHistory.push({
             ...action,
-            timestamp: Date.now(),
+            timestamp: this.clock.now(),
             gameState: { ...this.gameState }
         });
         
@@ -811,7 +756,7 @@ export class BotCore {
      * Emergency action when stuck
      */
     emergencyAction() {
-        console.log('[BotCore] Emergency action - finding any valid move');
+        this.log('[BotCore] Emergency action - finding any valid move');
         
         // Try corners first (statistically safer in Minesweeper)
         const corners = [
@@ -868,7 +813,7 @@ export class BotCore {
     receiveRadarResults(mines) {
         if (!mines || mines.length === 0) return;
         
-        console.log(`[BotCore] Radar revealed ${mines.length} mines`);
+        this.log(`[BotCore] Radar revealed ${mines.length} mines`);
         
         for (const mine of mines) {
             const key = `${mine.x},${mine.y}`;
@@ -910,18 +855,41 @@ export class BotCore {
             opponentScore: result.playerScore,
             moves: this.moveHistory,
             powerUsage: { ...this.powerUsage },
-            duration: Date.now() - (this.game?.matchStartTime || Date.now()),
+            duration: this.clock.now() - (this.game?.matchStartTime || this.clock.now()),
             difficulty: this.difficulty
         };
         
         this.learningSystem.endGame(gameData);
         
         const emoji = result.botWon ? '🏆' : (result.draw ? '🤝' : '💔');
-        console.log(`[BotCore] Game ended ${emoji} | Score: ${result.botScore} vs ${result.playerScore}`);
+        this.log(`[BotCore] Game ended ${emoji} | Score: ${result.botScore} vs ${result.playerScore}`);
     }
     
     // ==================== UTILITY ====================
     
+    /**
+     * Debug report: every layer's view plus the power plan and why each power was used
+     */
+    getDebugReport() {
+        return {
+            difficulty: this.difficulty,
+            seed: this.seed,
+            gameState: { ...this.gameState },
+            powerUsage: { ...this.powerUsage },
+            deterministic: this.deterministicLayer.getAnalysisReport(),
+            probabilistic: this.probabilisticLayer.getProbabilityReport(),
+            strategic: this.strategicLayer.getStrategicReport(),
+            learning: this.learningSystem.getLearningReport()
+        };
+    }
+    
+    /**
+     * Log unless the bot runs quietly (headless simulations)
+     */
+    log(...args) {
+        if (this.verbose) console.log(...args);
+    }
+    
     /**
      * Get neighbors of a cell
      */
@@ -16,8 +16,13 @@
  */
 
 export class BotDifficultyConfig {
-    constructor(difficulty = 'medium') {
+    /**
+     * @param {string} difficulty - easy, medium, hard or expert
+     * @param {function} random - Math.random-like source; the bot passes its seeded one
+     */
+    constructor(difficulty = 'medium', random = Math.random) {
         this.difficulty = difficulty;
+        this.random = random;
         this.params = this.getDifficultyParams(difficulty);
     }
     
@@ -41,6 +46,7 @@ export class BotDifficultyConfig {
                 
                 // Power limits
                 powerCooldown: 30000,   // 30 seconds between powers
+                maxPowers: 1,           // Powers per match, all kinds together
                 powerLimits: {
                     freeze: 0,          // Can't freeze on easy
                     shield: 0,
@@ -68,6 +74,7 @@ export class BotDifficultyConfig {
                 errorBias: 0.08,
                 
                 powerCooldown: 12000,  // 12 saniye (18'den düşürüldü)
+                maxPowers: 2,
                 powerLimits: {
                     freeze: 2,
                     shield: 2,
@@ -93,6 +100,7 @@ export class BotDifficultyConfig {
                 errorBias: 0.05,
                 
                 powerCooldown: 8000,   // 8 saniye (12'den düşürüldü)
+                maxPowers: 2,
                 powerLimits: {
                     freeze: 3,
                     shield: 3,
@@ -103,7 +111,8 @@ export class BotDifficultyConfig {
                 riskTolerance: 0.35,
                 
                 watchOpponent: 0.8,
-                useLearning: true
+                useLearning: true,
+                useEndgameSolver: true  // Expected-score search over the last cells
             },
             
             // EXPERT: Strong but fair opponent
@@ -117,6 +126,7 @@ export class BotDifficultyConfig {
                 errorBias: 0.02,       // Küçük hata payı
                 
                 powerCooldown: 5000,   // 5 saniye - sık güç kullanımı
+                maxPowers: 2,
                 powerLimits: {
                     freeze: 4,
                     shield: 4,
@@ -128,7 +138,8 @@ export class BotDifficultyConfig {
                 
                 watchOpponent: 0.9,
                 useLearning: true,
-                useAdvancedPatterns: true
+                useAdvancedPatterns: true,
+                useEndgameSolver: true
             }
         };
         
@@ -150,19 +161,19 @@ export class BotDifficultyConfig {
         
         // Add natural human-like variation
         // Use gaussian-like distribution (sum of uniforms)
-        const r1 = Math.random();
-        const r2 = Math.random();
+        const r1 = this.random();
+        const r2 = this.random();
         const normalish = (r1 + r2) / 2; // Tends toward middle
         
         const base = thinkTimeMin + normalish * (thinkTimeMax - thinkTimeMin);
         
         // Occasional pause (thinking hard)
-        if (Math.random() < 0.1) {
+        if (this.random() < 0.1) {
             return base * 1.5;
         }
         
         // Occasional quick move (pattern recognition)
-        if (Math.random() < 0.15) {
+        if (this.random() < 0.15) {
             return base * 0.7;
         }
         
@@ -197,6 +208,13 @@ export class BotDifficultyConfig {
         return this.params.powerLimits[power] || 0;
     }
     
+    /**
+     * Get the number of powers allowed per match (all kinds together)
+     */
+    getMaxPowers() {
+        return this.params.maxPowers || 0;
+    }
+    
     /**
      * Get risk tolerance
      */
@@ -208,7 +226,7 @@ export class BotDifficultyConfig {
      * Should watch opponent?
      */
     shouldWatchOpponent() {
-        return Math.random() < this.params.watchOpponent;
+        return this.random() < this.params.watchOpponent;
     }
     
     /**
@@ -218,12 +236,19 @@ export class BotDifficultyConfig {
         return this.params.useLearning;
     }
     
+    /**
+     * Should search the endgame for the best expected score?
+     */
+    usesEndgameSolver() {
+        return !!this.params.useEndgameSolver;
+    }
+    
     /**
      * Should make intentional error?
      * Used to simulate human imperfection
      */
     shouldMakeError() {
-        return Math.random() < this.params.errorBias;
+        return this.random() < this.params.errorBias;
     }
     
     /**
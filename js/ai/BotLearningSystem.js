@@ -16,8 +16,15 @@
  */
 
 export class BotLearningSystem {
-    constructor(botCore) {
+    /**
+     * @param {object} botCore
+     * @param {object} options - offline: learn in memory only, no localStorage or API (headless runs)
+     *                            learned: power effectiveness to play with instead of the stored one (replays)
+     */
+    constructor(botCore, options = {}) {
         this.bot = botCore;
+        this.offline = options.offline === true;
+        this.learned = options.learned || null;
         
         // API endpoint
         this.API_URL = '/api/stats';
@@ -54,6 +61,8 @@ export class BotLearningSystem {
      * Load local learning data
      */
     loadLocalData() {
+        if (this.offline) return this.getDefaultData();
+        
         try {
             const data = localStorage.getItem(this.STORAGE_KEY);
             if (data) {
@@ -119,6 +128,8 @@ export class BotLearningSystem {
      * Load global data from Supabase
      */
     async loadGlobalData() {
+        if (this.offline) return;
+        
         try {
             const response = await fetch(`${this.API_URL}?bot_learning=true`);
             
@@ -204,6 +215,8 @@ export class BotLearningSystem {
      * Save local data
      */
     saveLocalData() {
+        if (this.offline) return;
+        
         try {
             localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.localData));
         } catch (e) {
@@ -221,6 +234,8 @@ export class BotLearningSystem {
             id: `game_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
             startTime: Date.now(),
             config: { ...config },
+            // Fixed for the game, so data that loads mid-game doesn't change its decisions
+            powerEffectiveness: this.learned ? { ...this.learned } : this.readPowerEffectiveness(),
             moves: [],
             powers: [],
             playerMoves: []
@@ -457,6 +472,8 @@ export class BotLearningSystem {
      * Sync game result to global database
      */
     async syncToGlobal(gameData) {
+        if (this.offline) return;
+        
         try {
             const strategy = this.bot.strategicLayer.mood;
             const validStrategy = strategy === 'desperate' ? 'aggressive' : strategy;
@@ -538,9 +555,17 @@ export class BotLearningSystem {
     // ==================== QUERY METHODS ====================
     
     /**
-     * Get power effectiveness from learning
+     * Get power effectiveness from learning - the values the current game started with
      */
     getPowerEffectiveness() {
+        if (this.currentGame) return { ...this.currentGame.powerEffectiveness };
+        return this.readPowerEffectiveness();
+    }
+    
+    /**
+     * Power effectiveness in the learned data now
+     */
+    readPowerEffectiveness() {
         const result = {};
         for (const power of ['freeze', 'shield', 'radar', 'safeburst']) {
             result[power] = this.localData.powers[power]?.effectiveness || 0.5;
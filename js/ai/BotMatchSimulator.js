@@ -0,0 +1,522 @@
+/**
+ * BotMatchSimulator.js - Headless Bot Matches
+ *
+ * Plays BotCore against BotCore, or against a scripted player, without a
+ * browser: the shared rules (shared/GameRules.js) on seeded boards, power
+ * effects as the server applies them, and a virtual clock instead of timers,
+ * so a whole match runs as fast as the bots can think.
+ *
+ * simulateMatches aggregates win rates, score and mine-hit distributions and
+ * power usage per difficulty, for tuning BotDifficultyConfig with data.
+ * Run it from the command line with scripts/simulateBots.js.
+ *
+ * Everything random - boards, power effects, the bots' own choices - comes
+ * from the match seed, and bot timing and search budgets from the virtual
+ * clock, so the same seed replays a match move for move.
+ *
+ * @version 1.0
+ */
+
+import { BotCore } from './BotCore.js';
+import { BotDifficultyConfig } from './BotDifficultyConfig.js';
+import { DeterministicLayer } from './DeterministicLayer.js';
+import * as Rules from '../shared/GameRules.js';
+import { createRandom } from '../shared/SeededRandom.js';
+
+const { RULESET } = Rules;
+
+export const SIMULATION_DEFAULTS = {
+    board: 'medium',            // RULESET.difficulties key
+    matchDuration: 150000,      // Bot matches in gameSupabase.js
+    freezeDuration: 5000,       // As on the server
+    seed: 'mineduel'
+};
+
+// Virtual timestamps start here so "0 means never" checks in the bot still hold
+const SIM_EPOCH = Date.UTC(2024, 0, 1);
+
+/**
+ * setTimeout/clearTimeout on simulated time - timers run in order, instantly
+ */
+export class VirtualClock {
+    constructor(start = SIM_EPOCH) {
+        this.time = start;
+        this.timers = [];
+        this.nextId = 1;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    setTimeout(fn, ms = 0) {
+        const id = this.nextId++;
+        this.timers.push({ id, at: this.time + Math.max(0, ms), fn });
+        return id;
+    }
+
+    clearTimeout(id) {
+        this.timers = this.timers.filter(timer => timer.id !== id);
+    }
+
+    /**
+     * Run the earliest timer due by `until`
+     * @returns {boolean} false when none is left
+     */
+    runNext(until) {
+        let next = null;
+        for (const timer of this.timers) {
+            if (!next || timer.at < next.at) next = timer;
+        }
+        if (!next || next.at > until) return false;
+
+        this.timers = this.timers.filter(timer => timer !== next);
+        this.time = next.at;
+        next.fn();
+        return true;
+    }
+
+    /**
+     * Run every timer due by `time` in order, then move the clock to it
+     */
+    advanceTo(time) {
+        while (this.runNext(time));
+        this.time = Math.max(this.time, time);
+    }
+}
+
+/**
+ * Logic-only stand-in for a human: plays every move the deterministic solver is
+ * sure of and guesses a random hidden cell otherwise, at a steady pace. No powers.
+ */
+export class ScriptedPlayer {
+    constructor(game, { clock, random = Math.random, moveDelay = 1000 } = {}) {
+        this.game = game;
+        this.clock = clock;
+        this.random = random;
+        this.moveDelay = moveDelay;
+        this.frozenUntil = 0;
+        this.timer = null;
+    }
+
+    start(board, gridSize) {
+        this.board = board;
+        this.gridSize = gridSize;
+
+        // DeterministicLayer reads the board through a bot; give it a minimal one
+        this.solver = new DeterministicLayer({
+            gridSize,
+            board,
+            game: this.game,
+            visibleState: { radarMines: new Set() },
+            getNeighbors: (x, y) => {
+                const neighbors = [];
+                Rules.forEachNeighbor(board.grid, x, y, (neighbor, nx, ny) => neighbors.push({ x: nx, y: ny }));
+                return neighbors;
+            }
+        }, { verbose: false });
+
+        this.schedule(this.moveDelay);
+    }
+
+    stop() {
+        this.clock.clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    freeze(durationMs) {
+        this.frozenUntil = this.clock.now() + durationMs;
+    }
+
+    receiveRadarResults() {}
+
+    schedule(delay) {
+        this.timer = this.clock.setTimeout(() => this.step(), delay);
+    }
+
+    step() {
+        if (this.game.gameEnded) return;
+
+        if (this.clock.now() < this.frozenUntil) {
+            this.schedule(this.frozenUntil - this.clock.now());
+            return;
+        }
+
+        const [safe] = this.solver.findSafeCells();
+        if (safe) {
+            this.game.makeBotMove(safe.x, safe.y);
+        } else {
+            const mines = new Set(this.solver.findMineCells().map(({ x, y }) => `${x},${y}`));
+            const hidden = this.board.grid.flat().filter(cell =>
+                !cell.isRevealed && !cell.isFlagged && !mines.has(`${cell.x},${cell.y}`));
+            if (hidden.length === 0) return;
+
+            const guess = hidden[Math.floor(this.random() * hidden.length)];
+            this.game.makeBotMove(guess.x, guess.y);
+        }
+
+        if (!this.game.gameEnded) this.schedule(this.moveDelay);
+    }
+}
+
+/**
+ * One side of a match, and the `game` its player talks to.
+ * BotCore plays the "opponent" side of gameSupabase.js, so opponentScore is
+ * this side's own score and score is the rival's (likewise opponentHasShield
+ * and hasShield).
+ */
+class MatchSide {
+    constructor(match, spec, index) {
+        this.match = match;
+        this.spec = spec;
+        this.random = createRandom(`${match.seed}:side${index}`);
+        this.label = spec.type === 'scripted' ? 'scripted' : spec.difficulty;
+        this.mineCount = match.mineCount;
+
+        this.board = {
+            grid: Rules.createGrid(match.gridSize),
+            gridSize: match.gridSize,
+            mines: []               // The match layout, placed by the first reveal or power
+        };
+        this.opened = false;
+
+        this.points = 0;
+        this.mineHits = 0;
+        this.moves = 0;
+        this.timesFrozen = 0;
+        this.shieldUp = false;
+        this.powersUsed = Object.fromEntries(Object.keys(RULESET.powerCosts).map(power => [power, 0]));
+        this.botPowerUsesLeft = Object.fromEntries(Object.keys(RULESET.powerCosts).map(power => [power, RULESET.powerMaxUses]));
+        this.powerReadyAt = {};
+
+        this.player = spec.type === 'scripted'
+            ? new ScriptedPlayer(this, { clock: match.clock, random: this.random, moveDelay: spec.moveDelay })
+            : new BotCore(this, spec.difficulty, { clock: match.clock, offline: true, verbose: false, seed: `${match.seed}:bot${index}` });
+    }
+
+    get opponentScore() { return this.points; }
+    get score() { return this.rival.points; }
+    get gameEnded() { return this.match.ended; }
+    get matchStartTime() { return this.match.startTime; }
+    get matchDuration() { return this.match.duration; }
+    get opponentHasShield() { return this.shieldUp; }
+    get hasShield() { return this.rival.shieldUp; }
+
+    showBotThinking() {}
+    hideBotThinking() {}
+
+    // Both sides play the same layout, like a mirror board
+    ensureMines() {
+        if (this.board.mines.length > 0) return;
+
+        const mines = this.match.mines.map(({ x, y }) => ({ x, y }));
+        Rules.setMines(this.board.grid, mines);
+        this.board.mines = mines;
+    }
+
+    makeBotMove(x, y) {
+        if (this.match.ended) return null;
+
+        // The first reveal opens the shared safe opening, wherever the player clicked
+        if (!this.opened) {
+            this.opened = true;
+            ({ x, y } = this.match.safeOpening);
+        }
+
+        this.ensureMines();
+        return this.applyReveal(Rules.revealCell(this.board.grid, x, y));
+    }
+
+    makeBotChord(x, y) {
+        if (this.match.ended) return null;
+
+        const revealed = Rules.chordCell(this.board.grid, x, y);
+        return revealed ? this.applyReveal(revealed) : null;
+    }
+
+    makeBotFlag(x, y) {
+        const cell = this.board.grid[y]?.[x];
+        if (cell && !cell.isRevealed) cell.isFlagged = true;
+    }
+
+    makeBotUnflag(x, y) {
+        const cell = this.board.grid[y]?.[x];
+        if (cell) cell.isFlagged = false;
+    }
+
+    // Score the opened cells like the server does; a shield absorbs one mine
+    applyReveal(revealed, countsAsMove = true) {
+        const result = Rules.scoreReveal(revealed, this.shieldUp);
+        if (result.shieldUsed) this.shieldUp = false;
+
+        this.points = Rules.applyScore(this.points, result.points);
+        this.mineHits += result.minesHit - (result.shieldUsed ? 1 : 0);
+        if (countsAsMove) this.moves++;
+
+        if (Rules.isBoardComplete(this.board.grid)) this.match.finish('completion');
+
+        return { hitMine: result.hitMine, points: result.points, cellsRevealed: revealed.length };
+    }
+
+    // Powers as the server applies them: cost, uses, cooldown; a shield turns a freeze away
+    useBotPower(power) {
+        const cost = RULESET.powerCosts[power];
+        const now = this.match.clock.now();
+
+        if (this.match.ended || cost === undefined) return false;
+        if (this.points < cost || this.botPowerUsesLeft[power] <= 0) return false;
+        if (now < (this.powerReadyAt[power] || 0)) return false;
+        if (power === 'freeze' && this.rival.shieldUp) return false;
+
+        this.points -= cost;
+        this.botPowerUsesLeft[power]--;
+        this.powerReadyAt[power] = now + RULESET.powerCooldowns[power];
+        this.powersUsed[power]++;
+
+        const grid = this.board.grid;
+        const pick = (cells, count) => {
+            const picked = [];
+            const pool = [...cells];
+            while (picked.length < count && pool.length > 0) {
+                picked.push(...pool.splice(Math.floor(this.random() * pool.length), 1));
+            }
+            return picked;
+        };
+
+        switch (power) {
+            case 'freeze':
+                this.rival.timesFrozen++;
+                this.rival.player.freeze(this.match.freezeDuration);
+                break;
+
+            case 'shield':
+                this.shieldUp = true;
+                break;
+
+            case 'radar': {
+                this.ensureMines();
+                const mines = grid.flat().filter(cell => cell.isMine && !cell.isRevealed && !cell.isFlagged);
+                this.player.receiveRadarResults(pick(mines, 3).map(({ x, y }) => ({ x, y })));
+                break;
+            }
+
+            case 'safeburst': {
+                this.ensureMines();
+                const safeCells = grid.flat().filter(cell => !cell.isMine && !cell.isRevealed && !cell.isFlagged);
+                const revealed = [];
+                for (const { x, y } of pick(safeCells, 3)) {
+                    revealed.push(...Rules.revealCell(grid, x, y));
+                }
+                this.applyReveal(revealed, false);
+                break;
+            }
+        }
+
+        return true;
+    }
+
+    summary() {
+        return {
+            label: this.label,
+            score: this.points,
+            mineHits: this.mineHits,
+            completion: Math.round(Rules.getCompletion(this.board.grid)),
+            moves: this.moves,
+            timesFrozen: this.timesFrozen,
+            powers: { ...this.powersUsed }
+        };
+    }
+}
+
+/**
+ * Play one match
+ * @param {object} options
+ * @param {Array} options.players - Two specs: { type: 'bot', difficulty } or { type: 'scripted', moveDelay }
+ * @param {string} options.board - Board difficulty (RULESET.difficulties)
+ * @param {string|number} options.seed - Same seed, same board; both sides play one layout from one safe opening
+ * @returns {object} { seed, reason, duration, winner (side index, null on a draw), sides }
+ */
+export function simulateMatch(options) {
+    const { players, board, matchDuration, freezeDuration, seed } = { ...SIMULATION_DEFAULTS, ...options };
+    const { gridSize, mineCount } = Rules.getDifficulty(board);
+
+    // One layout per match, clear around an interior safe opening both sides start from
+    const boardRandom = createRandom(`${seed}:board`);
+    const safeOpening = {
+        x: 1 + Math.floor(boardRandom() * (gridSize - 2)),
+        y: 1 + Math.floor(boardRandom() * (gridSize - 2))
+    };
+
+    const match = {
+        clock: new VirtualClock(),
+        gridSize,
+        mineCount,
+        mines: Rules.placeMines(gridSize, mineCount, safeOpening.x, safeOpening.y, boardRandom),
+        safeOpening,
+        seed,
+        duration: matchDuration,
+        freezeDuration,
+        ended: false,
+        reason: null,
+        finish(reason) {
+            if (this.ended) return;
+            this.ended = true;
+            this.reason = reason;
+            sides.forEach(side => side.player.stop());
+        }
+    };
+    match.startTime = match.clock.now();
+
+    const sides = players.map((spec, index) => new MatchSide(match, spec, index));
+    sides[0].rival = sides[1];
+    sides[1].rival = sides[0];
+
+    sides.forEach(side => side.player.start(side.board, gridSize));
+
+    const endsAt = match.startTime + match.duration;
+    while (!match.ended && match.clock.runNext(endsAt)) {
+        // Every timer runs the bots' next think or the scripted player's next move
+    }
+    match.finish('time');
+
+    const [a, b] = sides.map(side => side.points);
+    return {
+        seed,
+        reason: match.reason,
+        duration: match.clock.now() - match.startTime,
+        winner: a === b ? null : (a > b ? 0 : 1),
+        sides: sides.map(side => side.summary())
+    };
+}
+
+/**
+ * Mean and spread of a list of numbers
+ */
+function distribution(values) {
+    if (values.length === 0) return null;
+
+    const sorted = [...values].sort((x, y) => x - y);
+    const at = (share) => sorted[Math.min(sorted.length - 1, Math.floor(share * sorted.length))];
+    const round = (value) => Math.round(value * 10) / 10;
+
+    return {
+        mean: round(values.reduce((sum, value) => sum + value, 0) / values.length),
+        min: sorted[0],
+        p10: at(0.1),
+        median: at(0.5),
+        p90: at(0.9),
+        max: sorted[sorted.length - 1]
+    };
+}
+
+/**
+ * Totals for one player label (a difficulty or 'scripted') over its games
+ */
+function summarize(entries) {
+    const games = entries.length;
+    const wins = entries.filter(entry => entry.result === 'win').length;
+    const draws = entries.filter(entry => entry.result === 'draw').length;
+
+    const powers = {};
+    for (const power of Object.keys(RULESET.powerCosts)) {
+        const total = entries.reduce((sum, entry) => sum + entry.side.powers[power], 0);
+        powers[power] = { total, perGame: games ? Math.round((total / games) * 100) / 100 : 0 };
+    }
+
+    return {
+        games,
+        wins,
+        losses: games - wins - draws,
+        draws,
+        winRate: games ? Math.round((wins / games) * 1000) / 10 : 0,
+        score: distribution(entries.map(entry => entry.side.score)),
+        mineHits: distribution(entries.map(entry => entry.side.mineHits)),
+        completion: distribution(entries.map(entry => entry.side.completion)),
+        timesFrozen: distribution(entries.map(entry => entry.side.timesFrozen)),
+        powers
+    };
+}
+
+/**
+ * Play every matchup `games` times and aggregate the results
+ * @param {object} options
+ * @param {Array} options.matchups - Pairs of player specs (see simulateMatch)
+ * @param {number} options.games - Matches per matchup
+ * @param {function} options.onProgress - Called with (played, total) after every match
+ * @returns {object} Report: settings, per-matchup results and per-difficulty totals
+ */
+export function simulateMatches(options) {
+    const { matchups, games = 100, onProgress, ...settings } = options;
+    const { board, matchDuration, seed } = { ...SIMULATION_DEFAULTS, ...settings };
+
+    const total = matchups.length * games;
+    const byLabel = new Map();
+    const report = {
+        board,
+        games,
+        seed,
+        matchDuration,
+        matchups: [],
+        byDifficulty: {}
+    };
+    let played = 0;
+
+    matchups.forEach((players, matchupIndex) => {
+        const perSide = [[], []];
+        const reasons = {};
+
+        for (let game = 0; game < games; game++) {
+            const result = simulateMatch({ ...settings, players, seed: `${seed}:${matchupIndex}:${game}` });
+            reasons[result.reason] = (reasons[result.reason] || 0) + 1;
+
+            result.sides.forEach((side, index) => {
+                const entry = {
+                    side,
+                    result: result.winner === null ? 'draw' : (result.winner === index ? 'win' : 'loss')
+                };
+                perSide[index].push(entry);
+
+                if (!byLabel.has(side.label)) byLabel.set(side.label, []);
+                byLabel.get(side.label).push(entry);
+            });
+
+            onProgress?.(++played, total);
+        }
+
+        report.matchups.push({
+            players: perSide.map(entries => entries[0]?.side.label),
+            endedBy: reasons,
+            sides: perSide.map(entries => ({ label: entries[0]?.side.label, ...summarize(entries) }))
+        });
+    });
+
+    for (const [label, entries] of byLabel) {
+        report.byDifficulty[label] = summarize(entries);
+    }
+
+    return report;
+}
+
+/**
+ * Powers a difficulty may use (BotDifficultyConfig) but never used in a report's games
+ * @param {object} report - What simulateMatches returned
+ * @returns {Array} { difficulty, power } for each; empty when every allowed power was used
+ */
+export function findUnusedPowers(report) {
+    const unused = [];
+
+    for (const [label, totals] of Object.entries(report.byDifficulty)) {
+        if (label === 'scripted') continue;
+
+        const config = new BotDifficultyConfig(label);
+        if (config.getMaxPowers() === 0) continue;
+
+        for (const power of Object.keys(RULESET.powerCosts)) {
+            if (config.getPowerLimit(power) > 0 && totals.powers[power].total === 0) {
+                unused.push({ difficulty: label, power });
+            }
+        }
+    }
+
+    return unused;
+}
@@ -13,8 +13,14 @@
  */
 
 export class DeterministicLayer {
-    constructor(botCore) {
+    /**
+     * @param {object} botCore - Anything with gridSize, board.grid, game.mineCount,
+     *                           visibleState.radarMines and getNeighbors(x, y)
+     * @param {object} options - verbose: log every analysis (default true)
+     */
+    constructor(botCore, options = {}) {
         this.bot = botCore;
+        this.verbose = options.verbose !== false;
         
         // Analysis results
         this.safeCells = new Set();
@@ -94,6 +100,30 @@ export class DeterministicLayer {
         return result;
     }
     
+    /**
+     * Find revealed numbers worth chording: every mine around them is flagged
+     * and at least two hidden neighbours would open in one move
+     */
+    findChordCells() {
+        this.analyzeIfNeeded();
+        
+        const result = [];
+        for (const c of this.constraints) {
+            if (c.mineCount !== 0 || c.cells.size < 2) continue;
+            
+            // Don't chord through a flag that may be wrong
+            const neighbors = this.bot.getNeighbors(c.sourceX, c.sourceY);
+            if (neighbors.some(n => this.suspiciousFlags.has(`${n.x},${n.y}`))) continue;
+            
+            // Only flagged neighbours can account for the number
+            const flagged = neighbors.filter(n => this.bot.board?.grid?.[n.y]?.[n.x]?.isFlagged).length;
+            if (flagged === 0) continue;
+            
+            result.push({ x: c.sourceX, y: c.sourceY, opens: c.cells.size });
+        }
+        return result;
+    }
+    
     /**
      * Get suspicious flags
      */
@@ -149,7 +179,7 @@ export class DeterministicLayer {
      */
     analyze() {
         if (!this.bot.board?.grid) {
-            console.warn('[DeterministicLayer] No board grid!');
+            if (this.verbose) console.warn('[DeterministicLayer] No board grid!');
             return;
         }
         
@@ -172,7 +202,7 @@ export class DeterministicLayer {
         
         // Debug: kaç constraint oluştu?
         if (this.constraints.length === 0) {
-            console.warn('[DeterministicLayer] No constraints built! Checking board...');
+            if (this.verbose) console.warn('[DeterministicLayer] No constraints built! Checking board...');
             this.debugBoard();
             return; // Constraint yoksa analiz yapma
         }
@@ -191,7 +221,33 @@ export class DeterministicLayer {
             this.safeCells.delete(key);
         }
         
-        console.log(`[DeterministicLayer] Analysis: ${this.safeCells.size} safe, ${this.mineCells.size} mines | Constraints: ${this.constraints.length}`);
+        if (this.verbose) console.log(`[DeterministicLayer] Analysis: ${this.safeCells.size} safe, ${this.mineCells.size} mines | Constraints: ${this.constraints.length}`);
+    }
+    
+    /**
+     * Full analysis - simple rules plus subset, cross-reference and global mine
+     * count reasoning, repeated until nothing new is found.
+     * Every technique here is sound; the bot's own analyze() stays on simple rules only,
+     * while the board generator uses this to decide whether a board needs a guess.
+     */
+    analyzeFull() {
+        this.analyze();
+        if (this.constraints.length === 0) return;
+        
+        let known = -1;
+        while (known !== this.safeCells.size + this.mineCells.size) {
+            known = this.safeCells.size + this.mineCells.size;
+            
+            this.applySubsetAnalysis();
+            this.applyCrossReferenceAnalysis();
+            this.applyConstraintReduction();
+            this.applyGlobalMineAnalysis();
+            this.updateConstraintsWithKnowledge();
+        }
+        
+        for (const key of this.mineCells) {
+            this.safeCells.delete(key);
+        }
     }
     
     /**
@@ -220,7 +276,7 @@ export class DeterministicLayer {
             }
         }
         
-        console.log(`[DeterministicLayer] Board state: ${revealedCount} revealed (${numberedCount} numbered), ${hiddenCount} hidden, ${flaggedCount} flagged`);
+        if (this.verbose) console.log(`[DeterministicLayer] Board state: ${revealedCount} revealed (${numberedCount} numbered), ${hiddenCount} hidden, ${flaggedCount} flagged`);
     }
     
     /**
@@ -251,11 +307,11 @@ export class DeterministicLayer {
             }
         }
         
-        console.log(`[DeterministicLayer] buildConstraints: ${totalRevealed} revealed (${numberedCells} numbered), ${totalHidden} hidden, ${totalFlagged} flagged`);
+        if (this.verbose) console.log(`[DeterministicLayer] buildConstraints: ${totalRevealed} revealed (${numberedCells} numbered), ${totalHidden} hidden, ${totalFlagged} flagged`);
         
         // Eğer hiç hidden hücre yoksa constraint oluşturamayız
         if (totalHidden === 0) {
-            console.warn('[DeterministicLayer] No hidden cells! All cells are revealed or flagged.');
+            if (this.verbose) console.warn('[DeterministicLayer] No hidden cells! All cells are revealed or flagged.');
             return;
         }
         
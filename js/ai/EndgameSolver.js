@@ -0,0 +1,361 @@
+/**
+ * EndgameSolver.js - Expected-Score Search for the Last Hidden Cells
+ *
+ * Once only a few hidden cells are left, every mine layout that fits the
+ * visible board can be listed (all of them are equally likely). The solver
+ * searches the full tree of reveal sequences over those layouts and picks the
+ * move with the highest expected points, not just the lowest immediate risk:
+ *
+ * - Moves left: the match clock only allows so many more moves
+ * - Completion: the bot stops scoring once its board is complete
+ *   (RULESET.completionThreshold), so only the cells up to it count
+ * - Mine hits cost RULESET.scoring.minePenalty unless a shield absorbs one;
+ *   buying a shield (RULESET.powerCosts.shield, one move) is weighed too
+ * - Standing still is worth 0, so a move has to gain on average to be played
+ *
+ * analyzeEndgame is standalone (no bot, no DOM) for analysing any position;
+ * EndgameSolver feeds it the bot's board. Shield expiry and opponent freezes
+ * are not modelled.
+ *
+ * FAIRNESS: Only uses visible information, never hidden mine positions.
+ *
+ * @version 1.0
+ */
+
+import { RULESET, forEachNeighbor } from '../shared/GameRules.js';
+
+// Search limits - positions past them aren't treated as endgames
+const DEFAULT_LIMITS = {
+    maxCells: 16,       // Unknown hidden cells (flags and radar mines don't count)
+    maxWorlds: 2000,    // Mine layouts that fit the visible board
+    maxNodes: 50000,    // Search states
+    timeBudgetMs: 60
+};
+
+// Thrown to abandon a search that ran over its limits
+const OVER_BUDGET = Symbol('overBudget');
+
+function popcount(mask) {
+    let count = 0;
+    while (mask) {
+        mask &= mask - 1;
+        count++;
+    }
+    return count;
+}
+
+/**
+ * Search every reveal sequence of a small endgame
+ * @param {object} position
+ * @param {Array} position.grid - grid[y][x] with isRevealed, isFlagged, neighborCount (isMine only read on revealed cells)
+ * @param {Set<string>} position.knownMines - "x,y" keys of unflagged cells known to be mines (radar)
+ * @param {number} position.totalMines - Mines on the board
+ * @param {number} position.movesLeft - Moves the match clock still allows
+ * @param {number} position.safeCellsToFinish - Safe cells until the board counts as complete
+ * @param {object} position.shield - { active, canBuy } - canBuy: the difficulty's power limits still allow a shield
+ * @param {function} position.now - Clock for the time budget (default Date.now); on a virtual clock only maxNodes stops the search
+ * @param {object} limits - Overrides for DEFAULT_LIMITS
+ * @returns {object|null} { move, expectedPoints, worlds, moves } or null when it isn't an endgame
+ *          move: { type: 'reveal', x, y, risk }, { type: 'power', power: 'shield' } or null to stand still.
+ *          moves: every reveal with its risk and expected points, best first
+ */
+export function analyzeEndgame(position, limits = {}) {
+    const {
+        grid,
+        knownMines = new Set(),
+        totalMines,
+        movesLeft = Infinity,
+        safeCellsToFinish = Infinity,
+        shield = {},
+        now = Date.now,
+        ruleset = RULESET
+    } = position;
+    const budget = { ...DEFAULT_LIMITS, ...limits };
+    const deadline = now() + budget.timeBudgetMs;
+
+    const isKnownMine = (cell) =>
+        cell.isFlagged || knownMines.has(`${cell.x},${cell.y}`) || (cell.isRevealed && cell.isMine);
+
+    // Unknown cells, one bit each
+    const cells = [];
+    const index = new Map();
+    let minesLeft = totalMines;
+
+    for (const row of grid) {
+        for (const cell of row) {
+            if (isKnownMine(cell)) {
+                minesLeft--;
+            } else if (!cell.isRevealed) {
+                index.set(cell, cells.length);
+                cells.push(cell);
+            }
+        }
+    }
+
+    if (cells.length === 0 || cells.length > budget.maxCells) return null;
+    if (minesLeft < 0 || minesLeft > cells.length) return null;
+
+    // Unknown neighbours and known mines around every unknown cell
+    const adjacent = cells.map(() => 0);
+    const knownAround = cells.map(() => 0);
+    cells.forEach((cell, i) => {
+        forEachNeighbor(grid, cell.x, cell.y, (neighbor) => {
+            if (index.has(neighbor)) adjacent[i] |= 1 << index.get(neighbor);
+            else if (isKnownMine(neighbor)) knownAround[i]++;
+        });
+    });
+
+    // Revealed numbers touching unknown cells
+    const constraints = [];
+    for (const row of grid) {
+        for (const cell of row) {
+            if (!cell.isRevealed || isKnownMine(cell)) continue;
+
+            let mask = 0;
+            let mines = cell.neighborCount;
+            forEachNeighbor(grid, cell.x, cell.y, (neighbor) => {
+                if (index.has(neighbor)) mask |= 1 << index.get(neighbor);
+                else if (isKnownMine(neighbor)) mines--;
+            });
+            if (mask) constraints.push({ mask, mines });
+        }
+    }
+
+    const worlds = enumerateWorlds(cells.length, constraints, minesLeft, budget.maxWorlds);
+    if (!worlds || worlds.length === 0) return null;
+
+    // What revealing each cell shows in each world: a mine, or the cells it opens and their numbers
+    const outcomes = worlds.map(world => cells.map((_, i) => {
+        if (world & (1 << i)) return { mine: true, key: 'mine' };
+
+        const numberOf = (j) => knownAround[j] + popcount(world & adjacent[j]);
+        let opened = 1 << i;
+        const queue = [i];
+        while (queue.length > 0) {
+            const j = queue.pop();
+            if (numberOf(j) !== 0) continue;
+            for (let k = 0; k < cells.length; k++) {
+                const bit = 1 << k;
+                if ((adjacent[j] & bit) && !(opened & bit) && !(world & bit)) {
+                    opened |= bit;
+                    queue.push(k);
+                }
+            }
+        }
+
+        const numbers = [];
+        for (let k = 0; k < cells.length; k++) {
+            if (opened & (1 << k)) numbers.push(numberOf(k));
+        }
+        return { mine: false, opened, key: `${opened}:${numbers.join('')}` };
+    }));
+
+    const { safeCell, minePenalty } = ruleset.scoring;
+    const shieldCost = ruleset.powerCosts.shield;
+    const memo = new Map();
+    let nodes = 0;
+
+    const all = (1 << cells.length) - 1;
+
+    // Expected points of every move from a state, given the worlds still possible
+    // Sure mines are never worth revealing, and with moves to spare sure-safe
+    // reveals can go in any order, so only one of them is searched
+    const evaluate = (state, searchAll = false) => {
+        const { revealed, worldIds, moves, toFinish, shieldActive, canBuy } = state;
+        const results = [];
+
+        let safe = all & ~revealed;
+        let mines = all & ~revealed;
+        for (const w of worldIds) {
+            safe &= ~worlds[w];
+            mines &= worlds[w];
+        }
+
+        const onlyOne = !searchAll && safe && moves >= cells.length - popcount(revealed);
+        const candidates = onlyOne ? safe & -safe : all & ~revealed & ~mines;
+
+        for (let i = 0; i < cells.length; i++) {
+            if (!(candidates & (1 << i))) continue;
+
+            const groups = new Map();
+            for (const w of worldIds) {
+                const outcome = outcomes[w][i];
+                if (!groups.has(outcome.key)) groups.set(outcome.key, { outcome, worldIds: [] });
+                groups.get(outcome.key).worldIds.push(w);
+            }
+
+            let points = 0;
+            let mineWorlds = 0;
+            for (const { outcome, worldIds: group } of groups.values()) {
+                const share = group.length / worldIds.length;
+
+                if (outcome.mine) {
+                    mineWorlds = group.length;
+                    // A shield absorbs this hit and is used up
+                    const child = value({ ...state, revealed: revealed | (1 << i), worldIds: group, moves: moves - 1, shieldActive: false });
+                    points += share * ((shieldActive ? 0 : -minePenalty) + child);
+                } else {
+                    const opened = outcome.opened & ~revealed;
+                    const count = popcount(opened);
+                    const child = value({ ...state, revealed: revealed | opened, worldIds: group, moves: moves - 1, toFinish: toFinish - count });
+                    // Cells opened past completion score nothing
+                    points += share * (Math.min(count, toFinish) * safeCell + child);
+                }
+            }
+
+            results.push({
+                move: { type: 'reveal', x: cells[i].x, y: cells[i].y, risk: mineWorlds / worldIds.length },
+                points
+            });
+        }
+
+        if (canBuy && !shieldActive && !onlyOne) {
+            const child = value({ ...state, moves: moves - 1, shieldActive: true, canBuy: false });
+            results.push({ move: { type: 'power', power: 'shield' }, points: child - shieldCost });
+        }
+
+        return results.sort((a, b) => b.points - a.points);
+    };
+
+    // Best expected points from a state; standing still is worth 0
+    const value = (state) => {
+        if (state.moves <= 0 || state.toFinish <= 0 || state.revealed === all) return 0;
+
+        const key = `${state.revealed}|${Math.min(state.moves, cells.length - popcount(state.revealed))}|${state.shieldActive}|${state.canBuy}|${state.worldIds.join(',')}`;
+        if (memo.has(key)) return memo.get(key);
+
+        if (++nodes > budget.maxNodes || now() > deadline) throw OVER_BUDGET;
+
+        const best = evaluate(state)[0];
+        const points = best ? Math.max(0, best.points) : 0;
+        memo.set(key, points);
+        return points;
+    };
+
+    let results;
+    try {
+        results = evaluate({
+            revealed: 0,
+            worldIds: worlds.map((_, w) => w),
+            moves: movesLeft,
+            toFinish: safeCellsToFinish,
+            shieldActive: !!shield.active,
+            canBuy: !!shield.canBuy
+        }, true);
+    } catch (error) {
+        if (error === OVER_BUDGET) return null;
+        throw error;
+    }
+
+    const best = results[0];
+    const standStill = !best || best.points <= 0 || movesLeft <= 0 || safeCellsToFinish <= 0;
+
+    return {
+        move: standStill ? null : best.move,
+        expectedPoints: standStill ? 0 : best.points,
+        worlds: worlds.length,
+        moves: results
+            .filter(result => result.move.type === 'reveal')
+            .map(result => ({ ...result.move, expectedPoints: result.points }))
+    };
+}
+
+/**
+ * Every mine layout (bitmask over the unknown cells) that fits the constraints
+ * and puts exactly `mines` mines down; null when there are more than maxWorlds
+ */
+function enumerateWorlds(cellCount, constraints, mines, maxWorlds) {
+    const worlds = [];
+    const cellConstraints = [];
+    for (let i = 0; i < cellCount; i++) {
+        cellConstraints.push(constraints.filter(c => c.mask & (1 << i)));
+    }
+
+    // After deciding cell i, every constraint must still be reachable
+    const fits = (world, i) => cellConstraints[i].every(c => {
+        const decided = c.mask & ((1 << (i + 1)) - 1);
+        const placed = popcount(world & decided);
+        const open = popcount(c.mask & ~decided);
+        return placed <= c.mines && placed + open >= c.mines;
+    });
+
+    const search = (i, world, placed) => {
+        if (worlds.length > maxWorlds) return;
+        if (placed > mines || placed + (cellCount - i) < mines) return;
+
+        if (i === cellCount) {
+            worlds.push(world);
+            return;
+        }
+
+        if (fits(world, i)) search(i + 1, world, placed);
+
+        const withMine = world | (1 << i);
+        if (fits(withMine, i)) search(i + 1, withMine, placed + 1);
+    };
+
+    search(0, 0, 0);
+    return worlds.length > maxWorlds ? null : worlds;
+}
+
+export class EndgameSolver {
+    /**
+     * @param {object} botCore - BotCore (board, gridSize, config, game, visibleState)
+     * @param {object} limits - Overrides for DEFAULT_LIMITS
+     */
+    constructor(botCore, limits = {}) {
+        this.bot = botCore;
+        this.limits = limits;
+        this.lastAnalysis = null;
+    }
+
+    /**
+     * Reset solver state
+     */
+    reset() {
+        this.lastAnalysis = null;
+    }
+
+    /**
+     * Analyse the bot's board
+     * @returns {object|null} analyzeEndgame result, null while it isn't an endgame
+     */
+    analyze() {
+        const bot = this.bot;
+        const grid = bot.board?.grid;
+        const totalMines = bot.board?.mines?.length || bot.game?.mineCount;
+        if (!grid || !totalMines) return null;
+
+        // Safe cells still to reveal before the board counts as complete
+        let revealedSafe = 0;
+        for (const row of grid) {
+            for (const cell of row) {
+                if (cell.isRevealed && !cell.isMine) revealedSafe++;
+            }
+        }
+        const totalSafe = bot.gridSize * bot.gridSize - totalMines;
+        const safeCellsToFinish = Math.ceil(totalSafe * RULESET.completionThreshold / 100) - revealedSafe;
+
+        // Moves the clock still allows at this difficulty's pace
+        const { thinkTimeMin, thinkTimeMax } = bot.config.getParams();
+        const elapsed = bot.clock.now() - (bot.game?.matchStartTime || bot.clock.now());
+        const remaining = Math.max(0, (bot.game?.matchDuration || 120000) - elapsed);
+        const movesLeft = Math.max(1, Math.floor(remaining / ((thinkTimeMin + thinkTimeMax) / 2)));
+
+        this.lastAnalysis = analyzeEndgame({
+            grid,
+            knownMines: bot.visibleState.radarMines,
+            totalMines,
+            movesLeft,
+            safeCellsToFinish,
+            shield: {
+                active: !!bot.game?.opponentHasShield,
+                canBuy: bot.canUsePower('shield')
+            },
+            // The bot's clock, so a match on a virtual one searches the same way every run
+            now: () => bot.clock.now()
+        }, this.limits);
+
+        return this.lastAnalysis;
+    }
+}
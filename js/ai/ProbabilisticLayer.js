@@ -1,26 +1,47 @@
 /**
  * ProbabilisticLayer.js - Risk Estimation for Minesweeper
  * 
- * When no deterministic moves exist, this layer computes probability-based
- * risk scores for each cell. It uses:
+ * When no deterministic moves exist, this layer computes the probability
+ * that each hidden cell is a mine:
  * 
- * 1. Local constraint analysis (neighbor numbers)
- * 2. Global mine density estimation
- * 3. Pattern-based risk adjustment (from learning)
- * 4. Position heuristics (corners, edges, center)
+ * 1. Exact frontier enumeration: the frontier (hidden cells next to numbers)
+ *    is split into independent constraint components, every valid mine
+ *    assignment of each component is counted, and the components are combined
+ *    with the global remaining-mine count. Interior cells (no number next to
+ *    them) get their exact share of the mines left over.
+ * 2. Approximation fallback for components over the size/time budget
+ * 3. Pattern-based risk adjustment (from learning), approximated cells only
  * 
  * FAIRNESS: Only uses visible information, never hidden mine positions.
+ * Known mines are our flags, radar results and mines already revealed.
  * 
- * @version 1.0
+ * @version 2.0 - Exact probabilities
  */
 
+// Enumeration budget - components past it use the local approximation
+const DEFAULT_BUDGET = {
+    maxComponentCells: 40,  // Frontier cells in one component
+    maxSearchSteps: 200000, // Backtracking steps per component
+    timeBudgetMs: 40        // Whole calculation
+};
+
 export class ProbabilisticLayer {
-    constructor(botCore) {
+    /**
+     * @param {object} botCore - Anything with gridSize, board.grid, board.mines (length only),
+     *                           visibleState.radarMines and getNeighbors(x, y); its clock, if any,
+     *                           times the budget (a virtual one leaves only the step limit)
+     * @param {object} options - Overrides for DEFAULT_BUDGET
+     */
+    constructor(botCore, options = {}) {
         this.bot = botCore;
+        this.budget = { ...DEFAULT_BUDGET, ...options };
         
         // Probability map: cell key -> probability of being a mine
         this.probabilities = new Map();
         
+        // Cells whose probability came from exact enumeration
+        this.exactCells = new Set();
+        
         // Learned danger zones from past mistakes
         this.dangerZones = new Map();
         
@@ -33,9 +54,17 @@ export class ProbabilisticLayer {
      */
     reset() {
         this.probabilities.clear();
+        this.exactCells.clear();
         // Note: dangerZones and learnedPatterns persist across games for learning
     }
     
+    /**
+     * Time for the enumeration budget - the bot's clock when it has one
+     */
+    now() {
+        return this.bot.clock ? this.bot.clock.now() : Date.now();
+    }
+    
     /**
      * Find cells with lowest risk
      * @param {number} maxRisk Maximum acceptable risk (0-1)
@@ -54,7 +83,7 @@ export class ProbabilisticLayer {
                 if (!cell || cell.isRevealed || cell.isFlagged) continue;
                 
                 const key = `${x},${y}`;
-                const risk = this.probabilities.get(key) || 0.5;
+                const risk = this.probabilities.get(key) ?? 0.5;
                 
                 // Skip if confirmed mine
                 if (this.bot.visibleState.radarMines.has(key)) continue;
@@ -67,8 +96,8 @@ export class ProbabilisticLayer {
         
         // Sort by risk (lowest first), then by strategic value
         candidates.sort((a, b) => {
-            if (Math.abs(a.risk - b.risk) < 0.05) {
-                // Similar risk - prefer cells with higher strategic value
+            if (Math.abs(a.risk - b.risk) < 0.01) {
+                // Same risk - prefer cells with higher strategic value
                 return this.getStrategicValue(b) - this.getStrategicValue(a);
             }
             return a.risk - b.risk;
@@ -85,7 +114,7 @@ export class ProbabilisticLayer {
         if (!this.probabilities.has(key)) {
             this.calculateAllProbabilities();
         }
-        return this.probabilities.get(key) || 0.5;
+        return this.probabilities.get(key) ?? 0.5;
     }
     
     /**
@@ -93,194 +122,363 @@ export class ProbabilisticLayer {
      */
     calculateAllProbabilities() {
         this.probabilities.clear();
+        this.exactCells.clear();
         
         if (!this.bot.board?.grid) return;
         
-        const gridSize = this.bot.gridSize;
-        
-        // Step 1: Calculate constraint-based probabilities
+        // Step 1: Exact probabilities (approximated past the budget)
         this.calculateConstraintProbabilities();
         
-        // Step 2: Apply global mine density for unconstrained cells
-        this.applyGlobalDensity();
-        
-        // Step 3: Apply position heuristics
-        this.applyPositionHeuristics();
-        
-        // Step 4: Apply learned pattern adjustments
+        // Step 2: Apply learned pattern adjustments
         this.applyLearnedPatterns();
         
-        // Step 5: Apply danger zone penalties
+        // Step 3: Apply danger zone penalties
         this.applyDangerZones();
     }
     
     /**
-     * Calculate probabilities based on numbered cell constraints
+     * Visible board as constraints
+     * @returns {{knownMines: number, constraints: Array<{cells: string[], mines: number}>, hidden: string[]}}
+     *          hidden: cells that may or may not be mines
      */
-    calculateConstraintProbabilities() {
+    readConstraints() {
         const gridSize = this.bot.gridSize;
-        const cellConstraints = new Map(); // key -> [{prob, weight}]
+        const grid = this.bot.board.grid;
+        const radarMines = this.bot.visibleState.radarMines;
+        
+        const isKnownMine = (x, y) => {
+            const cell = grid[y][x];
+            return cell.isFlagged || radarMines.has(`${x},${y}`) || (cell.isRevealed && cell.isMine);
+        };
+        
+        let knownMines = 0;
+        const hidden = [];
+        const constraints = [];
         
-        // For each numbered cell, calculate contribution to neighbors
         for (let y = 0; y < gridSize; y++) {
             for (let x = 0; x < gridSize; x++) {
-                const cell = this.bot.board.grid[y][x];
+                const cell = grid[y][x];
                 
-                if (!cell.isRevealed || cell.neighborCount === 0) continue;
-                
-                const neighbors = this.bot.getNeighbors(x, y);
-                const hidden = [];
-                let flagged = 0;
+                if (isKnownMine(x, y)) {
+                    knownMines++;
+                    continue;
+                }
+                if (!cell.isRevealed) {
+                    hidden.push(`${x},${y}`);
+                    continue;
+                }
                 
-                for (const n of neighbors) {
-                    const nc = this.bot.board.grid[n.y][n.x];
-                    if (nc.isFlagged) flagged++;
-                    else if (!nc.isRevealed) hidden.push(n);
+                // Revealed number: its hidden neighbors hold what the known mines don't cover
+                const cells = [];
+                let mines = cell.neighborCount;
+                for (const n of this.bot.getNeighbors(x, y)) {
+                    if (isKnownMine(n.x, n.y)) mines--;
+                    else if (!grid[n.y][n.x].isRevealed) cells.push(`${n.x},${n.y}`);
                 }
                 
-                const remainingMines = cell.neighborCount - flagged;
+                if (cells.length > 0) constraints.push({ cells, mines });
+            }
+        }
+        
+        return { knownMines, constraints, hidden };
+    }
+    
+    /**
+     * Split the frontier into components that share no constraint
+     * Cells come out in search order, so each constraint closes early
+     */
+    splitComponents(constraints) {
+        const byCell = new Map();
+        for (const constraint of constraints) {
+            for (const key of constraint.cells) {
+                if (!byCell.has(key)) byCell.set(key, []);
+                byCell.get(key).push(constraint);
+            }
+        }
+        
+        const components = [];
+        const visited = new Set();
+        
+        for (const start of byCell.keys()) {
+            if (visited.has(start)) continue;
+            
+            const cells = [];
+            const members = new Set();
+            const queue = [start];
+            visited.add(start);
+            
+            while (queue.length > 0) {
+                const key = queue.shift();
+                cells.push(key);
                 
-                if (hidden.length > 0 && remainingMines >= 0) {
-                    const probability = remainingMines / hidden.length;
-                    
-                    // Add constraint to each hidden neighbor
-                    for (const h of hidden) {
-                        const key = `${h.x},${h.y}`;
-                        if (!cellConstraints.has(key)) {
-                            cellConstraints.set(key, []);
+                for (const constraint of byCell.get(key)) {
+                    members.add(constraint);
+                    for (const other of constraint.cells) {
+                        if (!visited.has(other)) {
+                            visited.add(other);
+                            queue.push(other);
                         }
-                        cellConstraints.get(key).push({
-                            prob: probability,
-                            weight: 1 / hidden.length // Higher weight for fewer options
-                        });
                     }
                 }
             }
+            
+            components.push({ cells, constraints: [...members] });
         }
         
-        // Combine constraints for each cell using weighted average
-        for (const [key, constraints] of cellConstraints) {
-            if (constraints.length === 0) continue;
-            
-            // Use maximum probability (conservative approach)
-            // This is safer than average for mine avoidance
-            let maxProb = 0;
-            let totalWeight = 0;
-            let weightedSum = 0;
-            
-            for (const c of constraints) {
-                maxProb = Math.max(maxProb, c.prob);
-                weightedSum += c.prob * c.weight;
-                totalWeight += c.weight;
+        return components;
+    }
+    
+    /**
+     * Count every valid mine assignment of a component, grouped by mine total
+     * @returns {{counts: number[], cellCounts: Float64Array[]}|null}
+     *          counts[m]: assignments with m mines, cellCounts[m][i]: those where cell i is a mine.
+     *          null when the component is over budget or has no valid assignment
+     */
+    enumerateComponent(component, deadline) {
+        const { cells, constraints } = component;
+        if (cells.length > this.budget.maxComponentCells) return null;
+        
+        const index = new Map(cells.map((key, i) => [key, i]));
+        const state = constraints.map(c => ({
+            size: c.cells.length,
+            mines: c.mines,
+            assigned: 0,
+            placed: 0
+        }));
+        const cellConstraints = cells.map(() => []);
+        constraints.forEach((c, ci) => {
+            for (const key of c.cells) cellConstraints[index.get(key)].push(state[ci]);
+        });
+        
+        const counts = [];
+        const cellCounts = [];
+        const assignment = new Uint8Array(cells.length);
+        let steps = 0;
+        let overBudget = false;
+        
+        // A value fits if every constraint on the cell can still be met exactly
+        const fits = (i, value) => cellConstraints[i].every(c => {
+            const placed = c.placed + value;
+            const open = c.size - c.assigned - 1;
+            return placed <= c.mines && placed + open >= c.mines;
+        });
+        
+        const search = (i, mines) => {
+            if (++steps > this.budget.maxSearchSteps || (steps % 1024 === 0 && this.now() > deadline)) {
+                overBudget = true;
+                return;
             }
             
-            // Blend max and weighted average for final probability
-            const avgProb = totalWeight > 0 ? weightedSum / totalWeight : 0.5;
-            const finalProb = maxProb * 0.7 + avgProb * 0.3;
+            if (i === cells.length) {
+                if (!counts[mines]) {
+                    counts[mines] = 0;
+                    cellCounts[mines] = new Float64Array(cells.length);
+                }
+                counts[mines]++;
+                for (let j = 0; j < cells.length; j++) {
+                    if (assignment[j]) cellCounts[mines][j]++;
+                }
+                return;
+            }
             
-            this.probabilities.set(key, Math.min(1, finalProb));
+            for (const value of [0, 1]) {
+                if (!fits(i, value)) continue;
+                
+                assignment[i] = value;
+                for (const c of cellConstraints[i]) {
+                    c.assigned++;
+                    c.placed += value;
+                }
+                
+                search(i + 1, mines + value);
+                
+                for (const c of cellConstraints[i]) {
+                    c.assigned--;
+                    c.placed -= value;
+                }
+                if (overBudget) return;
+            }
+        };
+        
+        search(0, 0);
+        
+        if (overBudget || counts.length === 0) return null;
+        
+        // Fill the gaps so the arrays can be convolved
+        for (let m = 0; m < counts.length; m++) {
+            if (!counts[m]) {
+                counts[m] = 0;
+                cellCounts[m] = new Float64Array(cells.length);
+            }
         }
+        
+        return { counts, cellCounts };
     }
     
     /**
-     * Apply global mine density to cells without local constraints
+     * Exact probabilities for the frontier and interior cells
+     * Falls back to the local approximation for components over the budget
      */
-    applyGlobalDensity() {
+    calculateConstraintProbabilities() {
         const gridSize = this.bot.gridSize;
-        const totalCells = gridSize * gridSize;
-        const totalMines = this.bot.board?.mines?.length || Math.floor(totalCells * 0.15);
+        const totalMines = this.bot.board?.mines?.length || this.bot.game?.mineCount ||
+            Math.floor(gridSize * gridSize * 0.15);
         
-        // Count revealed cells and flagged cells
-        let revealedCount = 0;
-        let flaggedCount = 0;
+        const { knownMines, constraints, hidden } = this.readConstraints();
+        const components = this.splitComponents(constraints);
+        const deadline = this.now() + this.budget.timeBudgetMs;
         
-        for (let y = 0; y < gridSize; y++) {
-            for (let x = 0; x < gridSize; x++) {
-                const cell = this.bot.board.grid[y][x];
-                if (cell.isRevealed) revealedCount++;
-                if (cell.isFlagged) flaggedCount++;
+        const solved = [];
+        const frontier = new Set();
+        let remainingMines = totalMines - knownMines;
+        
+        for (const component of components) {
+            component.cells.forEach(key => frontier.add(key));
+            
+            const solution = this.enumerateComponent(component, deadline);
+            if (solution) {
+                solved.push({ ...component, ...solution });
+                continue;
+            }
+            
+            // Over budget: approximate, and take its expected mines off the global count
+            const approximated = this.approximateProbabilities(component.constraints);
+            let expectedMines = 0;
+            for (const key of component.cells) {
+                const probability = approximated.get(key);
+                this.probabilities.set(key, probability);
+                expectedMines += probability;
             }
+            remainingMines -= Math.round(expectedMines);
         }
         
-        // Remaining mines and cells
-        const remainingMines = totalMines - flaggedCount;
-        const remainingCells = totalCells - revealedCount - flaggedCount;
+        const interior = hidden.filter(key => !frontier.has(key));
+        this.combineComponents(solved, interior, Math.max(0, remainingMines));
+    }
+    
+    /**
+     * Combine the enumerated components with the global mine count
+     * A frontier total of M mines leaves C(interior, remaining - M) ways to place the rest
+     */
+    combineComponents(solved, interior, remainingMines) {
+        const convolve = (a, b) => {
+            const result = new Array(a.length + b.length - 1).fill(0);
+            for (let i = 0; i < a.length; i++) {
+                if (a[i] === 0) continue;
+                for (let j = 0; j < b.length; j++) result[i + j] += a[i] * b[j];
+            }
+            return result;
+        };
+        
+        // Frontier mine totals of all components but one, for each component
+        const prefix = [[1]];
+        for (const component of solved) prefix.push(convolve(prefix[prefix.length - 1], component.counts));
+        const suffix = [[1]];
+        for (let j = solved.length - 1; j >= 0; j--) suffix.unshift(convolve(solved[j].counts, suffix[0]));
+        const all = prefix[solved.length];
+        
+        // Interior placements per frontier total, scaled by the largest so they stay finite
+        const logFactorial = [0];
+        for (let n = 1; n <= interior.length; n++) logFactorial[n] = logFactorial[n - 1] + Math.log(n);
+        const logWays = all.map((_, m) => {
+            const rest = remainingMines - m;
+            if (rest < 0 || rest > interior.length) return -Infinity;
+            return logFactorial[interior.length] - logFactorial[rest] - logFactorial[interior.length - rest];
+        });
+        const maxLog = Math.max(...logWays);
+        
+        // Mine count doesn't fit any frontier total (stale count): weigh totals equally
+        const ways = maxLog === -Infinity
+            ? all.map(() => 1)
+            : logWays.map(log => Math.exp(log - maxLog));
+        
+        let total = 0;
+        let interiorMines = 0;
+        all.forEach((count, m) => {
+            total += count * ways[m];
+            interiorMines += count * ways[m] * Math.max(0, remainingMines - m);
+        });
+        
+        if (total === 0) return;
         
-        // Global probability for unconstrained cells
-        const globalProb = remainingCells > 0 ? remainingMines / remainingCells : 0.5;
+        solved.forEach((component, j) => {
+            const others = convolve(prefix[j], suffix[j + 1]);
+            
+            // Weight of this component holding m mines
+            const weights = component.counts.map((_, m) => {
+                let weight = 0;
+                others.forEach((count, rest) => {
+                    if (m + rest < ways.length) weight += count * ways[m + rest];
+                });
+                return weight;
+            });
+            
+            component.cells.forEach((key, i) => {
+                let mineWeight = 0;
+                component.cellCounts.forEach((cellCount, m) => {
+                    mineWeight += cellCount[i] * weights[m];
+                });
+                this.probabilities.set(key, Math.min(1, mineWeight / total));
+                this.exactCells.add(key);
+            });
+        });
         
-        // Apply to cells without constraints
-        for (let y = 0; y < gridSize; y++) {
-            for (let x = 0; x < gridSize; x++) {
-                const key = `${x},${y}`;
-                const cell = this.bot.board.grid[y][x];
-                
-                if (cell.isRevealed || cell.isFlagged) continue;
-                
-                if (!this.probabilities.has(key)) {
-                    this.probabilities.set(key, globalProb);
-                }
+        if (interior.length > 0) {
+            const probability = Math.min(1, interiorMines / total / interior.length);
+            for (const key of interior) {
+                this.probabilities.set(key, probability);
+                this.exactCells.add(key);
             }
         }
     }
     
     /**
-     * Apply position-based heuristics
-     * Corners and edges tend to have different mine distributions
+     * Local approximation for components too big to enumerate
+     * Blends each cell's worst constraint ratio with their weighted average
      */
-    applyPositionHeuristics() {
-        const gridSize = this.bot.gridSize;
+    approximateProbabilities(constraints) {
+        const cellConstraints = new Map(); // key -> [{prob, weight}]
         
-        for (let y = 0; y < gridSize; y++) {
-            for (let x = 0; x < gridSize; x++) {
-                const key = `${x},${y}`;
-                const cell = this.bot.board?.grid?.[y]?.[x];
-                
-                if (!cell || cell.isRevealed || cell.isFlagged) continue;
-                
-                let currentProb = this.probabilities.get(key) || 0.5;
-                
-                // Corners have fewer neighbors, adjust slightly
-                const isCorner = (x === 0 || x === gridSize - 1) && (y === 0 || y === gridSize - 1);
-                const isEdge = !isCorner && (x === 0 || x === gridSize - 1 || y === 0 || y === gridSize - 1);
-                
-                // Check if adjacent to revealed area (frontier cells)
-                const neighbors = this.bot.getNeighbors(x, y);
-                const hasRevealedNeighbor = neighbors.some(n => 
-                    this.bot.board.grid[n.y][n.x].isRevealed
-                );
-                
-                // Frontier cells near low numbers might be safer
-                if (hasRevealedNeighbor) {
-                    // Get neighbor numbers
-                    let minNeighborNumber = 8;
-                    for (const n of neighbors) {
-                        const nc = this.bot.board.grid[n.y][n.x];
-                        if (nc.isRevealed && nc.neighborCount > 0) {
-                            minNeighborNumber = Math.min(minNeighborNumber, nc.neighborCount);
-                        }
-                    }
-                    
-                    // Cells near 1s might be slightly safer than cells near 3s
-                    if (minNeighborNumber <= 2) {
-                        currentProb *= 0.95; // Slight reduction
-                    }
-                }
-                
-                // Cells not adjacent to any revealed cell are unknown
-                // They might be good for opening new areas
-                if (!hasRevealedNeighbor && currentProb > 0.3) {
-                    // Slight bonus for potentially opening new areas
-                    currentProb *= 0.98;
+        for (const { cells, mines } of constraints) {
+            const probability = Math.max(0, mines) / cells.length;
+            
+            for (const key of cells) {
+                if (!cellConstraints.has(key)) {
+                    cellConstraints.set(key, []);
                 }
-                
-                this.probabilities.set(key, Math.max(0, Math.min(1, currentProb)));
+                cellConstraints.get(key).push({
+                    prob: probability,
+                    weight: 1 / cells.length // Higher weight for fewer options
+                });
             }
         }
+        
+        const probabilities = new Map();
+        
+        for (const [key, cellConstraintList] of cellConstraints) {
+            // Use maximum probability (conservative approach)
+            // This is safer than average for mine avoidance
+            let maxProb = 0;
+            let totalWeight = 0;
+            let weightedSum = 0;
+            
+            for (const c of cellConstraintList) {
+                maxProb = Math.max(maxProb, c.prob);
+                weightedSum += c.prob * c.weight;
+                totalWeight += c.weight;
+            }
+            
+            // Blend max and weighted average for final probability
+            const avgProb = totalWeight > 0 ? weightedSum / totalWeight : 0.5;
+            probabilities.set(key, Math.min(1, maxProb * 0.7 + avgProb * 0.3));
+        }
+        
+        return probabilities;
     }
     
     /**
      * Apply learned patterns from past mistakes
+     * Exact probabilities are left alone - the patterns only refine approximations
      */
     applyLearnedPatterns() {
         if (this.learnedPatterns.length === 0) return;
@@ -292,7 +490,7 @@ export class ProbabilisticLayer {
                 const key = `${x},${y}`;
                 const cell = this.bot.board?.grid?.[y]?.[x];
                 
-                if (!cell || cell.isRevealed || cell.isFlagged) continue;
+                if (!cell || cell.isRevealed || cell.isFlagged || this.exactCells.has(key)) continue;
                 
                 // Check if current cell matches any dangerous pattern
                 const neighborState = this.getNeighborState(x, y);
@@ -300,7 +498,7 @@ export class ProbabilisticLayer {
                 for (const pattern of this.learnedPatterns) {
                     if (this.matchesPattern(neighborState, pattern)) {
                         // Increase probability based on pattern severity
-                        const currentProb = this.probabilities.get(key) || 0.5;
+                        const currentProb = this.probabilities.get(key) ?? 0.5;
                         const increase = pattern.severity * 0.2;
                         this.probabilities.set(key, Math.min(0.95, currentProb + increase));
                     }
@@ -314,7 +512,7 @@ export class ProbabilisticLayer {
      */
     applyDangerZones() {
         for (const [key, dangerLevel] of this.dangerZones) {
-            if (this.probabilities.has(key)) {
+            if (this.probabilities.has(key) && !this.exactCells.has(key)) {
                 const currentProb = this.probabilities.get(key);
                 const newProb = Math.max(currentProb, dangerLevel);
                 this.probabilities.set(key, newProb);
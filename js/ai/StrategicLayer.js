@@ -3,13 +3,18 @@
  * 
  * This layer handles high-level strategic decisions:
  * - When to play fast vs safe
- * - When and how to use powers
+ * - When and how to use powers (the only source of bot power decisions)
  * - Adapting strategy based on opponent behavior
  * - Managing game phases (early, mid, late, critical)
  * 
- * @version 1.0
+ * @version 1.1
  */
 
+import { RULESET } from '../shared/GameRules.js';
+
+// A power is used only when its score reaches this
+const POWER_THRESHOLD = 50;
+
 export class StrategicLayer {
     constructor(botCore) {
         this.bot = botCore;
@@ -25,13 +30,13 @@ export class StrategicLayer {
             safeburst: 0
         };
         
-        // Power costs
-        this.powerCosts = {
-            freeze: 60,
-            shield: 50,
-            radar: 30,
-            safeburst: 40
-        };
+        // Why each power scored what it did
+        this.powerReasons = { freeze: [], shield: [], radar: [], safeburst: [] };
+        
+        // Powers used this match and when (per-power cooldowns)
+        this.powerLog = [];
+        this.lastPowerUse = {};
+        this.lastPlan = null;
         
         // Opponent analysis
         this.opponentAnalysis = {
@@ -58,6 +63,10 @@ export class StrategicLayer {
     reset() {
         this.mood = 'balanced';
         this.powerScores = { freeze: 0, shield: 0, radar: 0, safeburst: 0 };
+        this.powerReasons = { freeze: [], shield: [], radar: [], safeburst: [] };
+        this.powerLog = [];
+        this.lastPowerUse = {};
+        this.lastPlan = null;
         this.opponentAnalysis = {
             scoreHistory: [],
             moveSpeed: 0,
@@ -70,119 +79,142 @@ export class StrategicLayer {
     }
     
     /**
-     * Evaluate whether to use a power and which one
+     * Evaluate whether to use a power and which one.
+     * The only place bot powers are decided (the endgame solver's shield goes
+     * through getPowerBlocker too).
      * @returns {Object|null} Power action or null
      */
     evaluatePowerUsage() {
-        const gs = this.bot.gameState;
-        const config = this.bot.config;
+        // Limits first - no need to read the board if nothing can be used
+        const blocked = {};
+        for (const power of Object.keys(this.powerScores)) {
+            const blocker = this.getPowerBlocker(power);
+            if (blocker) blocked[power] = blocker;
+        }
+        if (Object.keys(blocked).length === Object.keys(this.powerScores).length) {
+            this.lastPlan = { chosen: null, blocked };
+            return null;
+        }
         
         // Update mood based on game state
         this.updateMood();
         
         // Calculate power scores
-        this.calculatePowerScores();
-        
-        // Check cooldown - oyun başında hemen güç kullanabilsin
-        const timeSinceLastPower = Date.now() - this.bot.powerUsage.lastUseTime;
-        const cooldown = config.getPowerCooldown();
-        
-        // lastUseTime 0 ise oyun başı - 3 saniye bekle
-        const effectiveCooldown = this.bot.powerUsage.lastUseTime === 0 ? 3000 : cooldown;
-        
-        if (timeSinceLastPower < effectiveCooldown) {
-            console.log(`[StrategicLayer] Power cooldown: ${((effectiveCooldown - timeSinceLastPower) / 1000).toFixed(1)}s remaining`);
-            return null;
-        }
+        const frontier = this.assessFrontier();
+        this.calculatePowerScores(frontier);
         
         // Find best power
         let bestPower = null;
-        let bestScore = 15; // Çok düşük threshold - çok sık güç kullan
-        
         for (const [power, score] of Object.entries(this.powerScores)) {
-            // Check usage limits
-            const limit = config.getPowerLimit(power);
-            const used = this.bot.powerUsage[power];
-            if (used >= limit) {
-                console.log(`[StrategicLayer] ${power} limit reached: ${used}/${limit}`);
-                continue;
-            }
-            
-            // Check if we have enough points
-            const cost = this.powerCosts[power];
-            if (gs.myScore < cost) {
-                console.log(`[StrategicLayer] ${power} too expensive: need ${cost}, have ${gs.myScore}`);
-                continue;
-            }
-            
-            if (score > bestScore) {
-                bestScore = score;
+            if (blocked[power] || score < POWER_THRESHOLD) continue;
+            if (!bestPower || score > this.powerScores[bestPower]) {
                 bestPower = power;
             }
         }
         
-        // Log power scores for debugging
-        console.log(`[StrategicLayer] Power scores: freeze=${this.powerScores.freeze.toFixed(0)}, shield=${this.powerScores.shield.toFixed(0)}, radar=${this.powerScores.radar.toFixed(0)}, safeburst=${this.powerScores.safeburst.toFixed(0)}, myScore=${gs.myScore}`);
+        this.lastPlan = {
+            chosen: bestPower,
+            scores: { ...this.powerScores },
+            reasons: { ...this.powerReasons },
+            blocked,
+            frontier
+        };
         
-        if (!bestPower) {
-            console.log(`[StrategicLayer] No power selected - threshold: ${bestScore}`);
-            return null;
-        }
+        if (!bestPower) return null;
         
-        // Güç priority hesaplama
-        // Reveal priority = 88, Flag priority = 92
-        // Power score 50+ olursa reveal'dan önce gelebilmeli
-        let powerPriority = 75 + bestScore / 2;  // Base: 75 + (15-50) = 82-125
+        const bestScore = this.powerScores[bestPower];
+        const reason = this.powerReasons[bestPower].join(', ');
+        this.bot.log(`[StrategicLayer] Best power: ${bestPower} (score: ${bestScore.toFixed(0)}) - ${reason}`);
         
-        // GÜVENLİ HAMLE YOKSA GÜÇ ÖNCELİĞİ ARTAR
-        const hasSafeMoves = this.bot.deterministicLayer.findSafeCells().length > 0;
-        if (!hasSafeMoves) {
-            powerPriority += 20; // Güç kullanmak çok mantıklı
-        }
+        // Reveal priority = 88, Flag priority = 110
+        // The chosen power goes before a reveal, after a flag
+        return {
+            type: 'power',
+            power: bestPower,
+            priority: Math.min(105, 75 + bestScore / 2),
+            reason: `Strategic: ${bestPower} - ${reason}`,
+            layer: 'strategic'
+        };
+    }
+    
+    /**
+     * Why a power can't be used right now, or null if it can.
+     * Mirrors what the game enforces: uses left per power, per-power cooldowns,
+     * cost, and a freeze never lands on a shielded opponent. On top of that the
+     * difficulty's own limits: uses per power, powers per match, gap between powers.
+     */
+    getPowerBlocker(power) {
+        const game = this.bot.game;
+        const config = this.bot.config;
+        const maxUses = RULESET.powerMaxUses;
+        const usesLeft = game?.botPowerUsesLeft || {};
         
-        // Kritik fazda güç kullanımı daha önemli
-        if (gs.phase === 'critical') {
-            powerPriority += 15;
-        } else if (gs.phase === 'late') {
-            powerPriority += 10;
-        } else if (gs.phase === 'mid') {
-            powerPriority += 5;
-        }
+        // Uses come from the game's own counter, not the bot's estimate
+        const used = maxUses - (usesLeft[power] ?? maxUses);
+        const limit = Math.min(config.getPowerLimit(power), maxUses);
+        if (used >= limit) return `${power} limit reached (${used}/${limit})`;
         
-        // Gerideyken güç kullanmak mantıklı
-        if (gs.scoreDiff < -15) {
-            powerPriority += 10;
-        }
-        if (gs.scoreDiff < -35) {
-            powerPriority += 10;
-        }
+        const usedInMatch = Object.keys(RULESET.powerCosts)
+            .reduce((total, name) => total + maxUses - (usesLeft[name] ?? maxUses), 0);
+        if (usedInMatch >= config.getMaxPowers()) return `match limit reached (${usedInMatch}/${config.getMaxPowers()})`;
         
-        // Öndeyken shield/freeze daha değerli
-        if (gs.scoreDiff > 30 && (bestPower === 'shield' || bestPower === 'freeze')) {
-            powerPriority += 10;
-        }
+        const cost = RULESET.powerCosts[power];
+        const myScore = game?.opponentScore || 0;
+        if (myScore < cost) return `needs ${cost} points, has ${myScore}`;
         
-        // Power'ın kendi score'u yüksekse priority artar
-        if (bestScore > 50) {
-            powerPriority += 10;
-        }
-        if (bestScore > 70) {
-            powerPriority += 10;
+        const now = this.bot.clock.now();
+        const readyAt = (this.lastPowerUse[power] || 0) + RULESET.powerCooldowns[power];
+        if (now < readyAt) return `${power} cooldown: ${((readyAt - now) / 1000).toFixed(1)}s`;
+        
+        const lastAnyPower = Math.max(0, ...Object.values(this.lastPowerUse));
+        const gapLeft = lastAnyPower + config.getPowerCooldown() - now;
+        if (gapLeft > 0) return `next power in ${(gapLeft / 1000).toFixed(1)}s`;
+        
+        if (power === 'freeze' && game?.hasShield) return 'opponent is shielded';
+        if (power === 'shield' && game?.opponentHasShield) return 'shield already active';
+        
+        return null;
+    }
+    
+    /**
+     * Record a power the game accepted - starts its cooldown
+     */
+    recordPowerUse(power, reason) {
+        const now = this.bot.clock.now();
+        const startTime = this.bot.game?.matchStartTime || now;
+        
+        this.lastPowerUse[power] = now;
+        this.powerLog.push({
+            power,
+            reason,
+            atSecond: Math.round((now - startTime) / 1000),
+            scoreDiff: this.bot.gameState.scoreDiff
+        });
+    }
+    
+    /**
+     * What the bot's own board offers right now (visible cells only)
+     */
+    assessFrontier() {
+        let hidden = 0;
+        for (const row of this.bot.board?.grid || []) {
+            for (const cell of row) {
+                if (!cell.isRevealed && !cell.isFlagged) hidden++;
+            }
         }
         
-        // Power priority: 82-130 arası (reveal=88, flag=92)
-        // Score 50+ ise genelde reveal'ı geçer
-        powerPriority = Math.min(105, powerPriority);  // Max 105 - flag'dan yüksek olabilir
+        const safeMoves = this.bot.deterministicLayer.findSafeCells().length;
+        const mineMoves = this.bot.deterministicLayer.findMineCells().length;
         
-        console.log(`[StrategicLayer] Best power: ${bestPower} (score: ${bestScore.toFixed(0)}, priority: ${powerPriority.toFixed(0)})`);
+        // Risk of the best guess - only needed when the next reveal would be one
+        // (the first reveal of a board is always safe)
+        let guessRisk = 0;
+        if (safeMoves === 0 && hidden > 0 && hidden < this.bot.gridSize * this.bot.gridSize) {
+            const [safest] = this.bot.probabilisticLayer.findLowRiskCells(1, 1);
+            guessRisk = safest ? safest.risk : 1;
+        }
         
-        return {
-            type: 'power',
-            power: bestPower,
-            priority: powerPriority,
-            reason: `Strategic: ${bestPower} (score: ${bestScore.toFixed(0)})`,
-            layer: 'strategic'
-        };
+        return { hidden, safeMoves, mineMoves, guessRisk };
     }
     
     /**
@@ -223,72 +255,79 @@ export class StrategicLayer {
     }
     
     /**
-     * Calculate scores for each power
+     * Calculate scores for each power, with the reasons behind them
      */
-    calculatePowerScores() {
+    calculatePowerScores(frontier) {
         const gs = this.bot.gameState;
         const oa = this.opponentAnalysis;
-        const scores = this.powerScores;
+        const scores = { freeze: 0, shield: 0, radar: 0, safeburst: 0 };
+        const reasons = { freeze: [], shield: [], radar: [], safeburst: [] };
+        const add = (power, points, reason) => {
+            scores[power] += points;
+            if (reason) reasons[power].push(reason);
+        };
         
-        // Get learned power effectiveness
-        const powerEff = this.bot.learningSystem.getPowerEffectiveness();
+        // The next reveal would be a real guess: no sure-safe cell, and no zero-risk one either
+        const guessing = frontier.safeMoves === 0 && frontier.hidden > 0 && frontier.guessRisk > 0;
+        
+        // FREEZE: Stop the opponent while they are making the most of their board
+        if (oa.isOnStreak) add('freeze', 35, 'opponent is opening a big area');
+        if (oa.moveSpeed > 4) add('freeze', 20, `opponent scoring ${oa.moveSpeed.toFixed(1)} pts/s`);
+        if (oa.estimatedProgress >= RULESET.completionThreshold - 15) {
+            add('freeze', 30, `opponent about ${oa.estimatedProgress.toFixed(0)}% done`);
+        }
+        if (gs.scoreDiff < 0 && gs.scoreDiff > -60) add('freeze', 15, `${-gs.scoreDiff} points behind`);
+        if (gs.phase === 'critical') add('freeze', 10, 'final seconds');
+        
+        // RADAR: The mines it shows matter most while much of the board is hidden
+        // and the sure moves are running out
+        if (guessing || frontier.safeMoves === 1) {
+            add('radar', guessing ? 35 : 25, guessing ? 'next reveal is a guess' : 'one sure move left');
+            add('radar', Math.min(25, Math.round(frontier.hidden / 3)), `${frontier.hidden} hidden cells`);
+            if (gs.phase === 'late' || gs.phase === 'critical') add('radar', -15, 'little time to use what it shows');
+        }
+        
+        // A guess is coming: shield and safeburst answer it too, so they are
+        // scored on the same frontier as radar and the board decides between them
+        if (guessing) {
+            // SHIELD: Makes the guess free - worth more the riskier it is
+            add('shield', 30 + Math.round(Math.min(frontier.guessRisk, 0.5) * 100), `next reveal is a ${(frontier.guessRisk * 100).toFixed(0)}% guess`);
+            if (this.mood === 'aggressive' || this.mood === 'desperate') add('shield', 10, `${this.mood} play`);
+            
+            // SAFEBURST: Opens cells without guessing at all, best when few are left to guess from
+            add('safeburst', 45, 'cells without a guess');
+            if (frontier.hidden <= 40) add('safeburst', 10, `only ${frontier.hidden} hidden cells`);
+        }
         
-        // Base score - oyun ilerledikçe güç kullanımı daha önemli
-        const baseScore = gs.phase === 'early' ? 20 : (gs.phase === 'mid' ? 30 : 40);
-        
-        // FREEZE: Stop opponent when they're doing well
-        scores.freeze = baseScore;
-        if (oa.moveSpeed > 2) scores.freeze += 25;   // Rakip aktif
-        if (oa.moveSpeed > 4) scores.freeze += 25;   // Rakip hızlı
-        if (oa.moveSpeed > 6) scores.freeze += 20;  // Rakip çok hızlı
-        if (gs.scoreDiff < -10) scores.freeze += 25; // Gerideyiz
-        if (gs.scoreDiff < -30) scores.freeze += 25; // Çok gerideyiz
-        if (oa.isOnStreak) scores.freeze += 30;      // Rakip seri yapıyor
-        if (gs.phase === 'critical') scores.freeze += 20;
-        if (gs.opponentScore > gs.myScore + 15) scores.freeze += 20; // Rakip önde
-        scores.freeze += (powerEff.freeze - 0.5) * 30;
-        
-        // RADAR: Find mines - her zaman faydalı
-        scores.radar = baseScore + 25;  // Radar her zaman değerli
-        const hasSafeMoves = this.bot.deterministicLayer.findSafeCells().length > 0;
-        const hasMineMoves = this.bot.deterministicLayer.findMineCells().length > 0;
-        if (!hasSafeMoves && !hasMineMoves) scores.radar += 50; // Stuck - çok değerli
-        if (!hasSafeMoves) scores.radar += 35; // Güvenli hamle yok
-        if (gs.phase === 'early') scores.radar += 25; // Erken oyunda harita keşfi
-        if (gs.phase === 'mid') scores.radar += 20;
-        // Çok fazla kapalı hücre varsa radar faydalı
-        const closedCells = this.bot.visibleState.closedCells?.size || 0;
-        if (closedCells > 30) scores.radar += 20;
-        if (closedCells > 50) scores.radar += 15;
-        scores.radar += (powerEff.radar - 0.5) * 30;
-        
-        // SAFEBURST: Quick points - puan almak için
-        scores.safeburst = baseScore + 10;
-        if (gs.scoreDiff < -15) scores.safeburst += 35; // Gerideyiz
-        if (gs.scoreDiff < -40) scores.safeburst += 30; // Çok gerideyiz
-        if (gs.urgency > 30) scores.safeburst += 25;
-        if (gs.phase === 'late') scores.safeburst += 30;
-        if (gs.phase === 'critical') scores.safeburst += 35;
-        // Hamleler tükeniyor ve gerideyiz
-        if (!hasSafeMoves && gs.scoreDiff < 0) scores.safeburst += 25;
-        scores.safeburst += (powerEff.safeburst - 0.5) * 30;
-        
-        // SHIELD: Protection - öndeyken veya risk alırken
-        scores.shield = baseScore;
-        if (gs.scoreDiff > 10) scores.shield += 30;  // Öndeyiz
-        if (gs.scoreDiff > 30) scores.shield += 25;  // Çok öndeyiz
-        if (gs.phase === 'late') scores.shield += 30;
-        if (gs.phase === 'critical') scores.shield += 35;
-        if (this.mood === 'aggressive') scores.shield += 30; // Risk alıyoruz
-        if (this.mood === 'desperate') scores.shield += 25;  // Desperate
-        // Probabilistic hamle yapacaksak shield iyi
-        if (!hasSafeMoves && closedCells > 10) scores.shield += 25;
-        scores.shield += (powerEff.shield - 0.5) * 30;
+        // SHIELD: A shield also turns a freeze away - the answer to freeze when ahead
+        if (gs.scoreDiff > 0 && gs.opponentScore >= RULESET.powerCosts.freeze) {
+            add('shield', 25, 'opponent can afford a freeze');
+            if (gs.scoreDiff > 30) add('shield', 20, 'protecting a lead');
+        }
+        
+        // SAFEBURST: Points and progress when the race, the clock or the score gap is short
+        if (oa.estimatedProgress >= RULESET.completionThreshold - 25) {
+            add('safeburst', 30, `opponent about ${oa.estimatedProgress.toFixed(0)}% done`);
+        }
+        if (gs.scoreDiff < -15) add('safeburst', 20, `${-gs.scoreDiff} points behind`);
+        if (gs.phase === 'late' || gs.phase === 'critical') add('safeburst', 10, 'little time left');
+        
+        // Learned power effectiveness
+        const powerEff = this.bot.learningSystem.getPowerEffectiveness();
+        for (const power of Object.keys(scores)) {
+            const bonus = ((powerEff[power] ?? 0.5) - 0.5) * 20;
+            if (Math.abs(bonus) >= 5) {
+                add(power, bonus, `learned: ${bonus > 0 ? 'works well' : 'rarely pays off'}`);
+            }
+        }
         
         // Cap all scores at 100
         for (const power of Object.keys(scores)) {
             scores[power] = Math.max(0, Math.min(100, scores[power]));
         }
+        
+        this.powerScores = scores;
+        this.powerReasons = reasons;
     }
     
     /**
@@ -296,7 +335,7 @@ export class StrategicLayer {
      */
     updateOpponentScore(score) {
         const oa = this.opponentAnalysis;
-        const now = Date.now();
+        const now = this.bot.clock.now();
         
         // Track score history
         oa.scoreHistory.push({ score, time: now });
@@ -310,7 +349,7 @@ export class StrategicLayer {
             const last = oa.scoreHistory[oa.scoreHistory.length - 1];
             const timeDiff = (last.time - first.time) / 1000;
             if (timeDiff > 0) {
-                oa.moveSpeed = last.score / timeDiff;
+                oa.moveSpeed = Math.max(0, last.score - first.score) / timeDiff;
             }
         }
         
@@ -322,7 +361,7 @@ export class StrategicLayer {
         // Estimate progress
         const mineCount = this.bot.game?.mineCount || 15;
         const totalSafe = (this.bot.gridSize * this.bot.gridSize) - mineCount;
-        const avgPointsPerCell = 5;
+        const avgPointsPerCell = RULESET.scoring.safeCell;
         const estimatedCells = score / avgPointsPerCell;
         oa.estimatedProgress = Math.min(100, (estimatedCells / totalSafe) * 100);
     }
@@ -449,6 +488,8 @@ export class StrategicLayer {
         return {
             mood: this.mood,
             powerScores: { ...this.powerScores },
+            powerPlan: this.lastPlan,
+            powersUsed: this.powerLog.map(entry => ({ ...entry })),
             opponent: { ...this.opponentAnalysis },
             riskTolerance: this.getRiskTolerance(),
             speedModifier: this.getSpeedModifier(),
@@ -1,8 +1,12 @@
 /**
  * MineDuel - Complete Online Multiplayer Game
  * Single file client with WebSocket integration
+ * Load as a module: <script type="module" src="js/game.js">
  */
 
+import * as Rules from './shared/GameRules.js';
+import { formatRating } from './shared/Glicko2.js';
+
 // ==================== CONFIGURATION ====================
 const CONFIG = {
     GRID_SIZE: 10,
@@ -10,6 +14,9 @@ const CONFIG = {
     MINE_COUNT: 15,
     MATCH_DURATION: 120000,
     WS_URL: `ws://${window.location.hostname}:3000`,
+    API_URL: `http://${window.location.hostname}:3000`,
+    RECONNECT_BASE_DELAY: 1000,
+    RECONNECT_MAX_DELAY: 15000,
     COLORS: {
         1: '#3498db',
         2: '#27ae60',
@@ -20,12 +27,7 @@ const CONFIG = {
         7: '#34495e',
         8: '#95a5a6'
     },
-    POWER_COSTS: {
-        radar: 30,
-        safeburst: 40,
-        shield: 50,
-        freeze: 60
-    }
+    POWER_COSTS: Rules.RULESET.powerCosts
 };
 
 // ==================== AUDIO MANAGER ====================
@@ -106,29 +108,32 @@ class BoardRenderer {
         this.grid = this.createEmptyGrid();
         this.highlightedMines = [];
         this.highlightTimer = null;
+        this.safeOpening = null;
         this.setupCanvas();
     }
 
     setGridSize(gridSize) {
         this.gridSize = gridSize;
         this.grid = this.createEmptyGrid();
+        this.safeOpening = null;
         this.setupCanvas();
     }
 
+    // Mark the shared safe opening of a mirror board until it is revealed
+    setSafeOpening(cell) {
+        this.safeOpening = cell || null;
+        this.render();
+    }
+
+    // Mirror boards: the first reveal has to be the shared safe opening
+    mustOpenSafeCellFirst(x, y) {
+        if (!this.safeOpening) return false;
+        const { x: safeX, y: safeY } = this.safeOpening;
+        return !this.grid[safeY][safeX].isRevealed && (x !== safeX || y !== safeY);
+    }
+
     createEmptyGrid() {
-        const grid = [];
-        for (let y = 0; y < this.gridSize; y++) {
-            grid[y] = [];
-            for (let x = 0; x < this.gridSize; x++) {
-                grid[y][x] = {
-                    isRevealed: false,
-                    isFlagged: false,
-                    isMine: false,
-                    neighborCount: 0
-                };
-            }
-        }
-        return grid;
+        return Rules.createGrid(this.gridSize);
     }
 
     setupCanvas() {
@@ -174,6 +179,11 @@ class BoardRenderer {
         this.render();
     }
 
+    // A revealed number can be chorded once its flag count matches and something is left to open
+    canChord(x, y) {
+        return Rules.canChord(this.grid, x, y);
+    }
+
     highlightMines(mines, duration = 3000) {
         this.highlightedMines = mines;
         this.render();
@@ -209,6 +219,7 @@ class BoardRenderer {
 
                 // Check if highlighted
                 const isHighlighted = this.highlightedMines.some(m => m.x === x && m.y === y);
+                const isSafeOpening = this.safeOpening && this.safeOpening.x === x && this.safeOpening.y === y;
 
                 // Cell background with gradient effect
                 if (cell.isRevealed) {
@@ -219,6 +230,8 @@ class BoardRenderer {
                     }
                 } else if (isHighlighted) {
                     ctx.fillStyle = '#f39c12';
+                } else if (isSafeOpening) {
+                    ctx.fillStyle = '#27ae60';
                 } else {
                     // Unrevealed cell - 3D effect
                     const gradient = ctx.createLinearGradient(px, py, px + this.cellSize, py + this.cellSize);
@@ -277,11 +290,159 @@ class BoardRenderer {
     }
 }
 
+// ==================== REPLAY VIEWER ====================
+class ReplayViewer {
+    constructor(boards, onUpdate) {
+        this.boards = boards; // One BoardRenderer per player, in replay.playerIds order
+        this.onUpdate = onUpdate;
+        this.replay = null;
+        this.position = 0; // ms since match start
+        this.speed = 1;
+        this.isPlaying = false;
+        this.nextAction = 0;
+        this.scores = {};
+        this.frameRequest = null;
+        this.lastFrame = 0;
+    }
+
+    load(replay) {
+        this.pause();
+        this.replay = replay;
+        this.seek(0);
+    }
+
+    play() {
+        if (!this.replay || this.isPlaying) return;
+        if (this.position >= this.replay.length) this.seek(0);
+        
+        this.isPlaying = true;
+        this.lastFrame = performance.now();
+        this.frameRequest = requestAnimationFrame((now) => this.tick(now));
+        this.onUpdate?.(this);
+    }
+
+    pause() {
+        this.isPlaying = false;
+        if (this.frameRequest) {
+            cancelAnimationFrame(this.frameRequest);
+            this.frameRequest = null;
+        }
+        this.onUpdate?.(this);
+    }
+
+    togglePlay() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    setSpeed(speed) {
+        this.speed = speed > 0 ? speed : 1;
+    }
+
+    tick(now) {
+        if (!this.isPlaying) return;
+        
+        const elapsed = (now - this.lastFrame) * this.speed;
+        this.lastFrame = now;
+        this.advanceTo(Math.min(this.position + elapsed, this.replay.length));
+        
+        if (this.position >= this.replay.length) {
+            this.pause();
+        } else {
+            this.frameRequest = requestAnimationFrame((next) => this.tick(next));
+        }
+    }
+
+    // Boards only move forward, so seeking rebuilds them from the first action
+    seek(position) {
+        if (!this.replay) return;
+        
+        const { gridSize, playerIds, safeOpening } = this.replay;
+        this.boards.forEach(board => {
+            board.setGridSize(gridSize);
+            board.safeOpening = safeOpening || null;
+        });
+        this.scores = Object.fromEntries(playerIds.map(id => [id, 0]));
+        this.nextAction = 0;
+        
+        this.advanceTo(Math.max(0, Math.min(position, this.replay.length)));
+    }
+
+    advanceTo(position) {
+        const actions = this.replay.actions;
+        while (this.nextAction < actions.length && actions[this.nextAction].t <= position) {
+            this.applyAction(actions[this.nextAction++]);
+        }
+        this.position = position;
+        
+        // Uncover the remaining mines once the match is over
+        if (position >= this.replay.length) {
+            this.replay.playerIds.forEach((id, index) => {
+                this.setCells(this.boards[index], (this.replay.mines[id] || []).map(({ x, y }) => ({ x, y, neighborCount: 0, isMine: true })));
+            });
+        }
+        
+        this.boards.forEach(board => board.render());
+        this.onUpdate?.(this);
+    }
+
+    applyAction(action) {
+        const board = this.boards[this.replay.playerIds.indexOf(action.playerId)];
+        if (!board) return;
+        
+        switch (action.type) {
+            case 'reveal':
+            case 'chord':
+            case 'safeburst':
+            case 'power': // Older replays kept burst cells on the power action
+                this.setCells(board, action.revealedCells || []);
+                break;
+                
+            case 'flag':
+                if (board.grid[action.y] && board.grid[action.y][action.x]) {
+                    board.grid[action.y][action.x].isFlagged = action.isFlagged;
+                }
+                break;
+        }
+        
+        if (action.score !== undefined) {
+            this.scores[action.playerId] = action.score;
+        }
+    }
+
+    // Like BoardRenderer.revealCells, but leaves rendering to the caller
+    setCells(board, cells) {
+        cells.forEach(cell => {
+            if (board.grid[cell.y] && board.grid[cell.y][cell.x]) {
+                board.grid[cell.y][cell.x].isRevealed = true;
+                board.grid[cell.y][cell.x].neighborCount = cell.neighborCount;
+                board.grid[cell.y][cell.x].isMine = cell.isMine || false;
+            }
+        });
+    }
+}
+
 // ==================== GAME CLIENT ====================
 class GameClient {
     constructor() {
         this.ws = null;
         this.playerId = null;
+        this.sessionToken = null;
+        this.pendingSession = null;
+        this.account = null; // Set once the server accepts our Supabase session
+        this.powerMaxUses = Rules.RULESET.powerMaxUses;
+        this.powerState = {}; // power -> { usesLeft, readyAt } as reported by the server
+        this.powerTimer = null;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.isInGame = false;
+        this.roomCode = null;
+        this.lastGameId = null;
+        this.rematchTimer = null;
+        this.pendingRoomCode = new URLSearchParams(window.location.search).get('room');
         this.playerName = '';
         this.gameId = null;
         this.opponentName = '';
@@ -289,6 +450,11 @@ class GameClient {
         
         this.playerBoard = null;
         this.opponentBoard = null;
+        this.spectatorBoards = [];
+        this.spectatingGameId = null;
+        this.spectatedPlayerIds = [];
+        this.replayViewer = null;
+        this.finishedGameId = null; // Kept for "Watch Replay" after the rematch offer expires
         this.audio = new AudioManager();
         
         this.score = 0;
@@ -317,6 +483,11 @@ class GameClient {
         this.menuScreen = document.getElementById('menu-screen');
         this.matchmakingScreen = document.getElementById('matchmaking-screen');
         this.gameScreen = document.getElementById('game-screen');
+        this.roomScreen = document.getElementById('room-screen');
+        this.lobbyScreen = document.getElementById('lobby-screen');
+        this.spectatorScreen = document.getElementById('spectator-screen');
+        this.replaysScreen = document.getElementById('replays-screen');
+        this.replayScreen = document.getElementById('replay-screen');
         
         // Menu elements
         this.playerNameInput = document.getElementById('player-name');
@@ -325,6 +496,58 @@ class GameClient {
         this.searchTimeDisplay = document.getElementById('search-time');
         this.difficultyButtons = document.querySelectorAll('.difficulty-btn');
         this.selectedDifficultyDisplay = document.getElementById('selected-difficulty');
+        this.queueInfoDisplay = document.getElementById('queue-info');
+        this.watchGamesBtn = document.getElementById('watch-games-btn');
+        this.watchReplaysBtn = document.getElementById('watch-replays-btn');
+        
+        // Private room elements
+        this.createRoomBtn = document.getElementById('create-room-btn');
+        this.joinRoomBtn = document.getElementById('join-room-btn');
+        this.roomCodeInput = document.getElementById('room-code-input');
+        this.roomDurationSelect = document.getElementById('room-duration');
+        this.roomSeriesSelect = document.getElementById('room-series');
+        this.roomMirrorToggle = document.getElementById('room-mirror');
+        this.roomSeriesDisplay = document.getElementById('room-series-display');
+        this.roomCodeDisplay = document.getElementById('room-code-display');
+        this.roomDifficultyDisplay = document.getElementById('room-difficulty');
+        this.roomLengthDisplay = document.getElementById('room-length');
+        this.copyRoomLinkBtn = document.getElementById('copy-room-link-btn');
+        this.leaveRoomBtn = document.getElementById('leave-room-btn');
+        
+        // Lobby elements
+        this.liveGamesList = document.getElementById('live-games-list');
+        this.refreshGamesBtn = document.getElementById('refresh-games-btn');
+        this.lobbyBackBtn = document.getElementById('lobby-back-btn');
+        
+        // Spectator elements
+        this.spectatorTimerDisplay = document.getElementById('spectator-timer');
+        this.leaveSpectateBtn = document.getElementById('leave-spectate-btn');
+        this.spectatorNameDisplays = [
+            document.getElementById('spectator-name-1'),
+            document.getElementById('spectator-name-2')
+        ];
+        this.spectatorScoreDisplays = [
+            document.getElementById('spectator-score-1'),
+            document.getElementById('spectator-score-2')
+        ];
+        
+        // Replay elements
+        this.replaysList = document.getElementById('replays-list');
+        this.refreshReplaysBtn = document.getElementById('refresh-replays-btn');
+        this.replaysBackBtn = document.getElementById('replays-back-btn');
+        this.leaveReplayBtn = document.getElementById('leave-replay-btn');
+        this.replayTimeDisplay = document.getElementById('replay-time');
+        this.replayPlayBtn = document.getElementById('replay-play-btn');
+        this.replaySeekInput = document.getElementById('replay-seek');
+        this.replaySpeedSelect = document.getElementById('replay-speed');
+        this.replayNameDisplays = [
+            document.getElementById('replay-name-1'),
+            document.getElementById('replay-name-2')
+        ];
+        this.replayScoreDisplays = [
+            document.getElementById('replay-score-1'),
+            document.getElementById('replay-score-2')
+        ];
         
         // Game elements
         this.gameTimerDisplay = document.getElementById('game-timer');
@@ -346,6 +569,10 @@ class GameClient {
         this.resultPlayerScore = document.getElementById('result-player-score');
         this.resultOpponentName = document.getElementById('result-opponent-name');
         this.resultOpponentScore = document.getElementById('result-opponent-score');
+        this.seriesScoreDisplay = document.getElementById('series-score');
+        this.boardStatsDisplay = document.getElementById('board-stats');
+        this.rematchBtn = document.getElementById('rematch-btn');
+        this.watchReplayBtn = document.getElementById('watch-replay-btn');
         this.playAgainBtn = document.getElementById('play-again-btn');
         this.mainMenuBtn = document.getElementById('main-menu-btn');
         
@@ -364,6 +591,26 @@ class GameClient {
             this.opponentBoard = new BoardRenderer(opponentCanvas, true);
         }
         
+        // Spectator boards use the compact cell size so both fit side by side
+        const spectatorCanvases = [
+            document.getElementById('spectator-canvas-1'),
+            document.getElementById('spectator-canvas-2')
+        ];
+        if (spectatorCanvases.every(Boolean)) {
+            this.spectatorBoards = spectatorCanvases.map(canvas => new BoardRenderer(canvas, true));
+        }
+        
+        const replayCanvases = [
+            document.getElementById('replay-canvas-1'),
+            document.getElementById('replay-canvas-2')
+        ];
+        if (replayCanvases.every(Boolean)) {
+            this.replayViewer = new ReplayViewer(
+                replayCanvases.map(canvas => new BoardRenderer(canvas, true)),
+                (viewer) => this.updateReplayControls(viewer)
+            );
+        }
+        
         // Generate random name if empty
         if (!this.playerNameInput.value) {
             this.playerNameInput.value = 'Player' + Math.floor(Math.random() * 9999);
@@ -377,6 +624,34 @@ class GameClient {
         // Cancel search button
         this.cancelSearchBtn?.addEventListener('click', () => this.cancelSearch());
         
+        // Private rooms
+        this.createRoomBtn?.addEventListener('click', () => this.createRoom());
+        this.joinRoomBtn?.addEventListener('click', () => this.joinRoom(this.roomCodeInput?.value));
+        this.roomCodeInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.joinRoom(this.roomCodeInput.value);
+        });
+        this.copyRoomLinkBtn?.addEventListener('click', () => this.copyRoomLink());
+        this.leaveRoomBtn?.addEventListener('click', () => this.leaveRoom());
+        
+        // Spectator lobby
+        this.watchGamesBtn?.addEventListener('click', () => this.openLobby());
+        this.refreshGamesBtn?.addEventListener('click', () => this.requestGameList());
+        this.lobbyBackBtn?.addEventListener('click', () => this.showScreen('menu'));
+        this.leaveSpectateBtn?.addEventListener('click', () => this.stopSpectating());
+        
+        // Replays
+        this.watchReplaysBtn?.addEventListener('click', () => this.openReplays());
+        this.refreshReplaysBtn?.addEventListener('click', () => this.requestReplayList());
+        this.replaysBackBtn?.addEventListener('click', () => this.showScreen('menu'));
+        this.leaveReplayBtn?.addEventListener('click', () => this.closeReplay());
+        this.replayPlayBtn?.addEventListener('click', () => this.replayViewer?.togglePlay());
+        this.replaySeekInput?.addEventListener('input', () => {
+            this.replayViewer?.seek(parseInt(this.replaySeekInput.value, 10));
+        });
+        this.replaySpeedSelect?.addEventListener('change', () => {
+            this.replayViewer?.setSpeed(parseFloat(this.replaySpeedSelect.value));
+        });
+        
         // Difficulty buttons
         this.difficultyButtons.forEach(btn => {
             btn.addEventListener('click', () => {
@@ -411,12 +686,22 @@ class GameClient {
         });
         
         // Modal buttons - FIXED!
+        this.rematchBtn?.addEventListener('click', () => this.requestRematch());
+        
+        this.watchReplayBtn?.addEventListener('click', () => {
+            this.declineRematch();
+            this.hideModal();
+            this.watchReplay(this.finishedGameId);
+        });
+        
         this.playAgainBtn?.addEventListener('click', () => {
+            this.declineRematch();
             this.hideModal();
             this.showScreen('menu');
         });
         
         this.mainMenuBtn?.addEventListener('click', () => {
+            this.declineRematch();
             this.hideModal();
             this.showScreen('menu');
         });
@@ -431,12 +716,20 @@ class GameClient {
     }
 
     connectWebSocket() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        
         try {
             this.ws = new WebSocket(CONFIG.WS_URL);
             
             this.ws.onopen = () => {
                 console.log('Connected to server');
-                this.showNotification('Connected to server', 'success');
+                this.reconnectAttempts = 0;
+                if (!this.isInGame) {
+                    this.showNotification('Connected to server', 'success');
+                }
             };
             
             this.ws.onmessage = (event) => {
@@ -446,10 +739,14 @@ class GameClient {
             
             this.ws.onclose = () => {
                 console.log('Disconnected from server');
-                this.showNotification('Disconnected from server', 'error');
                 
-                // Reconnect after 3 seconds
-                setTimeout(() => this.connectWebSocket(), 3000);
+                if (this.isInGame) {
+                    this.showNotification('Connection lost - reconnecting...', 'error');
+                } else {
+                    this.showNotification('Disconnected from server', 'error');
+                }
+                
+                this.scheduleReconnect();
             };
             
             this.ws.onerror = (error) => {
@@ -458,23 +755,136 @@ class GameClient {
         } catch (error) {
             console.error('Failed to connect:', error);
             this.showNotification('Failed to connect to server', 'error');
+            this.scheduleReconnect();
         }
     }
 
+    scheduleReconnect() {
+        if (this.reconnectTimer) return;
+        
+        // Exponential backoff with a little jitter so clients don't reconnect in lockstep
+        const delay = Math.min(
+            CONFIG.RECONNECT_BASE_DELAY * Math.pow(2, this.reconnectAttempts),
+            CONFIG.RECONNECT_MAX_DELAY
+        ) + Math.floor(Math.random() * 500);
+        
+        this.reconnectAttempts++;
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connectWebSocket();
+        }, delay);
+    }
+
     handleServerMessage(message) {
         switch (message.type) {
             case 'connected':
-                this.playerId = message.playerId;
+                this.authenticate();
+                
+                if (this.isInGame && this.sessionToken) {
+                    // Try to pick up the match we were in before the connection dropped
+                    this.pendingSession = { playerId: message.playerId, sessionToken: message.sessionToken };
+                    this.ws.send(JSON.stringify({ type: 'resume', token: this.sessionToken }));
+                } else {
+                    this.playerId = message.playerId;
+                    this.sessionToken = message.sessionToken;
+                    
+                    // Opened through an invite link
+                    if (this.pendingRoomCode) {
+                        const code = this.pendingRoomCode;
+                        this.pendingRoomCode = null;
+                        window.history.replaceState(null, '', window.location.pathname);
+                        this.joinRoom(code);
+                    }
+                }
                 console.log('Player ID:', this.playerId);
                 break;
                 
+            case 'authenticated':
+                this.account = { userId: message.userId, username: message.username, rating: message.rating, provisional: message.provisional };
+                this.showNotification(`Signed in as ${message.username} (${formatRating(message.rating, message.provisional)})`, 'success');
+                break;
+                
+            case 'authFailed':
+                this.account = null;
+                this.showNotification(message.message, 'info');
+                break;
+                
+            case 'ratingUpdate':
+                if (this.account) {
+                    this.account.rating = message.rating;
+                    this.account.provisional = message.provisional;
+                }
+                const sign = message.ratingChange >= 0 ? '+' : '';
+                let ratingText = `Rating: ${formatRating(message.rating, message.provisional)} (${sign}${message.ratingChange})`;
+                if (message.opponent) {
+                    const opponentSign = message.opponent.ratingChange >= 0 ? '+' : '';
+                    ratingText += ` • ${message.opponent.name}: ${formatRating(message.opponent.newRating, message.opponent.provisional)} (${opponentSign}${message.opponent.ratingChange})`;
+                }
+                this.showNotification(ratingText, 'info');
+                break;
+                
+            case 'achievementsUnlocked':
+                for (const achievement of message.achievements) {
+                    this.showNotification(`${achievement.icon} Achievement unlocked: ${achievement.name}`, 'achievement');
+                }
+                break;
+                
+            case 'roomCreated':
+                this.showRoomLobby(message);
+                break;
+                
+            case 'rematchRequested':
+                this.showNotification(`${message.from} wants a rematch!`, 'info');
+                if (this.rematchBtn && !this.rematchBtn.disabled) {
+                    this.rematchBtn.textContent = 'Accept Rematch';
+                }
+                break;
+                
+            case 'rematchDeclined':
+            case 'rematchUnavailable':
+                this.showNotification(message.message, 'info');
+                this.hideRematch();
+                break;
+                
+            case 'roomError':
+                this.roomCode = null;
+                this.showNotification(message.message, 'error');
+                this.showScreen('menu');
+                break;
+                
+            case 'resumed':
+                this.pendingSession = null;
+                this.restoreFromSnapshot(message);
+                break;
+                
+            case 'resumeFailed':
+                // The match is gone - continue with the fresh session instead
+                if (this.pendingSession) {
+                    this.playerId = this.pendingSession.playerId;
+                    this.sessionToken = this.pendingSession.sessionToken;
+                    this.pendingSession = null;
+                }
+                this.isInGame = false;
+                if (this.timerInterval) {
+                    clearInterval(this.timerInterval);
+                    this.timerInterval = null;
+                }
+                this.showScreen('menu');
+                this.showNotification(message.message || 'Could not rejoin the game', 'error');
+                break;
+                
             case 'searching':
                 if (this.selectedDifficultyDisplay) {
                     this.selectedDifficultyDisplay.textContent = this.selectedDifficulty.charAt(0).toUpperCase() + this.selectedDifficulty.slice(1);
                 }
+                this.updateQueueInfo(message);
                 this.showNotification('Searching for opponent...', 'info');
                 break;
                 
+            case 'queueUpdate':
+                this.updateQueueInfo(message);
+                break;
+                
             case 'gameStart':
                 this.startGame(message);
                 break;
@@ -492,6 +902,13 @@ class GameClient {
                 break;
                 
             case 'powerFailed':
+                if (message.power && message.usesLeft !== undefined) {
+                    this.syncPowerState({ [message.power]: message });
+                }
+                this.showNotification(message.reason, 'error');
+                break;
+                
+            case 'moveRejected':
                 this.showNotification(message.reason, 'error');
                 break;
                 
@@ -518,24 +935,52 @@ class GameClient {
                 break;
                 
             case 'gameEnd':
-                this.handleGameEnd(message);
+                if (this.spectatingGameId) {
+                    this.handleSpectatedGameEnd(message);
+                } else {
+                    this.handleGameEnd(message);
+                }
+                break;
+                
+            case 'gameList':
+                this.renderGameList(message.games);
+                break;
+                
+            case 'spectateStart':
+                this.startSpectating(message);
+                break;
+                
+            case 'spectateFailed':
+                this.showNotification(message.message, 'error');
+                this.requestGameList();
+                break;
+                
+            case 'spectatorUpdate':
+                this.handleSpectatorUpdate(message);
                 break;
                 
             case 'opponentDisconnected':
-                this.showNotification('Opponent disconnected. You win!', 'success');
-                this.handleGameEnd({
-                    winner: { id: this.playerId },
-                    players: {
-                        [this.playerId]: { name: this.playerName, score: this.score }
-                    },
-                    isDraw: false
-                });
+                // Server holds their slot; the game ends via gameEnd if they don't come back
+                const graceSecs = Math.round((message.gracePeriod || 0) / 1000);
+                this.showNotification(`Opponent disconnected. Waiting ${graceSecs}s for them to return...`, 'info');
+                break;
+                
+            case 'opponentReconnected':
+                this.showNotification('Opponent reconnected!', 'info');
                 break;
         }
     }
 
+    // Send our Supabase session so this socket plays ranked under the real account
+    authenticate() {
+        const accessToken = window.api?.token || localStorage.getItem('mineduel_token');
+        if (accessToken) {
+            this.ws.send(JSON.stringify({ type: 'authenticate', accessToken }));
+        }
+    }
+
     findGame() {
-        this.playerName = this.playerNameInput?.value || 'Player';
+        this.playerName = this.account?.username || this.playerNameInput?.value || 'Player';
         
         if (this.ws?.readyState === WebSocket.OPEN) {
             this.ws.send(JSON.stringify({
@@ -558,6 +1003,7 @@ class GameClient {
         }
         
         this.stopSearchTimer();
+        if (this.queueInfoDisplay) this.queueInfoDisplay.textContent = '';
         this.showScreen('menu');
     }
 
@@ -572,6 +1018,17 @@ class GameClient {
         }, 1000);
     }
 
+    updateQueueInfo(status) {
+        if (!this.queueInfoDisplay) return;
+        
+        const wait = status.estimatedWait === null
+            ? 'Est. wait: unknown'
+            : `Est. wait: ~${Math.ceil(status.estimatedWait / 1000)}s`;
+        const range = `Rating range: ±${status.ratingWindow}`;
+        
+        this.queueInfoDisplay.textContent = `Queue position: #${status.position} • ${wait} • ${range}`;
+    }
+
     stopSearchTimer() {
         if (this.searchInterval) {
             clearInterval(this.searchInterval);
@@ -581,6 +1038,8 @@ class GameClient {
 
     startGame(message) {
         this.gameId = message.gameId;
+        this.isInGame = true;
+        this.roomCode = null;
         this.opponentName = message.opponent;
         this.matchDuration = message.duration;
         this.matchStartTime = Date.now();
@@ -588,15 +1047,21 @@ class GameClient {
         // Get grid size from server message
         const gridSize = message.gridSize || 10;
         
+        if (message.rulesetVersion && message.rulesetVersion !== Rules.RULESET.version) {
+            console.warn(`Server plays ruleset v${message.rulesetVersion}, this client has v${Rules.RULESET.version}`);
+        }
+        
         // Reset game state
         this.score = 0;
         this.opponentScore = 0;
         this.hasShield = false;
         this.isFrozen = false;
+        this.resetPowerState(message.powerLimits);
         
         // Set grid size and reset boards
         this.playerBoard?.setGridSize(gridSize);
         this.opponentBoard?.setGridSize(gridSize);
+        this.playerBoard?.setSafeOpening(message.safeOpening);
         
         // Update UI
         this.playerNameDisplay.textContent = this.playerName;
@@ -616,12 +1081,86 @@ class GameClient {
         // Start game timer
         this.startGameTimer();
         
+        this.hideRematch();
+        
         const diffName = message.difficulty ? message.difficulty.toUpperCase() : 'MEDIUM';
         this.showNotification(`Game started vs ${this.opponentName}! [${diffName}] ${gridSize}x${gridSize}`, 'success');
+        if (message.series) {
+            this.showNotification(`Game ${message.series.gamesPlayed + 1} • Best of ${message.series.bestOf}`, 'info');
+        }
+        if (message.mirrorBoard) {
+            this.showNotification('🪞 Mirror board: same mines for both - start on the green cell', 'info');
+        }
+        if (message.normalizedScoring) {
+            this.showNotification('Normalized scoring: points scale with your board\'s 3BV', 'info');
+        }
+        if (!message.ranked) {
+            this.showNotification(this.account ? 'Unranked: your opponent is a guest' : 'Guest game - sign in to play ranked', 'info');
+        }
         this.audio.playPower();
     }
 
-    startGameTimer() {
+    restoreFromSnapshot(snapshot) {
+        this.gameId = snapshot.gameId;
+        this.playerId = snapshot.playerId;
+        this.opponentName = snapshot.opponent;
+        this.matchDuration = snapshot.duration;
+        this.matchStartTime = Date.now() - (snapshot.duration - snapshot.remainingTime);
+        this.isInGame = true;
+        
+        this.score = snapshot.score;
+        this.opponentScore = snapshot.opponentScore;
+        this.hasShield = snapshot.hasShield;
+        this.syncPowerState(snapshot.powers);
+        
+        // Rebuild both boards from the server's view
+        this.playerBoard?.setGridSize(snapshot.gridSize);
+        this.opponentBoard?.setGridSize(snapshot.gridSize);
+        this.playerBoard?.setSafeOpening(snapshot.safeOpening);
+        this.applyBoardSnapshot(this.playerBoard, snapshot.board);
+        this.applyBoardSnapshot(this.opponentBoard, snapshot.opponentBoard);
+        
+        if (this.opponentCompletion) {
+            this.opponentCompletion.style.width = `${snapshot.opponentCompletion}%`;
+        }
+        
+        // Update UI
+        this.playerNameDisplay.textContent = this.playerName;
+        this.opponentNameDisplay.textContent = this.opponentName;
+        this.updateScore();
+        this.updatePowerButtons();
+        this.shieldIndicator?.classList.toggle('hidden', !this.hasShield);
+        
+        if (snapshot.frozenRemaining > 0) {
+            this.handleFrozen(snapshot.frozenRemaining);
+        } else {
+            this.isFrozen = false;
+            this.playerFrozenOverlay?.classList.add('hidden');
+        }
+        
+        this.stopSearchTimer();
+        this.showScreen('game');
+        this.hideModal();
+        this.startGameTimer();
+        
+        this.showNotification('Reconnected - game resumed!', 'success');
+        if (!snapshot.opponentConnected) {
+            this.showNotification('Opponent is currently disconnected', 'info');
+        }
+    }
+
+    applyBoardSnapshot(board, snapshot) {
+        if (!board || !snapshot) return;
+        
+        snapshot.flaggedCells.forEach(({ x, y }) => {
+            if (board.grid[y] && board.grid[y][x]) {
+                board.grid[y][x].isFlagged = true;
+            }
+        });
+        board.revealCells(snapshot.revealedCells);
+    }
+
+    startGameTimer(display = this.gameTimerDisplay) {
         if (this.timerInterval) clearInterval(this.timerInterval);
         
         this.timerInterval = setInterval(() => {
@@ -631,7 +1170,7 @@ class GameClient {
             const mins = Math.floor(remaining / 60000);
             const secs = Math.floor((remaining % 60000) / 1000);
             
-            this.gameTimerDisplay.textContent = 
+            display.textContent = 
                 `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
             
             if (remaining <= 0) {
@@ -649,9 +1188,22 @@ class GameClient {
         const cell = this.playerBoard?.getCellFromClick(e);
         if (!cell) return;
         
-        // Check if cell is already revealed or flagged
-        if (this.playerBoard.grid[cell.y][cell.x].isRevealed) return;
-        if (this.playerBoard.grid[cell.y][cell.x].isFlagged) return;
+        const cellData = this.playerBoard.grid[cell.y][cell.x];
+        if (cellData.isFlagged) return;
+        
+        // Clicking (or double-clicking) a revealed number chords it
+        if (cellData.isRevealed) {
+            if (cellData.neighborCount > 0 && this.playerBoard.canChord(cell.x, cell.y)) {
+                this.sendChord(cell.x, cell.y);
+            }
+            return;
+        }
+        
+        // Both players start a mirror board from the same green cell; the server rejects anything else
+        if (this.playerBoard.mustOpenSafeCellFirst(cell.x, cell.y)) {
+            this.showNotification('Mirror board: start from the green cell', 'error');
+            return;
+        }
         
         this.audio.playClick();
         
@@ -664,6 +1216,14 @@ class GameClient {
         }
     }
 
+    sendChord(x, y) {
+        this.audio.playClick();
+        
+        if (this.ws?.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify({ type: 'chord', x, y }));
+        }
+    }
+
     handleRightClick(e) {
         if (this.isFrozen && Date.now() < this.frozenUntil) {
             this.showNotification('You are frozen!', 'error');
@@ -734,6 +1294,9 @@ class GameClient {
 
     handlePowerActivated(message) {
         this.audio.playPower();
+        this.syncPowerState({
+            [message.power]: { usesLeft: message.usesLeft, cooldownRemaining: message.cooldown }
+        });
         
         // Update score (powers cost points now)
         if (message.score !== undefined) {
@@ -751,13 +1314,8 @@ class GameClient {
                 break;
                 
             case 'safeburst':
-                if (message.revealedCells) {
-                    this.playerBoard?.revealCells(message.revealedCells);
-                }
-                this.score = message.score;
-                this.updateScore();
-                this.updatePowerButtons();
-                this.showNotification(`💥 Safe Burst: +${message.points} points!`, 'success');
+                // The opened cells and their points follow as a cellResult
+                this.showNotification('💥 Safe Burst!', 'success');
                 break;
                 
             case 'shield':
@@ -801,6 +1359,8 @@ class GameClient {
     }
 
     handleGameEnd(message) {
+        this.isInGame = false;
+        
         if (this.timerInterval) {
             clearInterval(this.timerInterval);
             this.timerInterval = null;
@@ -839,11 +1399,427 @@ class GameClient {
         this.resultOpponentName.textContent = this.opponentName;
         this.resultOpponentScore.textContent = this.opponentScore;
         
+        this.renderSeriesScore(message.series);
+        this.renderBoardStats(message.players?.[this.playerId]?.boardStats);
+        this.offerRematch(message);
+        this.finishedGameId = message.gameId;
+        this.watchReplayBtn?.classList.toggle('hidden', !message.gameId);
+        
         // Show modal
         this.gameOverModal?.classList.remove('hidden');
     }
 
+    createRoom() {
+        this.playerName = this.account?.username || this.playerNameInput?.value || 'Player';
+        
+        if (this.ws?.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify({
+                type: 'createRoom',
+                name: this.playerName,
+                difficulty: this.selectedDifficulty,
+                duration: parseInt(this.roomDurationSelect?.value) || CONFIG.MATCH_DURATION,
+                bestOf: parseInt(this.roomSeriesSelect?.value) || 1,
+                mirrorBoard: !!this.roomMirrorToggle?.checked
+            }));
+        } else {
+            this.showNotification('Not connected to server', 'error');
+        }
+    }
+
+    joinRoom(code) {
+        code = (code || '').trim().toUpperCase();
+        if (!code) {
+            this.showNotification('Enter a room code', 'error');
+            return;
+        }
+        
+        this.playerName = this.account?.username || this.playerNameInput?.value || 'Player';
+        
+        if (this.ws?.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify({
+                type: 'joinRoom',
+                name: this.playerName,
+                code
+            }));
+        } else {
+            this.showNotification('Not connected to server', 'error');
+        }
+    }
+
+    showRoomLobby(room) {
+        this.roomCode = room.code;
+        
+        const mins = Math.floor(room.duration / 60000);
+        const secs = Math.floor((room.duration % 60000) / 1000);
+        
+        this.roomCodeDisplay.textContent = room.code;
+        this.roomDifficultyDisplay.textContent = room.difficulty.charAt(0).toUpperCase() + room.difficulty.slice(1);
+        this.roomLengthDisplay.textContent = `${mins}:${secs.toString().padStart(2, '0')}`;
+        this.roomSeriesDisplay.textContent = (room.bestOf > 1 ? `Best of ${room.bestOf}` : 'Single game') +
+            (room.mirrorBoard ? ' • Mirror board' : '');
+        
+        this.showScreen('room');
+    }
+
+    getRoomLink(code) {
+        return `${window.location.origin}${window.location.pathname}?room=${code}`;
+    }
+
+    copyRoomLink() {
+        if (!this.roomCode) return;
+        const link = this.getRoomLink(this.roomCode);
+        
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(link)
+                .then(() => this.showNotification('Invite link copied!', 'success'))
+                .catch(() => this.showNotification(link, 'info'));
+        } else {
+            this.showNotification(link, 'info');
+        }
+    }
+
+    leaveRoom() {
+        if (this.ws?.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify({ type: 'leaveRoom' }));
+        }
+        
+        this.roomCode = null;
+        this.showScreen('menu');
+    }
+
+    openLobby() {
+        this.showScreen('lobby');
+        this.requestGameList();
+    }
+
+    requestGameList() {
+        if (this.ws?.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify({ type: 'listGames' }));
+        } else {
+            this.showNotification('Not connected to server', 'error');
+        }
+    }
+
+    renderGameList(games) {
+        if (!this.liveGamesList) return;
+        this.liveGamesList.innerHTML = '';
+        
+        if (!games.length) {
+            const empty = document.createElement('div');
+            empty.className = 'lb-empty';
+            empty.textContent = 'No live matches right now';
+            this.liveGamesList.appendChild(empty);
+            return;
+        }
+        
+        games.forEach(game => {
+            const item = document.createElement('div');
+            item.className = 'live-game-item';
+            
+            const info = document.createElement('div');
+            info.className = 'live-game-players';
+            info.textContent = game.players.map(p => `${p.name} (${p.score})`).join(' vs ');
+            
+            const meta = document.createElement('div');
+            meta.className = 'live-game-meta';
+            const secsLeft = Math.ceil(game.remainingTime / 1000);
+            meta.textContent = `${game.difficulty.toUpperCase()} • ${secsLeft}s left • 👁 ${game.spectatorCount}`;
+            info.appendChild(meta);
+            
+            const watchBtn = document.createElement('button');
+            watchBtn.className = 'btn-small';
+            watchBtn.textContent = 'Watch';
+            watchBtn.addEventListener('click', () => this.spectate(game.gameId));
+            
+            item.appendChild(info);
+            item.appendChild(watchBtn);
+            this.liveGamesList.appendChild(item);
+        });
+    }
+
+    spectate(gameId) {
+        if (this.ws?.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify({ type: 'spectate', gameId }));
+        }
+    }
+
+    startSpectating(message) {
+        this.spectatingGameId = message.gameId;
+        this.spectatedPlayerIds = message.playerIds;
+        this.matchDuration = message.duration;
+        this.matchStartTime = Date.now() - (message.duration - message.remainingTime);
+        
+        message.playerIds.forEach((id, index) => {
+            const player = message.players[id];
+            const board = this.spectatorBoards[index];
+            
+            board?.setGridSize(message.gridSize);
+            this.applyBoardSnapshot(board, player.board);
+            
+            this.spectatorNameDisplays[index].textContent = player.name;
+            this.spectatorScoreDisplays[index].textContent = player.score;
+        });
+        
+        this.showScreen('spectator');
+        this.startGameTimer(this.spectatorTimerDisplay);
+        this.showNotification(`Watching ${message.difficulty.toUpperCase()} match`, 'info');
+    }
+
+    handleSpectatorUpdate(message) {
+        const index = this.spectatedPlayerIds.indexOf(message.playerId);
+        if (index === -1) return;
+        
+        const board = this.spectatorBoards[index];
+        const name = this.spectatorNameDisplays[index].textContent;
+        
+        if (message.score !== undefined) {
+            this.spectatorScoreDisplays[index].textContent = message.score;
+        }
+        
+        switch (message.event) {
+            case 'reveal':
+                board?.revealCells(message.revealedCells);
+                if (message.hitMine) {
+                    this.showNotification(`💣 ${name} hit a mine!`, 'error');
+                }
+                break;
+                
+            case 'flag':
+                if (board?.grid[message.y] && board.grid[message.y][message.x]) {
+                    board.grid[message.y][message.x].isFlagged = message.isFlagged;
+                    board.render();
+                }
+                break;
+                
+            case 'power':
+                this.showNotification(`⚡ ${name} used ${message.power}`, 'info');
+                break;
+        }
+    }
+
+    handleSpectatedGameEnd(message) {
+        if (this.timerInterval) {
+            clearInterval(this.timerInterval);
+            this.timerInterval = null;
+        }
+        
+        // Uncover the remaining mines on both boards
+        this.spectatedPlayerIds.forEach((id, index) => {
+            const mines = message.mines?.[id] || [];
+            this.spectatorBoards[index]?.revealCells(
+                mines.map(({ x, y }) => ({ x, y, neighborCount: 0, isMine: true }))
+            );
+            this.spectatorScoreDisplays[index].textContent = message.players[id]?.score ?? 0;
+        });
+        
+        const resultText = message.isDraw ? 'Match ended in a draw!' : `🏆 ${message.winner.name} wins!`;
+        this.showNotification(resultText, 'success');
+        this.spectatingGameId = null;
+    }
+
+    stopSpectating() {
+        if (this.spectatingGameId && this.ws?.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify({ type: 'stopSpectating' }));
+        }
+        
+        if (this.timerInterval) {
+            clearInterval(this.timerInterval);
+            this.timerInterval = null;
+        }
+        
+        this.spectatingGameId = null;
+        this.spectatedPlayerIds = [];
+        this.openLobby();
+    }
+
+    openReplays() {
+        this.showScreen('replays');
+        this.requestReplayList();
+    }
+
+    requestReplayList() {
+        fetch(`${CONFIG.API_URL}/api/replays`)
+            .then(res => res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`)))
+            .then(data => this.renderReplayList(data.replays))
+            .catch(err => {
+                console.error('Failed to load replays:', err);
+                this.showNotification('Could not load replays', 'error');
+            });
+    }
+
+    renderReplayList(replays) {
+        if (!this.replaysList) return;
+        this.replaysList.innerHTML = '';
+        
+        if (!replays.length) {
+            const empty = document.createElement('div');
+            empty.className = 'lb-empty';
+            empty.textContent = 'No replays yet';
+            this.replaysList.appendChild(empty);
+            return;
+        }
+        
+        replays.forEach(replay => {
+            const item = document.createElement('div');
+            item.className = 'live-game-item';
+            
+            const info = document.createElement('div');
+            info.className = 'live-game-players';
+            info.textContent = replay.players
+                .map(p => `${p.id === replay.winnerId ? '🏆 ' : ''}${p.name} (${p.score})`)
+                .join(' vs ');
+            
+            const meta = document.createElement('div');
+            meta.className = 'live-game-meta';
+            const endedAt = new Date(replay.endedAt).toLocaleString();
+            meta.textContent = `${replay.difficulty.toUpperCase()} • ${this.formatReplayTime(replay.length)} • ${endedAt}`;
+            info.appendChild(meta);
+            
+            const watchBtn = document.createElement('button');
+            watchBtn.className = 'btn-small';
+            watchBtn.textContent = 'Replay';
+            watchBtn.addEventListener('click', () => this.watchReplay(replay.id));
+            
+            item.appendChild(info);
+            item.appendChild(watchBtn);
+            this.replaysList.appendChild(item);
+        });
+    }
+
+    watchReplay(gameId) {
+        if (!gameId || !this.replayViewer) return;
+        
+        fetch(`${CONFIG.API_URL}/api/replays/${encodeURIComponent(gameId)}`)
+            .then(res => res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`)))
+            .then(replay => {
+                replay.playerIds.forEach((id, index) => {
+                    this.replayNameDisplays[index].textContent = replay.players[id]?.name || 'Player';
+                });
+                if (this.replaySeekInput) this.replaySeekInput.max = replay.length;
+                if (this.replaySpeedSelect) this.replayViewer.setSpeed(parseFloat(this.replaySpeedSelect.value));
+                
+                this.showScreen('replay');
+                this.replayViewer.load(replay);
+            })
+            .catch(err => {
+                console.error('Failed to load replay:', err);
+                this.showNotification('Replay not available', 'error');
+            });
+    }
+
+    updateReplayControls(viewer) {
+        if (!viewer.replay) return;
+        
+        viewer.replay.playerIds.forEach((id, index) => {
+            this.replayScoreDisplays[index].textContent = viewer.scores[id] ?? 0;
+        });
+        
+        if (this.replayTimeDisplay) {
+            this.replayTimeDisplay.textContent =
+                `${this.formatReplayTime(viewer.position)} / ${this.formatReplayTime(viewer.replay.length)}`;
+        }
+        if (this.replaySeekInput) this.replaySeekInput.value = Math.floor(viewer.position);
+        if (this.replayPlayBtn) this.replayPlayBtn.textContent = viewer.isPlaying ? '⏸' : '▶';
+    }
+
+    formatReplayTime(ms) {
+        const mins = Math.floor(ms / 60000);
+        const secs = Math.floor((ms % 60000) / 1000);
+        return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    }
+
+    closeReplay() {
+        this.replayViewer?.pause();
+        this.openReplays();
+    }
+
+    renderSeriesScore(series) {
+        if (!this.seriesScoreDisplay) return;
+        
+        if (!series) {
+            this.seriesScoreDisplay.classList.add('hidden');
+            return;
+        }
+        
+        const opponentId = Object.keys(series.wins).find(id => id !== this.playerId);
+        let text = `Best of ${series.bestOf}: ${series.wins[this.playerId]} - ${series.wins[opponentId]}`;
+        
+        if (series.isComplete) {
+            if (!series.winnerId) {
+                text += ' • Series drawn!';
+            } else if (series.winnerId === this.playerId) {
+                text += ' • You won the series! 🏆';
+            } else {
+                text += ` • ${this.opponentName} won the series`;
+            }
+        }
+        
+        this.seriesScoreDisplay.textContent = text;
+        this.seriesScoreDisplay.classList.remove('hidden');
+    }
+
+    renderBoardStats(stats) {
+        if (!this.boardStatsDisplay) return;
+        
+        if (!stats) {
+            this.boardStatsDisplay.classList.add('hidden');
+            return;
+        }
+        
+        this.boardStatsDisplay.textContent =
+            `3BV ${stats.solvedBbbv}/${stats.bbbv} • ${stats.bbbvPerSecond.toFixed(2)} 3BV/s • ${stats.efficiency}% efficiency`;
+        this.boardStatsDisplay.classList.remove('hidden');
+    }
+
+    offerRematch(message) {
+        this.lastGameId = message.gameId;
+        if (!this.rematchBtn || !message.gameId) return;
+        
+        const continuesSeries = message.series && !message.series.isComplete;
+        this.rematchBtn.textContent = continuesSeries ? 'Next Game' : 'Rematch';
+        this.rematchBtn.disabled = false;
+        this.rematchBtn.classList.remove('hidden');
+        
+        // The server forgets the finished game after the rematch window
+        if (this.rematchTimer) clearTimeout(this.rematchTimer);
+        this.rematchTimer = setTimeout(() => this.hideRematch(), message.rematchWindow);
+    }
+
+    requestRematch() {
+        if (!this.lastGameId || this.ws?.readyState !== WebSocket.OPEN) return;
+        
+        this.ws.send(JSON.stringify({ type: 'rematchRequest', gameId: this.lastGameId }));
+        this.rematchBtn.textContent = 'Waiting for opponent...';
+        this.rematchBtn.disabled = true;
+    }
+
+    declineRematch() {
+        if (this.lastGameId && this.ws?.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify({ type: 'rematchDecline', gameId: this.lastGameId }));
+        }
+        this.hideRematch();
+    }
+
+    hideRematch() {
+        if (this.rematchTimer) {
+            clearTimeout(this.rematchTimer);
+            this.rematchTimer = null;
+        }
+        this.lastGameId = null;
+        this.rematchBtn?.classList.add('hidden');
+    }
+
     usePower(power, cost) {
+        const state = this.powerState[power];
+        if (state && state.usesLeft <= 0) {
+            this.showNotification('No uses left for this power', 'error');
+            return;
+        }
+        if (state && state.readyAt > Date.now()) {
+            this.showNotification(`Ready in ${Math.ceil((state.readyAt - Date.now()) / 1000)}s`, 'error');
+            return;
+        }
+        
         if (this.score < cost) {
             this.showNotification(`Not enough points! Need ${cost}`, 'error');
             return;
@@ -870,17 +1846,71 @@ class GameClient {
     }
 
     updatePowerButtons() {
-        // Update power button states based on current score (points)
+        // Update power button states based on current score (points), uses left and cooldowns
+        const now = Date.now();
+        
         this.powerButtons.forEach(btn => {
             const cost = parseInt(btn.dataset.cost);
-            btn.disabled = this.score < cost;
+            const state = this.powerState[btn.dataset.power] || { usesLeft: this.powerMaxUses, readyAt: 0 };
+            const cooldown = Math.max(0, state.readyAt - now);
+            
+            btn.disabled = this.score < cost || state.usesLeft <= 0 || cooldown > 0;
+            btn.classList.toggle('power-exhausted', state.usesLeft <= 0);
+            
+            let usageIndicator = btn.querySelector('.power-uses');
+            if (!usageIndicator) {
+                usageIndicator = document.createElement('span');
+                usageIndicator.className = 'power-uses';
+                btn.appendChild(usageIndicator);
+            }
+            usageIndicator.textContent = cooldown > 0 && state.usesLeft > 0
+                ? `${Math.ceil(cooldown / 1000)}s`
+                : `${state.usesLeft}/${this.powerMaxUses}`;
+        });
+    }
+
+    // Start a match with every power unused
+    resetPowerState(limits) {
+        this.powerMaxUses = limits?.maxUses || Rules.RULESET.powerMaxUses;
+        this.powerState = {};
+        this.powerButtons.forEach(btn => {
+            this.powerState[btn.dataset.power] = { usesLeft: this.powerMaxUses, readyAt: 0 };
         });
     }
 
+    // Take the server's uses left and cooldowns, then keep the button timers ticking
+    syncPowerState(powers) {
+        const now = Date.now();
+        for (const [power, usage] of Object.entries(powers || {})) {
+            this.powerState[power] = {
+                usesLeft: usage.usesLeft,
+                readyAt: now + (usage.cooldownRemaining || 0)
+            };
+        }
+        
+        this.updatePowerButtons();
+        
+        if (!this.powerTimer) {
+            this.powerTimer = setInterval(() => {
+                this.updatePowerButtons();
+                const coolingDown = Object.values(this.powerState).some(state => state.readyAt > Date.now());
+                if (!coolingDown) {
+                    clearInterval(this.powerTimer);
+                    this.powerTimer = null;
+                }
+            }, 250);
+        }
+    }
+
     showScreen(screenName) {
         this.menuScreen?.classList.remove('active');
         this.matchmakingScreen?.classList.remove('active');
         this.gameScreen?.classList.remove('active');
+        this.roomScreen?.classList.remove('active');
+        this.lobbyScreen?.classList.remove('active');
+        this.spectatorScreen?.classList.remove('active');
+        this.replaysScreen?.classList.remove('active');
+        this.replayScreen?.classList.remove('active');
         
         switch (screenName) {
             case 'menu':
@@ -892,6 +1922,21 @@ class GameClient {
             case 'game':
                 this.gameScreen?.classList.add('active');
                 break;
+            case 'room':
+                this.roomScreen?.classList.add('active');
+                break;
+            case 'lobby':
+                this.lobbyScreen?.classList.add('active');
+                break;
+            case 'spectator':
+                this.spectatorScreen?.classList.add('active');
+                break;
+            case 'replays':
+                this.replaysScreen?.classList.add('active');
+                break;
+            case 'replay':
+                this.replayScreen?.classList.add('active');
+                break;
         }
     }
 
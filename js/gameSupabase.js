@@ -5,24 +5,26 @@
 
 import * as SupabaseClient from './supabaseClient.js';
 import { BotCore } from './ai/BotCore.js';
+import { VirtualClock } from './ai/BotMatchSimulator.js';
 import { dataCollector } from './GameDataCollector.js';
+import * as Rules from './shared/GameRules.js';
+import { createRandom, shuffle } from './shared/SeededRandom.js';
+import { formatRating, isProvisional } from './shared/Glicko2.js';
+import { ACHIEVEMENTS } from './shared/Achievements.js';
 
 // DataCollector'ı global yap (konsol erişimi için)
 window.dataCollector = dataCollector;
 
 // ==================== CONFIGURATION ====================
 const CONFIG = {
-    DIFFICULTIES: {
-        easy: { gridSize: 8, mineCount: 12 },
-        medium: { gridSize: 10, mineCount: 20 },
-        hard: { gridSize: 12, mineCount: 35 }
-    },
+    DIFFICULTIES: Rules.RULESET.difficulties,
     MATCH_DURATION: 150000,
+    RIVALRY_DISPLAY_TIME: 2500, // How long a rematch's head-to-head record stays on the matchmaking screen
     COLORS: {
         1: '#3498db', 2: '#27ae60', 3: '#e74c3c', 4: '#9b59b6',
         5: '#e67e22', 6: '#1abc9c', 7: '#34495e', 8: '#95a5a6'
     },
-    POWER_COSTS: { radar: 30, safeburst: 40, shield: 50, freeze: 60 }
+    POWER_COSTS: Rules.RULESET.powerCosts
 };
 
 // ==================== AUDIO MANAGER ====================
@@ -93,6 +95,7 @@ class BoardRenderer {
         this.mines = [];
         this.highlightedMines = [];
         this.highlightTimer = null;
+        this.safeOpening = null;
         this.setupCanvas();
     }
 
@@ -100,18 +103,25 @@ class BoardRenderer {
         this.gridSize = gridSize;
         this.grid = this.createEmptyGrid();
         this.mines = []; // Reset mines for new game
+        this.safeOpening = null;
         this.setupCanvas();
     }
 
+    // Mark the shared safe opening of a mirror board until it is revealed
+    setSafeOpening(cell) {
+        this.safeOpening = cell || null;
+        this.render();
+    }
+
+    // Mirror boards: the first reveal has to be the shared safe opening
+    mustOpenSafeCellFirst(x, y) {
+        if (!this.safeOpening) return false;
+        const { x: safeX, y: safeY } = this.safeOpening;
+        return !this.grid[safeY][safeX].isRevealed && (x !== safeX || y !== safeY);
+    }
+
     createEmptyGrid() {
-        const grid = [];
-        for (let y = 0; y < this.gridSize; y++) {
-            grid[y] = [];
-            for (let x = 0; x < this.gridSize; x++) {
-                grid[y][x] = { isRevealed: false, isFlagged: false, isMine: false, neighborCount: 0 };
-            }
-        }
-        return grid;
+        return Rules.createGrid(this.gridSize);
     }
 
     setupCanvas() {
@@ -139,51 +149,14 @@ class BoardRenderer {
         return null;
     }
 
-    generateMines(mineCount, excludeX = -1, excludeY = -1) {
+    generateMines(mineCount, excludeX = -1, excludeY = -1, random = Math.random) {
         // Try to generate a solvable board (no 50/50 guessing required)
         const maxAttempts = 50;
         
         for (let attempt = 0; attempt < maxAttempts; attempt++) {
-            this.mines = [];
             this.grid = this.createEmptyGrid();
-            
-            const positions = [];
-            const excludeRadius = 1; // 3x3 safe zone around first click
-            
-            for (let y = 0; y < this.gridSize; y++) {
-                for (let x = 0; x < this.gridSize; x++) {
-                    const isExcluded = Math.abs(x - excludeX) <= excludeRadius && 
-                                       Math.abs(y - excludeY) <= excludeRadius;
-                    if (!isExcluded) {
-                        positions.push({ x, y });
-                    }
-                }
-            }
-            
-            const actualMineCount = Math.min(mineCount, positions.length);
-            
-            // Fisher-Yates shuffle
-            for (let i = positions.length - 1; i > 0; i--) {
-                const j = Math.floor(Math.random() * (i + 1));
-                [positions[i], positions[j]] = [positions[j], positions[i]];
-            }
-            this.mines = positions.slice(0, actualMineCount);
-            
-            // Mark mines on grid
-            this.mines.forEach(m => {
-                if (this.grid[m.y] && this.grid[m.y][m.x]) {
-                    this.grid[m.y][m.x].isMine = true;
-                }
-            });
-            
-            // Calculate neighbor counts
-            for (let y = 0; y < this.gridSize; y++) {
-                for (let x = 0; x < this.gridSize; x++) {
-                    if (!this.grid[y][x].isMine) {
-                        this.grid[y][x].neighborCount = this.countAdjacentMines(x, y);
-                    }
-                }
-            }
+            this.mines = Rules.placeMines(this.gridSize, mineCount, excludeX, excludeY, random);
+            Rules.setMines(this.grid, this.mines);
             
             // Check if board is solvable without guessing
             if (this.isBoardSolvable(excludeX, excludeY)) {
@@ -310,17 +283,7 @@ class BoardRenderer {
     }
 
     countAdjacentMines(x, y) {
-        let count = 0;
-        for (let dy = -1; dy <= 1; dy++) {
-            for (let dx = -1; dx <= 1; dx++) {
-                if (dx === 0 && dy === 0) continue;
-                const nx = x + dx, ny = y + dy;
-                if (nx >= 0 && nx < this.gridSize && ny >= 0 && ny < this.gridSize) {
-                    if (this.grid[ny][nx].isMine) count++;
-                }
-            }
-        }
-        return count;
+        return Rules.countAdjacentMines(this.grid, x, y);
     }
 
     setMinesFromPositions(positions) {
@@ -330,51 +293,23 @@ class BoardRenderer {
         }
         
         this.mines = positions;
-        
-        // Clear existing mines and set new ones
-        for (let y = 0; y < this.gridSize; y++) {
-            for (let x = 0; x < this.gridSize; x++) {
-                this.grid[y][x].isMine = false;
-            }
-        }
-        
-        positions.forEach(pos => {
-            if (pos.x >= 0 && pos.x < this.gridSize && pos.y >= 0 && pos.y < this.gridSize) {
-                this.grid[pos.y][pos.x].isMine = true;
-            }
-        });
-        
-        // Calculate neighbor counts
-        for (let y = 0; y < this.gridSize; y++) {
-            for (let x = 0; x < this.gridSize; x++) {
-                if (!this.grid[y][x].isMine) {
-                    this.grid[y][x].neighborCount = this.countAdjacentMines(x, y);
-                }
-            }
-        }
+        Rules.setMines(this.grid, positions);
         
         console.log(`[BoardRenderer] Set ${positions.length} mines from positions`);
     }
 
     revealCell(x, y) {
-        if (x < 0 || x >= this.gridSize || y < 0 || y >= this.gridSize) return [];
-        const cell = this.grid[y][x];
-        if (cell.isRevealed || cell.isFlagged) return [];
-        
-        cell.isRevealed = true;
-        const revealed = [{ x, y, isMine: cell.isMine, neighborCount: cell.neighborCount }];
-        
-        // Flood fill if empty
-        if (!cell.isMine && cell.neighborCount === 0) {
-            for (let dy = -1; dy <= 1; dy++) {
-                for (let dx = -1; dx <= 1; dx++) {
-                    if (dx !== 0 || dy !== 0) {
-                        revealed.push(...this.revealCell(x + dx, y + dy));
-                    }
-                }
-            }
-        }
-        return revealed;
+        return Rules.revealCell(this.grid, x, y);
+    }
+
+    // A revealed number can be chorded once its flag count matches and something is left to open
+    canChord(x, y) {
+        return Rules.canChord(this.grid, x, y);
+    }
+
+    // Chord: open every unflagged neighbour of a revealed number (a wrong flag means a mine)
+    chordCell(x, y) {
+        return Rules.chordCell(this.grid, x, y) || [];
     }
 
     highlightMines(mines, duration = 3000) {
@@ -388,7 +323,7 @@ class BoardRenderer {
     }
 
     // Highlight random unrevealed mines (for radar power)
-    highlightRandomMines(count = 3) {
+    highlightRandomMines(count = 3, random = Math.random) {
         const unrevealedMines = [];
         for (let y = 0; y < this.gridSize; y++) {
             for (let x = 0; x < this.gridSize; x++) {
@@ -400,15 +335,14 @@ class BoardRenderer {
         }
         
         // Shuffle and take first 'count' mines
-        const shuffled = unrevealedMines.sort(() => Math.random() - 0.5);
-        const selected = shuffled.slice(0, Math.min(count, shuffled.length));
+        const selected = shuffle(unrevealedMines, random).slice(0, count);
         
         this.highlightMines(selected, 3000);
         return selected;
     }
 
     // Safe burst - reveal random safe cells
-    safeBurst(count = 3) {
+    safeBurst(count = 3, random = Math.random) {
         console.log('[SAFEBURST] Called with count:', count);
         console.log('[SAFEBURST] Grid size:', this.gridSize);
         
@@ -430,26 +364,19 @@ class BoardRenderer {
         }
         
         // Shuffle and take first 'count' safe cells
-        const shuffled = safeCells.sort(() => Math.random() - 0.5);
-        const toReveal = shuffled.slice(0, Math.min(count, shuffled.length));
+        const toReveal = shuffle(safeCells, random).slice(0, count);
         
         console.log('[SAFEBURST] Cells to reveal:', toReveal);
         
-        let totalPoints = 0;
         const allRevealed = [];
         
         for (const pos of toReveal) {
             const revealed = this.revealCell(pos.x, pos.y);
             console.log('[SAFEBURST] Revealed at', pos.x, pos.y, ':', revealed.length, 'cells');
             allRevealed.push(...revealed);
-            // Count points: 5 for each safe cell revealed
-            revealed.forEach(c => {
-                if (!c.isMine) {
-                    totalPoints += 5;
-                }
-            });
         }
         
+        const totalPoints = Rules.scoreReveal(allRevealed).points;
         console.log('[SAFEBURST] Total points:', totalPoints, 'cells revealed:', allRevealed.length);
         this.render();
         return { points: totalPoints, cellsRevealed: allRevealed.length, revealedCells: allRevealed };
@@ -508,39 +435,16 @@ class BoardRenderer {
         return correctFlags === this.mines.length && wrongFlags === 0;
     }
     
-    // Check if all safe cells are revealed
-    checkAllSafeCellsRevealed() {
+    // Check if board is completed (enough safe cells revealed, per the ruleset)
+    checkBoardCompleted() {
         if (!this.mines || this.mines.length === 0) return false;
         
-        const totalCells = this.gridSize * this.gridSize;
-        const mineCount = this.mines.length;
-        const safeCells = totalCells - mineCount;
-        let revealedSafeCells = 0;
+        const completed = Rules.isBoardComplete(this.grid);
         
-        for (let y = 0; y < this.gridSize; y++) {
-            for (let x = 0; x < this.gridSize; x++) {
-                const cell = this.grid[y][x];
-                // Only count revealed cells that are NOT mines
-                if (cell.isRevealed && !cell.isMine) {
-                    revealedSafeCells++;
-                }
-            }
-        }
-        
-        console.log(`[WIN CHECK] Safe cells: ${revealedSafeCells}/${safeCells}`);
-        
-        // Must reveal ALL safe cells (exactly equal)
-        return revealedSafeCells === safeCells;
-    }
-    
-    // Check if board is completed (all safe cells revealed)
-    checkBoardCompleted() {
-        const allSafeRevealed = this.checkAllSafeCellsRevealed();
+        console.log(`[WIN CHECK] Board completed: ${completed}`);
         
-        console.log(`[WIN CHECK] All safe revealed: ${allSafeRevealed}`);
-        
-        // Win condition: ALL safe cells revealed (flags not required)
-        return allSafeRevealed;
+        // Flags not required
+        return completed;
     }
 
     render() {
@@ -562,11 +466,14 @@ class BoardRenderer {
                 const py = y * this.cellSize;
                 const padding = 2;
                 const isHighlighted = this.highlightedMines.some(m => m.x === x && m.y === y);
+                const isSafeOpening = this.safeOpening && this.safeOpening.x === x && this.safeOpening.y === y;
 
                 if (cell.isRevealed) {
                     ctx.fillStyle = cell.isMine ? '#e74c3c' : '#1a2634';
                 } else if (isHighlighted) {
                     ctx.fillStyle = '#f39c12';
+                } else if (isSafeOpening) {
+                    ctx.fillStyle = '#27ae60';
                 } else {
                     const gradient = ctx.createLinearGradient(px, py, px + this.cellSize, py + this.cellSize);
                     gradient.addColorStop(0, '#4a6fa5');
@@ -666,6 +573,10 @@ class GameClient {
         this.isBotMode = false;
         this.bot = null;
         this.botBoard = null;
+        this.matchClock = null;        // Bot games run on a virtual clock that follows real time
+        this.matchClockInterval = null;
+        this.replay = null;            // Recorded bot game being played back
+        this.lastBotGame = null;       // Last recorded bot game, for its replay button
         
         // Mobile/Touch support - detect touch capability, not screen size
         this.isTouchDevice = ('ontouchstart' in window) || (navigator.maxTouchPoints > 0);
@@ -716,6 +627,8 @@ class GameClient {
         this.findGameBtn = document.getElementById('find-game-btn');
         this.cancelSearchBtn = document.getElementById('cancel-search-btn');
         this.searchTimeDisplay = document.getElementById('search-time');
+        this.queueInfoDisplay = document.getElementById('queue-info');
+        this.rivalryInfo = document.getElementById('rivalry-info');
         this.difficultyButtons = document.querySelectorAll('.difficulty-btn');
         this.selectedDifficultyDisplay = document.getElementById('selected-difficulty');
         
@@ -739,7 +652,9 @@ class GameClient {
         this.resultPlayerScore = document.getElementById('result-player-score');
         this.resultOpponentName = document.getElementById('result-opponent-name');
         this.resultOpponentScore = document.getElementById('result-opponent-score');
+        this.boardStatsDisplay = document.getElementById('board-stats');
         this.playAgainBtn = document.getElementById('play-again-btn');
+        this.watchReplayBtn = document.getElementById('watch-replay-btn');
         this.mainMenuBtn = document.getElementById('main-menu-btn');
         this.audioBtn = document.getElementById('audio-btn');
         this.powerButtons = document.querySelectorAll('.power-btn');
@@ -818,6 +733,7 @@ class GameClient {
             this.mobileActionMenu = document.getElementById('mobile-action-menu');
             document.getElementById('mobile-dig-btn')?.addEventListener('click', () => this.mobileDigAction());
             document.getElementById('mobile-flag-btn')?.addEventListener('click', () => this.mobileFlagAction());
+            document.getElementById('mobile-chord-btn')?.addEventListener('click', () => this.mobileChordAction());
             document.getElementById('mobile-cancel-btn')?.addEventListener('click', () => this.hideMobileMenu());
         } else {
             // Desktop: Drag-to-reveal support
@@ -875,6 +791,11 @@ class GameClient {
             this.showScreen('menu');
         });
         
+        this.watchReplayBtn?.addEventListener('click', () => {
+            this.hideModal();
+            this.replayBotGame(this.lastBotGame);
+        });
+        
         this.mainMenuBtn?.addEventListener('click', () => {
             this.hideModal();
             this.showScreen('menu');
@@ -961,9 +882,15 @@ class GameClient {
         const odaUserId = this.user?.id || 'guest_' + Math.random().toString(36).substr(2, 9);
         this.odaUserId = odaUserId;
         
+        // Guests are matched at the default rating
+        const stats = this.user ? await SupabaseClient.getStats(this.user.id).catch(() => null) : null;
+        const rating = stats?.rating || 1000;
+        this.matchmakingRating = rating;
+        
         console.log('[MATCHMAKING] Starting search...', { odaUserId, playerName, difficulty });
         
         this.showScreen('matchmaking');
+        this.rivalryInfo?.classList.add('hidden');
         this.startSearchTimer();
         
         if (this.selectedDifficultyDisplay) {
@@ -973,7 +900,7 @@ class GameClient {
         try {
             // Try to find existing player waiting
             console.log('[MATCHMAKING] Looking for opponent...');
-            const opponent = await SupabaseClient.findMatch(difficulty, odaUserId);
+            const opponent = await SupabaseClient.findMatch(difficulty, odaUserId, rating);
             console.log('[MATCHMAKING] findMatch result:', opponent);
             
             if (opponent) {
@@ -982,9 +909,10 @@ class GameClient {
                 this.isHost = true;
                 this.opponentId = opponent.user_id;
                 this.opponentName = opponent.username;
+                const matchDifficulty = opponent.match_difficulty || difficulty;
                 
                 // Create game with player names and security seed
-                const game = await SupabaseClient.createGame(odaUserId, opponent.user_id, difficulty, playerName, opponent.username);
+                const game = await SupabaseClient.createGame(odaUserId, opponent.user_id, matchDifficulty, playerName, opponent.username);
                 console.log('[MATCHMAKING] Secure game created:', game.id);
                 this.gameId = game.id;
                 
@@ -992,21 +920,25 @@ class GameClient {
                 await SupabaseClient.updateMatchStatus(null, odaUserId, 'matched', game.id);
                 await SupabaseClient.updateMatchStatus(null, opponent.user_id, 'matched', game.id);
                 
+                await this.showRivalry(opponent.user_id);
+                
                 // Start the game with mine seed for secure generation
                 this.startGame({
                     gameId: game.id,
                     opponent: opponent.username,
-                    difficulty: difficulty,
-                    gridSize: game.gridSize || CONFIG.DIFFICULTIES[difficulty].gridSize,
-                    mineCount: game.mineCount || CONFIG.DIFFICULTIES[difficulty].mineCount,
+                    difficulty: matchDifficulty,
+                    gridSize: game.gridSize || CONFIG.DIFFICULTIES[matchDifficulty].gridSize,
+                    mineCount: game.mineCount || CONFIG.DIFFICULTIES[matchDifficulty].mineCount,
                     myName: playerName,
                     mineSeed: game.mineSeed,
+                    mirrorBoard: game.mirrorBoard,
+                    safeOpening: game.safeOpening,
                     isPlayer1: true
                 });
             } else {
                 // No opponent found, join queue and start polling
                 console.log('[MATCHMAKING] No opponent, joining queue...');
-                const queueResult = await SupabaseClient.joinMatchmaking(odaUserId, playerName, difficulty);
+                const queueResult = await SupabaseClient.joinMatchmaking(odaUserId, playerName, difficulty, rating);
                 console.log('[MATCHMAKING] Joined queue:', queueResult);
                 
                 // Start polling for matches (fast: every 500ms)
@@ -1014,7 +946,7 @@ class GameClient {
                 
                 // Also do an immediate second check after joining (in case someone just joined)
                 setTimeout(async () => {
-                    const quickCheck = await SupabaseClient.findMatch(difficulty, odaUserId);
+                    const quickCheck = await SupabaseClient.findMatch(difficulty, odaUserId, rating);
                     console.log('[MATCHMAKING] Quick check result:', quickCheck);
                     if (quickCheck && !this.gameId) {
                         // Found someone! Stop polling and start game
@@ -1022,21 +954,26 @@ class GameClient {
                         this.isHost = true;
                         this.opponentId = quickCheck.user_id;
                         this.opponentName = quickCheck.username;
+                        const matchDifficulty = quickCheck.match_difficulty || difficulty;
                         
-                        const game = await SupabaseClient.createGame(odaUserId, quickCheck.user_id, difficulty, playerName, quickCheck.username);
+                        const game = await SupabaseClient.createGame(odaUserId, quickCheck.user_id, matchDifficulty, playerName, quickCheck.username);
                         this.gameId = game.id;
                         
                         await SupabaseClient.updateMatchStatus(null, odaUserId, 'matched', game.id);
                         await SupabaseClient.updateMatchStatus(null, quickCheck.user_id, 'matched', game.id);
                         
+                        await this.showRivalry(quickCheck.user_id);
+                        
                         this.startGame({
                             gameId: game.id,
                             opponent: quickCheck.username,
-                            difficulty: difficulty,
-                            gridSize: game.gridSize || CONFIG.DIFFICULTIES[difficulty].gridSize,
-                            mineCount: game.mineCount || CONFIG.DIFFICULTIES[difficulty].mineCount,
+                            difficulty: matchDifficulty,
+                            gridSize: game.gridSize || CONFIG.DIFFICULTIES[matchDifficulty].gridSize,
+                            mineCount: game.mineCount || CONFIG.DIFFICULTIES[matchDifficulty].mineCount,
                             myName: playerName,
                             mineSeed: game.mineSeed,
+                            mirrorBoard: game.mirrorBoard,
+                            safeOpening: game.safeOpening,
                             isPlayer1: true
                         });
                     }
@@ -1048,7 +985,8 @@ class GameClient {
         }
     }
 
-    startBotGame() {
+    // A recorded game's seed and replay (see replayBotGame) play it again move for move
+    startBotGame(seed, replay = null) {
         console.log('[BOT] Starting bot game...');
         
         // Stop any existing bot first
@@ -1056,12 +994,20 @@ class GameClient {
             this.bot.stop();
             this.bot = null;
         }
+        this.stopMatchClock();
         
         const playerName = this.playerNameInput?.value || 'Player' + Math.floor(Math.random() * 9999);
-        const gridDifficulty = this.selectedDifficulty; // Grid size difficulty
-        const botDifficulty = this.selectedBotDifficulty || 'medium'; // Bot AI difficulty
+        const gridDifficulty = replay?.difficulty || this.selectedDifficulty; // Grid size difficulty
+        const botDifficulty = replay?.botDifficulty || this.selectedBotDifficulty || 'medium'; // Bot AI difficulty
         
         this.isBotMode = true;
+        this.replay = replay ? { ...replay, next: 0, applying: false } : null;
+        
+        // The whole match runs on this clock: the bot's think times, freezes, shields and the time limit.
+        // A replay starts it where the recorded game started
+        const realStart = Date.now();
+        this.matchClock = new VirtualClock(replay?.startedAt ?? realStart);
+        this.matchClockOffset = this.matchClock.now() - realStart;
         
         // Set bot name based on difficulty
         const botNames = {
@@ -1075,6 +1021,16 @@ class GameClient {
         this.isHost = true;
         this.gameId = 'bot_' + Date.now();
         
+        // One seed drives both boards, both sides' powers and the bot's random draws
+        this.botSeed = seed ?? Math.floor(Math.random() * 0x100000000);
+        this.botRandom = {
+            playerBoard: createRandom(`${this.botSeed}:player-board`),
+            botBoard: createRandom(`${this.botSeed}:bot-board`),
+            botPowers: createRandom(`${this.botSeed}:bot-powers`),
+            playerPowers: createRandom(`${this.botSeed}:player-powers`)
+        };
+        console.log(`[BOT] Seed: ${this.botSeed}`);
+        
         // Reset bot-related state
         this.opponentCompletedBoard = false;
         this.playerCompletedBoard = false;  // YENİ: Oyuncu tamamladı mı?
@@ -1097,28 +1053,150 @@ class GameClient {
         });
         
         // Start bot AI after boards are ready - use longer delay to ensure everything is initialized
-        setTimeout(() => {
+        this.setGameTimeout(() => {
             if (!this.opponentBoard) {
                 console.error('[BOT] opponentBoard not ready!');
                 return;
             }
             
             this.botBoard = this.opponentBoard;
-            this.bot = new BotCore(this, botDifficulty);
+            // A replay's bot plays with the recorded learned data and learns nothing from it
+            this.bot = new BotCore(this, botDifficulty, {
+                seed: this.botSeed,
+                clock: this.matchClock,
+                offline: !!this.replay,
+                learned: this.replay?.learned
+            });
             
             console.log('[BOT] BotCore v9 initialized with difficulty:', botDifficulty);
             console.log('[BOT] botBoard:', this.botBoard ? 'OK' : 'NULL');
             
             this.bot.start(this.botBoard, gridSize);
+            dataCollector.recordReplayLearning(this.bot.learningSystem.getPowerEffectiveness());
         }, 1500);
+        
+        // Real time moves the match clock on
+        this.matchClockInterval = setInterval(() => this.advanceMatchClock(), 50);
+        
+        if (this.replay) this.showNotification('🎬 Tekrar oynatılıyor', 'info');
+    }
+    
+    // Play a recorded bot game (dataCollector.getAllGames()) again: its seed gives the same
+    // boards and bot, and the player's recorded actions come back at their match times
+    replayBotGame(game) {
+        if (!game?.config?.isVsBot || game.config.seed == null || !game.replay?.actions) {
+            this.showNotification('Bu oyunun tekrarı yok', 'error');
+            return false;
+        }
+        
+        this.lastBotGame = game;
+        this.startBotGame(game.config.seed, {
+            ...game.replay,
+            difficulty: game.config.difficulty,
+            botDifficulty: game.config.botDifficulty
+        });
+        return true;
+    }
+    
+    // ==================== MATCH CLOCK ====================
+    
+    // Match time - the virtual clock in bot games, real time otherwise
+    now() {
+        return this.matchClock ? this.matchClock.now() : Date.now();
+    }
+    
+    setGameTimeout(fn, ms) {
+        return this.matchClock ? this.matchClock.setTimeout(fn, ms) : setTimeout(fn, ms);
+    }
+    
+    clearGameTimeout(id) {
+        if (this.matchClock) this.matchClock.clearTimeout(id);
+        else clearTimeout(id);
+    }
+    
+    // Bring the match clock up to real time, running the bot's timers on the way
+    // Replays apply each recorded action at exactly its match time
+    advanceMatchClock() {
+        if (!this.matchClock) return;
+        const target = Date.now() + this.matchClockOffset;
+        
+        if (this.replay) {
+            const actions = this.replay.actions;
+            while (!this.gameEnded && this.replay.next < actions.length &&
+                   this.matchStartTime + actions[this.replay.next].at <= target) {
+                const action = actions[this.replay.next++];
+                this.runMatchClockTo(this.matchStartTime + action.at);
+                if (!this.gameEnded) this.applyReplayAction(action);
+            }
+        }
+        
+        this.runMatchClockTo(target);
+    }
+    
+    // The clock stops where the match ended, so its length is the same in a replay
+    runMatchClockTo(time) {
+        while (!this.gameEnded && this.matchClock.runNext(time));
+        if (!this.gameEnded) this.matchClock.advanceTo(time);
+    }
+    
+    stopMatchClock() {
+        if (this.matchClockInterval) {
+            clearInterval(this.matchClockInterval);
+            this.matchClockInterval = null;
+        }
+    }
+    
+    // Every player action starts here: replays ignore input, bot games catch the clock up
+    // first so the bot's moves due before the action come before it
+    takePlayerInput() {
+        if (this.replay) return this.replay.applying;
+        this.advanceMatchClock();
+        return true;
+    }
+    
+    // Bot games: note an action the player's board took, at its match time
+    recordPlayerAction(action) {
+        if (!this.matchClock || this.replay) return;
+        dataCollector.recordReplayAction({ at: this.now() - this.matchStartTime, ...action });
+    }
+    
+    // Take a recorded action through the same path the player's input took
+    applyReplayAction(action) {
+        const cell = { x: action.x, y: action.y };
+        this.replay.applying = true;
+        
+        switch (action.type) {
+            case 'reveal':
+                if (this.ensurePlayerMines(cell.x, cell.y)) this.revealPlayerCell(cell);
+                break;
+            case 'chord':
+                this.handleChord(cell);
+                break;
+            case 'flag':
+                this.togglePlayerFlag(cell);
+                break;
+            case 'power':
+                this.usePower(action.power, action.cost);
+                break;
+        }
+        
+        this.replay.applying = false;
     }
 
     startMatchPolling(odaUserId, difficulty) {
         const playerName = this.pendingPlayerName || this.playerNameInput?.value || 'Player';
+        const rating = this.matchmakingRating || 1000;
+        let pollCount = 0;
         
         // Poll every 500ms for faster matching
         this.matchPollingInterval = setInterval(async () => {
             try {
+                // Refresh queue position / estimated wait every 2 seconds
+                if (pollCount++ % 4 === 0) {
+                    const queueStatus = await SupabaseClient.getQueueEstimate(odaUserId);
+                    if (queueStatus) this.updateQueueInfo(queueStatus);
+                }
+                
                 // Check if we got matched
                 const myStatus = await SupabaseClient.getMyQueueStatus(odaUserId);
                 
@@ -1145,15 +1223,22 @@ class GameClient {
                         }
                     }
                     
+                    // The host may have matched us into an adjacent difficulty
+                    const matchDifficulty = gameInfo?.difficulty || difficulty;
+                    
+                    await this.showRivalry(isPlayer1 ? gameInfo?.player2_id : gameInfo?.player1_id, opponentName);
+                    
                     // Start game with server-provided mine seed
                     this.startGame({
                         gameId: myStatus.match_id,
                         opponent: opponentName || '...',
-                        difficulty: difficulty,
-                        gridSize: gameInfo?.grid_size || CONFIG.DIFFICULTIES[difficulty].gridSize,
-                        mineCount: gameInfo?.mine_count || CONFIG.DIFFICULTIES[difficulty].mineCount,
+                        difficulty: matchDifficulty,
+                        gridSize: gameInfo?.grid_size || CONFIG.DIFFICULTIES[matchDifficulty].gridSize,
+                        mineCount: gameInfo?.mine_count || CONFIG.DIFFICULTIES[matchDifficulty].mineCount,
                         myName: playerName,
                         mineSeed: gameInfo?.mine_seed,
+                        mirrorBoard: gameInfo?.mirror_board,
+                        safeOpening: gameInfo?.safe_opening,
                         isPlayer1: isPlayer1,
                         waitingForOpponentName: !opponentName
                     });
@@ -1161,7 +1246,7 @@ class GameClient {
                 }
                 
                 // Check for waiting opponents
-                const opponent = await SupabaseClient.findMatch(difficulty, odaUserId);
+                const opponent = await SupabaseClient.findMatch(difficulty, odaUserId, rating);
                 
                 if (opponent) {
                     // Found opponent! We become the host
@@ -1169,24 +1254,29 @@ class GameClient {
                     this.isHost = true;
                     this.opponentId = opponent.user_id;
                     this.opponentName = opponent.username;
+                    const matchDifficulty = opponent.match_difficulty || difficulty;
                     
                     // Create game with player names and security
-                    const game = await SupabaseClient.createGame(odaUserId, opponent.user_id, difficulty, playerName, opponent.username);
+                    const game = await SupabaseClient.createGame(odaUserId, opponent.user_id, matchDifficulty, playerName, opponent.username);
                     this.gameId = game.id;
                     
                     // Update both players' queue status
                     await SupabaseClient.updateMatchStatus(null, odaUserId, 'matched', game.id);
                     await SupabaseClient.updateMatchStatus(null, opponent.user_id, 'matched', game.id);
                     
+                    await this.showRivalry(opponent.user_id);
+                    
                     // Start the game with mine seed
                     this.startGame({
                         gameId: game.id,
                         opponent: opponent.username,
-                        difficulty: difficulty,
-                        gridSize: game.gridSize || CONFIG.DIFFICULTIES[difficulty].gridSize,
-                        mineCount: game.mineCount || CONFIG.DIFFICULTIES[difficulty].mineCount,
+                        difficulty: matchDifficulty,
+                        gridSize: game.gridSize || CONFIG.DIFFICULTIES[matchDifficulty].gridSize,
+                        mineCount: game.mineCount || CONFIG.DIFFICULTIES[matchDifficulty].mineCount,
                         myName: playerName,
                         mineSeed: game.mineSeed,
+                        mirrorBoard: game.mirrorBoard,
+                        safeOpening: game.safeOpening,
                         isPlayer1: true
                     });
                 }
@@ -1196,7 +1286,38 @@ class GameClient {
         }, 500);
     }
 
+    /**
+     * Paired with someone you've played before: show your record on the matchmaking screen
+     * before the match starts. Both players see the same record, so both normally wait alike.
+     */
+    async showRivalry(opponentId, opponentName = this.opponentName) {
+        if (!this.user || !opponentId || opponentId.startsWith('guest_') || !this.rivalryInfo) return;
+        
+        // Don't hold up the match on a slow request
+        const h2h = await Promise.race([
+            SupabaseClient.getHeadToHead(this.user.id, opponentId),
+            new Promise(resolve => setTimeout(() => resolve(null), 1500))
+        ]);
+        if (!h2h || h2h.games === 0) return;
+        
+        this.rivalryInfo.textContent = `🔥 ${opponentName || 'Rakip'} ile ${h2h.games + 1}. karşılaşma! ` +
+            `Aranızdaki skor: ${h2h.wins}G ${h2h.draws}B ${h2h.losses}M`;
+        this.rivalryInfo.classList.remove('hidden');
+        await new Promise(resolve => setTimeout(resolve, CONFIG.RIVALRY_DISPLAY_TIME));
+    }
+
+    updateQueueInfo(status) {
+        if (!this.queueInfoDisplay) return;
+        
+        const wait = status.estimatedWait === null
+            ? 'Tahmini bekleme: bilinmiyor'
+            : `Tahmini bekleme: ~${Math.ceil(status.estimatedWait / 1000)}s`;
+        
+        this.queueInfoDisplay.textContent = `Sıra: #${status.position} • ${wait} • Rating aralığı: ±${status.ratingWindow}`;
+    }
+
     stopMatchPolling() {
+        if (this.queueInfoDisplay) this.queueInfoDisplay.textContent = '';
         if (this.matchPollingInterval) {
             clearInterval(this.matchPollingInterval);
             this.matchPollingInterval = null;
@@ -1264,10 +1385,28 @@ class GameClient {
         
         this.gameId = config.gameId;
         this.opponentName = config.opponent;
+        
+        // Only bot games run on the match clock
+        if (!this.isBotMode) {
+            this.stopMatchClock();
+            this.matchClock = null;
+            this.replay = null;
+        }
+        
+        // Realtime matches are scored by the database; bot games keep scoring locally
+        this.serverScoring = !config.isOffline && !this.isBotMode && !!config.gameId;
+        this.boardStarting = false;
+        this.serverMoveQueue = Promise.resolve();
+        this.pendingServerMoves = 0;
+        this.powerPending = false;
+        this.serverPendingCells = new Set(); // Cells whose move is still on its way to the server
+        this.serverCompletion = 0;
         this.myName = config.myName || this.playerNameInput?.value || 'Player';
         this.matchDuration = CONFIG.MATCH_DURATION;
-        this.matchStartTime = Date.now();
+        this.matchStartTime = this.now();
         this.minesGenerated = false;
+        this.playerClicks = 0; // Reveals, chords and flags - for click efficiency
+        this.botClicks = 0;
         
         const gridSize = config.gridSize || 10;
         const mineCount = config.mineCount || 20;
@@ -1276,10 +1415,15 @@ class GameClient {
         this.mineSeed = config.mineSeed;
         this.isPlayer1 = config.isPlayer1;
         
+        // Mirror boards need the seed and the shared opening to rebuild the same layout
+        this.mirrorBoard = !!(config.mirrorBoard && config.mineSeed && config.safeOpening);
+        this.safeOpening = this.mirrorBoard ? config.safeOpening : null;
+        
         console.log('[GAME] Starting game with config:', {
             gridSize,
             mineCount,
             mineSeed: this.mineSeed ? 'present' : 'none',
+            mirrorBoard: this.mirrorBoard,
             isPlayer1: this.isPlayer1
         });
         
@@ -1300,21 +1444,12 @@ class GameClient {
         // Track revealed cells to prevent duplicates
         this.revealedCells = new Set();
         
-        // Initialize power usage limits (max 3 uses per power per game)
-        this.powerUsesLeft = {
-            radar: 3,
-            safeburst: 3,
-            shield: 3,
-            freeze: 3
-        };
+        // Initialize power usage limits (max uses per power per game)
+        const maxUses = Rules.RULESET.powerMaxUses;
+        this.powerUsesLeft = { radar: maxUses, safeburst: maxUses, shield: maxUses, freeze: maxUses };
         
         // Bot's own power usage limits
-        this.botPowerUsesLeft = {
-            radar: 3,
-            safeburst: 3,
-            shield: 3,
-            freeze: 3
-        };
+        this.botPowerUsesLeft = { radar: maxUses, safeburst: maxUses, shield: maxUses, freeze: maxUses };
         
         console.log('[GAME] Initialized botPowerUsesLeft:', this.botPowerUsesLeft);
         
@@ -1323,6 +1458,10 @@ class GameClient {
         // Setup boards
         this.playerBoard?.setGridSize(gridSize);
         this.opponentBoard?.setGridSize(gridSize);
+        if (this.mirrorBoard) {
+            this.playerBoard?.setSafeOpening(this.safeOpening);
+            this.showNotification('Mirror board: both players face the same mines. Start from the green cell!', 'info');
+        }
         
         // Store mine count for later generation
         this.pendingMineCount = mineCount;
@@ -1341,17 +1480,29 @@ class GameClient {
         this.hideModal();
         this.startGameTimer();
         
+        // Bot games: time's up on the match clock, in order with the bot's moves
+        if (this.matchClock) {
+            this.setGameTimeout(() => this.endGame(false), this.matchDuration);
+        }
+        
         // ==================== VERİ TOPLAMA BAŞLAT ====================
-        dataCollector.startRecording({
-            gridSize: gridSize,
-            mineCount: mineCount,
-            difficulty: config.difficulty || 'medium',
-            matchDuration: this.matchDuration,
-            isVsBot: this.isBotMode,
-            botDifficulty: this.isBotMode ? this.selectedBotDifficulty : null,
-            playerName: this.myName,
-            opponentName: this.opponentName
-        });
+        // Tekrar izlenen oyun yeni bir oyun değil, kaydedilmez
+        if (this.replay) {
+            dataCollector.cancelRecording();
+        } else {
+            dataCollector.startRecording({
+                gridSize: gridSize,
+                mineCount: mineCount,
+                difficulty: config.difficulty || 'medium',
+                matchDuration: this.matchDuration,
+                isVsBot: this.isBotMode,
+                botDifficulty: this.isBotMode ? (this.selectedBotDifficulty || 'medium') : null,
+                seed: this.isBotMode ? this.botSeed : null,
+                startedAt: this.isBotMode ? this.matchStartTime : null,
+                playerName: this.myName,
+                opponentName: this.opponentName
+            });
+        }
         
         // Subscribe to game channel for real-time sync
         if (!config.isOffline) {
@@ -1383,7 +1534,8 @@ class GameClient {
                 // Receive opponent's final score and end game immediately
                 const data = payload.payload;
                 if (data.odaUserId !== this.odaUserId) {
-                    if (data.myFinalScore !== undefined) {
+                    // Server-scored matches settle both totals in showGameResult
+                    if (data.myFinalScore !== undefined && !this.serverScoring) {
                         this.opponentScore = data.myFinalScore;
                         this.updateScore(false); // Don't re-broadcast
                     }
@@ -1414,7 +1566,11 @@ class GameClient {
             .on('broadcast', { event: 'scoreUpdate' }, (payload) => {
                 // Real-time score sync
                 const data = payload.payload;
-                if (data.odaUserId !== this.odaUserId && data.score !== undefined) {
+                if (data.odaUserId === this.odaUserId) return;
+                if (this.serverScoring) {
+                    // The broadcast only says the score changed - read it from the server
+                    this.syncServerScores();
+                } else if (data.score !== undefined) {
                     this.opponentScore = data.score;
                     this.updateScore(false); // Don't re-broadcast
                 }
@@ -1497,7 +1653,7 @@ class GameClient {
         if (navTimer) navTimer.classList.remove('hidden');
         
         this.timerInterval = setInterval(() => {
-            const elapsed = Date.now() - this.matchStartTime;
+            const elapsed = this.now() - this.matchStartTime;
             const remaining = Math.max(0, this.matchDuration - elapsed);
             
             const mins = Math.floor(remaining / 60000);
@@ -1523,14 +1679,80 @@ class GameClient {
             if (remaining <= 0) {
                 clearInterval(this.timerInterval);
                 if (navTimer) navTimer.classList.add('hidden');
-                this.endGame(false); // Time's up, not a board completion
+                // Time's up, not a board completion - bot games end on the match clock instead
+                if (!this.matchClock) this.endGame(false);
             }
         }, 100);
     }
 
+    // Generate the player's mines on the first click
+    // Mirror boards rebuild the shared layout from the game seed instead, and
+    // both players have to start from its green safe opening
+    // Returns false while the server is still laying out a realtime match's board
+    ensurePlayerMines(x, y) {
+        if (this.playerBoard.mustOpenSafeCellFirst(x, y)) {
+            this.showNotification('Mirror board: start from the green cell', 'error');
+            return false;
+        }
+        if (this.minesGenerated) return true;
+        
+        if (this.serverScoring) {
+            this.startServerBoard(x, y);
+            return false;
+        }
+        
+        const mineCount = this.pendingMineCount || 20;
+        if (this.mirrorBoard) {
+            const { x: safeX, y: safeY } = this.safeOpening;
+            const mines = SupabaseClient.generateMinesFromSeed(this.mineSeed, this.pendingGridSize, mineCount, safeX, safeY);
+            this.playerBoard.setMinesFromPositions(mines);
+        } else {
+            this.playerBoard.generateMines(mineCount, x, y, this.isBotMode ? this.botRandom.playerBoard : Math.random);
+        }
+        this.minesGenerated = true;
+        return true;
+    }
+    
+    // Realtime matches: the server lays out the mines and keeps them, then the first click is played
+    async startServerBoard(x, y) {
+        if (this.boardStarting) return;
+        this.boardStarting = true;
+        
+        const result = await SupabaseClient.startSecureBoard(this.gameId, x, y);
+        this.boardStarting = false;
+        
+        if (!result?.success) {
+            this.showNotification('Tahta sunucudan alınamadı!', 'error');
+            return;
+        }
+        if (this.gameEnded || this.minesGenerated) return;
+        
+        this.minesGenerated = true;
+        this.revealPlayerCell({ x, y });
+    }
+    
+    // Open a hidden cell on the player's board and score it
+    // Realtime matches wait for the server's answer, so nothing is returned for them
+    revealPlayerCell(cell) {
+        this.audio.playClick();
+        this.recordPlayerAction({ type: 'reveal', x: cell.x, y: cell.y });
+        
+        if (this.serverScoring) {
+            this.playServerMove(cell, 'reveal');
+            return null;
+        }
+        
+        const revealed = this.playerBoard.revealCell(cell.x, cell.y);
+        this.playerBoard.render();
+        
+        return this.applyPlayerReveal(cell, revealed, 'reveal');
+    }
+
     // Handle cell reveal for drag-to-reveal feature
     handleCellReveal(e) {
-        if (this.isFrozen && Date.now() < this.frozenUntil) {
+        if (!this.takePlayerInput()) return;
+        
+        if (this.isFrozen && this.now() < this.frozenUntil) {
             if (!this.isDragging) this.showNotification('You are frozen!', 'error');
             return;
         }
@@ -1550,76 +1772,21 @@ class GameClient {
         // Track revealed cells to prevent double counting
         if (this.revealedCells?.has(cellKey)) return;
         
-        // Generate mines on first click
-        if (!this.minesGenerated) {
-            const mineCount = this.pendingMineCount || 20;
-            this.playerBoard.generateMines(mineCount, cell.x, cell.y);
-            this.minesGenerated = true;
-        }
-        
-        this.audio.playClick();
-        
-        const revealed = this.playerBoard.revealCell(cell.x, cell.y);
-        this.playerBoard.render();
-        
-        // Add revealed cells to set
-        revealed.forEach(c => {
-            this.revealedCells?.add(`${c.x},${c.y}`);
-        });
+        if (!this.ensurePlayerMines(cell.x, cell.y)) return;
         
-        // Calculate score
-        let points = 0;
-        let hitMine = false;
+        const result = this.revealPlayerCell(cell);
         
-        revealed.forEach(c => {
-            if (c.isMine) {
-                hitMine = true;
-                if (this.hasShield) {
-                    this.hasShield = false;
-                    this.shieldIndicator?.classList.add('hidden');
-                    this.showPointsChange('Shield!', 'success');
-                    if (this.shieldTimeout) {
-                        clearTimeout(this.shieldTimeout);
-                        this.shieldTimeout = null;
-                    }
-                    const notification = document.getElementById('power-notification');
-                    if (notification) notification.classList.remove('show');
-                    this.broadcastPower('shieldBroken', {});
-                } else {
-                    points -= 30;
-                }
-            } else {
-                points += 5;
-            }
-        });
-        
-        this.score = Math.max(0, this.score + points);
-        this.updateScore();
-        this.updatePowerButtons();
-        
-        // Update player completion for bot AI analysis
-        this.playerCompletion = this.calculatePlayerCompletion();
-        
-        if (hitMine && !this.hasShield) {
-            this.mineHitCount++;
-            this.audio.playMine();
-            this.showPointsChange('-30', 'error');
-            // Stop dragging when hit mine
+        // Stop dragging when hit mine
+        if (result?.damage > 0) {
             this.isDragging = false;
             this.lastDragCell = null;
-        } else if (points > 0) {
-            this.audio.playReveal(revealed.length);
         }
-        
-        // Broadcast move
-        this.broadcastMove({ x: cell.x, y: cell.y, revealed, score: this.score });
-        
-        // Check win condition: 3 or fewer mine hits AND board completed
-        this.checkPlayerWinCondition();
     }
 
     handleCellClick(e) {
-        if (this.isFrozen && Date.now() < this.frozenUntil) {
+        if (!this.takePlayerInput()) return;
+        
+        if (this.isFrozen && this.now() < this.frozenUntil) {
             this.showNotification('You are frozen!', 'error');
             return;
         }
@@ -1627,63 +1794,122 @@ class GameClient {
         const cell = this.playerBoard?.getCellFromClick(e);
         if (!cell) return;
         
-        if (this.playerBoard.grid[cell.y][cell.x].isRevealed) return;
+        // Clicking (or double-clicking) a revealed number chords it
+        if (this.playerBoard.grid[cell.y][cell.x].isRevealed) {
+            this.handleChord(cell);
+            return;
+        }
         if (this.playerBoard.grid[cell.y][cell.x].isFlagged) return;
         
         // Track revealed cells to prevent double counting
         const cellKey = `${cell.x},${cell.y}`;
         if (this.revealedCells?.has(cellKey)) return;
         
-        // Generate mines on first click (classic random - fair and fun)
-        if (!this.minesGenerated) {
-            const mineCount = this.pendingMineCount || 20;
-            this.playerBoard.generateMines(mineCount, cell.x, cell.y);
-            this.minesGenerated = true;
+        if (!this.ensurePlayerMines(cell.x, cell.y)) return;
+        
+        this.revealPlayerCell(cell);
+    }
+
+    // Open all other neighbours of a revealed number whose flags match it
+    handleChord(cell) {
+        if (!this.takePlayerInput()) return;
+        
+        if (this.isFrozen && this.now() < this.frozenUntil) {
+            this.showNotification('You are frozen!', 'error');
+            return;
         }
         
+        if (!this.playerBoard?.canChord(cell.x, cell.y)) return;
+        
         this.audio.playClick();
+        this.recordPlayerAction({ type: 'chord', x: cell.x, y: cell.y });
         
-        const revealed = this.playerBoard.revealCell(cell.x, cell.y);
+        if (this.serverScoring) {
+            this.playServerMove(cell, 'chord');
+            return;
+        }
+        
+        const revealed = this.playerBoard.chordCell(cell.x, cell.y);
         this.playerBoard.render();
         
+        this.applyPlayerReveal(cell, revealed, 'chord');
+    }
+
+    // Realtime matches: only the server knows the mines, so it opens the cells and
+    // the board shows what comes back
+    playServerMove(cell, moveType) {
+        const cellKey = `${cell.x},${cell.y}`;
+        if (this.serverPendingCells.has(cellKey)) return;
+        this.serverPendingCells.add(cellKey);
+        
+        this.queueServerRequest(() => SupabaseClient.makeSecureMove(this.gameId, cell.x, cell.y, moveType))
+            .then(result => {
+                this.serverPendingCells.delete(cellKey);
+                if (!result?.success) {
+                    console.warn('[SERVER] Move rejected:', moveType, cell.x, cell.y, result?.error);
+                    return;
+                }
+                if (this.gameEnded) return;
+                
+                const revealed = this.toBoardCells(result.cells);
+                this.playerBoard.revealCells(revealed);
+                this.serverCompletion = result.completion;
+                this.applyPlayerReveal(cell, revealed, moveType, result);
+                
+                // Stop dragging when hit mine
+                if (result.hit_mine) {
+                    this.isDragging = false;
+                    this.lastDragCell = null;
+                }
+            });
+    }
+    
+    // Server cells come back as { x, y, is_mine, neighbor_count }
+    toBoardCells(cells) {
+        return (cells || []).map(c => ({ x: c.x, y: c.y, isMine: c.is_mine, neighborCount: c.neighbor_count }));
+    }
+
+    // Score cells opened by a reveal or chord, then record and broadcast the move
+    // serverResult is the server's scoring of the move in realtime matches
+    applyPlayerReveal(cell, revealed, moveType, serverResult = null) {
+        this.playerClicks++;
+        
         // Add revealed cells to set
         revealed.forEach(c => {
             this.revealedCells?.add(`${c.x},${c.y}`);
         });
         
-        // Calculate score
-        let points = 0;
-        let hitMine = false;
-        
-        revealed.forEach(c => {
-            if (c.isMine) {
-                hitMine = true;
-                if (this.hasShield) {
-                    this.hasShield = false;
-                    this.shieldIndicator?.classList.add('hidden');
-                    this.showPointsChange('Shield!', 'success');
-                    // Clear shield timeout
-                    if (this.shieldTimeout) {
-                        clearTimeout(this.shieldTimeout);
-                        this.shieldTimeout = null;
-                    }
-                    // Clear power notification
-                    const notification = document.getElementById('power-notification');
-                    if (notification) {
-                        notification.classList.remove('show');
-                    }
-                    // Notify opponent that shield is broken
-                    this.broadcastPower('shieldBroken', {});
-                } else {
-                    points -= 30;
-                }
-            } else {
-                // Every revealed cell gives 5 points
-                points += 5;
+        // Calculate score - a chord over a wrong flag can hit more than one mine
+        const result = serverResult ? {
+            points: serverResult.points,
+            hitMine: serverResult.hit_mine,
+            minesHit: serverResult.mines_hit,
+            shieldUsed: serverResult.shield_used,
+            damage: serverResult.damage
+        } : Rules.scoreReveal(revealed, this.hasShield);
+        const { points, hitMine } = result;
+        const minesHit = result.minesHit - (result.shieldUsed ? 1 : 0); // Mines that cost points
+        
+        if (result.shieldUsed) {
+            this.hasShield = false;
+            this.shieldIndicator?.classList.add('hidden');
+            this.showPointsChange('Shield!', 'success');
+            // Clear shield timeout
+            if (this.shieldTimeout) {
+                this.clearGameTimeout(this.shieldTimeout);
+                this.shieldTimeout = null;
             }
-        });
+            // Clear power notification
+            const notification = document.getElementById('power-notification');
+            if (notification) {
+                notification.classList.remove('show');
+            }
+            // Notify opponent that shield is broken
+            this.broadcastPower('shieldBroken', {});
+        }
         
-        this.score = Math.max(0, this.score + points);
+        // The server's total has already replaced the score when its answer came back
+        if (!serverResult) this.score = Rules.applyScore(this.score, points);
         this.updateScore();
         this.updatePowerButtons();
         
@@ -1693,11 +1919,11 @@ class GameClient {
         // ==================== VERİ KAYDET ====================
         dataCollector.recordMove({
             player: 'player1',
-            type: 'reveal',
+            type: moveType,
             x: cell.x,
             y: cell.y,
             result: hitMine ? 'mine' : (revealed.length > 1 ? 'cascade' : 'safe'),
-            cellValue: hitMine ? -1 : (this.playerBoard.grid[cell.y][cell.x].neighborCount || 0),
+            cellValue: hitMine && moveType === 'reveal' ? -1 : (this.playerBoard.grid[cell.y][cell.x].neighborCount || 0),
             cellsRevealed: revealed.length,
             scoreBefore: this.score - points,
             scoreChange: points,
@@ -1708,10 +1934,10 @@ class GameClient {
             board: this.playerBoard
         });
         
-        if (hitMine && !this.hasShield) {
-            this.mineHitCount++;
+        if (minesHit > 0) {
+            this.mineHitCount += minesHit;
             this.audio.playMine();
-            this.showPointsChange('-30', 'error');
+            this.showPointsChange(`-${result.damage}`, 'error');
         } else if (points > 0) {
             this.audio.playReveal(revealed.length);
         }
@@ -1719,7 +1945,7 @@ class GameClient {
         // ==================== BOT'A OYUNCU HAMLESİNİ BİLDİR ====================
         if (this.isBotMode && this.bot && typeof this.bot.watchPlayerMove === 'function') {
             this.bot.watchPlayerMove({
-                type: 'reveal',
+                type: moveType,
                 x: cell.x,
                 y: cell.y,
                 result: hitMine ? 'mine' : (revealed.length > 1 ? 'cascade' : 'safe'),
@@ -1730,23 +1956,38 @@ class GameClient {
             });
         }
         
-        // Broadcast move
-        this.broadcastMove({ x: cell.x, y: cell.y, revealed, score: this.score });
+        // Broadcast move - mirror boards share one layout, so only the score and progress go out
+        this.broadcastMove(this.mirrorBoard
+            ? { score: this.score, completion: this.playerCompletion }
+            : { x: cell.x, y: cell.y, revealed, score: this.score });
         
         // Check win condition: 3 or fewer mine hits AND board completed
         this.checkPlayerWinCondition();
+        
+        return result;
     }
 
     handleRightClick(e) {
-        if (this.isFrozen && Date.now() < this.frozenUntil) return;
+        if (!this.takePlayerInput()) return;
+        if (this.isFrozen && this.now() < this.frozenUntil) return;
         const cell = this.playerBoard?.getCellFromClick(e);
         if (!cell) return;
         if (this.playerBoard.grid[cell.y][cell.x].isRevealed) return;
+        // The server keeps the flags, so they wait until it has laid out the board
+        if (this.serverScoring && !this.minesGenerated) return;
         
+        this.togglePlayerFlag(cell);
+    }
+    
+    // Flag or unflag a hidden cell on the player's board
+    togglePlayerFlag(cell) {
         const cellData = this.playerBoard.grid[cell.y][cell.x];
         cellData.isFlagged = !cellData.isFlagged;
+        this.playerClicks++;
         this.playerBoard.render();
         this.audio.playClick();
+        this.recordPlayerAction({ type: 'flag', x: cell.x, y: cell.y });
+        this.submitMove(cellData.isFlagged ? 'flag' : 'unflag', cell.x, cell.y);
         
         // ==================== BOT'A BAYRAK HAMLESİNİ BİLDİR ====================
         if (this.isBotMode && this.bot && typeof this.bot.watchPlayerMove === 'function') {
@@ -1772,7 +2013,11 @@ class GameClient {
         if (this.gameEnded) return;
         
         // Check if board is completed (all safe cells revealed)
-        if (this.playerBoard.checkBoardCompleted()) {
+        // Realtime matches can't count the safe cells themselves, the server reports the completion
+        const completed = this.serverScoring
+            ? this.serverCompletion >= Rules.RULESET.completionThreshold
+            : this.playerBoard.checkBoardCompleted();
+        if (completed) {
             console.log('[WIN] Player completed board!');
             this.playerCompletedBoard = true;
             
@@ -1825,7 +2070,9 @@ class GameClient {
     // ==================== MOBILE SUPPORT ====================
     
     handleMobileTap(e) {
-        if (this.isFrozen && Date.now() < this.frozenUntil) {
+        if (!this.takePlayerInput()) return;
+        
+        if (this.isFrozen && this.now() < this.frozenUntil) {
             this.showNotification('Donmuş durumdasınız!', 'error');
             return;
         }
@@ -1834,7 +2081,7 @@ class GameClient {
         if (!cell) return;
         
         const cellData = this.playerBoard.grid[cell.y][cell.x];
-        if (cellData.isRevealed) return;
+        if (cellData.isRevealed && !this.playerBoard.canChord(cell.x, cell.y)) return;
         
         // Store selected cell
         this.selectedCell = cell;
@@ -1845,12 +2092,19 @@ class GameClient {
     
     showMobileMenu() {
         // Check freeze status before showing menu
-        if (this.isFrozen && Date.now() < this.frozenUntil) {
+        if (this.isFrozen && this.now() < this.frozenUntil) {
             this.showNotification('Donmuş durumdasınız!', 'error');
             return;
         }
         
         if (!this.mobileActionMenu) return;
+        
+        // Revealed numbers can only be chorded; hidden cells can be dug or flagged
+        const isRevealed = this.playerBoard.grid[this.selectedCell.y][this.selectedCell.x].isRevealed;
+        document.getElementById('mobile-dig-btn')?.classList.toggle('hidden', isRevealed);
+        document.getElementById('mobile-flag-btn')?.classList.toggle('hidden', isRevealed);
+        document.getElementById('mobile-chord-btn')?.classList.toggle('hidden', !isRevealed);
+        
         this.mobileActionMenu.classList.remove('hidden');
         
         // Highlight selected cell
@@ -1894,8 +2148,10 @@ class GameClient {
     }
     
     mobileDigAction() {
+        if (!this.takePlayerInput()) return;
+        
         // Check freeze status
-        if (this.isFrozen && Date.now() < this.frozenUntil) {
+        if (this.isFrozen && this.now() < this.frozenUntil) {
             this.showNotification('Donmuş durumdasınız!', 'error');
             this.hideMobileMenu();
             return;
@@ -1914,71 +2170,31 @@ class GameClient {
             return;
         }
         
-        // Generate mines on first click (classic random - fair and fun)
-        if (!this.minesGenerated) {
-            const mineCount = this.pendingMineCount || 20;
-            this.playerBoard.generateMines(mineCount, cell.x, cell.y);
-            this.minesGenerated = true;
-        }
+        this.selectedCell = null;
         
         // Reveal the cell directly
-        const revealed = this.playerBoard.revealCell(cell.x, cell.y);
-        this.playerBoard.render();
-        
-        // Add revealed cells to set
-        revealed.forEach(c => {
-            this.revealedCells?.add(`${c.x},${c.y}`);
-        });
-        
-        // Calculate score
-        let points = 0;
-        let hitMine = false;
-        
-        revealed.forEach(c => {
-            if (c.isMine) {
-                hitMine = true;
-                if (this.hasShield) {
-                    this.hasShield = false;
-                    this.shieldIndicator?.classList.add('hidden');
-                    this.showPointsChange('Shield!', 'success');
-                    if (this.shieldTimeout) {
-                        clearTimeout(this.shieldTimeout);
-                        this.shieldTimeout = null;
-                    }
-                    const notification = document.getElementById('power-notification');
-                    if (notification) notification.classList.remove('show');
-                    this.broadcastPower('shieldBroken', {});
-                } else {
-                    points -= 30;
-                }
-            } else {
-                points += 5;
-            }
-        });
-        
-        this.score = Math.max(0, this.score + points);
-        this.updateScore();
-        this.updatePowerButtons();
-        
-        if (hitMine && !this.hasShield) {
-            this.mineHitCount++;
-            this.audio.playMine();
-            this.showPointsChange('-30', 'error');
-        } else if (points > 0) {
-            this.audio.playReveal(revealed.length);
-        }
+        if (!this.ensurePlayerMines(cell.x, cell.y)) return;
         
-        this.broadcastMove({ x: cell.x, y: cell.y, revealed, score: this.score });
-        
-        // Check win condition: 3 or fewer mine hits AND board completed
-        this.checkPlayerWinCondition();
+        this.revealPlayerCell(cell);
+    }
+    
+    mobileChordAction() {
+        if (!this.selectedCell) return;
         
+        const cell = this.selectedCell;
+        this.removeHighlight();
+        this.mobileActionMenu?.classList.add('hidden');
         this.selectedCell = null;
+        
+        // handleChord checks the freeze itself
+        this.handleChord(cell);
     }
     
     mobileFlagAction() {
+        if (!this.takePlayerInput()) return;
+        
         // Check freeze status
-        if (this.isFrozen && Date.now() < this.frozenUntil) {
+        if (this.isFrozen && this.now() < this.frozenUntil) {
             this.showNotification('Donmuş durumdasınız!', 'error');
             this.hideMobileMenu();
             return;
@@ -1989,16 +2205,8 @@ class GameClient {
         const cell = this.selectedCell;
         const cellData = this.playerBoard.grid[cell.y][cell.x];
         
-        if (!cellData.isRevealed) {
-            cellData.isFlagged = !cellData.isFlagged;
-            this.playerBoard.render();
-            this.audio.playClick();
-            
-            // Broadcast flag to opponent
-            this.broadcastFlag(cell.x, cell.y, cellData.isFlagged);
-            
-            // Check win condition
-            this.checkPlayerWinCondition();
+        if (!cellData.isRevealed && (this.minesGenerated || !this.serverScoring)) {
+            this.togglePlayerFlag(cell);
         }
         
         this.removeHighlight();
@@ -2012,14 +2220,23 @@ class GameClient {
             return; // Ignore our own moves
         }
         
-        this.opponentScore = data.score;
-        this.updateScore();
+        // Realtime matches only trust the server's totals
+        if (this.serverScoring) {
+            this.syncServerScores();
+        } else {
+            this.opponentScore = data.score;
+            this.updateScore();
+        }
         
         if (data.revealed && this.opponentBoard) {
             this.opponentBoard.revealCells(data.revealed);
         }
         
-        // Update completion bar
+        // Update completion bar (mirror boards send the completion instead of the cells)
+        if (data.completion !== undefined) {
+            if (this.opponentCompletion) this.opponentCompletion.style.width = `${data.completion}%`;
+            return;
+        }
         const totalCells = this.opponentBoard.gridSize * this.opponentBoard.gridSize;
         const revealedCount = data.revealed?.length || 0;
         if (this.opponentCompletion) {
@@ -2079,7 +2296,8 @@ class GameClient {
     }
     
     broadcastFlag(x, y, isFlagged) {
-        if (this.gameChannel) {
+        // Mirror boards share one layout - a flag would mark the mine on the rival's board too
+        if (this.gameChannel && !this.mirrorBoard) {
             this.gameChannel.send({
                 type: 'broadcast',
                 event: 'flag',
@@ -2115,9 +2333,91 @@ class GameClient {
         }
     }
 
+    // ==================== SERVER SCORING ====================
+    
+    // Realtime matches: send a flag or unflag to the server
+    submitMove(moveType, x, y) {
+        if (!this.serverScoring) return;
+        
+        this.queueServerRequest(() => SupabaseClient.makeSecureMove(this.gameId, x, y, moveType))
+            .then(result => {
+                if (!result?.success) console.warn('[SERVER] Move rejected:', moveType, x, y, result?.error);
+            });
+    }
+    
+    // Server requests run one at a time so they land in the order they were played.
+    // Once none are in flight, the server's total replaces the locally predicted score.
+    queueServerRequest(request) {
+        this.pendingServerMoves++;
+        
+        const queued = this.serverMoveQueue
+            .then(request)
+            .catch(error => ({ success: false, error: error.message }))
+            .then(result => {
+                this.pendingServerMoves--;
+                if (this.pendingServerMoves === 0 && !this.gameEnded) {
+                    if (result?.success) {
+                        this.score = result.total_score;
+                        this.updateScore(); // Also tells the opponent to re-read the totals
+                        this.updatePowerButtons();
+                    } else {
+                        this.syncServerScores();
+                    }
+                }
+                return result;
+            });
+        
+        this.serverMoveQueue = queued;
+        return queued;
+    }
+    
+    // Read both totals from the server; bursts of calls share a single request
+    syncServerScores() {
+        if (!this.serverScoring || this.scoreSyncTimer) return;
+        
+        this.scoreSyncTimer = setTimeout(async () => {
+            this.scoreSyncTimer = null;
+            const scores = await SupabaseClient.getServerScores(this.gameId);
+            if (scores && !this.gameEnded) this.applyServerScores(scores);
+        }, 300);
+    }
+    
+    applyServerScores(scores) {
+        const isPlayer1 = scores.player1_id === this.odaUserId;
+        
+        // While our own moves are in flight the server total is behind; the queue settles it
+        if (this.pendingServerMoves === 0) {
+            this.score = isPlayer1 ? scores.player1_server_score : scores.player2_server_score;
+        }
+        this.opponentScore = isPlayer1 ? scores.player2_server_score : scores.player1_server_score;
+        this.updateScore(false);
+        this.updatePowerButtons();
+    }
+    
+    // Realtime matches: wait for our last moves to land, then take the result from the server
+    async settleServerResult() {
+        await this.serverMoveQueue;
+        
+        const result = await SupabaseClient.endSecureGame(this.gameId);
+        if (!result?.success) {
+            console.warn('[SERVER] Could not settle result:', result?.error);
+            return null;
+        }
+        
+        this.applyServerScores({
+            player1_id: result.player1_id,
+            player2_id: result.player2_id,
+            player1_server_score: result.player1_score,
+            player2_server_score: result.player2_score
+        });
+        return result;
+    }
+
     usePower(power, cost) {
+        if (!this.takePlayerInput()) return;
+        
         // Check if frozen
-        if (this.isFrozen && Date.now() < this.frozenUntil) {
+        if (this.isFrozen && this.now() < this.frozenUntil) {
             this.showNotification('Dondurulduğunuz için güç kullanamazsınız!', 'error');
             return;
         }
@@ -2133,6 +2433,20 @@ class GameClient {
             return;
         }
         
+        // Check if opponent has shield - before anything is spent
+        if (power === 'freeze' && this.opponentHasShield && this.now() < this.opponentShieldUntil) {
+            this.showNotification('❌ Rakip kalkanlı! Saldırı yapamazsın!', 'error');
+            return;
+        }
+        
+        // Realtime matches: the server checks and charges the power
+        if (this.serverScoring) {
+            this.useServerPower(power);
+            return;
+        }
+        
+        this.recordPlayerAction({ type: 'power', power, cost });
+        
         // Deduct power usage
         this.powerUsesLeft[power]--;
         this.updatePowerButtonsUsage();
@@ -2140,12 +2454,39 @@ class GameClient {
         this.score -= cost;
         this.updateScore();
         this.updatePowerButtons();
+        
+        this.activatePower(power);
+    }
+    
+    async useServerPower(power) {
+        if (this.powerPending) return;
+        this.powerPending = true;
+        
+        const result = await this.queueServerRequest(() =>
+            SupabaseClient.makeSecureMove(this.gameId, 0, 0, 'power', power));
+        this.powerPending = false;
+        
+        if (!result?.success) {
+            this.showNotification(`${power.toUpperCase()}: ${result?.error || 'Sunucu hatası'}`, 'error');
+            return;
+        }
+        if (this.gameEnded) return;
+        
+        this.powerUsesLeft[power] = result.uses_left;
+        this.updatePowerButtonsUsage();
+        this.updatePowerButtons();
+        
+        this.activatePower(power, result);
+    }
+    
+    // Play a power's effect; serverResult carries what the server picked (radar mines, burst cells)
+    activatePower(power, serverResult = null) {
         this.audio.playPower();
         
         switch (power) {
             case 'radar':
                 // Show only unflagged mines (max 3)
-                const unflaggedMines = this.playerBoard.mines.filter(m => {
+                const unflaggedMines = serverResult ? serverResult.mines : this.playerBoard.mines.filter(m => {
                     const cell = this.playerBoard.grid[m.y][m.x];
                     return !cell.isFlagged && !cell.isRevealed;
                 }).slice(0, 3);
@@ -2161,40 +2502,31 @@ class GameClient {
                 break;
                 
             case 'safeburst':
-                // Find all safe unrevealed cells
-                const allSafeCells = [];
-                for (let y = 0; y < this.playerBoard.gridSize; y++) {
-                    for (let x = 0; x < this.playerBoard.gridSize; x++) {
-                        const cell = this.playerBoard.grid[y][x];
-                        if (!cell.isRevealed && !cell.isMine) {
-                            allSafeCells.push({ x, y });
-                        }
-                    }
+                let burstPoints, revealedCells;
+                if (serverResult) {
+                    revealedCells = this.toBoardCells(serverResult.cells);
+                    burstPoints = serverResult.points;
+                    this.playerBoard.revealCells(revealedCells);
+                    this.serverCompletion = serverResult.completion;
+                } else {
+                    const random = this.isBotMode ? this.botRandom.playerPowers : Math.random;
+                    ({ points: burstPoints, revealedCells } = this.playerBoard.safeBurst(5, random));
+                    this.score = Rules.applyScore(this.score, burstPoints);
+                    this.updateScore();
                 }
-                
-                // Shuffle and pick random 5 cells
-                const shuffled = allSafeCells.sort(() => Math.random() - 0.5);
-                const safeCells = shuffled.slice(0, 5);
-                
-                let burstPoints = 0;
-                safeCells.forEach(c => {
-                    const revealed = this.playerBoard.revealCell(c.x, c.y);
-                    revealed.forEach(r => {
-                        if (!r.isMine) burstPoints += r.neighborCount > 0 ? r.neighborCount : 1;
-                    });
-                });
-                this.playerBoard.render();
-                this.score += burstPoints;
-                this.updateScore();
+                revealedCells.forEach(c => this.revealedCells?.add(`${c.x},${c.y}`));
                 this.showPowerNotificationSimple('safeburst', `+${burstPoints} puan kazanıldı!`);
                 
-                // Broadcast burst usage with revealed cells
-                this.broadcastPower('safeburst', { points: burstPoints, revealed: safeCells });
+                // Broadcast burst usage with revealed cells (not on mirror boards, which share one layout)
+                this.broadcastPower('safeburst', this.mirrorBoard
+                    ? { points: burstPoints }
+                    : { points: burstPoints, revealed: revealedCells });
+                this.checkPlayerWinCondition();
                 break;
                 
             case 'shield':
                 this.hasShield = true;
-                this.shieldUntil = Date.now() + 10000; // 10 seconds
+                this.shieldUntil = this.now() + 10000; // 10 seconds
                 this.shieldIndicator?.classList.remove('hidden');
                 
                 // Broadcast shield to opponent (they can't attack for 10 seconds)
@@ -2204,8 +2536,8 @@ class GameClient {
                 this.showPowerNotification('shield', 10000);
                 
                 // Auto-deactivate shield after 10 seconds
-                if (this.shieldTimeout) clearTimeout(this.shieldTimeout);
-                this.shieldTimeout = setTimeout(() => {
+                if (this.shieldTimeout) this.clearGameTimeout(this.shieldTimeout);
+                this.shieldTimeout = this.setGameTimeout(() => {
                     if (this.hasShield) {
                         this.hasShield = false;
                         this.shieldIndicator?.classList.add('hidden');
@@ -2214,16 +2546,6 @@ class GameClient {
                 break;
                 
             case 'freeze':
-                // Check if opponent has shield
-                if (this.opponentHasShield && Date.now() < this.opponentShieldUntil) {
-                    this.showNotification('❌ Rakip kalkanlı! Saldırı yapamazsın!', 'error');
-                    // Refund the cost
-                    this.score += cost;
-                    this.updateScore();
-                    this.updatePowerButtons();
-                    return;
-                }
-                
                 // If bot mode, freeze the bot directly
                 if (this.isBotMode && this.bot) {
                     this.bot.freeze(5000);
@@ -2240,12 +2562,12 @@ class GameClient {
 
     handleFrozen(duration) {
         this.isFrozen = true;
-        this.frozenUntil = Date.now() + duration;
+        this.frozenUntil = this.now() + duration;
         this.playerFrozenOverlay?.classList.remove('hidden');
         this.showNotification('You are frozen!', 'error');
         
         const updateTimer = () => {
-            const remaining = Math.max(0, this.frozenUntil - Date.now());
+            const remaining = Math.max(0, this.frozenUntil - this.now());
             if (this.frozenTimerDisplay) {
                 this.frozenTimerDisplay.textContent = `${Math.ceil(remaining / 1000)}s`;
             }
@@ -2446,7 +2768,7 @@ class GameClient {
         if (!this.botBoard.mines || this.botBoard.mines.length === 0) {
             const mineCount = this.pendingMineCount || 20;
             console.log('[BOT MOVE] Generating mines for bot board:', mineCount);
-            this.botBoard.generateMines(mineCount, x, y);
+            this.botBoard.generateMines(mineCount, x, y, this.botRandom.botBoard);
         }
         
         const revealed = this.botBoard.revealCell(x, y);
@@ -2454,35 +2776,54 @@ class GameClient {
         
         console.log('[BOT MOVE] Revealed cells:', revealed?.length || 0);
         
-        // Calculate bot score - same as player: +5 for each revealed safe cell, -30 for mine
-        let points = 0;
-        let hitMine = false;
+        return this.applyBotReveal(x, y, revealed, 'reveal');
+    }
+    
+    // Bot chords a revealed number whose flags match it
+    makeBotChord(x, y) {
+        if (!this.isBotMode || !this.botBoard || this.gameEnded) return;
         
-        // Count all revealed cells (like player scoring)
-        if (revealed && revealed.length > 0) {
-            revealed.forEach(c => {
-                if (c.isMine) {
-                    hitMine = true;
-                    points -= 30;
-                } else {
-                    points += 5;
-                }
-            });
+        // Check if bot is frozen
+        if (this.opponentFreezeUntil && this.now() < this.opponentFreezeUntil) {
+            return;
         }
         
+        if (!this.botBoard.canChord(x, y)) return;
+        
+        const revealed = this.botBoard.chordCell(x, y);
+        this.botBoard.render();
+        
+        console.log('[BOT CHORD] Revealed cells:', revealed.length);
+        
+        return this.applyBotReveal(x, y, revealed, 'chord');
+    }
+    
+    // Score cells the bot opened, same rules as the player
+    applyBotReveal(x, y, revealed, moveType) {
+        this.botClicks++;
+        
+        // Calculate bot score - same rules as the player
+        // (a chord over a wrong flag can hit more than one mine)
+        const { points, hitMine, minesHit, shieldUsed } = Rules.scoreReveal(revealed || [], this.opponentHasShield);
+        
         console.log('[BOT MOVE] Points:', points, 'Hit mine:', hitMine);
         
-        this.opponentScore = Math.max(0, this.opponentScore + points);
+        // The bot's shield absorbs one mine, like the player's
+        if (shieldUsed) {
+            this.opponentHasShield = false;
+        }
+        
+        this.opponentScore = Rules.applyScore(this.opponentScore, points);
         this.updateScore();
         
         // ==================== BOT HAMLESİ VERİ KAYDET ====================
         dataCollector.recordMove({
             player: 'player2',  // Bot
-            type: 'reveal',
+            type: moveType,
             x: x,
             y: y,
             result: hitMine ? 'mine' : (revealed.length > 1 ? 'cascade' : 'safe'),
-            cellValue: hitMine ? -1 : (this.botBoard.grid[y][x].neighborCount || 0),
+            cellValue: hitMine && moveType === 'reveal' ? -1 : (this.botBoard.grid[y][x].neighborCount || 0),
             cellsRevealed: revealed.length,
             scoreBefore: this.opponentScore - points,
             scoreChange: points,
@@ -2495,7 +2836,7 @@ class GameClient {
         });
         
         if (hitMine) {
-            this.opponentMineHitCount++;
+            this.opponentMineHitCount += minesHit - (shieldUsed ? 1 : 0); // Mines that cost points
             this.audio.playMine();
         } else if (points > 0) {
             this.audio.playReveal(revealed.length);
@@ -2503,13 +2844,15 @@ class GameClient {
         
         // Check if bot completed board (3 or fewer mine hits AND board completed)
         this.checkBotWinCondition();
+        
+        return { hitMine, points, cellsRevealed: revealed.length };
     }
     
     makeBotFlag(x, y) {
         if (!this.isBotMode || !this.botBoard || this.gameEnded) return;
         
         // Check if bot is frozen
-        if (this.opponentFreezeUntil && Date.now() < this.opponentFreezeUntil) {
+        if (this.opponentFreezeUntil && this.now() < this.opponentFreezeUntil) {
             return;
         }
         
@@ -2520,6 +2863,7 @@ class GameClient {
         
         // Flag the cell
         cell.isFlagged = true;
+        this.botClicks++;
         this.botBoard.render();
         
         // Play flag sound (use cell click as fallback)
@@ -2542,6 +2886,7 @@ class GameClient {
         
         // Remove the flag
         cell.isFlagged = false;
+        this.botClicks++;
         this.botBoard.render();
         
         console.log('[BOT] Unflagged cell at:', x, y);
@@ -2616,7 +2961,7 @@ class GameClient {
             this.showNotification('🎉 Sen kazandın!', 'success');
         }
         
-        setTimeout(() => {
+        this.setGameTimeout(() => {
             this.endGame(!botWins && !isDraw);
         }, 500);
     }
@@ -2669,18 +3014,18 @@ class GameClient {
         if (power === 'freeze') {
             // Bot freezes the player - 5 second freeze
             this.isFrozen = true;
-            this.frozenUntil = Date.now() + 5000;
+            this.frozenUntil = this.now() + 5000;
             this.handleFrozen(5000);
             this.showPowerNotificationSimple('freeze', 'Bot seni dondurdu!');
             console.log('[BOT POWER] Freeze applied - player frozen until:', new Date(this.frozenUntil));
         } else if (power === 'shield') {
             // Bot gets shield
             this.opponentHasShield = true;
-            this.opponentShieldUntil = Date.now() + 30000;
+            this.opponentShieldUntil = this.now() + 30000;
             this.showOpponentPowerEffect('shield');
             console.log('[BOT POWER] Shield applied to bot');
             
-            setTimeout(() => {
+            this.setGameTimeout(() => {
                 this.opponentHasShield = false;
             }, 30000);
         } else if (power === 'radar') {
@@ -2689,13 +3034,13 @@ class GameClient {
             if (this.botBoard && (!this.botBoard.mines || this.botBoard.mines.length === 0)) {
                 const mineCount = this.pendingMineCount || 20;
                 console.log('[BOT POWER] Radar - generating mines first:', mineCount);
-                const randX = Math.floor(Math.random() * this.botBoard.gridSize);
-                const randY = Math.floor(Math.random() * this.botBoard.gridSize);
-                this.botBoard.generateMines(mineCount, randX, randY);
+                const randX = Math.floor(this.botRandom.botPowers() * this.botBoard.gridSize);
+                const randY = Math.floor(this.botRandom.botPowers() * this.botBoard.gridSize);
+                this.botBoard.generateMines(mineCount, randX, randY, this.botRandom.botBoard);
             }
             
             if (this.botBoard && typeof this.botBoard.highlightRandomMines === 'function') {
-                const mines = this.botBoard.highlightRandomMines(3);
+                const mines = this.botBoard.highlightRandomMines(3, this.botRandom.botPowers);
                 console.log('[BOT POWER] Radar revealed mines:', mines);
                 
                 // BOT'A MAYINLARI BİLDİR - böylece bayraklayabilsin
@@ -2714,14 +3059,14 @@ class GameClient {
                 const mineCount = this.pendingMineCount || 20;
                 console.log('[BOT POWER] SafeBurst - generating mines first:', mineCount);
                 // Generate mines at a random safe position
-                const randX = Math.floor(Math.random() * this.botBoard.gridSize);
-                const randY = Math.floor(Math.random() * this.botBoard.gridSize);
-                this.botBoard.generateMines(mineCount, randX, randY);
+                const randX = Math.floor(this.botRandom.botPowers() * this.botBoard.gridSize);
+                const randY = Math.floor(this.botRandom.botPowers() * this.botBoard.gridSize);
+                this.botBoard.generateMines(mineCount, randX, randY, this.botRandom.botBoard);
             }
             
             if (this.botBoard && typeof this.botBoard.safeBurst === 'function') {
                 console.log('[BOT POWER] SafeBurst - calling safeBurst(3)');
-                const result = this.botBoard.safeBurst(3);
+                const result = this.botBoard.safeBurst(3, this.botRandom.botPowers);
                 console.log('[BOT POWER] SafeBurst result:', result);
                 
                 if (result && result.points > 0) {
@@ -2775,6 +3120,7 @@ class GameClient {
         if (this.isBotMode && this.bot) {
             this.bot.stop();
         }
+        this.stopMatchClock();
         
         if (this.timerInterval) {
             clearInterval(this.timerInterval);
@@ -2804,7 +3150,10 @@ class GameClient {
         }, 150);
     }
     
-    showGameResult() {
+    async showGameResult() {
+        // Realtime matches: both totals come from the server, not from what was shown
+        const serverResult = this.serverScoring ? await this.settleServerResult() : null;
+        
         // EN YÜKSEK PUAN KAZANIR - basit mantık
         let isWinner, isDraw;
         
@@ -2818,14 +3167,25 @@ class GameClient {
         const winReason = this.iCompletedBoard ? 'completion' : 
                          this.opponentCompletedBoard ? 'opponent_completion' : 'score';
         
-        dataCollector.endRecording({
+        // Tahta zorluğu (3BV) - rakibin tahtası sadece bot modunda tam bilinir
+        const boardStats = {
+            player1: this.getBoardStats(this.playerBoard, this.playerClicks),
+            player2: this.isBotMode ? this.getBoardStats(this.botBoard, this.botClicks) : null
+        };
+        
+        const recorded = await dataCollector.endRecording({
             winner: isDraw ? 'draw' : (isWinner ? 'player1' : 'player2'),
             winReason: winReason,
             player1Score: this.score,
             player2Score: this.opponentScore,
-            minePositions: this.playerBoard?.mines?.map(m => ({ x: m.x, y: m.y })) || []
+            minePositions: this.playerBoard?.mines?.map(m => ({ x: m.x, y: m.y })) || [],
+            boardStats
         });
         
+        // Bot oyunları tohumdan tekrar izlenebilir (tekrarın kendisi zaten lastBotGame)
+        if (!this.replay) this.lastBotGame = recorded?.replay ? recorded : null;
+        this.watchReplayBtn?.classList.toggle('hidden', !this.isBotMode || !this.lastBotGame);
+        
         // Bot learning: record game result with full data
         if (this.isBotMode && this.bot && typeof this.bot.endGameLearning === 'function') {
             // Bot wins if player loses (isWinner is from player perspective)
@@ -2861,9 +3221,15 @@ class GameClient {
         this.resultPlayerScore.textContent = this.score;
         this.resultOpponentName.textContent = this.opponentName;
         this.resultOpponentScore.textContent = this.opponentScore;
+        this.renderBoardStats(boardStats.player1);
         
         this.gameOverModal?.classList.remove('hidden');
         
+        // Only results the server settled are rated, and the rating is computed there too
+        if (serverResult && this.user) {
+            this.showRatingChange();
+        }
+        
         // Cleanup
         if (this.gameChannel) {
             SupabaseClient.unsubscribe(this.gameChannel);
@@ -2871,24 +3237,63 @@ class GameClient {
         }
     }
 
-    // Calculate player's board completion percentage
-    calculatePlayerCompletion() {
-        if (!this.playerBoard || !this.playerBoard.grid) return 0;
+    async showRatingChange() {
+        try {
+            const result = await SupabaseClient.rateGame(this.gameId);
+            if (!result?.success) {
+                console.warn('[RATING] Game not rated:', result?.error);
+                return;
+            }
+            
+            const sign = result.ratingChange >= 0 ? '+' : '';
+            this.showNotification(`Rating: ${formatRating(result.newRating, result.provisional)} (${sign}${result.ratingChange})`, 'info');
+            
+            // Achievements are checked on the server together with the rating
+            for (const achievement of result.achievements || []) {
+                this.showNotification(`${achievement.icon} Başarım açıldı: ${achievement.name}`, 'achievement');
+            }
+        } catch (error) {
+            console.error('[RATING] Rating failed:', error);
+        }
+    }
+
+    // 3BV, 3BV/s and click efficiency of a board (null before its mines are placed)
+    getBoardStats(board, clicks) {
+        if (!board?.grid || !board.mines?.length) return null;
         
-        let revealed = 0;
-        let totalSafe = 0;
+        const metrics = Rules.getBoardMetrics(board.grid);
+        const elapsed = Math.min(this.now() - this.matchStartTime, this.matchDuration);
+        const { bbbvPerSecond, efficiency } = Rules.getSolveRates(metrics, clicks, elapsed);
+        return {
+            bbbv: metrics.bbbv,
+            solvedBbbv: metrics.solvedBbbv,
+            openings: metrics.openings,
+            islands: metrics.islands,
+            clicks,
+            bbbvPerSecond: Math.round(bbbvPerSecond * 100) / 100,
+            efficiency: Math.round(efficiency)
+        };
+    }
+    
+    renderBoardStats(stats) {
+        if (!this.boardStatsDisplay) return;
         
-        for (let y = 0; y < this.playerBoard.gridSize; y++) {
-            for (let x = 0; x < this.playerBoard.gridSize; x++) {
-                const cell = this.playerBoard.grid[y][x];
-                if (!cell.isMine) {
-                    totalSafe++;
-                    if (cell.isRevealed) revealed++;
-                }
-            }
+        if (!stats) {
+            this.boardStatsDisplay.classList.add('hidden');
+            return;
         }
         
-        return totalSafe > 0 ? (revealed / totalSafe) * 100 : 0;
+        this.boardStatsDisplay.textContent =
+            `3BV ${stats.solvedBbbv}/${stats.bbbv} • ${stats.bbbvPerSecond.toFixed(2)} 3BV/s • Verimlilik %${stats.efficiency}`;
+        this.boardStatsDisplay.classList.remove('hidden');
+    }
+
+    // Calculate player's board completion percentage
+    calculatePlayerCompletion() {
+        if (this.serverScoring) return this.serverCompletion;
+        if (!this.playerBoard || !this.playerBoard.grid) return 0;
+        
+        return Rules.getCompletion(this.playerBoard.grid);
     }
 
     updateScore(broadcast = true) {
@@ -2913,7 +3318,7 @@ class GameClient {
         this.powerButtons.forEach(btn => {
             const cost = parseInt(btn.dataset.cost);
             const power = btn.dataset.power;
-            const usesLeft = this.powerUsesLeft?.[power] ?? 3;
+            const usesLeft = this.powerUsesLeft?.[power] ?? Rules.RULESET.powerMaxUses;
             
             // Disable if not enough points OR no uses left
             btn.disabled = this.score < cost || usesLeft <= 0;
@@ -2931,7 +3336,7 @@ class GameClient {
         // Update the usage count display on each power button
         this.powerButtons.forEach(btn => {
             const power = btn.dataset.power;
-            const usesLeft = this.powerUsesLeft?.[power] ?? 3;
+            const usesLeft = this.powerUsesLeft?.[power] ?? Rules.RULESET.powerMaxUses;
             
             // Find or create usage indicator
             let usageIndicator = btn.querySelector('.power-uses');
@@ -2940,7 +3345,7 @@ class GameClient {
                 usageIndicator.className = 'power-uses';
                 btn.appendChild(usageIndicator);
             }
-            usageIndicator.textContent = `${usesLeft}/3`;
+            usageIndicator.textContent = `${usesLeft}/${Rules.RULESET.powerMaxUses}`;
             
             // Update button state
             if (usesLeft <= 0) {
@@ -2966,6 +3371,7 @@ class GameClient {
                 this.bot = null;
                 console.log('[GAME] Bot stopped');
             }
+            this.stopMatchClock();
             
             // Clear ALL game timers
             if (this.gameTimer) {
@@ -3159,6 +3565,13 @@ class ProfileManager {
     constructor(gameClient) {
         this.game = gameClient;
         this.modal = document.getElementById('profile-modal');
+        this.viewedUserId = null;
+
+        // Maç geçmişindeki rakibe tıklayınca onun profili açılır
+        document.getElementById('match-history-list')?.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-user-id]');
+            if (item) this.showPlayer(item.dataset.userId);
+        });
     }
 
     async showModal() {
@@ -3167,9 +3580,36 @@ class ProfileManager {
             return;
         }
 
+        await this.showProfile(this.game.user.id);
+    }
+
+    // Another player's profile (leaderboard, match history), with your head-to-head record
+    async showPlayer(userId) {
+        if (!userId) return;
+        if (userId === this.game.user?.id) return this.showModal();
+
+        await this.showProfile(userId);
+    }
+
+    async showProfile(userId) {
+        const isOwn = userId === this.game.user?.id;
+        this.viewedUserId = userId;
+
+        document.getElementById('profile-title').textContent = isOwn ? '👤 Profilim' : '👤 Oyuncu Profili';
+        document.getElementById('profile-name-edit')?.classList.toggle('hidden', !isOwn);
+        document.getElementById('profile-view-name')?.classList.toggle('hidden', isOwn);
+        document.getElementById('profile-email')?.classList.toggle('hidden', !isOwn);
+        document.getElementById('profile-logout-btn')?.classList.toggle('hidden', !isOwn);
+        document.getElementById('head-to-head-section')?.classList.toggle('hidden', isOwn || !this.game.user);
+
         this.modal?.classList.remove('hidden');
-        await this.loadProfile();
-        await this.loadMatchHistory();
+        await this.loadProfile(userId);
+        await this.loadAchievements(userId);
+        await this.loadSeasonHistory(userId);
+        if (!isOwn && this.game.user) {
+            await this.loadHeadToHead(userId);
+        }
+        await this.loadMatchHistory(userId);
     }
 
     hideModal() {
@@ -3196,23 +3636,45 @@ class ProfileManager {
         }
     }
 
-    async loadProfile() {
+    async loadProfile(userId = this.game.user?.id) {
         const user = this.game.user;
         const profile = this.game.profile;
         
-        if (!user) return;
+        if (!userId) return;
 
-        // Update profile info with editable input
-        const usernameInput = document.getElementById('profile-username-input');
-        if (usernameInput) {
-            usernameInput.value = profile?.username || user.email?.split('@')[0] || 'Player';
+        if (userId === user?.id) {
+            // Update profile info with editable input
+            const usernameInput = document.getElementById('profile-username-input');
+            if (usernameInput) {
+                usernameInput.value = profile?.username || user.email?.split('@')[0] || 'Player';
+            }
+            document.getElementById('profile-email').textContent = user.email || '';
+        } else {
+            const viewName = document.getElementById('profile-view-name');
+            viewName.textContent = '...';
+            const other = await SupabaseClient.getProfile(userId).catch(() => null);
+            viewName.textContent = other?.username || 'Unknown';
         }
-        document.getElementById('profile-email').textContent = user.email || '';
 
         // Load stats
         try {
-            const stats = await SupabaseClient.getStats(user.id);
-            document.getElementById('profile-rating').textContent = stats?.rating || 1000;
+            const [stats, difficultyRatings] = await Promise.all([
+                SupabaseClient.getStats(userId),
+                SupabaseClient.getDifficultyRatings(userId)
+            ]);
+            const provisional = isProvisional(stats?.rating_deviation);
+            document.getElementById('profile-rating').textContent = formatRating(stats?.rating, provisional);
+            document.getElementById('profile-rating').title = provisional ? 'Provizyonel - birkaç maç daha oyna' : '';
+            
+            // Zorluk bazlı rating'ler
+            const difficultyList = document.getElementById('profile-difficulty-ratings');
+            if (difficultyList) {
+                difficultyList.innerHTML = Object.entries(Rules.RULESET.difficulties).map(([key, { name }]) => {
+                    const row = difficultyRatings[key];
+                    const text = row ? formatRating(row.rating, isProvisional(row.rating_deviation)) : '-';
+                    return `<span class="difficulty-rating">${name}: <strong>${text}</strong></span>`;
+                }).join('');
+            }
             document.getElementById('profile-wins').textContent = stats?.wins || 0;
             document.getElementById('profile-losses').textContent = stats?.losses || 0;
             document.getElementById('profile-total').textContent = stats?.total_games || 0;
@@ -3221,32 +3683,135 @@ class ProfileManager {
         }
     }
 
-    async loadMatchHistory() {
+    async loadAchievements(userId = this.game.user?.id) {
+        const gallery = document.getElementById('achievement-gallery');
+        if (!gallery || !userId) return;
+
+        const unlocked = await SupabaseClient.getUnlockedAchievements(userId);
+
+        gallery.innerHTML = ACHIEVEMENTS.map(achievement => {
+            const unlockedAt = unlocked[achievement.id];
+            const title = unlockedAt
+                ? `${achievement.description} (${new Date(unlockedAt).toLocaleDateString('tr-TR')})`
+                : achievement.description;
+            return `
+                <div class="achievement-badge ${unlockedAt ? '' : 'locked'}" title="${title}">
+                    <span class="achievement-icon">${achievement.icon}</span>
+                    ${achievement.name}
+                </div>
+            `;
+        }).join('');
+    }
+
+    async loadSeasonHistory(userId = this.game.user?.id) {
+        const list = document.getElementById('season-history-list');
+        if (!list || !userId) return;
+
+        list.innerHTML = '<div class="match-history-loading">Yükleniyor...</div>';
+
+        try {
+            const placements = await SupabaseClient.getSeasonPlacements(userId);
+
+            if (placements.length === 0) {
+                list.innerHTML = '<div class="match-history-empty">Henüz biten sezon yok</div>';
+                return;
+            }
+
+            list.innerHTML = placements.map(placement => {
+                const endDate = new Date(placement.season?.ends_at);
+                const dateStr = endDate.toLocaleDateString('tr-TR', { month: '2-digit', year: 'numeric' });
+
+                return `
+                    <div class="match-history-item">
+                        <span class="match-result win">#${placement.rank}</span>
+                        <span class="match-opponent">${placement.season?.name || 'Sezon'} • ${placement.rating}</span>
+                        <span class="match-score">${placement.wins}G ${placement.losses}M ${placement.draws}B</span>
+                        <span class="match-date">${dateStr}</span>
+                    </div>
+                `;
+            }).join('');
+        } catch (error) {
+            console.error('Sezon geçmişi yüklenemedi:', error);
+            list.innerHTML = '<div class="match-history-empty">Yüklenemedi</div>';
+        }
+    }
+
+    // Head-to-head record between you and the viewed player (api/stats.js)
+    async loadHeadToHead(opponentId) {
+        const container = document.getElementById('head-to-head');
+        if (!container || !this.game.user) return;
+
+        container.innerHTML = '<div class="match-history-loading">Yükleniyor...</div>';
+
+        const h2h = await SupabaseClient.getHeadToHead(this.game.user.id, opponentId);
+        if (this.viewedUserId !== opponentId) return;
+
+        if (!h2h) {
+            container.innerHTML = '<div class="match-history-empty">Yüklenemedi</div>';
+            return;
+        }
+        if (h2h.games === 0) {
+            container.innerHTML = '<div class="match-history-empty">Henüz karşılaşmadınız</div>';
+            return;
+        }
+
+        const icons = {
+            radar: '📡',
+            safeburst: '💥',
+            shield: '🛡️',
+            freeze: '❄️'
+        };
+        const resultLetters = { win: 'G', loss: 'M', draw: 'B' };
+        const margin = h2h.average_margin > 0 ? `+${h2h.average_margin}` : `${h2h.average_margin}`;
+
+        container.innerHTML = `
+            <div class="h2h-record">
+                <div><strong>${h2h.wins}</strong>Galibiyet</div>
+                <div><strong>${h2h.draws}</strong>Beraberlik</div>
+                <div><strong>${h2h.losses}</strong>Mağlubiyet</div>
+                <div><strong>${margin}</strong>Ort. Fark</div>
+            </div>
+            <div class="h2h-powers">
+                <span>Sen</span><span></span><span>Rakip</span>
+                ${Object.entries(icons).map(([power, icon]) => `
+                    <span>${h2h.powers.player[power] || 0}</span><span>${icon}</span><span>${h2h.powers.opponent[power] || 0}</span>
+                `).join('')}
+            </div>
+            <div class="h2h-recent">
+                ${h2h.recent.map(game => `
+                    <span class="match-result ${game.result}" title="${game.score} - ${game.opponent_score}">${resultLetters[game.result]}</span>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    async loadMatchHistory(userId = this.game.user?.id) {
         const list = document.getElementById('match-history-list');
-        if (!list || !this.game.user) return;
+        if (!list || !userId) return;
 
         list.innerHTML = '<div class="match-history-loading">Yükleniyor...</div>';
 
         try {
-            const history = await SupabaseClient.getGameHistory(this.game.user.id, 10);
+            const history = await SupabaseClient.getGameHistory(userId, 10);
             
             if (!history || history.length === 0) {
-                list.innerHTML = '<div class="match-history-empty">Henüz maç oynamadınız</div>';
+                list.innerHTML = '<div class="match-history-empty">Henüz maç oynanmadı</div>';
                 return;
             }
 
             list.innerHTML = history.map(match => {
-                const isPlayer1 = match.player1_id === this.game.user.id;
+                const isPlayer1 = match.player1_id === userId;
                 const myScore = isPlayer1 ? match.player1_score : match.player2_score;
                 const opponentScore = isPlayer1 ? match.player2_score : match.player1_score;
                 const opponentName = isPlayer1 ? match.player2?.username : match.player1?.username;
+                const opponentId = isPlayer1 ? match.player2_id : match.player1_id;
                 
                 let result = 'draw';
                 let resultText = 'Berabere';
-                if (match.winner_id === this.game.user.id) {
+                if (match.winner_id === userId) {
                     result = 'win';
                     resultText = 'Galibiyet';
-                } else if (match.winner_id && match.winner_id !== this.game.user.id) {
+                } else if (match.winner_id && match.winner_id !== userId) {
                     result = 'loss';
                     resultText = 'Mağlubiyet';
                 }
@@ -3255,7 +3820,7 @@ class ProfileManager {
                 const dateStr = date.toLocaleDateString('tr-TR', { day: '2-digit', month: '2-digit' });
                 
                 return `
-                    <div class="match-history-item">
+                    <div class="match-history-item" ${opponentId ? `data-user-id="${opponentId}"` : ''}>
                         <span class="match-result ${result}">${resultText}</span>
                         <span class="match-opponent">vs ${opponentName || 'Unknown'}</span>
                         <span class="match-score">${myScore} - ${opponentScore}</span>
@@ -3276,49 +3841,113 @@ class LeaderboardManager {
         this.game = gameClient;
         this.modal = document.getElementById('leaderboard-modal');
         this.list = document.getElementById('leaderboard-list');
-        this.currentType = 'rating';
+        this.moreButton = document.getElementById('leaderboard-more');
+        // Active tab of each .leaderboard-tabs group (data-filter)
+        this.filters = { type: 'rating', period: 'all', difficulty: 'all', view: 'top' };
+        this.entries = [];
+        this.nextCursor = null;
         this.setupEventListeners();
     }
 
     setupEventListeners() {
-        document.querySelectorAll('.lb-tab').forEach(tab => {
-            tab.addEventListener('click', () => {
-                document.querySelectorAll('.lb-tab').forEach(t => t.classList.remove('active'));
-                tab.classList.add('active');
-                this.currentType = tab.dataset.type;
-                this.loadLeaderboard();
+        document.querySelectorAll('.leaderboard-tabs[data-filter]').forEach(group => {
+            group.querySelectorAll('.lb-tab').forEach(tab => {
+                tab.addEventListener('click', () => {
+                    group.querySelectorAll('.lb-tab').forEach(t => t.classList.remove('active'));
+                    tab.classList.add('active');
+                    this.filters[group.dataset.filter] = tab.dataset.value;
+                    this.loadLeaderboard();
+                });
             });
         });
+
+        this.moreButton?.addEventListener('click', () => this.loadLeaderboard({ append: true }));
+
+        // Open a player's profile from the board
+        this.list?.addEventListener('click', (e) => {
+            const item = e.target.closest('.lb-item[data-user-id]');
+            if (item) window.profileManager?.showPlayer(item.dataset.userId);
+        });
     }
 
-    async loadLeaderboard() {
+    async loadLeaderboard({ append = false } = {}) {
         if (!this.list) return;
-        this.list.innerHTML = '<div class="leaderboard-loading">Yükleniyor...</div>';
-        
+        const { type, period, difficulty, view } = this.filters;
+        const aroundMe = view === 'around';
+
+        if (!append) {
+            this.entries = [];
+            this.nextCursor = null;
+            this.list.innerHTML = '<div class="leaderboard-loading">Yükleniyor...</div>';
+        }
+        this.moreButton?.classList.add('hidden');
+
+        if (aroundMe && !this.game.user) {
+            this.list.innerHTML = '<div class="lb-empty">Sıranı görmek için giriş yap</div>';
+            return;
+        }
+
         try {
-            const data = await SupabaseClient.getLeaderboard(this.currentType);
-            
-            if (data.length === 0) {
-                this.list.innerHTML = '<div class="lb-empty">Henüz oyuncu yok</div>';
+            const data = await SupabaseClient.getLeaderboard(type, {
+                period,
+                difficulty,
+                aroundMe: aroundMe && !append,
+                cursor: append ? this.nextCursor : null
+            });
+
+            // A newer tab click has already started another load
+            if (type !== this.filters.type || period !== this.filters.period ||
+                difficulty !== this.filters.difficulty || view !== this.filters.view) return;
+
+            this.entries = append ? [...this.entries, ...data.leaderboard] : data.leaderboard;
+            this.nextCursor = data.next_cursor;
+
+            if (this.entries.length === 0) {
+                this.list.innerHTML = aroundMe
+                    ? '<div class="lb-empty">Bu sıralamada henüz yerin yok</div>'
+                    : '<div class="lb-empty">Henüz oyuncu yok</div>';
                 return;
             }
-            
-            this.list.innerHTML = data.map((player, index) => {
-                const rankClass = index === 0 ? 'gold' : index === 1 ? 'silver' : index === 2 ? 'bronze' : '';
-                const score = this.currentType === 'rating' ? player.rating : player.wins;
-                return `
-                    <div class="lb-item">
-                        <span class="lb-rank ${rankClass}">#${index + 1}</span>
-                        <span class="lb-name">${player.username || 'Unknown'}</span>
-                        <span class="lb-score">${score}</span>
-                    </div>
-                `;
-            }).join('');
+
+            this.list.innerHTML = this.entries.map(player => this.renderEntry(player)).join('');
+            this.moreButton?.classList.toggle('hidden', !this.nextCursor);
+
+            if (aroundMe && !append) {
+                this.list.querySelector('.lb-item.me')?.scrollIntoView({ block: 'center' });
+            }
         } catch (error) {
             this.list.innerHTML = '<div class="lb-empty">Yüklenemedi</div>';
         }
     }
 
+    renderEntry(player) {
+        const rankClass = player.rank === 1 ? 'gold' : player.rank === 2 ? 'silver' : player.rank === 3 ? 'bronze' : '';
+        const isMe = player.user_id === this.game.user?.id;
+        return `
+            <div class="lb-item ${isMe ? 'me' : ''}" data-user-id="${player.user_id}">
+                <span class="lb-rank ${rankClass}">#${player.rank}</span>
+                <span class="lb-name">${player.username || 'Unknown'}</span>
+                <span class="lb-score">${this.formatScore(player)}</span>
+            </div>
+        `;
+    }
+
+    formatScore(player) {
+        switch (this.filters.type) {
+            case 'wins':
+                return player.wins;
+            case 'score':
+                return player.total_score;
+            default:
+                // Time windows rank by the rating gained in them
+                if (this.filters.period !== 'all') {
+                    const change = player.rating_change || 0;
+                    return change > 0 ? `+${change}` : `${change}`;
+                }
+                return formatRating(player.rating, player.provisional);
+        }
+    }
+
     showModal() {
         this.modal?.classList.remove('hidden');
         this.loadLeaderboard();
@@ -0,0 +1,107 @@
+/**
+ * Achievements.js - Achievement Definitions
+ *
+ * Data-driven achievements, checked once per finished ranked game:
+ * - Server: lib/achievements.js unlocks them (WebSocket server and Supabase realtime matches)
+ * - Clients: unlock toasts and the profile gallery
+ *
+ * Each definition's `when` lists conditions on a match summary, and all of them
+ * must hold. A condition is either the exact value of a field or { min, max } bounds.
+ * Adding an achievement only takes a new entry here.
+ *
+ * Pure and environment-agnostic: no DOM, no sockets, no database.
+ * Match summaries come from createMatchSummary.
+ *
+ * @version 1.0
+ */
+
+import { RULESET } from './GameRules.js';
+
+const POWER_COUNT = Object.keys(RULESET.powerCosts).length;
+
+export const ACHIEVEMENTS = Object.freeze([
+    {
+        id: 'first_win',
+        icon: '🏆',
+        name: 'İlk Zafer',
+        description: 'İlk dereceli maçını kazan',
+        when: { result: 'win' }
+    },
+    {
+        id: 'win_streak_10',
+        icon: '🔥',
+        name: 'Durdurulamaz',
+        description: 'Üst üste 10 maç kazan',
+        when: { winStreak: { min: 10 } }
+    },
+    {
+        id: 'flawless_hard',
+        icon: '💎',
+        name: 'Kusursuz',
+        description: 'Zor bir tahtayı hiç mayına basmadan temizle',
+        when: { difficulty: 'hard', boardCleared: true, mineHits: 0 }
+    },
+    {
+        id: 'thawed_out',
+        icon: '🧊',
+        name: 'Buz Kıran',
+        description: 'İki kez dondurulduğun bir maçı kazan',
+        when: { result: 'win', timesFrozen: { min: 2 } }
+    },
+    {
+        id: 'full_arsenal',
+        icon: '🧰',
+        name: 'Tam Cephanelik',
+        description: 'Bir maçta her gücü kullan',
+        when: { powerTypesUsed: { min: POWER_COUNT } }
+    }
+].map(Object.freeze));
+
+/**
+ * Normalise one player's end-of-game data
+ * mineHits is null when it isn't known, so no-mine-hit achievements can't unlock by accident
+ */
+export function createMatchSummary({
+    result,                 // 'win' | 'loss' | 'draw'
+    difficulty,
+    winStreak = 0,          // Wins in a row including this game
+    mineHits = null,
+    timesFrozen = 0,
+    boardCleared = false,   // Reached RULESET.completionThreshold
+    powersUsed = {}         // { radar: 1, freeze: 2, ... }
+}) {
+    return {
+        result,
+        difficulty,
+        winStreak,
+        mineHits,
+        timesFrozen,
+        boardCleared,
+        powersUsed,
+        powerTypesUsed: Object.values(powersUsed).filter(uses => uses > 0).length
+    };
+}
+
+function meetsCondition(value, condition) {
+    if (condition !== null && typeof condition === 'object') {
+        if (typeof value !== 'number') return false;
+        return (condition.min === undefined || value >= condition.min) &&
+            (condition.max === undefined || value <= condition.max);
+    }
+    return value === condition;
+}
+
+/**
+ * Achievements a match summary earns that aren't unlocked yet
+ */
+export function evaluateAchievements(summary, unlockedIds = []) {
+    const unlocked = new Set(unlockedIds);
+    return ACHIEVEMENTS.filter(achievement =>
+        !unlocked.has(achievement.id) &&
+        Object.entries(achievement.when).every(([field, condition]) => meetsCondition(summary[field], condition))
+    );
+}
+
+export function getAchievement(id) {
+    return ACHIEVEMENTS.find(achievement => achievement.id === id) || null;
+}
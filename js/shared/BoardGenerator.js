@@ -0,0 +1,103 @@
+/**
+ * BoardGenerator.js - No-Guess Board Generation
+ *
+ * Generates boards that can be cleared by logic alone from the opening click.
+ * Candidate layouts come from GameRules.js and are played out with the bot's
+ * constraint reasoning (ai/DeterministicLayer.js); a layout is accepted only if
+ * every safe cell gets revealed without a guess.
+ *
+ * Generation stops at a time budget. If no guess-free layout turned up by then,
+ * the candidate the solver got furthest on is returned instead, marked noGuess: false.
+ *
+ * Pure and environment-agnostic: no DOM, no sockets, no database.
+ *
+ * @version 1.0
+ */
+
+import { DeterministicLayer } from '../ai/DeterministicLayer.js';
+import { RULESET, createGrid, forEachNeighbor, generateBoard, revealCell } from './GameRules.js';
+
+export const NO_GUESS_DEFAULTS = {
+    timeBudget: 250,            // Max time spent searching for one board (ms)
+    random: Math.random,
+    ruleset: RULESET
+};
+
+/**
+ * Play a board out with logic only, starting from (startX, startY).
+ * Returns the share of safe cells that could be revealed (1 means no guess needed).
+ */
+export function solveWithoutGuessing(grid, mineCount, startX, startY) {
+    const gridSize = grid.length;
+
+    // The solver only sees what a player would: its own copy, nothing revealed
+    const view = createGrid(gridSize);
+    for (let y = 0; y < gridSize; y++) {
+        for (let x = 0; x < gridSize; x++) {
+            view[y][x].isMine = grid[y][x].isMine;
+            view[y][x].neighborCount = grid[y][x].neighborCount;
+        }
+    }
+
+    // DeterministicLayer reads the board through a bot; give it a minimal one
+    const solver = new DeterministicLayer({
+        gridSize,
+        board: { grid: view },
+        game: { mineCount },
+        visibleState: { radarMines: new Set() },
+        getNeighbors: (x, y) => {
+            const neighbors = [];
+            forEachNeighbor(view, x, y, (neighbor, nx, ny) => neighbors.push({ x: nx, y: ny }));
+            return neighbors;
+        }
+    }, { verbose: false });
+
+    const totalSafe = gridSize * gridSize - mineCount;
+    let revealed = revealCell(view, startX, startY).length;
+    if (view[startY]?.[startX]?.isMine) return 0;
+
+    while (revealed < totalSafe) {
+        solver.analyzeFull();
+        const safeCells = solver.findSafeCells();
+        const mineCells = solver.findMineCells();
+        if (safeCells.length === 0 && mineCells.length === 0) break;
+
+        for (const { x, y } of mineCells) {
+            view[y][x].isFlagged = true;
+        }
+        for (const { x, y } of safeCells) {
+            revealed += revealCell(view, x, y).length;
+        }
+    }
+
+    return totalSafe === 0 ? 1 : revealed / totalSafe;
+}
+
+/**
+ * Generate a board around the safe opening that needs no guessing.
+ * Returns { grid, noGuess, attempts, elapsed }.
+ */
+export function generateNoGuessBoard(gridSize, mineCount, safeX, safeY, options = {}) {
+    const { timeBudget, random, ruleset } = { ...NO_GUESS_DEFAULTS, ...options };
+    const startedAt = Date.now();
+
+    let best = null;
+    let bestSolved = -1;
+    let attempts = 0;
+
+    do {
+        attempts++;
+        const grid = generateBoard(gridSize, mineCount, safeX, safeY, random, ruleset);
+        const solved = solveWithoutGuessing(grid, mineCount, safeX, safeY);
+
+        if (solved === 1) {
+            return { grid, noGuess: true, attempts, elapsed: Date.now() - startedAt };
+        }
+        if (solved > bestSolved) {
+            best = grid;
+            bestSolved = solved;
+        }
+    } while (Date.now() - startedAt < timeBudget);
+
+    return { grid: best, noGuess: false, attempts, elapsed: Date.now() - startedAt };
+}
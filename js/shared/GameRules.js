@@ -0,0 +1,334 @@
+/**
+ * GameRules.js - Shared Minesweeper Rules
+ *
+ * One implementation of the board rules for every part of the game:
+ * - WebSocket server (server.js)
+ * - Browser clients (game.js, gameSupabase.js)
+ * - Bot (ai/BotCore.js)
+ *
+ * Covers mine placement, flood-fill reveal, chording, scoring and completion.
+ * Everything tunable lives in RULESET; bump its version whenever a value or
+ * rule changes so stored games say which rules they were played under.
+ * The Supabase SQL functions mirror these values (database/ruleset_v1.sql).
+ *
+ * Pure and environment-agnostic: no DOM, no sockets, no database.
+ * Grids are grid[y][x] = { x, y, isMine, isRevealed, isFlagged, neighborCount }.
+ *
+ * @version 1.0
+ */
+
+export const RULESET = Object.freeze({
+    version: 1,
+
+    difficulties: Object.freeze({
+        easy: Object.freeze({ gridSize: 8, mineCount: 12, name: 'Easy' }),
+        medium: Object.freeze({ gridSize: 10, mineCount: 20, name: 'Medium' }),
+        hard: Object.freeze({ gridSize: 12, mineCount: 35, name: 'Hard' })
+    }),
+    defaultDifficulty: 'medium',
+
+    // Board
+    safeRadius: 1,              // The first click opens a mine-free 3x3 area
+
+    // Scoring
+    scoring: Object.freeze({
+        safeCell: 5,            // Every safe cell revealed, numbered or empty
+        minePenalty: 30         // Every mine hit, unless a shield absorbs it
+    }),
+
+    // A match ends early once a player has revealed this share of their safe cells
+    completionThreshold: 85,
+
+    // Powers
+    powerCosts: Object.freeze({ radar: 30, safeburst: 40, shield: 50, freeze: 60 }),
+    powerCooldowns: Object.freeze({ radar: 15000, safeburst: 20000, shield: 30000, freeze: 25000 }),
+    powerMaxUses: 3             // Per power, per match
+});
+
+/**
+ * Grid size and mine count for a difficulty, falling back to the default
+ */
+export function getDifficulty(difficulty, ruleset = RULESET) {
+    return ruleset.difficulties[difficulty] || ruleset.difficulties[ruleset.defaultDifficulty];
+}
+
+/**
+ * Create an empty grid with no mines
+ */
+export function createGrid(gridSize) {
+    const grid = [];
+    for (let y = 0; y < gridSize; y++) {
+        grid[y] = [];
+        for (let x = 0; x < gridSize; x++) {
+            grid[y][x] = { x, y, isMine: false, isRevealed: false, isFlagged: false, neighborCount: 0 };
+        }
+    }
+    return grid;
+}
+
+/**
+ * Call fn for every in-bounds neighbour of a cell
+ */
+export function forEachNeighbor(grid, x, y, fn) {
+    for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+            if (dx === 0 && dy === 0) continue;
+            const neighbor = grid[y + dy]?.[x + dx];
+            if (neighbor) fn(neighbor, x + dx, y + dy);
+        }
+    }
+}
+
+/**
+ * Pick random mine positions, keeping the safe area around (safeX, safeY) clear
+ */
+export function placeMines(gridSize, mineCount, safeX = -1, safeY = -1, random = Math.random, ruleset = RULESET) {
+    const positions = [];
+    for (let y = 0; y < gridSize; y++) {
+        for (let x = 0; x < gridSize; x++) {
+            const isSafe = safeX >= 0 && safeY >= 0 &&
+                Math.abs(x - safeX) <= ruleset.safeRadius &&
+                Math.abs(y - safeY) <= ruleset.safeRadius;
+            if (!isSafe) positions.push({ x, y });
+        }
+    }
+
+    // Fisher-Yates shuffle
+    for (let i = positions.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [positions[i], positions[j]] = [positions[j], positions[i]];
+    }
+
+    return positions.slice(0, Math.min(mineCount, positions.length));
+}
+
+/**
+ * Put mines on a grid and recalculate every neighbour count
+ */
+export function setMines(grid, mines) {
+    for (const row of grid) {
+        for (const cell of row) cell.isMine = false;
+    }
+    for (const { x, y } of mines) {
+        if (grid[y]?.[x]) grid[y][x].isMine = true;
+    }
+    for (let y = 0; y < grid.length; y++) {
+        for (let x = 0; x < grid[y].length; x++) {
+            grid[y][x].neighborCount = grid[y][x].isMine ? 0 : countAdjacentMines(grid, x, y);
+        }
+    }
+    return grid;
+}
+
+/**
+ * Count the mines around a cell
+ */
+export function countAdjacentMines(grid, x, y) {
+    let count = 0;
+    forEachNeighbor(grid, x, y, (neighbor) => {
+        if (neighbor.isMine) count++;
+    });
+    return count;
+}
+
+/**
+ * Generate a full board with random mines
+ */
+export function generateBoard(gridSize, mineCount, safeX = -1, safeY = -1, random = Math.random, ruleset = RULESET) {
+    return setMines(createGrid(gridSize), placeMines(gridSize, mineCount, safeX, safeY, random, ruleset));
+}
+
+/**
+ * Reveal a cell, flood-filling from empty cells. Flagged cells are never opened.
+ * Returns every newly revealed cell as { x, y, isMine, neighborCount }.
+ */
+export function revealCell(grid, x, y) {
+    const start = grid[y]?.[x];
+    if (!start || start.isRevealed || start.isFlagged) return [];
+
+    start.isRevealed = true;
+    const revealed = [{ x, y, isMine: start.isMine, neighborCount: start.neighborCount }];
+    if (start.isMine || start.neighborCount !== 0) return revealed;
+
+    const queue = [{ x, y }];
+    while (queue.length > 0) {
+        const current = queue.shift();
+        forEachNeighbor(grid, current.x, current.y, (neighbor, nx, ny) => {
+            if (neighbor.isRevealed || neighbor.isFlagged || neighbor.isMine) return;
+
+            neighbor.isRevealed = true;
+            revealed.push({ x: nx, y: ny, isMine: false, neighborCount: neighbor.neighborCount });
+            if (neighbor.neighborCount === 0) queue.push({ x: nx, y: ny });
+        });
+    }
+
+    return revealed;
+}
+
+/**
+ * A revealed number can be chorded once its flag count matches and something is left to open
+ */
+export function canChord(grid, x, y) {
+    const cell = grid[y]?.[x];
+    if (!cell || !cell.isRevealed || cell.isMine || cell.neighborCount === 0) return false;
+
+    let flags = 0;
+    let hidden = 0;
+    forEachNeighbor(grid, x, y, (neighbor) => {
+        if (neighbor.isFlagged) flags++;
+        else if (!neighbor.isRevealed) hidden++;
+    });
+    return flags === cell.neighborCount && hidden > 0;
+}
+
+/**
+ * Chord: open every unflagged neighbour of a revealed number (a wrong flag means a mine).
+ * Returns the revealed cells, or null if the cell can't be chorded.
+ */
+export function chordCell(grid, x, y) {
+    if (!canChord(grid, x, y)) return null;
+
+    const revealed = [];
+    forEachNeighbor(grid, x, y, (neighbor, nx, ny) => {
+        // An earlier neighbour's flood fill may already have opened this one
+        revealed.push(...revealCell(grid, nx, ny));
+    });
+    return revealed;
+}
+
+/**
+ * Score the cells opened by one move.
+ * A shield absorbs the penalty of one mine; points is the change to apply to the score.
+ */
+export function scoreReveal(revealedCells, hasShield = false, ruleset = RULESET) {
+    const minesHit = revealedCells.filter(cell => cell.isMine).length;
+    const safeCells = revealedCells.length - minesHit;
+    const shieldUsed = hasShield && minesHit > 0;
+    const damage = (minesHit - (shieldUsed ? 1 : 0)) * ruleset.scoring.minePenalty;
+    const gained = safeCells * ruleset.scoring.safeCell;
+
+    return {
+        points: gained - damage,
+        gained,
+        damage,
+        minesHit,
+        hitMine: minesHit > 0,
+        shieldUsed,
+        cellsRevealed: revealedCells.length
+    };
+}
+
+/**
+ * Apply a score change; scores never go below zero
+ */
+export function applyScore(score, points) {
+    return Math.max(0, score + points);
+}
+
+/**
+ * Percentage of safe cells revealed
+ */
+export function getCompletion(grid) {
+    let revealed = 0;
+    let totalSafe = 0;
+
+    for (const row of grid) {
+        for (const cell of row) {
+            if (cell.isMine) continue;
+            totalSafe++;
+            if (cell.isRevealed) revealed++;
+        }
+    }
+
+    return totalSafe === 0 ? 0 : (revealed / totalSafe) * 100;
+}
+
+/**
+ * Has a player revealed enough of their board to end the match?
+ */
+export function isBoardComplete(grid, ruleset = RULESET) {
+    return getCompletion(grid) >= ruleset.completionThreshold;
+}
+
+/**
+ * Board difficulty metrics, so boards of the same size can be compared.
+ * 3BV is the fewest clicks that clear the board: one per opening (a connected area of
+ * empty cells, opened by a single click) plus one per numbered cell no opening reveals.
+ * Islands are the connected groups of those numbered cells.
+ * solvedBbbv is the part of the 3BV already cleared on this grid.
+ */
+export function getBoardMetrics(grid) {
+    const seen = new Set();
+    const touchesOpening = new Set();
+    let openings = 0;
+    let islands = 0;
+    let bbbv = 0;
+    let solvedBbbv = 0;
+    let safeCells = 0;
+
+    // Walk one connected area; `step` decides which neighbours belong to it
+    const flood = (x, y, step) => {
+        const area = [grid[y][x]];
+        seen.add(`${x},${y}`);
+        for (let i = 0; i < area.length; i++) {
+            forEachNeighbor(grid, area[i].x, area[i].y, (neighbor, nx, ny) => {
+                if (seen.has(`${nx},${ny}`) || !step(neighbor, nx, ny)) return;
+                seen.add(`${nx},${ny}`);
+                area.push(neighbor);
+            });
+        }
+        return area;
+    };
+
+    // Openings, with the numbers around their edge
+    for (const row of grid) {
+        for (const cell of row) {
+            if (cell.isMine) continue;
+            safeCells++;
+            if (cell.neighborCount !== 0 || seen.has(`${cell.x},${cell.y}`)) continue;
+
+            const area = flood(cell.x, cell.y, (neighbor, nx, ny) => {
+                if (neighbor.neighborCount === 0) return true;
+                touchesOpening.add(`${nx},${ny}`);
+                return false;
+            });
+            openings++;
+            bbbv++;
+            if (area.every(c => c.isRevealed)) solvedBbbv++;
+        }
+    }
+
+    // Every number no opening reveals is a click of its own
+    const isIsolated = (cell, x, y) => !cell.isMine && cell.neighborCount > 0 && !touchesOpening.has(`${x},${y}`);
+    for (const row of grid) {
+        for (const cell of row) {
+            if (seen.has(`${cell.x},${cell.y}`) || !isIsolated(cell, cell.x, cell.y)) continue;
+
+            const island = flood(cell.x, cell.y, isIsolated);
+            islands++;
+            bbbv += island.length;
+            solvedBbbv += island.filter(c => c.isRevealed).length;
+        }
+    }
+
+    return { bbbv, solvedBbbv, openings, islands, safeCells };
+}
+
+/**
+ * 3BV/s and click efficiency (3BV cleared per click, as a percentage) for one player
+ */
+export function getSolveRates(metrics, clicks, elapsedMs) {
+    return {
+        bbbvPerSecond: elapsedMs > 0 ? metrics.solvedBbbv / (elapsedMs / 1000) : 0,
+        efficiency: clicks > 0 ? (metrics.solvedBbbv / clicks) * 100 : 0
+    };
+}
+
+/**
+ * Normalised scoring: scale points by the board's 3BV per safe cell, so clearing a
+ * whole board is worth safeCell points per 3BV instead of per cell and big openings
+ * no longer pay more than a board that takes many clicks
+ */
+export function normalizePoints(points, metrics) {
+    return metrics.safeCells === 0 ? points : Math.round(points * metrics.bbbv / metrics.safeCells);
+}
@@ -0,0 +1,156 @@
+/**
+ * Glicko2.js - Player Ratings
+ *
+ * Glicko-2 (Glickman, 2012) as used for ranked results:
+ * - Server: lib/gameResults.js rates finished games (REST API and WebSocket server)
+ * - Clients: provisional badges on the leaderboard and profile
+ *
+ * Every player has a rating, a rating deviation (how sure we are of the rating)
+ * and a volatility (how erratic their results are). Each rated game is its own
+ * rating period, so both players are updated right after the match.
+ *
+ * Pure and environment-agnostic: no DOM, no sockets, no database.
+ * Players look like { rating, ratingDeviation, volatility }.
+ *
+ * @version 1.0
+ */
+
+export const GLICKO_DEFAULTS = {
+    rating: 1000,               // Starting rating (kept from the old fixed-step system)
+    ratingDeviation: 350,       // Starting deviation - a brand new player
+    volatility: 0.06,
+    tau: 0.5,                   // Limits how fast volatility can change
+    minRatingDeviation: 30,     // Ratings never become completely fixed
+    maxRatingDeviation: 350,
+    provisionalDeviation: 110   // Above this the rating is still provisional
+};
+
+const SCALE = 173.7178;         // Glicko-2 internal scale factor
+const CENTER = 1500;
+const EPSILON = 0.000001;       // Convergence tolerance for the volatility iteration
+
+// Game outcome from the player's side
+export const RESULT_SCORES = { win: 1, draw: 0.5, loss: 0 };
+
+const g = (phi) => 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+
+const expectedScore = (mu, opponentMu, opponentPhi) => 1 / (1 + Math.exp(-g(opponentPhi) * (mu - opponentMu)));
+
+/**
+ * Fill in defaults for a player with missing rating fields (e.g. rows from before Glicko-2)
+ */
+export function toRatingState(player = {}, config = GLICKO_DEFAULTS) {
+    return {
+        rating: player.rating ?? config.rating,
+        ratingDeviation: player.ratingDeviation ?? config.ratingDeviation,
+        volatility: player.volatility ?? config.volatility
+    };
+}
+
+/**
+ * Whether a rating deviation is still too wide for the rating to be trusted
+ */
+export function isProvisional(ratingDeviation, config = GLICKO_DEFAULTS) {
+    return (ratingDeviation ?? config.ratingDeviation) > config.provisionalDeviation;
+}
+
+/**
+ * Display a rating, marking provisional ones with a question mark (e.g. "1180?")
+ */
+export function formatRating(rating, provisional = false) {
+    return `${Math.round(rating ?? GLICKO_DEFAULTS.rating)}${provisional ? '?' : ''}`;
+}
+
+/**
+ * New volatility (step 5 of the Glicko-2 paper, Illinois method)
+ */
+function updateVolatility(phi, sigma, v, delta, tau) {
+    const a = Math.log(sigma * sigma);
+    const f = (x) => {
+        const ex = Math.exp(x);
+        const d = phi * phi + v + ex;
+        return (ex * (delta * delta - phi * phi - v - ex)) / (2 * d * d) - (x - a) / (tau * tau);
+    };
+
+    let A = a;
+    let B;
+    if (delta * delta > phi * phi + v) {
+        B = Math.log(delta * delta - phi * phi - v);
+    } else {
+        let k = 1;
+        while (f(a - k * tau) < 0) k++;
+        B = a - k * tau;
+    }
+
+    let fA = f(A);
+    let fB = f(B);
+    while (Math.abs(B - A) > EPSILON) {
+        const C = A + (A - B) * fA / (fB - fA);
+        const fC = f(C);
+        if (fC * fB <= 0) {
+            A = B;
+            fA = fB;
+        } else {
+            fA = fA / 2;
+        }
+        B = C;
+        fB = fC;
+    }
+
+    return Math.exp(A / 2);
+}
+
+/**
+ * Rate one player over a rating period
+ * results: [{ opponent: { rating, ratingDeviation }, score }] with score 1 / 0.5 / 0
+ */
+export function updateRating(player, results, config = GLICKO_DEFAULTS) {
+    const { rating, ratingDeviation, volatility } = toRatingState(player, config);
+    const mu = (rating - CENTER) / SCALE;
+    const phi = ratingDeviation / SCALE;
+
+    const clampDeviation = (deviation) =>
+        Math.min(config.maxRatingDeviation, Math.max(config.minRatingDeviation, deviation));
+
+    // No games: only the uncertainty grows
+    if (results.length === 0) {
+        return {
+            rating,
+            ratingDeviation: clampDeviation(Math.sqrt(phi * phi + volatility * volatility) * SCALE),
+            volatility
+        };
+    }
+
+    const games = results.map(({ opponent, score }) => {
+        const opponentState = toRatingState(opponent, config);
+        const opponentMu = (opponentState.rating - CENTER) / SCALE;
+        const opponentPhi = opponentState.ratingDeviation / SCALE;
+        return { gPhi: g(opponentPhi), expected: expectedScore(mu, opponentMu, opponentPhi), score };
+    });
+
+    const v = 1 / games.reduce((sum, { gPhi, expected }) => sum + gPhi * gPhi * expected * (1 - expected), 0);
+    const improvement = games.reduce((sum, { gPhi, expected, score }) => sum + gPhi * (score - expected), 0);
+    const delta = v * improvement;
+
+    const newVolatility = updateVolatility(phi, volatility, v, delta, config.tau);
+    const phiStar = Math.sqrt(phi * phi + newVolatility * newVolatility);
+    const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+    const newMu = mu + newPhi * newPhi * improvement;
+
+    return {
+        rating: newMu * SCALE + CENTER,
+        ratingDeviation: clampDeviation(newPhi * SCALE),
+        volatility: newVolatility
+    };
+}
+
+/**
+ * Rate both players of one game at once (each against the other's pre-game rating)
+ * scoreA is player A's result: 1 win, 0.5 draw, 0 loss
+ */
+export function rateGame(playerA, playerB, scoreA, config = GLICKO_DEFAULTS) {
+    return [
+        updateRating(playerA, [{ opponent: playerB, score: scoreA }], config),
+        updateRating(playerB, [{ opponent: playerA, score: 1 - scoreA }], config)
+    ];
+}
@@ -0,0 +1,262 @@
+/**
+ * MatchmakingEngine.js - Rating-Aware Matchmaking
+ *
+ * Shared pairing logic for both matchmaking paths:
+ * - WebSocket server (server.js)
+ * - Supabase queue (supabaseClient.js, api/matchmaking.js)
+ *
+ * Rules:
+ * - Players are paired by rating proximity
+ * - The acceptable rating gap widens the longer someone waits
+ * - After a while, players may fall back to an adjacent difficulty
+ *
+ * Pure and environment-agnostic: no DOM, no sockets. The Supabase queue helpers
+ * at the bottom query through whichever client the caller passes in.
+ * Queue entries look like { id, rating, difficulty, joinedAt, allowFallback }.
+ *
+ * @version 1.0
+ */
+
+export const MATCHMAKING_DEFAULTS = {
+    defaultRating: 1000,
+
+    // Rating window
+    initialRatingWindow: 100,   // Accepted rating gap when joining
+    ratingWindowGrowth: 10,     // Extra rating points accepted per second waited
+    maxRatingWindow: 600,       // Never pair players further apart than this
+
+    // Difficulty fallback
+    allowDifficultyFallback: true,
+    fallbackAfter: 30000,       // Both players must have waited this long (ms)
+    difficultyOrder: ['easy', 'medium', 'hard']
+};
+
+export class MatchmakingEngine {
+    constructor(config = {}) {
+        this.config = { ...MATCHMAKING_DEFAULTS, ...config };
+    }
+
+    /**
+     * Rating gap an entry accepts after waiting until `now`
+     */
+    getRatingWindow(entry, now = Date.now()) {
+        const waitedSecs = Math.max(0, now - entry.joinedAt) / 1000;
+        const window = this.config.initialRatingWindow + this.config.ratingWindowGrowth * waitedSecs;
+        return Math.min(window, this.config.maxRatingWindow);
+    }
+
+    /**
+     * Rating of an entry, with the default for unrated players
+     */
+    getRating(entry) {
+        return Number.isFinite(entry.rating) ? entry.rating : this.config.defaultRating;
+    }
+
+    /**
+     * Can this entry fall back to other difficulties?
+     */
+    allowsFallback(entry) {
+        return entry.allowFallback ?? this.config.allowDifficultyFallback;
+    }
+
+    /**
+     * Are two difficulties next to each other (easy-medium, medium-hard)?
+     */
+    areAdjacent(difficultyA, difficultyB) {
+        const order = this.config.difficultyOrder;
+        const a = order.indexOf(difficultyA);
+        const b = order.indexOf(difficultyB);
+        return a !== -1 && b !== -1 && Math.abs(a - b) === 1;
+    }
+
+    /**
+     * Difficulties an entry could be matched into right now
+     */
+    getSearchDifficulties(entry, now = Date.now()) {
+        const difficulties = [entry.difficulty];
+
+        if (this.allowsFallback(entry) && now - entry.joinedAt >= this.config.fallbackAfter) {
+            for (const difficulty of this.config.difficultyOrder) {
+                if (this.areAdjacent(entry.difficulty, difficulty)) {
+                    difficulties.push(difficulty);
+                }
+            }
+        }
+
+        return difficulties;
+    }
+
+    /**
+     * Check if two entries may be paired right now
+     */
+    canMatch(a, b, now = Date.now()) {
+        if (a.id === b.id) return false;
+
+        if (a.difficulty !== b.difficulty) {
+            if (!this.areAdjacent(a.difficulty, b.difficulty)) return false;
+            if (!this.allowsFallback(a) || !this.allowsFallback(b)) return false;
+            if (now - a.joinedAt < this.config.fallbackAfter) return false;
+            if (now - b.joinedAt < this.config.fallbackAfter) return false;
+        }
+
+        // The longer-waiting player's window decides
+        const gap = Math.abs(this.getRating(a) - this.getRating(b));
+        const window = Math.max(this.getRatingWindow(a, now), this.getRatingWindow(b, now));
+        return gap <= window;
+    }
+
+    /**
+     * Difficulty a pair will play - whoever queued first keeps their choice
+     */
+    getMatchDifficulty(a, b) {
+        return a.joinedAt <= b.joinedAt ? a.difficulty : b.difficulty;
+    }
+
+    /**
+     * Find the best opponent for `seeker` among `candidates`
+     * Prefers the closest rating, then same difficulty, then the longest wait.
+     * @returns {{ opponent, difficulty } | null}
+     */
+    findBestMatch(seeker, candidates, now = Date.now()) {
+        let best = null;
+
+        for (const candidate of candidates) {
+            if (!this.canMatch(seeker, candidate, now)) continue;
+
+            const gap = Math.abs(this.getRating(seeker) - this.getRating(candidate));
+            const crossDifficulty = candidate.difficulty !== seeker.difficulty;
+
+            if (!best ||
+                gap < best.gap ||
+                (gap === best.gap && best.crossDifficulty && !crossDifficulty) ||
+                (gap === best.gap && best.crossDifficulty === crossDifficulty && candidate.joinedAt < best.opponent.joinedAt)) {
+                best = { opponent: candidate, gap, crossDifficulty };
+            }
+        }
+
+        if (!best) return null;
+
+        return {
+            opponent: best.opponent,
+            difficulty: this.getMatchDifficulty(seeker, best.opponent)
+        };
+    }
+
+    /**
+     * Pair up as many queued entries as possible, oldest first
+     * @returns {Array<{ a, b, difficulty }>}
+     */
+    findMatches(queue, now = Date.now()) {
+        const pending = [...queue].sort((a, b) => a.joinedAt - b.joinedAt);
+        const matched = new Set();
+        const pairs = [];
+
+        for (const entry of pending) {
+            if (matched.has(entry.id)) continue;
+
+            const candidates = pending.filter(other => other !== entry && !matched.has(other.id));
+            const match = this.findBestMatch(entry, candidates, now);
+            if (!match) continue;
+
+            matched.add(entry.id);
+            matched.add(match.opponent.id);
+            pairs.push({ a: entry, b: match.opponent, difficulty: match.difficulty });
+        }
+
+        return pairs;
+    }
+
+    /**
+     * 1-based position among players waiting for the same difficulty
+     */
+    getQueuePosition(entry, queue) {
+        const ahead = queue.filter(other =>
+            other.id !== entry.id &&
+            other.difficulty === entry.difficulty &&
+            other.joinedAt < entry.joinedAt
+        );
+        return ahead.length + 1;
+    }
+
+    /**
+     * Estimate how long until `entry` gets paired with someone already queued
+     * @returns {number|null} milliseconds, or null if nobody compatible is waiting
+     */
+    estimateWaitTime(entry, queue, now = Date.now()) {
+        let estimate = null;
+
+        for (const other of queue) {
+            if (other.id === entry.id) continue;
+
+            const sameDifficulty = other.difficulty === entry.difficulty;
+            if (!sameDifficulty) {
+                if (!this.areAdjacent(entry.difficulty, other.difficulty)) continue;
+                if (!this.allowsFallback(entry) || !this.allowsFallback(other)) continue;
+            }
+
+            const gap = Math.abs(this.getRating(entry) - this.getRating(other));
+            if (gap > this.config.maxRatingWindow) continue;
+
+            // Time until the longer waiter's window covers the gap
+            const longestWait = now - Math.min(entry.joinedAt, other.joinedAt);
+            const neededWait = (gap - this.config.initialRatingWindow) / this.config.ratingWindowGrowth * 1000;
+            let wait = Math.max(0, neededWait - longestWait);
+
+            // Cross-difficulty pairs also wait for the fallback delay
+            if (!sameDifficulty) {
+                const shortestWait = now - Math.max(entry.joinedAt, other.joinedAt);
+                wait = Math.max(wait, this.config.fallbackAfter - shortestWait);
+            }
+
+            if (estimate === null || wait < estimate) {
+                estimate = wait;
+            }
+        }
+
+        return estimate === null ? null : Math.ceil(estimate);
+    }
+
+    /**
+     * Everything a searching client needs to display
+     */
+    getQueueStatus(entry, queue, now = Date.now()) {
+        return {
+            position: this.getQueuePosition(entry, queue),
+            estimatedWait: this.estimateWaitTime(entry, queue, now),
+            ratingWindow: Math.round(this.getRatingWindow(entry, now)),
+            searchDifficulties: this.getSearchDifficulties(entry, now),
+            waitTime: Math.max(0, now - entry.joinedAt)
+        };
+    }
+}
+
+export const matchmakingEngine = new MatchmakingEngine();
+
+/**
+ * Convert a matchmaking_queue row into a queue entry (the row stays attached)
+ */
+export function queueEntryFromRow(row) {
+    return {
+        id: row.user_id,
+        rating: row.rating,
+        difficulty: row.difficulty,
+        allowFallback: row.allow_fallback ?? undefined,
+        joinedAt: new Date(row.created_at).getTime(),
+        row
+    };
+}
+
+/**
+ * Waiting matchmaking_queue rows, longest waiting first
+ * @param {object} client - Supabase client (browser anon client or server admin client)
+ */
+export async function fetchWaitingQueue(client) {
+    const { data, error } = await client
+        .from('matchmaking_queue')
+        .select('*')
+        .eq('status', 'waiting')
+        .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+}
@@ -0,0 +1,50 @@
+/**
+ * SeededRandom.js - Reproducible Random Numbers
+ *
+ * Drop-in replacements for Math.random when a run has to be repeatable,
+ * e.g. boards in headless bot simulations (ai/BotMatchSimulator.js).
+ * The same seed always gives the same sequence.
+ *
+ * Pure and environment-agnostic: no DOM, no sockets, no database.
+ *
+ * @version 1.0
+ */
+
+/**
+ * Hash a seed (number or string) to 32 bits (FNV-1a)
+ */
+export function hashSeed(seed) {
+    const text = String(seed);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * A Math.random-like function for a seed (mulberry32), returns [0, 1)
+ */
+export function createRandom(seed) {
+    let state = hashSeed(seed);
+
+    return function random() {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * A shuffled copy of `items` (Fisher-Yates), drawing from `random`
+ */
+export function shuffle(items, random = Math.random) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
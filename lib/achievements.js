@@ -0,0 +1,98 @@
+import { supabaseAdmin } from './supabase.js';
+import { RULESET } from '../js/shared/GameRules.js';
+import { ACHIEVEMENTS, createMatchSummary, evaluateAchievements } from '../js/shared/Achievements.js';
+
+// Achievements (database/achievements.sql, definitions in js/shared/Achievements.js)
+// Unlocked by lib/gameResults.js for Supabase realtime games and by server.js for WebSocket games
+
+// server.js builds its summaries from live game state
+export { createMatchSummary };
+
+// What clients get for an achievement
+function describe({ id, icon, name, description }) {
+    return { id, icon, name, description };
+}
+
+// Unlock what a finished game earned; returns the newly unlocked achievements
+export async function unlockAchievements(userId, summary, gameId = null) {
+    const { data: rows, error } = await supabaseAdmin
+        .from('player_achievements')
+        .select('achievement_id')
+        .eq('user_id', userId);
+
+    if (error) {
+        console.error('Achievements fetch error:', error);
+        return [];
+    }
+
+    const earned = evaluateAchievements(summary, rows.map(row => row.achievement_id));
+    if (earned.length === 0) return [];
+
+    const { error: insertError } = await supabaseAdmin
+        .from('player_achievements')
+        .upsert(earned.map(achievement => ({
+            user_id: userId,
+            achievement_id: achievement.id,
+            game_id: gameId
+        })), { onConflict: 'user_id,achievement_id', ignoreDuplicates: true });
+
+    if (insertError) {
+        console.error('Achievements save error:', insertError);
+        return [];
+    }
+
+    return earned.map(describe);
+}
+
+// Every achievement with when the player unlocked it (null while locked)
+export async function getAchievements(userId) {
+    const { data: rows } = await supabaseAdmin
+        .from('player_achievements')
+        .select('achievement_id, unlocked_at')
+        .eq('user_id', userId);
+
+    return ACHIEVEMENTS.map(achievement => ({
+        ...describe(achievement),
+        unlocked_at: rows?.find(row => row.achievement_id === achievement.id)?.unlocked_at || null
+    }));
+}
+
+// Match summary for one player of a games row
+// Server-scored games (database/server_scoring.sql) keep each board and move; other rows only have the result
+export function summaryFromGameRecord(game, userId, winStreak = 0) {
+    const side = game.player1_id === userId ? 'player1' : 'player2';
+    const opponentSide = side === 'player1' ? 'player2' : 'player1';
+    const result = !game.winner_id ? 'draw' : game.winner_id === userId ? 'win' : 'loss';
+
+    const mines = game[`${side}_mines`];
+    const board = game[`${side}_board`] || {};
+    const moves = game[`${side}_moves`] || [];
+    const opponentMoves = game[`${opponentSide}_moves`] || [];
+
+    const powersUsed = {};
+    for (const move of moves) {
+        if (move.type === 'power') powersUsed[move.power] = (powersUsed[move.power] || 0) + 1;
+    }
+
+    let mineHits = null;
+    let boardCleared = false;
+    if (Array.isArray(mines) && game.grid_size) {
+        const isRevealed = ({ x, y }) => board[`${x},${y}`] === 'revealed';
+        const revealed = Object.values(board).filter(state => state === 'revealed').length;
+        const safeCells = game.grid_size * game.grid_size - mines.length;
+
+        mineHits = mines.filter(isRevealed).length;
+        boardCleared = safeCells > 0 && ((revealed - mineHits) / safeCells) * 100 >= RULESET.completionThreshold;
+    }
+
+    return createMatchSummary({
+        result,
+        difficulty: game.difficulty,
+        winStreak,
+        mineHits,
+        // Every freeze that went through froze this player (use_power refuses it against a shield)
+        timesFrozen: opponentMoves.filter(move => move.type === 'power' && move.power === 'freeze').length,
+        boardCleared,
+        powersUsed
+    });
+}
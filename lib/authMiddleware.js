@@ -10,6 +10,20 @@ export async function verifyToken(req) {
 
         const token = authHeader.split(' ')[1];
 
+        return verifyAccessToken(token);
+    } catch (error) {
+        console.error('Token verification error:', error);
+        return null;
+    }
+}
+
+// Resolve a Supabase access token to its user (also used by the WebSocket server)
+export async function verifyAccessToken(token) {
+    try {
+        if (!token) {
+            return null;
+        }
+
         const { data: { user }, error } = await supabaseAdmin.auth.getUser(token);
 
         if (error || !user) {
@@ -0,0 +1,388 @@
+import { supabaseAdmin } from './supabase.js';
+import { RULESET } from '../js/shared/GameRules.js';
+import { GLICKO_DEFAULTS, RESULT_SCORES, rateGame, isProvisional } from '../js/shared/Glicko2.js';
+import { getCurrentSeason } from './seasons.js';
+import { unlockAchievements, summaryFromGameRecord } from './achievements.js';
+
+// Shared by the REST API (api/games, api/ratings) and the WebSocket server (server.js)
+
+const DEFAULT_RATING = GLICKO_DEFAULTS.rating;
+
+// Save a completed game record
+// ratingChanges is what recordRatedGame returned, when the game was rated
+export async function saveGameRecord({
+    player1Id,
+    player2Id,
+    winnerId,
+    player1Score,
+    player2Score,
+    difficulty,
+    duration,
+    rulesetVersion = RULESET.version,
+    boardState,
+    ratingChanges = null
+}) {
+    const now = new Date().toISOString();
+
+    return supabaseAdmin
+        .from('games')
+        .insert({
+            player1_id: player1Id,
+            player2_id: player2Id,
+            winner_id: winnerId,
+            player1_score: player1Score,
+            player2_score: player2Score,
+            difficulty,
+            duration,
+            ruleset_version: rulesetVersion,
+            board_state: boardState,
+            status: 'completed',
+            rated_at: now, // The caller rates it, never api/ratings
+            rating_changes: ratingChanges,
+            created_at: now,
+            completed_at: now
+        })
+        .select()
+        .single();
+}
+
+// Open a game row for a matched pair; the result is filled in later by completeGameRecord
+export async function createMatchGame({ player1Id, player2Id, difficulty, rulesetVersion = RULESET.version }) {
+    return supabaseAdmin
+        .from('games')
+        .insert({
+            player1_id: player1Id,
+            player2_id: player2Id,
+            difficulty,
+            ruleset_version: rulesetVersion,
+            board_state: { source: 'matchmaking', ruleset_version: rulesetVersion },
+            status: 'in_progress',
+            created_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+}
+
+// Get a game row by id (null if it doesn't exist)
+export async function getGameRecord(gameId) {
+    const { data } = await supabaseAdmin
+        .from('games')
+        .select('*')
+        .eq('id', gameId)
+        .maybeSingle();
+
+    return data;
+}
+
+// Store the result of an in-progress game
+// Only matches while the game is still in progress, so a result can be written once;
+// data is null if someone else completed it first
+export async function completeGameRecord(gameId, {
+    winnerId,
+    player1Score,
+    player2Score,
+    duration,
+    boardState
+}) {
+    return supabaseAdmin
+        .from('games')
+        .update({
+            winner_id: winnerId,
+            player1_score: player1Score,
+            player2_score: player2Score,
+            duration,
+            board_state: boardState,
+            status: 'completed',
+            completed_at: new Date().toISOString()
+        })
+        .eq('id', gameId)
+        .eq('status', 'in_progress')
+        .select()
+        .maybeSingle();
+}
+
+// Hold the first report of a game that has no server-scored moves until the other player confirms it
+// Only matches while no report is waiting; data is null if the other player's report got there first
+export async function savePendingResult(gameId, boardState) {
+    return supabaseAdmin
+        .from('games')
+        .update({ board_state: boardState })
+        .eq('id', gameId)
+        .eq('status', 'in_progress')
+        .is('board_state->pending_result', null)
+        .select()
+        .maybeSingle();
+}
+
+// Glicko-2 state of a player_stats or player_ratings row
+function toRating(row) {
+    return {
+        rating: row?.rating ?? DEFAULT_RATING,
+        ratingDeviation: row?.rating_deviation ?? GLICKO_DEFAULTS.ratingDeviation,
+        volatility: row?.volatility ?? GLICKO_DEFAULTS.volatility
+    };
+}
+
+// What a player sees after a rated game
+function toRatingChange(before, after) {
+    const rating = Math.round(after.rating);
+    return {
+        rating,
+        ratingChange: rating - before.rating,
+        ratingDeviation: Math.round(after.ratingDeviation),
+        provisional: isProvisional(after.ratingDeviation)
+    };
+}
+
+// Record a rated game for both players: stats, overall rating and the difficulty's rating
+// Returns each player's change keyed by user id:
+// { newRating, ratingChange, ratingDeviation, provisional, difficulty: { name, rating, ratingChange, ratingDeviation, provisional } }
+export async function recordRatedGame({ player1Id, player2Id, winnerId, player1Score, player2Score, difficulty }) {
+    const playerIds = [player1Id, player2Id];
+    const scores = [player1Score, player2Score];
+
+    // A season that just ended is archived and reset before this game counts
+    await getCurrentSeason();
+
+    const [{ data: statsRows }, { data: ratingRows }] = await Promise.all([
+        supabaseAdmin.from('player_stats').select('*').in('user_id', playerIds),
+        supabaseAdmin.from('player_ratings').select('*').eq('difficulty', difficulty).in('user_id', playerIds)
+    ]);
+
+    const stats = playerIds.map(id => statsRows?.find(row => row.user_id === id) || null);
+    const difficultyRatings = playerIds.map(id => ratingRows?.find(row => row.user_id === id) || null);
+
+    const isDraw = winnerId === null;
+    const player1Result = isDraw ? RESULT_SCORES.draw : (winnerId === player1Id ? RESULT_SCORES.win : RESULT_SCORES.loss);
+
+    const overallBefore = stats.map(toRating);
+    const overallAfter = rateGame(overallBefore[0], overallBefore[1], player1Result);
+    const difficultyBefore = difficultyRatings.map(toRating);
+    const difficultyAfter = rateGame(difficultyBefore[0], difficultyBefore[1], player1Result);
+
+    const changes = {};
+
+    await Promise.all(playerIds.map(async (userId, i) => {
+        const current = stats[i];
+        const isWinner = winnerId === userId;
+        const newWinStreak = isWinner ? (current?.win_streak || 0) + 1 : 0;
+        const overall = toRatingChange(overallBefore[i], overallAfter[i]);
+        const byDifficulty = toRatingChange(difficultyBefore[i], difficultyAfter[i]);
+
+        const [{ error: statsError }, { error: ratingError }] = await Promise.all([
+            supabaseAdmin
+                .from('player_stats')
+                .upsert({
+                    user_id: userId,
+                    wins: (current?.wins || 0) + (isWinner ? 1 : 0),
+                    losses: (current?.losses || 0) + (!isWinner && !isDraw ? 1 : 0),
+                    draws: (current?.draws || 0) + (isDraw ? 1 : 0),
+                    total_games: (current?.total_games || 0) + 1,
+                    total_score: (current?.total_score || 0) + (scores[i] || 0),
+                    season_wins: (current?.season_wins || 0) + (isWinner ? 1 : 0),
+                    season_losses: (current?.season_losses || 0) + (!isWinner && !isDraw ? 1 : 0),
+                    season_draws: (current?.season_draws || 0) + (isDraw ? 1 : 0),
+                    season_games: (current?.season_games || 0) + 1,
+                    win_streak: newWinStreak,
+                    best_streak: Math.max(current?.best_streak || 0, newWinStreak),
+                    rating: overall.rating,
+                    rating_deviation: overallAfter[i].ratingDeviation,
+                    volatility: overallAfter[i].volatility
+                }, { onConflict: 'user_id' }),
+            supabaseAdmin
+                .from('player_ratings')
+                .upsert({
+                    user_id: userId,
+                    difficulty,
+                    rating: byDifficulty.rating,
+                    rating_deviation: difficultyAfter[i].ratingDeviation,
+                    volatility: difficultyAfter[i].volatility,
+                    games_played: (difficultyRatings[i]?.games_played || 0) + 1,
+                    updated_at: new Date().toISOString()
+                }, { onConflict: 'user_id,difficulty' })
+        ]);
+
+        if (statsError) console.error('Stats update error:', statsError);
+        if (ratingError) console.error('Rating update error:', ratingError);
+
+        changes[userId] = {
+            newRating: overall.rating,
+            ratingChange: overall.ratingChange,
+            ratingDeviation: overall.ratingDeviation,
+            provisional: overall.provisional,
+            winStreak: newWinStreak,
+            difficulty: { name: difficulty, ...byDifficulty }
+        };
+    }));
+
+    return changes;
+}
+
+// Rate a completed game row exactly once and keep both players' changes on it
+// Returns { changes } or { error, code } when the game can't be rated (yet)
+export async function rateCompletedGame(game) {
+    if (game.rating_changes) {
+        return { changes: game.rating_changes };
+    }
+
+    // Claim the game; whoever gets here second reads the stored changes instead
+    const { data: claimed } = await supabaseAdmin
+        .from('games')
+        .update({ rated_at: new Date().toISOString() })
+        .eq('id', game.id)
+        .is('rated_at', null)
+        .select('id')
+        .maybeSingle();
+
+    if (!claimed) {
+        const current = await getGameRecord(game.id);
+        return current?.rating_changes
+            ? { changes: current.rating_changes }
+            : { error: 'Rating in progress, try again shortly', code: 'rating_in_progress' };
+    }
+
+    let changes;
+    try {
+        changes = await recordRatedGame({
+            player1Id: game.player1_id,
+            player2Id: game.player2_id,
+            winnerId: game.winner_id,
+            player1Score: game.player1_score,
+            player2Score: game.player2_score,
+            difficulty: game.difficulty
+        });
+    } catch (error) {
+        // Release the claim so the game can be rated on the next try
+        await supabaseAdmin.from('games').update({ rated_at: null }).eq('id', game.id);
+        throw error;
+    }
+
+    // Stored with the rating changes, so both players see their unlocks whoever asks first
+    await Promise.all(Object.keys(changes).map(async (userId) => {
+        const summary = summaryFromGameRecord(game, userId, changes[userId].winStreak);
+        changes[userId].achievements = await unlockAchievements(userId, summary, game.id);
+    }));
+
+    const { error } = await supabaseAdmin
+        .from('games')
+        .update({ rating_changes: changes })
+        .eq('id', game.id);
+
+    if (error) console.error('Rating changes save error:', error);
+
+    return { changes };
+}
+
+// Overall and per-difficulty ratings of a player
+export async function getPlayerRatings(userId) {
+    const [{ data: stats }, { data: rows }] = await Promise.all([
+        supabaseAdmin.from('player_stats').select('rating, rating_deviation, total_games').eq('user_id', userId).maybeSingle(),
+        supabaseAdmin.from('player_ratings').select('*').eq('user_id', userId)
+    ]);
+
+    const describe = (row, games) => {
+        const { rating, ratingDeviation } = toRating(row);
+        return {
+            rating,
+            ratingDeviation: Math.round(ratingDeviation),
+            provisional: isProvisional(ratingDeviation),
+            games
+        };
+    };
+
+    const difficulties = {};
+    for (const name of Object.keys(RULESET.difficulties)) {
+        const row = rows?.find(r => r.difficulty === name);
+        difficulties[name] = describe(row, row?.games_played || 0);
+    }
+
+    return {
+        overall: describe(stats, stats?.total_games || 0),
+        difficulties
+    };
+}
+
+// Get a player's username and current rating
+export async function getPlayerProfile(userId) {
+    const [{ data: profile }, { data: stats }] = await Promise.all([
+        supabaseAdmin.from('profiles').select('username').eq('id', userId).single(),
+        supabaseAdmin.from('player_stats').select('rating, rating_deviation').eq('user_id', userId).single()
+    ]);
+
+    return {
+        username: profile?.username || null,
+        rating: stats?.rating || DEFAULT_RATING,
+        provisional: isProvisional(stats?.rating_deviation)
+    };
+}
+
+// Zero use counts for every power
+const noPowers = () => Object.fromEntries(Object.keys(RULESET.powerCosts).map(power => [power, 0]));
+
+// Powers one player used in a game
+// WebSocket games store the counts in board_state; server-scored games log each power in the moves
+function countPowers(game, side) {
+    const counts = noPowers();
+    const stored = game.board_state?.[`${side}_powers`];
+
+    if (stored) {
+        for (const power of Object.keys(counts)) counts[power] = stored[power] || 0;
+    } else {
+        for (const move of game[`${side}_moves`] || []) {
+            if (move.type === 'power' && move.power in counts) counts[move.power]++;
+        }
+    }
+
+    return counts;
+}
+
+// Shared match history of two players, from the first player's side
+export async function getHeadToHead(userId, opponentId, { recentLimit = 5 } = {}) {
+    const { data: games, error } = await supabaseAdmin
+        .from('games')
+        .select('id, player1_id, player2_id, winner_id, player1_score, player2_score, difficulty, board_state, player1_moves, player2_moves, created_at, completed_at')
+        .or(`and(player1_id.eq.${userId},player2_id.eq.${opponentId}),and(player1_id.eq.${opponentId},player2_id.eq.${userId})`)
+        .eq('status', 'completed')
+        .order('created_at', { ascending: false });
+
+    if (error) return { error };
+
+    const record = { wins: 0, losses: 0, draws: 0 };
+    const powers = { player: noPowers(), opponent: noPowers() };
+    let marginTotal = 0;
+
+    const results = games.map(game => {
+        const mySide = game.player1_id === userId ? 'player1' : 'player2';
+        const theirSide = mySide === 'player1' ? 'player2' : 'player1';
+        const score = game[`${mySide}_score`] || 0;
+        const opponentScore = game[`${theirSide}_score`] || 0;
+        const result = !game.winner_id ? 'draw' : game.winner_id === userId ? 'win' : 'loss';
+
+        record[{ win: 'wins', loss: 'losses', draw: 'draws' }[result]]++;
+        marginTotal += score - opponentScore;
+
+        const mine = countPowers(game, mySide);
+        const theirs = countPowers(game, theirSide);
+        for (const power of Object.keys(powers.player)) {
+            powers.player[power] += mine[power];
+            powers.opponent[power] += theirs[power];
+        }
+
+        return {
+            game_id: game.id,
+            result,
+            score,
+            opponent_score: opponentScore,
+            difficulty: game.difficulty,
+            played_at: game.completed_at || game.created_at
+        };
+    });
+
+    return {
+        games: games.length,
+        ...record,
+        average_margin: games.length > 0 ? Math.round(marginTotal / games.length * 10) / 10 : 0,
+        powers,
+        recent: results.slice(0, recentLimit)
+    };
+}
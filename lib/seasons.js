@@ -0,0 +1,73 @@
+import { supabaseAdmin } from './supabase.js';
+import { GLICKO_DEFAULTS } from '../js/shared/Glicko2.js';
+
+// Ranked seasons (database/seasons.sql)
+// Rolled over by lib/gameResults.js before a game is rated, and by api/leaderboard
+
+export const SEASON_DEFAULTS = {
+    lengthDays: 90,
+    meanRating: GLICKO_DEFAULTS.rating,   // Ratings are pulled back toward this at rollover
+    resetFactor: 0.5,                     // Share of the distance from the mean a rating keeps
+    resetDeviation: 150                   // New seasons start provisional (see Glicko2.js)
+};
+
+// The active season, cached until it ends
+let currentSeason = null;
+
+// Get the running season, rolling the last one over first if it has ended
+export async function getCurrentSeason() {
+    if (currentSeason && new Date(currentSeason.ends_at).getTime() > Date.now()) {
+        return currentSeason;
+    }
+
+    const { data, error } = await supabaseAdmin.rpc('rollover_season', {
+        p_mean_rating: SEASON_DEFAULTS.meanRating,
+        p_reset_factor: SEASON_DEFAULTS.resetFactor,
+        p_reset_deviation: SEASON_DEFAULTS.resetDeviation,
+        p_season_length: `${SEASON_DEFAULTS.lengthDays} days`
+    });
+
+    if (error) {
+        console.error('Season rollover error:', error);
+        return null;
+    }
+
+    if (data.rolled_over) {
+        console.log(`Season rolled over, now playing ${data.season.name}`);
+    }
+
+    currentSeason = data.season;
+    return currentSeason;
+}
+
+// Get a season by id (null if it doesn't exist)
+export async function getSeason(seasonId) {
+    const { data } = await supabaseAdmin
+        .from('seasons')
+        .select('*')
+        .eq('id', seasonId)
+        .maybeSingle();
+
+    return data;
+}
+
+// Archived final standings of a season, best first
+// Rows carry the final placement as final_rank, whatever they are ordered by
+export async function getSeasonStandings(seasonId, { orderBy = 'rank', limit = 50 } = {}) {
+    return supabaseAdmin
+        .from('season_standings')
+        .select(`
+            user_id,
+            final_rank:rank,
+            rating,
+            rating_deviation,
+            wins,
+            losses,
+            draws,
+            games,
+            profile:profiles!season_standings_user_id_fkey(username, avatar_url)
+        `)
+        .eq('season_id', seasonId)
+        .order(orderBy, { ascending: orderBy === 'rank' })
+        .limit(limit);
+}
@@ -0,0 +1,124 @@
+/**
+ * simulateBots.js - Bot vs bot matches from the command line
+ *
+ *   npm run simulate -- --games 500 --bots easy,medium,hard,expert
+ *   npm run simulate -- --games 200 --bots hard --scripted --board hard
+ *   npm run check:powers
+ *   npm run simulate -- --help
+ *
+ * Every pair of listed difficulties plays --games matches (each difficulty
+ * also plays itself); --scripted adds a match against the scripted player
+ * for each. The JSON report goes to stdout, progress to stderr.
+ * --check-powers exits with 1 if a difficulty never used a power its
+ * config allows.
+ */
+
+import { simulateMatches, findUnusedPowers, SIMULATION_DEFAULTS } from '../js/ai/BotMatchSimulator.js';
+import { RULESET } from '../js/shared/GameRules.js';
+
+const USAGE = `Usage: npm run simulate -- [options]
+
+Options:
+  --games <n>          Matches per matchup (default 100)
+  --bots <list>        Comma-separated difficulties (default easy,medium,hard,expert)
+  --board <name>       Board difficulty: ${Object.keys(RULESET.difficulties).join(', ')} (default ${SIMULATION_DEFAULTS.board})
+  --seed <seed>        Seed for boards and bot choices (default ${SIMULATION_DEFAULTS.seed})
+  --duration <ms>      Match length in milliseconds (default ${SIMULATION_DEFAULTS.matchDuration})
+  --scripted           Also play each difficulty against the scripted player
+  --moveDelay <ms>     Scripted player's time per move (default 1000)
+  --check-powers       Exit with 1 if a difficulty never used a power its config allows
+  --help               Show this message`;
+
+function parseArgs(argv) {
+    const args = {
+        games: 100,
+        bots: 'easy,medium,hard,expert',
+        board: SIMULATION_DEFAULTS.board,
+        seed: SIMULATION_DEFAULTS.seed,
+        duration: SIMULATION_DEFAULTS.matchDuration,
+        scripted: false,
+        checkPowers: false,
+        help: false,
+        moveDelay: 1000
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const key = argv[i].replace(/^--/, '');
+        if (key === 'help') {
+            args.help = true;
+            return args;
+        } else if (key === 'scripted') {
+            args.scripted = true;
+        } else if (key === 'check-powers') {
+            args.checkPowers = true;
+        } else if (key in args && typeof args[key] !== 'boolean') {
+            args[key] = argv[++i];
+        } else {
+            throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    args.games = parseInt(args.games, 10);
+    args.duration = parseInt(args.duration, 10);
+    args.moveDelay = parseInt(args.moveDelay, 10);
+    args.bots = args.bots.split(',').map(bot => bot.trim()).filter(Boolean);
+
+    if (!(args.games > 0)) throw new Error('--games must be a positive number');
+    if (!(args.duration > 0)) throw new Error('--duration must be a positive number of milliseconds');
+    if (!RULESET.difficulties[args.board]) throw new Error(`Unknown board: ${args.board}`);
+
+    return args;
+}
+
+function buildMatchups({ bots, scripted, moveDelay }) {
+    const matchups = [];
+
+    for (let i = 0; i < bots.length; i++) {
+        for (let j = i; j < bots.length; j++) {
+            matchups.push([{ type: 'bot', difficulty: bots[i] }, { type: 'bot', difficulty: bots[j] }]);
+        }
+        if (scripted) {
+            matchups.push([{ type: 'bot', difficulty: bots[i] }, { type: 'scripted', moveDelay }]);
+        }
+    }
+
+    return matchups;
+}
+
+let args;
+try {
+    args = parseArgs(process.argv.slice(2));
+} catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(1);
+}
+
+if (args.help) {
+    console.log(USAGE);
+    process.exit(0);
+}
+
+const startedAt = Date.now();
+const report = simulateMatches({
+    matchups: buildMatchups(args),
+    games: args.games,
+    board: args.board,
+    seed: args.seed,
+    matchDuration: args.duration,
+    onProgress: (played, total) => {
+        if (played % 10 === 0 || played === total) {
+            process.stderr.write(`\r${played}/${total} matches`);
+        }
+    }
+});
+process.stderr.write(`\nDone in ${((Date.now() - startedAt) / 1000).toFixed(1)}s\n`);
+
+console.log(JSON.stringify(report, null, 2));
+
+if (args.checkPowers) {
+    const unused = findUnusedPowers(report);
+    for (const { difficulty, power } of unused) {
+        console.error(`${difficulty} never used ${power} in ${args.games} games per matchup`);
+    }
+    if (unused.length > 0) process.exit(1);
+}
@@ -7,6 +7,7 @@ const express = require('express');
 const http = require('http');
 const WebSocket = require('ws');
 const path = require('path');
+const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 
 const app = express();
@@ -16,12 +17,11 @@ const wss = new WebSocket.Server({ server });
 // Serve static files
 app.use(express.static(path.join(__dirname)));
 
-// Game configuration per difficulty - different grid sizes!
-const DIFFICULTY_CONFIG = {
-    easy: { gridSize: 8, mineCount: 12, name: 'Easy' },
-    medium: { gridSize: 10, mineCount: 20, name: 'Medium' },
-    hard: { gridSize: 12, mineCount: 35, name: 'Hard' }
-};
+// Board rules, scoring, difficulties and power limits come from the shared ruleset
+// (js/shared/GameRules.js), loaded with the other ES modules before the server starts.
+let rules = null;
+let boardGenerator = null;
+let seededRandom = null; // js/shared/SeededRandom.js
 
 const MATCH_DURATION = 120000; // 2 minutes
 
@@ -34,212 +34,255 @@ const waitingPlayers = {
 const activeGames = new Map();
 const playerConnections = new Map();
 
-// Power costs (in points)
-const POWER_COSTS = {
-    radar: 30,
-    safeburst: 40,
-    shield: 50,
-    freeze: 60
-};
+// Private rooms waiting for a friend: roomCode -> room
+const privateRooms = new Map();
+
+// Resumable sessions: sessionToken -> playerId
+const sessions = new Map();
+
+// Power limits are enforced here; clients only mirror them to draw their buttons
+const FREEZE_DURATION = 5000;
+
+// Matchmaking - rating-aware pairing is shared with the Supabase queue path.
+// The engine is an ES module, so it is loaded before the server starts listening.
+const QUEUE_SWEEP_INTERVAL = 2000; // How often waiting players are re-paired as their windows widen
+let matchmaking = null;
+
+// Private rooms
+const ROOM_CODE_LENGTH = 6;
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I lookalikes
+const ROOM_DURATIONS = [60000, 120000, 180000, 300000]; // Match lengths a host can pick
+
+// Mirror boards - both players get the same mine layout and a shared safe opening.
+// Private rooms choose per room; the public queue follows this flag.
+const QUEUE_MIRROR_BOARDS = process.env.QUEUE_MIRROR_BOARDS === 'true';
+
+// No-guess boards - only layouts the solver can clear by logic from the opening click.
+// Per difficulty: 'always', 'ranked' (ranked games only) or 'off'. A search that runs past
+// the time budget falls back to the random board the solver got furthest on.
+const NO_GUESS_BOARDS = { easy: 'always', medium: 'always', hard: 'ranked' };
+const NO_GUESS_TIME_BUDGET = parseInt(process.env.NO_GUESS_TIME_BUDGET, 10) || 250;
 
-// Scoring
-const MINE_PENALTY = 30; // Points lost when hitting a mine
+// Normalised scoring - reveal points scaled by each board's 3BV, so a player whose board
+// has big openings doesn't out-score one who has to click every number
+const NORMALIZED_SCORING = process.env.NORMALIZED_SCORING === 'true';
+
+// Rematches and series
+const SERIES_LENGTHS = [1, 3, 5]; // Best-of options; 1 means a single rated game
+const REMATCH_WINDOW = 30000; // How long a finished game can be rematched
+
+// Reconnection - how long a dropped player's slot is held before they forfeit.
+// The match clock keeps running while they are away.
+const RECONNECT_GRACE_PERIOD = parseInt(process.env.RECONNECT_GRACE_PERIOD, 10) || 30000;
+
+// Replays - every accepted action is logged and saved as one JSON document per game
+const REPLAY_DIR = process.env.REPLAY_DIR || path.join(__dirname, 'replays');
+const REPLAY_VERSION = 1;
+const REPLAY_LIST_LIMIT = 50;
+const REPLAY_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+let replayIndex = null; // Summaries of saved public replays, newest first (loaded on first list)
+
+// Accounts - sockets that sign in with a Supabase access token play ranked, and their
+// games go into the same games/player_stats tables as api/games. Everyone else is a guest.
+// Stays null when Supabase is not configured, so every game is unranked.
+let accounts = null;
 
 /**
- * Generate a minesweeper board
+ * Copy a board so each player can reveal and flag their own mirror
  */
-function generateBoard(gridSize, mineCount, firstClickX = -1, firstClickY = -1) {
-    const grid = [];
-    
-    // Initialize empty grid
-    for (let y = 0; y < gridSize; y++) {
-        grid[y] = [];
-        for (let x = 0; x < gridSize; x++) {
-            grid[y][x] = {
-                x, y,
-                isMine: false,
-                isRevealed: false,
-                isFlagged: false,
-                neighborCount: 0
-            };
-        }
-    }
-    
-    // Create safe positions (first click area)
-    const safePositions = new Set();
-    if (firstClickX >= 0 && firstClickY >= 0) {
-        for (let dy = -1; dy <= 1; dy++) {
-            for (let dx = -1; dx <= 1; dx++) {
-                const nx = firstClickX + dx;
-                const ny = firstClickY + dy;
-                if (nx >= 0 && nx < gridSize && ny >= 0 && ny < gridSize) {
-                    safePositions.add(`${nx},${ny}`);
-                }
-            }
-        }
-    }
-    
-    // Place mines randomly
-    let minesPlaced = 0;
-    while (minesPlaced < mineCount) {
-        const x = Math.floor(Math.random() * gridSize);
-        const y = Math.floor(Math.random() * gridSize);
-        
-        if (!grid[y][x].isMine && !safePositions.has(`${x},${y}`)) {
-            grid[y][x].isMine = true;
-            minesPlaced++;
-        }
-    }
-    
-    // Calculate neighbor counts
-    for (let y = 0; y < gridSize; y++) {
-        for (let x = 0; x < gridSize; x++) {
-            if (!grid[y][x].isMine) {
-                let count = 0;
-                for (let dy = -1; dy <= 1; dy++) {
-                    for (let dx = -1; dx <= 1; dx++) {
-                        if (dx === 0 && dy === 0) continue;
-                        const nx = x + dx;
-                        const ny = y + dy;
-                        if (nx >= 0 && nx < gridSize && ny >= 0 && ny < gridSize) {
-                            if (grid[ny][nx].isMine) count++;
-                        }
-                    }
-                }
-                grid[y][x].neighborCount = count;
-            }
-        }
-    }
-    
-    return grid;
+function cloneBoard(grid) {
+    return grid.map(row => row.map(cell => ({ ...cell })));
 }
 
 /**
- * Reveal cell with flood fill
+ * One of a game's seeded random streams. The safe opening, the boards and the power picks
+ * all come from the game seed, one stream per use so one player's draws never shift another's
  */
-function revealCell(grid, gridSize, x, y) {
-    if (x < 0 || x >= gridSize || y < 0 || y >= gridSize) {
-        return { hitMine: false, points: 0, cellsRevealed: 0, revealedCells: [] };
+function gameRandom(game, stream) {
+    if (!game.randoms[stream]) {
+        game.randoms[stream] = seededRandom.createRandom(`${game.seed}:${stream}`);
     }
-    
-    const cell = grid[y][x];
-    if (cell.isRevealed || cell.isFlagged) {
-        return { hitMine: false, points: 0, cellsRevealed: 0, revealedCells: [] };
-    }
-    
-    cell.isRevealed = true;
-    const revealedCells = [{ x, y, neighborCount: cell.neighborCount, isMine: cell.isMine }];
-    
-    if (cell.isMine) {
-        return { hitMine: true, points: 0, cellsRevealed: 1, revealedCells };
+    return game.randoms[stream];
+}
+
+/**
+ * A player's own random stream (board or powers)
+ */
+function playerRandom(game, player, stream) {
+    return gameRandom(game, `${stream}:${game.playerIds.indexOf(player.id)}`);
+}
+
+/**
+ * Pick a shared safe opening away from the edges
+ */
+function pickSafeOpening(gridSize, random) {
+    return {
+        x: 1 + Math.floor(random() * (gridSize - 2)),
+        y: 1 + Math.floor(random() * (gridSize - 2))
+    };
+}
+
+/**
+ * Should a game on this difficulty get no-guess boards?
+ */
+function requiresNoGuess(difficulty, ranked) {
+    const mode = NO_GUESS_BOARDS[difficulty] || 'off';
+    return mode === 'always' || (mode === 'ranked' && ranked);
+}
+
+/**
+ * Generate a board around a safe opening, solver-checked when the game needs no-guess boards
+ * A no-guess board is the first solvable one the seed gives, unless the search runs out of time first
+ */
+function generateBoard(game, safeX, safeY, random) {
+    // Without a known opening there is nothing to solve from
+    if (!game.noGuess || safeX < 0 || safeY < 0) {
+        return rules.generateBoard(game.gridSize, game.mineCount, safeX, safeY, random);
     }
     
-    // Simple scoring: Each cell = 5 points (same for empty or numbered)
-    let points = 5;
-    let cellsRevealed = 1;
-    
-    // Flood fill for empty cells
-    if (cell.neighborCount === 0) {
-        const queue = [{ x, y }];
-        const visited = new Set([`${x},${y}`]);
-        
-        while (queue.length > 0) {
-            const current = queue.shift();
-            
-            for (let dy = -1; dy <= 1; dy++) {
-                for (let dx = -1; dx <= 1; dx++) {
-                    if (dx === 0 && dy === 0) continue;
-                    
-                    const nx = current.x + dx;
-                    const ny = current.y + dy;
-                    const key = `${nx},${ny}`;
-                    
-                    if (nx >= 0 && nx < gridSize && ny >= 0 && ny < gridSize && !visited.has(key)) {
-                        visited.add(key);
-                        const neighbor = grid[ny][nx];
-                        
-                        if (!neighbor.isRevealed && !neighbor.isFlagged && !neighbor.isMine) {
-                            neighbor.isRevealed = true;
-                            cellsRevealed++;
-                            // Each revealed cell = 5 points
-                            points += 5;
-                            revealedCells.push({ x: nx, y: ny, neighborCount: neighbor.neighborCount, isMine: false });
-                            
-                            if (neighbor.neighborCount === 0) {
-                                queue.push({ x: nx, y: ny });
-                            }
-                        }
-                    }
-                }
-            }
-        }
+    const result = boardGenerator.generateNoGuessBoard(game.gridSize, game.mineCount, safeX, safeY, {
+        timeBudget: NO_GUESS_TIME_BUDGET,
+        random
+    });
+    if (!result.noGuess) {
+        console.log(`No-guess board not found in ${result.elapsed}ms (${result.attempts} attempts) [${game.difficulty.toUpperCase()}] - using best random board`);
     }
+    return result.grid;
+}
+
+/**
+ * Create a player's board on first interaction
+ */
+function initPlayerBoard(game, player, firstClickX = -1, firstClickY = -1) {
+    if (player.boardInitialized) return;
     
-    return { hitMine: false, points, cellsRevealed, revealedCells };
+    player.board = game.mirrorLayout
+        ? cloneBoard(game.mirrorLayout)
+        : generateBoard(game, firstClickX, firstClickY, playerRandom(game, player, 'board'));
+    player.metrics = rules.getBoardMetrics(player.board);
+    player.boardInitialized = true;
 }
 
 /**
- * Calculate board completion percentage
+ * Whether a player has opened the shared safe cell of a mirror board yet
  */
-function getBoardCompletion(grid, gridSize) {
-    let revealed = 0;
-    let totalSafe = 0;
+function isSafeOpeningRevealed(game, player) {
+    if (!player.boardInitialized) return false;
+    const { x, y } = game.safeOpening;
+    return player.board[y][x].isRevealed;
+}
+
+/**
+ * Score cells a player opened, 3BV-normalised when the game uses normalised scoring
+ */
+function scoreReveal(game, player, revealedCells, hasShield = false) {
+    const result = rules.scoreReveal(revealedCells, hasShield);
+    if (!game.normalizedScoring) return result;
     
-    for (let y = 0; y < gridSize; y++) {
-        for (let x = 0; x < gridSize; x++) {
-            if (!grid[y][x].isMine) {
-                totalSafe++;
-                if (grid[y][x].isRevealed) revealed++;
-            }
-        }
-    }
+    const gained = rules.normalizePoints(result.gained, player.metrics);
+    return { ...result, gained, points: gained - result.damage };
+}
+
+/**
+ * 3BV, 3BV/s and click efficiency of a player's board at the end of a game
+ */
+function getBoardStats(game, player, elapsed) {
+    if (!player.boardInitialized) return null;
     
-    return (revealed / totalSafe) * 100;
+    const metrics = rules.getBoardMetrics(player.board);
+    const { bbbvPerSecond, efficiency } = rules.getSolveRates(metrics, player.clicks, elapsed);
+    return {
+        bbbv: metrics.bbbv,
+        solvedBbbv: metrics.solvedBbbv,
+        openings: metrics.openings,
+        islands: metrics.islands,
+        clicks: player.clicks,
+        bbbvPerSecond: Math.round(bbbvPerSecond * 100) / 100,
+        efficiency: Math.round(efficiency)
+    };
 }
 
 /**
  * Create a new game between two players
  */
-function createGame(player1, player2, difficulty) {
+function createGame(player1, player2, difficulty, options = {}) {
     const gameId = uuidv4();
-    const config = DIFFICULTY_CONFIG[difficulty] || DIFFICULTY_CONFIG.medium;
+    const config = rules.getDifficulty(difficulty);
+    
+    // Ranked only between two different signed-in accounts
+    const ranked = !!(player1.account && player2.account && player1.account.userId !== player2.account.userId);
     
     const game = {
         id: gameId,
+        seed: uuidv4(), // Every random draw of the game comes from here (see gameRandom)
+        randoms: {},
         difficulty,
         gridSize: config.gridSize,
         mineCount: config.mineCount,
+        rulesetVersion: rules.RULESET.version,
+        noGuess: requiresNoGuess(difficulty, ranked),
+        normalizedScoring: NORMALIZED_SCORING,
         players: {
             [player1.id]: {
                 id: player1.id,
                 name: player1.name,
                 ws: player1.ws,
+                account: player1.account || null, // { userId, username, rating } when signed in
                 board: null, // Board created on first click
                 score: 0,
                 hasShield: false,
                 isFrozen: false,
                 frozenUntil: 0,
-                boardInitialized: false
+                timesFrozen: 0,
+                mineHits: 0,
+                powers: createPowerState(),
+                metrics: null, // 3BV and friends, set with the board
+                clicks: 0,
+                boardInitialized: false,
+                reconnectTimer: null
             },
             [player2.id]: {
                 id: player2.id,
                 name: player2.name,
                 ws: player2.ws,
+                account: player2.account || null, // { userId, username, rating } when signed in
                 board: null,
                 score: 0,
                 hasShield: false,
                 isFrozen: false,
                 frozenUntil: 0,
-                boardInitialized: false
+                timesFrozen: 0,
+                mineHits: 0,
+                powers: createPowerState(),
+                metrics: null, // 3BV and friends, set with the board
+                clicks: 0,
+                boardInitialized: false,
+                reconnectTimer: null
             }
         },
         playerIds: [player1.id, player2.id],
+        spectators: new Set(),
         startTime: Date.now(),
-        duration: MATCH_DURATION,
+        duration: options.duration || MATCH_DURATION,
+        isPrivate: !!options.isPrivate,
+        mirrorBoard: !!options.mirrorBoard,
+        mirrorLayout: null,
+        safeOpening: null,
+        series: options.series || null,
+        ranked,
+        rematchRequests: new Set(),
+        rematchStarted: false,
+        actions: [], // Replay log
         isActive: true,
         winner: null
     };
     
+    // Mirror mode: one layout generated up front around a shared opening
+    if (game.mirrorBoard) {
+        game.safeOpening = pickSafeOpening(config.gridSize, gameRandom(game, 'opening'));
+        game.mirrorLayout = generateBoard(game, game.safeOpening.x, game.safeOpening.y, gameRandom(game, 'mirror-board'));
+    }
+    
     activeGames.set(gameId, game);
     playerConnections.set(player1.id, { gameId, ws: player1.ws });
     playerConnections.set(player2.id, { gameId, ws: player2.ws });
@@ -247,10 +290,39 @@ function createGame(player1, player2, difficulty) {
     return game;
 }
 
+/**
+ * Per-power usage counters for a new match
+ */
+function createPowerState() {
+    const powers = {};
+    for (const power of Object.keys(rules.RULESET.powerCosts)) {
+        powers[power] = { uses: 0, readyAt: 0 };
+    }
+    return powers;
+}
+
+/**
+ * How often a player used each power this match (stored with ranked games for head-to-head stats)
+ */
+function getPowerCounts(player) {
+    return Object.fromEntries(Object.entries(player.powers).map(([power, state]) => [power, state.uses]));
+}
+
+/**
+ * Uses left and remaining cooldown of one power
+ */
+function getPowerUsage(player, power, now = Date.now()) {
+    const state = player.powers[power];
+    return {
+        usesLeft: rules.RULESET.powerMaxUses - state.uses,
+        cooldownRemaining: Math.max(0, state.readyAt - now)
+    };
+}
+
 /**
  * End a game
  */
-function endGame(gameId, reason = 'time') {
+function endGame(gameId, reason = 'time', forfeitedBy = null) {
     const game = activeGames.get(gameId);
     if (!game || !game.isActive) return;
     
@@ -264,7 +336,11 @@ function endGame(gameId, reason = 'time') {
     let winner = null;
     let loser = null;
     
-    if (p1.score > p2.score) {
+    if (forfeitedBy) {
+        // A player who never came back loses regardless of score
+        loser = game.players[forfeitedBy];
+        winner = game.players[getOpponentId(game, forfeitedBy)];
+    } else if (p1.score > p2.score) {
         winner = p1;
         loser = p2;
     } else if (p2.score > p1.score) {
@@ -272,208 +348,1115 @@ function endGame(gameId, reason = 'time') {
         loser = p1;
     }
     
+    const series = game.series ? updateSeries(game.series, winner, game) : null;
+    
+    const elapsed = Math.min(Date.now() - game.startTime, game.duration);
+    const boardStats = {
+        [p1Id]: getBoardStats(game, p1, elapsed),
+        [p2Id]: getBoardStats(game, p2, elapsed)
+    };
+    
+    // Rating counts each ranked game on its own, or only the decided series in series mode
+    let rated = false;
+    if (game.ranked) {
+        let ratingChanges = Promise.resolve(null);
+        
+        if (!series) {
+            rated = true;
+            ratingChanges = recordRatedResult(game, winner, loser, { [p1Id]: p1.score, [p2Id]: p2.score });
+        } else if (series.isComplete) {
+            rated = true;
+            const seriesWinner = series.winnerId ? game.players[series.winnerId] : null;
+            const seriesLoser = series.winnerId ? game.players[getOpponentId(game, series.winnerId)] : null;
+            ratingChanges = recordRatedResult(game, seriesWinner, seriesLoser, series.scores);
+        }
+        
+        // The row keeps the rating changes, which the leaderboard time windows total
+        ratingChanges.then(changes => saveRankedGame(game, winner, boardStats, elapsed, changes));
+    }
+    
     // Notify both players
     const endMessage = {
         type: 'gameEnd',
+        gameId,
         reason,
         winner: winner ? { id: winner.id, name: winner.name, score: winner.score } : null,
         players: {
-            [p1Id]: { name: p1.name, score: p1.score },
-            [p2Id]: { name: p2.name, score: p2.score }
+            [p1Id]: { name: p1.name, score: p1.score, boardStats: boardStats[p1Id] },
+            [p2Id]: { name: p2.name, score: p2.score, boardStats: boardStats[p2Id] }
         },
-        isDraw: winner === null
+        isDraw: winner === null,
+        normalizedScoring: game.normalizedScoring,
+        mirrorBoard: game.mirrorBoard,
+        series: series ? getSeriesSummary(series) : null,
+        ranked: game.ranked,
+        rated,
+        rematchWindow: REMATCH_WINDOW
+    };
+    
+    sendToPlayer(p1.ws, endMessage);
+    sendToPlayer(p2.ws, endMessage);
+    
+    const mines = {
+        [p1Id]: getMinePositions(p1.board, game.gridSize),
+        [p2Id]: getMinePositions(p2.board, game.gridSize)
     };
     
-    sendToPlayer(p1.ws, endMessage);
-    sendToPlayer(p2.ws, endMessage);
+    // Spectators get the mine layouts now that nothing can be spoiled
+    broadcastToSpectators(game, { ...endMessage, mines });
+    
+    saveReplay(buildReplay(game, endMessage, mines));
+    
+    // Cleanup - a rematch may already have moved the players to a new game
+    setTimeout(() => {
+        for (const player of [p1, p2]) {
+            if (playerConnections.get(player.id)?.gameId === gameId) {
+                playerConnections.delete(player.id);
+            }
+            clearTimeout(player.reconnectTimer);
+            // Players who are still away have nothing left to resume
+            if (!player.ws) revokeSession(player.id);
+        }
+    }, 5000);
+    
+    // Keep the finished game around so the players can ask for a rematch
+    setTimeout(() => {
+        activeGames.delete(gameId);
+    }, REMATCH_WINDOW);
+}
+
+/**
+ * Write a finished ranked game to the games table
+ */
+function saveRankedGame(game, winner, boardStats, elapsed, ratingChanges) {
+    const [p1, p2] = game.playerIds.map(id => game.players[id]);
+    
+    accounts.saveGameRecord({
+        player1Id: p1.account.userId,
+        player2Id: p2.account.userId,
+        winnerId: winner ? winner.account.userId : null,
+        player1Score: p1.score,
+        player2Score: p2.score,
+        difficulty: game.difficulty,
+        duration: Math.round(elapsed / 1000), // seconds
+        rulesetVersion: game.rulesetVersion,
+        ratingChanges,
+        boardState: {
+            source: 'websocket',
+            replay_id: game.id,
+            mirror_board: game.mirrorBoard,
+            series_id: game.series ? game.series.id : null,
+            normalized_scoring: game.normalizedScoring,
+            player1_board: boardStats[p1.id],
+            player2_board: boardStats[p2.id],
+            player1_powers: getPowerCounts(p1),
+            player2_powers: getPowerCounts(p2)
+        }
+    }).then(({ error }) => {
+        if (error) console.error(`Failed to save game ${game.id}:`, error.message);
+    }).catch(err => {
+        console.error(`Failed to save game ${game.id}:`, err.message);
+    });
+}
+
+/**
+ * Record a game (or series) result that counts toward rating
+ * A series counts as one game in player_stats, scored with its summed points.
+ * Resolves to both players' changes keyed by user id, or null if rating failed
+ */
+function recordRatedResult(game, winner, loser, scores) {
+    const outcome = winner ? `${winner.name} beat ${loser.name}` : 'draw';
+    console.log(`Rated result [${game.difficulty.toUpperCase()}]: ${outcome}`);
+    
+    const [p1, p2] = game.playerIds.map(id => game.players[id]);
+    
+    return accounts.recordRatedGame({
+        player1Id: p1.account.userId,
+        player2Id: p2.account.userId,
+        winnerId: winner ? winner.account.userId : null,
+        player1Score: scores[p1.id],
+        player2Score: scores[p2.id],
+        difficulty: game.difficulty
+    }).then(changes => {
+        for (const player of [p1, p2]) {
+            const opponent = player === p1 ? p2 : p1;
+            const change = changes[player.account.userId];
+            
+            // The account object is shared with the socket, so the next queue uses the new rating
+            player.account.rating = change.newRating;
+            player.account.provisional = change.provisional;
+            sendToPlayer(player.ws, {
+                type: 'ratingUpdate',
+                gameId: game.id,
+                rating: change.newRating,
+                ratingChange: change.ratingChange,
+                provisional: change.provisional,
+                difficultyRating: change.difficulty,
+                opponent: { name: opponent.name, ...changes[opponent.account.userId] }
+            });
+            
+            const result = !winner ? 'draw' : winner === player ? 'win' : 'loss';
+            unlockAchievements(game, player, result, change.winStreak);
+        }
+        return changes;
+    }).catch(err => {
+        console.error(`Failed to record rated result for game ${game.id}:`, err.message);
+        return null;
+    });
+}
+
+/**
+ * Unlock the achievements a rated game earned and tell the player
+ * A series is judged on its deciding game's board, powers and freezes
+ */
+function unlockAchievements(game, player, result, winStreak) {
+    const summary = accounts.createMatchSummary({
+        result,
+        difficulty: game.difficulty,
+        winStreak,
+        mineHits: player.mineHits,
+        timesFrozen: player.timesFrozen,
+        boardCleared: player.boardInitialized && rules.isBoardComplete(player.board),
+        powersUsed: getPowerCounts(player)
+    });
+    
+    accounts.unlockAchievements(player.account.userId, summary).then(unlocked => {
+        if (unlocked.length > 0) {
+            sendToPlayer(player.ws, { type: 'achievementsUnlocked', achievements: unlocked });
+        }
+    }).catch(err => {
+        console.error(`Failed to unlock achievements for game ${game.id}:`, err.message);
+    });
+}
+
+/**
+ * Log an accepted action for the replay, timed from the start of the match
+ */
+function recordAction(game, playerId, type, details = {}) {
+    game.actions.push({
+        t: Date.now() - game.startTime,
+        playerId,
+        type,
+        ...details
+    });
+}
+
+/**
+ * Build the replay document for a finished game
+ */
+function buildReplay(game, endMessage, mines) {
+    const endTime = Date.now();
+    
+    return {
+        version: REPLAY_VERSION,
+        rulesetVersion: game.rulesetVersion,
+        id: game.id,
+        seed: game.seed,
+        difficulty: game.difficulty,
+        gridSize: game.gridSize,
+        mineCount: game.mineCount,
+        duration: game.duration,
+        mirrorBoard: game.mirrorBoard,
+        safeOpening: game.safeOpening,
+        noGuess: game.noGuess,
+        normalizedScoring: game.normalizedScoring,
+        isPrivate: game.isPrivate,
+        startedAt: new Date(game.startTime).toISOString(),
+        endedAt: new Date(endTime).toISOString(),
+        length: endTime - game.startTime,
+        reason: endMessage.reason,
+        winnerId: endMessage.winner ? endMessage.winner.id : null,
+        isDraw: endMessage.isDraw,
+        series: endMessage.series,
+        playerIds: [...game.playerIds],
+        players: endMessage.players,
+        mines,
+        actions: game.actions
+    };
+}
+
+/**
+ * Replay fields shown in the replay list
+ */
+function getReplaySummary(replay) {
+    return {
+        id: replay.id,
+        difficulty: replay.difficulty,
+        endedAt: replay.endedAt,
+        length: replay.length,
+        reason: replay.reason,
+        winnerId: replay.winnerId,
+        isDraw: replay.isDraw,
+        players: replay.playerIds.map(id => ({ id, ...replay.players[id] }))
+    };
+}
+
+/**
+ * Write a replay to disk; private games are saved but never listed
+ */
+function saveReplay(replay) {
+    const file = path.join(REPLAY_DIR, `${replay.id}.json`);
+    
+    fs.promises.mkdir(REPLAY_DIR, { recursive: true })
+        .then(() => fs.promises.writeFile(file, JSON.stringify(replay)))
+        .then(() => {
+            if (replayIndex && !replay.isPrivate) {
+                replayIndex.unshift(getReplaySummary(replay));
+            }
+        })
+        .catch(err => console.error(`Failed to save replay ${replay.id}:`, err.message));
+}
+
+/**
+ * Load a saved replay by game ID
+ */
+function loadReplay(id) {
+    return fs.promises.readFile(path.join(REPLAY_DIR, `${id}.json`), 'utf8').then(JSON.parse);
+}
+
+/**
+ * Build the replay index from disk on first use
+ */
+async function getReplayIndex() {
+    if (replayIndex) return replayIndex;
+    
+    let files = [];
+    try {
+        files = await fs.promises.readdir(REPLAY_DIR);
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+    }
+    
+    const summaries = [];
+    for (const file of files) {
+        if (!file.endsWith('.json')) continue;
+        try {
+            const replay = await loadReplay(path.basename(file, '.json'));
+            if (!replay.isPrivate) summaries.push(getReplaySummary(replay));
+        } catch (err) {
+            console.error(`Skipping unreadable replay ${file}:`, err.message);
+        }
+    }
+    
+    summaries.sort((a, b) => b.endedAt.localeCompare(a.endedAt));
+    replayIndex = replayIndex || summaries;
+    return replayIndex;
+}
+
+/**
+ * Create a best-of-N series between two players
+ */
+function createSeries(playerIds, bestOf) {
+    return {
+        id: uuidv4(),
+        bestOf,
+        winsNeeded: Math.ceil(bestOf / 2),
+        wins: { [playerIds[0]]: 0, [playerIds[1]]: 0 },
+        scores: { [playerIds[0]]: 0, [playerIds[1]]: 0 }, // Points summed over the series
+        draws: 0,
+        gamesPlayed: 0,
+        isComplete: false,
+        winnerId: null
+    };
+}
+
+/**
+ * Count a finished game toward its series
+ */
+function updateSeries(series, winner, game) {
+    series.gamesPlayed++;
+    for (const id of game.playerIds) {
+        series.scores[id] += game.players[id].score;
+    }
+    if (winner) {
+        series.wins[winner.id]++;
+    } else {
+        series.draws++;
+    }
+    
+    const [idA, idB] = Object.keys(series.wins);
+    if (series.wins[idA] >= series.winsNeeded || series.wins[idB] >= series.winsNeeded || series.gamesPlayed >= series.bestOf) {
+        series.isComplete = true;
+        if (series.wins[idA] !== series.wins[idB]) {
+            series.winnerId = series.wins[idA] > series.wins[idB] ? idA : idB;
+        }
+    }
+    
+    return series;
+}
+
+/**
+ * Series state sent to clients
+ */
+function getSeriesSummary(series) {
+    return {
+        bestOf: series.bestOf,
+        wins: { ...series.wins },
+        draws: series.draws,
+        gamesPlayed: series.gamesPlayed,
+        isComplete: series.isComplete,
+        winnerId: series.winnerId
+    };
+}
+
+/**
+ * Send message to player
+ */
+function sendToPlayer(ws, message) {
+    if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * Get opponent ID
+ */
+function getOpponentId(game, playerId) {
+    return game.playerIds.find(id => id !== playerId);
+}
+
+/**
+ * Send message to everyone watching a game
+ */
+function broadcastToSpectators(game, message) {
+    for (const spectatorWs of game.spectators) {
+        sendToPlayer(spectatorWs, message);
+    }
+}
+
+/**
+ * Get all mine positions on a board
+ */
+function getMinePositions(grid, gridSize) {
+    const mines = [];
+    if (!grid) return mines;
+    
+    for (let y = 0; y < gridSize; y++) {
+        for (let x = 0; x < gridSize; x++) {
+            if (grid[y][x].isMine) mines.push({ x, y });
+        }
+    }
+    return mines;
+}
+
+/**
+ * Issue a resumable session token for a player
+ */
+function createSession(playerId) {
+    const token = uuidv4();
+    sessions.set(token, playerId);
+    return token;
+}
+
+/**
+ * Invalidate every session token belonging to a player
+ */
+function revokeSession(playerId) {
+    for (const [token, id] of sessions) {
+        if (id === playerId) sessions.delete(token);
+    }
+}
+
+/**
+ * Collect the visible state of a board (revealed cells and flags only)
+ */
+function getBoardSnapshot(grid, gridSize) {
+    const revealedCells = [];
+    const flaggedCells = [];
+    
+    if (grid) {
+        for (let y = 0; y < gridSize; y++) {
+            for (let x = 0; x < gridSize; x++) {
+                const cell = grid[y][x];
+                if (cell.isRevealed) {
+                    revealedCells.push({ x, y, neighborCount: cell.neighborCount, isMine: cell.isMine });
+                } else if (cell.isFlagged) {
+                    flaggedCells.push({ x, y });
+                }
+            }
+        }
+    }
+    
+    return { revealedCells, flaggedCells };
+}
+
+/**
+ * Build a full game snapshot for a returning player
+ */
+function getGameSnapshot(game, playerId) {
+    const player = game.players[playerId];
+    const opponent = game.players[getOpponentId(game, playerId)];
+    const now = Date.now();
+    
+    return {
+        gameId: game.id,
+        playerId,
+        opponent: opponent.name,
+        difficulty: game.difficulty,
+        gridSize: game.gridSize,
+        mineCount: game.mineCount,
+        duration: game.duration,
+        remainingTime: Math.max(0, game.startTime + game.duration - now),
+        mirrorBoard: game.mirrorBoard,
+        safeOpening: game.safeOpening,
+        score: player.score,
+        opponentScore: opponent.score,
+        hasShield: player.hasShield,
+        frozenRemaining: player.isFrozen ? Math.max(0, player.frozenUntil - now) : 0,
+        powers: Object.fromEntries(Object.keys(player.powers).map(power => [power, getPowerUsage(player, power, now)])),
+        board: getBoardSnapshot(player.board, game.gridSize),
+        // Mirror boards share one layout, so the rival's openings stay hidden
+        opponentBoard: game.mirrorBoard ? null : getBoardSnapshot(opponent.board, game.gridSize),
+        opponentCompletion: opponent.board ? rules.getCompletion(opponent.board) : 0,
+        opponentConnected: !!opponent.ws
+    };
+}
+
+/**
+ * Hold a dropped player's slot for the grace period instead of forfeiting
+ */
+function handlePlayerDrop(game, playerId) {
+    const player = game.players[playerId];
+    const opponent = game.players[getOpponentId(game, playerId)];
+    
+    player.ws = null;
+    recordAction(game, playerId, 'disconnect');
+    
+    sendToPlayer(opponent.ws, {
+        type: 'opponentDisconnected',
+        gracePeriod: RECONNECT_GRACE_PERIOD,
+        message: 'Opponent disconnected. Waiting for them to reconnect...'
+    });
+    
+    player.reconnectTimer = setTimeout(() => {
+        player.reconnectTimer = null;
+        if (game.isActive && !player.ws) {
+            console.log(`Reconnect window expired: ${playerId}`);
+            endGame(game.id, 'disconnect', playerId);
+        }
+    }, RECONNECT_GRACE_PERIOD);
+}
+
+/**
+ * Handle resume request - reattach a new socket to a held game slot
+ */
+function handleResume(ws, token) {
+    const playerId = sessions.get(token);
+    const connection = playerId && playerConnections.get(playerId);
+    const game = connection && activeGames.get(connection.gameId);
+    
+    if (!game || !game.isActive) {
+        sendToPlayer(ws, { type: 'resumeFailed', message: 'Game is no longer available' });
+        return null;
+    }
+    
+    const player = game.players[playerId];
+    const opponent = game.players[getOpponentId(game, playerId)];
+    
+    // The old socket may not have noticed it is dead yet
+    if (player.ws && player.ws !== ws) {
+        player.ws.isSuperseded = true;
+        player.ws.close();
+    }
+    
+    clearTimeout(player.reconnectTimer);
+    player.reconnectTimer = null;
+    player.ws = ws;
+    connection.ws = ws;
+    recordAction(game, playerId, 'reconnect');
+    
+    sendToPlayer(ws, { type: 'resumed', ...getGameSnapshot(game, playerId) });
+    sendToPlayer(opponent.ws, { type: 'opponentReconnected' });
+    
+    console.log(`Player resumed: ${player.name} (${playerId})`);
+    return playerId;
+}
+
+/**
+ * Handle WebSocket connections
+ */
+wss.on('connection', (ws) => {
+    let playerId = uuidv4();
+    let sessionToken = createSession(playerId);
+    let playerName = 'Player';
+    let spectatingGameId = null;
+    
+    console.log(`Player connected: ${playerId}`);
+    
+    // Signed-in players always play under their profile name
+    const getPlayerName = (requested) => {
+        return ws.account ? ws.account.username : (requested || `Player${Math.floor(Math.random() * 1000)}`);
+    };
+    
+    ws.on('message', (data) => {
+        try {
+            const message = JSON.parse(data);
+            
+            switch (message.type) {
+                case 'authenticate':
+                    handleAuthenticate(ws, playerId, message.accessToken);
+                    break;
+                    
+                case 'resume':
+                    const resumedId = handleResume(ws, message.token);
+                    if (resumedId) {
+                        sessions.delete(sessionToken);
+                        sessionToken = message.token;
+                        playerId = resumedId;
+                    }
+                    break;
+                    
+                case 'findGame':
+                    playerName = getPlayerName(message.name);
+                    const difficulty = message.difficulty || 'medium';
+                    handleFindGame(ws, playerId, playerName, difficulty, message.allowFallback);
+                    break;
+                    
+                case 'cancelSearch':
+                    handleCancelSearch(playerId);
+                    break;
+                    
+                case 'createRoom':
+                    playerName = getPlayerName(message.name);
+                    handleCreateRoom(ws, playerId, playerName, message.difficulty || 'medium', message.duration, message.bestOf, message.mirrorBoard);
+                    break;
+                    
+                case 'joinRoom':
+                    playerName = getPlayerName(message.name);
+                    handleJoinRoom(ws, playerId, playerName, message.code);
+                    break;
+                    
+                case 'leaveRoom':
+                    closeRoomsHostedBy(playerId);
+                    break;
+                    
+                case 'rematchRequest':
+                    handleRematchRequest(playerId, message.gameId);
+                    break;
+                    
+                case 'rematchDecline':
+                    handleRematchDecline(playerId, message.gameId);
+                    break;
+                    
+                case 'cellClick':
+                    handleCellClick(playerId, message.x, message.y);
+                    break;
+                    
+                case 'chord':
+                    handleChord(playerId, message.x, message.y);
+                    break;
+                    
+                case 'toggleFlag':
+                    handleToggleFlag(playerId, message.x, message.y);
+                    break;
+                    
+                case 'usePower':
+                    handleUsePower(playerId, message.power);
+                    break;
+                    
+                case 'listGames':
+                    handleListGames(ws);
+                    break;
+                    
+                case 'spectate':
+                    handleStopSpectating(ws, spectatingGameId);
+                    spectatingGameId = handleSpectate(ws, message.gameId) ? message.gameId : null;
+                    break;
+                    
+                case 'stopSpectating':
+                    handleStopSpectating(ws, spectatingGameId);
+                    spectatingGameId = null;
+                    break;
+                    
+                case 'ping':
+                    ws.send(JSON.stringify({ type: 'pong' }));
+                    break;
+            }
+        } catch (error) {
+            console.error('Error processing message:', error);
+        }
+    });
+    
+    ws.on('close', () => {
+        // A resumed socket has already taken over this player
+        if (ws.isSuperseded) return;
+        
+        console.log(`Player disconnected: ${playerId}`);
+        
+        handleStopSpectating(ws, spectatingGameId);
+        
+        // Remove from all waiting lists and rooms
+        removeFromWaiting(playerId);
+        closeRoomsHostedBy(playerId);
+        
+        // Handle disconnect during game - hold the slot so they can resume
+        const connection = playerConnections.get(playerId);
+        const game = connection && activeGames.get(connection.gameId);
+        if (game && game.isActive) {
+            handlePlayerDrop(game, playerId);
+        } else {
+            revokeSession(playerId);
+        }
+    });
+    
+    // Send connection confirmation
+    ws.send(JSON.stringify({
+        type: 'connected',
+        playerId,
+        sessionToken
+    }));
+});
+
+/**
+ * Handle lobby request - list games that can be watched
+ */
+function handleListGames(ws) {
+    const games = [];
+    const now = Date.now();
+    
+    for (const game of activeGames.values()) {
+        // Private rooms stay out of the public lobby
+        if (!game.isActive || game.isPrivate) continue;
+        
+        games.push({
+            gameId: game.id,
+            difficulty: game.difficulty,
+            players: game.playerIds.map(id => ({
+                id,
+                name: game.players[id].name,
+                score: game.players[id].score
+            })),
+            remainingTime: Math.max(0, game.startTime + game.duration - now),
+            spectatorCount: game.spectators.size
+        });
+    }
+    
+    sendToPlayer(ws, { type: 'gameList', games });
+}
+
+/**
+ * Handle spectate request - attach a read-only socket to a game
+ */
+function handleSpectate(ws, gameId) {
+    const game = activeGames.get(gameId);
+    if (!game || !game.isActive) {
+        sendToPlayer(ws, { type: 'spectateFailed', message: 'Game not found or already finished' });
+        return false;
+    }
+    
+    game.spectators.add(ws);
+    
+    const players = {};
+    for (const id of game.playerIds) {
+        const player = game.players[id];
+        players[id] = {
+            name: player.name,
+            score: player.score,
+            board: getBoardSnapshot(player.board, game.gridSize)
+        };
+    }
+    
+    sendToPlayer(ws, {
+        type: 'spectateStart',
+        gameId: game.id,
+        difficulty: game.difficulty,
+        gridSize: game.gridSize,
+        mineCount: game.mineCount,
+        duration: game.duration,
+        remainingTime: Math.max(0, game.startTime + game.duration - Date.now()),
+        playerIds: game.playerIds,
+        players
+    });
+    
+    console.log(`Spectator joined game ${game.id} (${game.spectators.size} watching)`);
+    return true;
+}
+
+/**
+ * Handle stop spectating
+ */
+function handleStopSpectating(ws, gameId) {
+    const game = activeGames.get(gameId);
+    if (game) {
+        game.spectators.delete(ws);
+    }
+}
+
+/**
+ * Handle authenticate request - bind the socket to a signed-in Supabase account
+ */
+async function handleAuthenticate(ws, playerId, accessToken) {
+    if (!accounts) {
+        sendToPlayer(ws, { type: 'authFailed', message: 'Ranked play is not available on this server' });
+        return;
+    }
+    
+    // The account a player queued or played with cannot change underneath them
+    if (playerConnections.has(playerId) || getWaitingEntries().some(p => p.id === playerId)) {
+        sendToPlayer(ws, { type: 'authFailed', message: 'Sign in before looking for a game' });
+        return;
+    }
+    
+    try {
+        const user = await accounts.verifyAccessToken(accessToken);
+        if (!user) {
+            sendToPlayer(ws, { type: 'authFailed', message: 'Session expired. Playing as guest' });
+            return;
+        }
+        
+        const profile = await accounts.getPlayerProfile(user.id);
+        ws.account = {
+            userId: user.id,
+            username: profile.username || user.email?.split('@')[0] || 'Player',
+            rating: profile.rating,
+            provisional: profile.provisional
+        };
+        
+        sendToPlayer(ws, { type: 'authenticated', ...ws.account });
+        console.log(`Player authenticated: ${ws.account.username} (${playerId})`);
+    } catch (error) {
+        console.error('Authentication error:', error);
+        sendToPlayer(ws, { type: 'authFailed', message: 'Could not verify your account. Playing as guest' });
+    }
+}
+
+/**
+ * Check whether an account is already queued, hosting or playing on another socket
+ */
+function isAccountInUse(userId, playerId) {
+    const isOther = (entry) => entry.id !== playerId && entry.account?.userId === userId;
+    
+    if (getWaitingEntries().some(isOther)) return true;
+    
+    for (const room of privateRooms.values()) {
+        if (isOther(room.host)) return true;
+    }
+    
+    for (const game of activeGames.values()) {
+        if (game.isActive && game.playerIds.some(id => isOther(game.players[id]))) return true;
+    }
+    
+    return false;
+}
+
+/**
+ * Handle find game request
+ */
+function handleFindGame(ws, playerId, playerName, difficulty, allowFallback) {
+    // Check if already in a game
+    if (playerConnections.has(playerId)) {
+        ws.send(JSON.stringify({ type: 'error', message: 'Already in a game' }));
+        return;
+    }
+    
+    // Validate difficulty
+    if (!rules.RULESET.difficulties[difficulty]) {
+        difficulty = 'medium';
+    }
+    
+    // Check if already waiting
+    for (const diff of ['easy', 'medium', 'hard']) {
+        const alreadyWaiting = waitingPlayers[diff].find(p => p.id === playerId);
+        if (alreadyWaiting) return;
+    }
+    
+    if (ws.account && isAccountInUse(ws.account.userId, playerId)) {
+        ws.send(JSON.stringify({ type: 'error', message: 'This account is already playing in another window' }));
+        return;
+    }
+    
+    // Searching publicly gives up any private room
+    closeRoomsHostedBy(playerId);
+    
+    const entry = {
+        id: playerId,
+        name: playerName,
+        ws,
+        account: ws.account || null,
+        rating: ws.account ? ws.account.rating : matchmaking.config.defaultRating, // Guests are unrated
+        difficulty,
+        allowFallback,
+        joinedAt: Date.now()
+    };
+    
+    // Pair immediately if someone compatible is already waiting
+    const match = matchmaking.findBestMatch(entry, getWaitingEntries());
+    if (match) {
+        removeFromWaiting(match.opponent.id);
+        startMatch(match.opponent, entry, match.difficulty, { mirrorBoard: QUEUE_MIRROR_BOARDS });
+        return;
+    }
+    
+    // Add to waiting list for this difficulty
+    waitingPlayers[difficulty].push(entry);
+    
+    ws.send(JSON.stringify({
+        type: 'searching',
+        message: 'Searching for opponent...',
+        difficulty: difficulty,
+        ...matchmaking.getQueueStatus(entry, getWaitingEntries())
+    }));
+    
+    console.log(`Player waiting: ${playerName} (${playerId}) [${difficulty.toUpperCase()}]`);
+}
+
+/**
+ * Get every waiting player across all difficulties
+ */
+function getWaitingEntries() {
+    return Object.values(waitingPlayers).flat();
+}
+
+/**
+ * Remove a player from whichever waiting list they are in
+ */
+function removeFromWaiting(playerId) {
+    for (const diff of ['easy', 'medium', 'hard']) {
+        const index = waitingPlayers[diff].findIndex(p => p.id === playerId);
+        if (index !== -1) {
+            waitingPlayers[diff].splice(index, 1);
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Start a game between two matched players
+ */
+function startMatch(playerA, playerB, difficulty, options = {}) {
+    const game = createGame(
+        { id: playerA.id, name: playerA.name, ws: playerA.ws, account: playerA.account },
+        { id: playerB.id, name: playerB.name, ws: playerB.ws, account: playerB.account },
+        difficulty,
+        options
+    );
+    
+    // Notify both players
+    const gameStartMessage = (forPlayer, opponent) => ({
+        type: 'gameStart',
+        gameId: game.id,
+        playerId: forPlayer.id,
+        opponent: opponent.name,
+        duration: game.duration,
+        gridSize: game.gridSize,
+        mineCount: game.mineCount,
+        difficulty: difficulty,
+        isPrivate: game.isPrivate,
+        mirrorBoard: game.mirrorBoard,
+        safeOpening: game.safeOpening,
+        series: game.series ? getSeriesSummary(game.series) : null,
+        ranked: game.ranked,
+        rulesetVersion: game.rulesetVersion,
+        noGuess: game.noGuess,
+        normalizedScoring: game.normalizedScoring,
+        powerLimits: { maxUses: rules.RULESET.powerMaxUses, cooldowns: rules.RULESET.powerCooldowns }
+    });
     
-    // Cleanup
+    sendToPlayer(playerA.ws, gameStartMessage(playerA, playerB));
+    sendToPlayer(playerB.ws, gameStartMessage(playerB, playerA));
+    
+    // Start game timer
     setTimeout(() => {
-        activeGames.delete(gameId);
-        playerConnections.delete(p1Id);
-        playerConnections.delete(p2Id);
-    }, 5000);
+        if (activeGames.has(game.id) && activeGames.get(game.id).isActive) {
+            endGame(game.id, 'time');
+        }
+    }, game.duration);
+    
+    console.log(`Game started: ${game.id} - ${playerA.name} vs ${playerB.name} [${difficulty.toUpperCase()}]`);
+    return game;
 }
 
 /**
- * Send message to player
+ * Re-run matchmaking over the whole queue and send progress to whoever is still waiting
  */
-function sendToPlayer(ws, message) {
-    if (ws && ws.readyState === WebSocket.OPEN) {
-        ws.send(JSON.stringify(message));
+function processMatchmakingQueue() {
+    for (const pair of matchmaking.findMatches(getWaitingEntries())) {
+        removeFromWaiting(pair.a.id);
+        removeFromWaiting(pair.b.id);
+        startMatch(pair.a, pair.b, pair.difficulty, { mirrorBoard: QUEUE_MIRROR_BOARDS });
+    }
+    
+    const queue = getWaitingEntries();
+    for (const entry of queue) {
+        sendToPlayer(entry.ws, {
+            type: 'queueUpdate',
+            difficulty: entry.difficulty,
+            ...matchmaking.getQueueStatus(entry, queue)
+        });
     }
 }
 
 /**
- * Get opponent ID
+ * Generate an unused room code
  */
-function getOpponentId(game, playerId) {
-    return game.playerIds.find(id => id !== playerId);
+function generateRoomCode() {
+    let code;
+    do {
+        code = '';
+        for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+            code += ROOM_CODE_ALPHABET[Math.floor(Math.random() * ROOM_CODE_ALPHABET.length)];
+        }
+    } while (privateRooms.has(code));
+    return code;
 }
 
 /**
- * Handle WebSocket connections
+ * Close any room hosted by a player
  */
-wss.on('connection', (ws) => {
-    const playerId = uuidv4();
-    let playerName = 'Player';
+function closeRoomsHostedBy(playerId) {
+    for (const [code, room] of privateRooms) {
+        if (room.host.id === playerId) {
+            privateRooms.delete(code);
+            console.log(`Room closed: ${code}`);
+        }
+    }
+}
+
+/**
+ * Handle create room request - host waits for a friend with the code
+ */
+function handleCreateRoom(ws, playerId, playerName, difficulty, duration, bestOf, mirrorBoard) {
+    if (playerConnections.has(playerId)) {
+        sendToPlayer(ws, { type: 'roomError', message: 'Already in a game' });
+        return;
+    }
     
-    console.log(`Player connected: ${playerId}`);
+    if (!rules.RULESET.difficulties[difficulty]) {
+        difficulty = 'medium';
+    }
+    if (!ROOM_DURATIONS.includes(duration)) {
+        duration = MATCH_DURATION;
+    }
+    if (!SERIES_LENGTHS.includes(bestOf)) {
+        bestOf = 1;
+    }
+    if (ws.account && isAccountInUse(ws.account.userId, playerId)) {
+        sendToPlayer(ws, { type: 'roomError', message: 'This account is already playing in another window' });
+        return;
+    }
     
-    ws.on('message', (data) => {
-        try {
-            const message = JSON.parse(data);
-            
-            switch (message.type) {
-                case 'findGame':
-                    playerName = message.name || `Player${Math.floor(Math.random() * 1000)}`;
-                    const difficulty = message.difficulty || 'medium';
-                    handleFindGame(ws, playerId, playerName, difficulty);
-                    break;
-                    
-                case 'cancelSearch':
-                    handleCancelSearch(playerId);
-                    break;
-                    
-                case 'cellClick':
-                    handleCellClick(playerId, message.x, message.y);
-                    break;
-                    
-                case 'toggleFlag':
-                    handleToggleFlag(playerId, message.x, message.y);
-                    break;
-                    
-                case 'usePower':
-                    handleUsePower(playerId, message.power);
-                    break;
-                    
-                case 'ping':
-                    ws.send(JSON.stringify({ type: 'pong' }));
-                    break;
-            }
-        } catch (error) {
-            console.error('Error processing message:', error);
-        }
-    });
+    // One room or queue entry per player at a time
+    removeFromWaiting(playerId);
+    closeRoomsHostedBy(playerId);
     
-    ws.on('close', () => {
-        console.log(`Player disconnected: ${playerId}`);
-        
-        // Remove from all waiting lists
-        for (const diff of ['easy', 'medium', 'hard']) {
-            const waitingIndex = waitingPlayers[diff].findIndex(p => p.id === playerId);
-            if (waitingIndex !== -1) {
-                waitingPlayers[diff].splice(waitingIndex, 1);
-            }
-        }
-        
-        // Handle disconnect during game
-        const connection = playerConnections.get(playerId);
-        if (connection) {
-            const game = activeGames.get(connection.gameId);
-            if (game && game.isActive) {
-                const opponentId = getOpponentId(game, playerId);
-                const opponent = game.players[opponentId];
-                
-                game.isActive = false;
-                sendToPlayer(opponent.ws, {
-                    type: 'opponentDisconnected',
-                    message: 'Opponent disconnected. You win!'
-                });
-                
-                endGame(connection.gameId, 'disconnect');
-            }
-        }
+    const code = generateRoomCode();
+    privateRooms.set(code, {
+        code,
+        host: { id: playerId, name: playerName, ws, account: ws.account || null },
+        difficulty,
+        duration,
+        bestOf,
+        mirrorBoard: !!mirrorBoard,
+        createdAt: Date.now()
     });
     
-    // Send connection confirmation
-    ws.send(JSON.stringify({
-        type: 'connected',
-        playerId
-    }));
-});
+    sendToPlayer(ws, { type: 'roomCreated', code, difficulty, duration, bestOf, mirrorBoard: !!mirrorBoard });
+    console.log(`Room created: ${code} by ${playerName} [${difficulty.toUpperCase()}]`);
+}
 
 /**
- * Handle find game request
+ * Handle join room request - start the game if the code is valid
  */
-function handleFindGame(ws, playerId, playerName, difficulty) {
-    // Check if already in a game
+function handleJoinRoom(ws, playerId, playerName, code) {
     if (playerConnections.has(playerId)) {
-        ws.send(JSON.stringify({ type: 'error', message: 'Already in a game' }));
+        sendToPlayer(ws, { type: 'roomError', message: 'Already in a game' });
         return;
     }
     
-    // Validate difficulty
-    if (!DIFFICULTY_CONFIG[difficulty]) {
-        difficulty = 'medium';
+    const room = privateRooms.get(String(code || '').toUpperCase());
+    if (!room) {
+        sendToPlayer(ws, { type: 'roomError', message: 'Room not found' });
+        return;
+    }
+    if (room.host.id === playerId) {
+        sendToPlayer(ws, { type: 'roomError', message: 'You cannot join your own room' });
+        return;
+    }
+    if (ws.account && isAccountInUse(ws.account.userId, playerId)) {
+        sendToPlayer(ws, { type: 'roomError', message: 'This account is already playing in another window' });
+        return;
     }
     
-    // Check if already waiting
-    for (const diff of ['easy', 'medium', 'hard']) {
-        const alreadyWaiting = waitingPlayers[diff].find(p => p.id === playerId);
-        if (alreadyWaiting) return;
+    privateRooms.delete(room.code);
+    removeFromWaiting(playerId);
+    closeRoomsHostedBy(playerId);
+    
+    startMatch(room.host, { id: playerId, name: playerName, ws, account: ws.account || null }, room.difficulty, {
+        duration: room.duration,
+        isPrivate: true,
+        mirrorBoard: room.mirrorBoard,
+        series: room.bestOf > 1 ? createSeries([room.host.id, playerId], room.bestOf) : null
+    });
+}
+
+/**
+ * Handle rematch request - start a fresh game once both players have asked
+ */
+function handleRematchRequest(playerId, gameId) {
+    const game = activeGames.get(gameId);
+    if (!game || game.isActive || game.rematchStarted || !game.players[playerId]) return;
+    
+    const player = game.players[playerId];
+    const opponent = game.players[getOpponentId(game, playerId)];
+    
+    // Both players must still be here and not already in something else
+    const isFree = (id) => {
+        const connection = playerConnections.get(id);
+        return !connection || connection.gameId === gameId;
+    };
+    const opponentOnline = opponent.ws && opponent.ws.readyState === WebSocket.OPEN;
+    if (!opponentOnline || !isFree(playerId) || !isFree(opponent.id)) {
+        sendToPlayer(player.ws, { type: 'rematchUnavailable', message: 'Opponent is no longer available' });
+        return;
     }
     
-    // If there's a waiting player with same difficulty, match them
-    if (waitingPlayers[difficulty].length > 0) {
-        const opponent = waitingPlayers[difficulty].shift();
-        
-        // Create game with difficulty
-        const game = createGame(
-            { id: opponent.id, name: opponent.name, ws: opponent.ws },
-            { id: playerId, name: playerName, ws },
-            difficulty
-        );
-        
-        // Notify both players
-        const gameStartMessage = (forPlayerId) => ({
-            type: 'gameStart',
-            gameId: game.id,
-            playerId: forPlayerId,
-            opponent: forPlayerId === playerId ? opponent.name : playerName,
-            duration: MATCH_DURATION,
-            gridSize: game.gridSize,
-            mineCount: game.mineCount,
-            difficulty: difficulty
-        });
-        
-        sendToPlayer(opponent.ws, gameStartMessage(opponent.id));
-        sendToPlayer(ws, gameStartMessage(playerId));
-        
-        // Start game timer
-        setTimeout(() => {
-            if (activeGames.has(game.id) && activeGames.get(game.id).isActive) {
-                endGame(game.id, 'time');
-            }
-        }, MATCH_DURATION);
-        
-        console.log(`Game started: ${game.id} - ${opponent.name} vs ${playerName} [${difficulty.toUpperCase()}]`);
-    } else {
-        // Add to waiting list for this difficulty
-        waitingPlayers[difficulty].push({ id: playerId, name: playerName, ws, joinedAt: Date.now() });
-        
-        ws.send(JSON.stringify({
-            type: 'searching',
-            message: 'Searching for opponent...',
-            difficulty: difficulty,
-            position: waitingPlayers[difficulty].length
-        }));
-        
-        console.log(`Player waiting: ${playerName} (${playerId}) [${difficulty.toUpperCase()}]`);
+    game.rematchRequests.add(playerId);
+    
+    if (!game.rematchRequests.has(opponent.id)) {
+        sendToPlayer(opponent.ws, { type: 'rematchRequested', from: player.name });
+        return;
     }
+    
+    game.rematchStarted = true;
+    removeFromWaiting(player.id);
+    removeFromWaiting(opponent.id);
+    
+    // Continue the series, or begin a new one of the same length
+    let series = game.series;
+    if (series && series.isComplete) {
+        series = createSeries(game.playerIds, series.bestOf);
+    }
+    
+    const [p1Id, p2Id] = game.playerIds;
+    startMatch(game.players[p1Id], game.players[p2Id], game.difficulty, {
+        duration: game.duration,
+        isPrivate: game.isPrivate,
+        mirrorBoard: game.mirrorBoard,
+        series
+    });
+}
+
+/**
+ * Handle rematch decline
+ */
+function handleRematchDecline(playerId, gameId) {
+    const game = activeGames.get(gameId);
+    if (!game || game.isActive || !game.players[playerId]) return;
+    
+    game.rematchRequests.clear();
+    game.rematchStarted = true; // Closes the rematch for both players
+    
+    const opponent = game.players[getOpponentId(game, playerId)];
+    sendToPlayer(opponent.ws, { type: 'rematchDeclined', message: 'Opponent declined the rematch' });
 }
 
 /**
  * Handle cancel search
  */
 function handleCancelSearch(playerId) {
-    for (const diff of ['easy', 'medium', 'hard']) {
-        const index = waitingPlayers[diff].findIndex(p => p.id === playerId);
-        if (index !== -1) {
-            waitingPlayers[diff].splice(index, 1);
-            console.log(`Player cancelled search: ${playerId}`);
-            return;
-        }
+    if (removeFromWaiting(playerId)) {
+        console.log(`Player cancelled search: ${playerId}`);
     }
 }
 
@@ -496,10 +1479,7 @@ function handleToggleFlag(playerId, x, y) {
     }
     
     // Initialize board if not initialized
-    if (!player.boardInitialized) {
-        player.board = generateBoard(game.gridSize, game.mineCount, -1, -1);
-        player.boardInitialized = true;
-    }
+    initPlayerBoard(game, player);
     
     // Check bounds
     if (x < 0 || x >= game.gridSize || y < 0 || y >= game.gridSize) return;
@@ -511,6 +1491,8 @@ function handleToggleFlag(playerId, x, y) {
     
     // Toggle flag
     cell.isFlagged = !cell.isFlagged;
+    player.clicks++;
+    recordAction(game, playerId, 'flag', { x, y, isFlagged: cell.isFlagged });
     
     // Confirm flag update to player
     sendToPlayer(player.ws, {
@@ -521,10 +1503,22 @@ function handleToggleFlag(playerId, x, y) {
     });
     
     // Send flag update to opponent so they can see the flag
-    const opponentId = getOpponentId(game, playerId);
-    const opponent = game.players[opponentId];
-    sendToPlayer(opponent.ws, {
-        type: 'opponentFlagUpdate',
+    // Mirror boards share one layout - a rival's flag would mark a mine on your board too
+    if (!game.mirrorBoard) {
+        const opponentId = getOpponentId(game, playerId);
+        const opponent = game.players[opponentId];
+        sendToPlayer(opponent.ws, {
+            type: 'opponentFlagUpdate',
+            x,
+            y,
+            isFlagged: cell.isFlagged
+        });
+    }
+    
+    broadcastToSpectators(game, {
+        type: 'spectatorUpdate',
+        event: 'flag',
+        playerId,
         x,
         y,
         isFlagged: cell.isFlagged
@@ -542,8 +1536,6 @@ function handleCellClick(playerId, x, y) {
     if (!game || !game.isActive) return;
     
     const player = game.players[playerId];
-    const opponentId = getOpponentId(game, playerId);
-    const opponent = game.players[opponentId];
     
     // Check if frozen
     if (player.isFrozen && Date.now() < player.frozenUntil) {
@@ -552,65 +1544,156 @@ function handleCellClick(playerId, x, y) {
     }
     player.isFrozen = false;
     
-    // Initialize board on first click
-    if (!player.boardInitialized) {
-        player.board = generateBoard(game.gridSize, game.mineCount, x, y);
-        player.boardInitialized = true;
+    // Mirror boards: everyone opens the shared safe cell first
+    if (game.mirrorBoard && !isSafeOpeningRevealed(game, player) &&
+        (x !== game.safeOpening.x || y !== game.safeOpening.y)) {
+        sendToPlayer(player.ws, { type: 'moveRejected', x, y, reason: 'Mirror board: start from the green cell' });
+        return;
     }
     
+    // Initialize board on first click
+    initPlayerBoard(game, player, x, y);
+    
     // Reveal cell
-    const result = revealCell(player.board, game.gridSize, x, y);
+    const revealedCells = rules.revealCell(player.board, x, y);
+    if (revealedCells.length === 0) return;
     
-    if (result.cellsRevealed === 0) return;
+    applyRevealResult(game, playerId, { type: 'reveal', x, y }, revealedCells);
+}
+
+/**
+ * Handle chord (click on a revealed number)
+ */
+function handleChord(playerId, x, y) {
+    const connection = playerConnections.get(playerId);
+    if (!connection) return;
     
-    if (result.hitMine) {
-        // Mine hit - big penalty!
-        let damage = MINE_PENALTY;
-        if (player.hasShield) {
-            damage = 0;
-            player.hasShield = false;
-            sendToPlayer(player.ws, { type: 'shieldUsed' });
-        }
-        player.score = Math.max(0, player.score - damage);
-        
-        sendToPlayer(player.ws, {
-            type: 'cellResult',
-            hitMine: true,
-            damage,
-            score: player.score,
-            revealedCells: result.revealedCells
-        });
-    } else {
-        // Safe cell - gain points!
-        player.score += result.points;
-        
-        sendToPlayer(player.ws, {
-            type: 'cellResult',
-            hitMine: false,
-            points: result.points,
-            score: player.score,
-            cellsRevealed: result.cellsRevealed,
-            revealedCells: result.revealedCells
-        });
+    const game = activeGames.get(connection.gameId);
+    if (!game || !game.isActive) return;
+    
+    const player = game.players[playerId];
+    
+    // Check if frozen
+    if (player.isFrozen && Date.now() < player.frozenUntil) {
+        sendToPlayer(player.ws, { type: 'frozen', remainingTime: player.frozenUntil - Date.now() });
+        return;
+    }
+    player.isFrozen = false;
+    
+    // Nothing is revealed yet, so there is nothing to chord
+    if (!player.boardInitialized) return;
+    
+    const revealedCells = rules.chordCell(player.board, x, y);
+    if (!revealedCells || revealedCells.length === 0) return;
+    
+    applyRevealResult(game, playerId, { type: 'chord', x, y }, revealedCells);
+}
+
+/**
+ * Score a reveal, chord or safe burst, then notify the player, opponent and spectators
+ */
+function applyRevealResult(game, playerId, move, revealedCells) {
+    const player = game.players[playerId];
+    const opponent = game.players[getOpponentId(game, playerId)];
+    
+    // A safe burst opens cells without a click
+    if (move.type !== 'safeburst') player.clicks++;
+    
+    // Mine hit - big penalty! A chord over a wrong flag can hit more than one
+    const result = scoreReveal(game, player, revealedCells, player.hasShield);
+    if (result.shieldUsed) {
+        player.hasShield = false;
+        sendToPlayer(player.ws, { type: 'shieldUsed' });
     }
+    player.score = rules.applyScore(player.score, result.points);
+    player.mineHits += result.minesHit;
+    
+    recordAction(game, playerId, move.type, {
+        x: move.x,
+        y: move.y,
+        hitMine: result.hitMine,
+        minesHit: result.minesHit,
+        damage: result.damage,
+        shieldUsed: result.shieldUsed,
+        points: result.gained,
+        score: player.score,
+        revealedCells
+    });
+    
+    sendToPlayer(player.ws, {
+        type: 'cellResult',
+        move: move.type,
+        hitMine: result.hitMine,
+        damage: result.damage,
+        points: result.gained,
+        score: player.score,
+        cellsRevealed: result.cellsRevealed,
+        revealedCells
+    });
+    
+    const completion = rules.getCompletion(player.board);
     
     // Send opponent update with revealed cells so opponent can see the board
-    sendToPlayer(opponent.ws, {
+    // Mirror boards share one layout, so the rival only learns the score and progress
+    sendToPlayer(opponent.ws, game.mirrorBoard ? {
+        type: 'opponentUpdate',
+        score: player.score,
+        completion
+    } : {
         type: 'opponentUpdate',
         score: player.score,
         cellsRevealed: result.cellsRevealed,
-        completion: getBoardCompletion(player.board, game.gridSize),
-        revealedCells: result.revealedCells,
+        completion,
+        revealedCells,
+        hitMine: result.hitMine
+    });
+    
+    broadcastToSpectators(game, {
+        type: 'spectatorUpdate',
+        event: 'reveal',
+        move: move.type,
+        playerId,
+        score: player.score,
+        completion,
+        revealedCells,
         hitMine: result.hitMine
     });
     
-    // Check win condition (85% cleared - harder to finish)
-    const completion = getBoardCompletion(player.board, game.gridSize);
-    if (completion >= 85) {
+    // Check win condition (most of the board cleared)
+    if (completion >= rules.RULESET.completionThreshold) {
         endGame(game.id, 'completion');
     }
 }
 
+/**
+ * Check whether a player may use a power right now
+ * Returns null when allowed, otherwise the powerFailed fields
+ */
+function getPowerFailure(player, power) {
+    const cost = rules.RULESET.powerCosts[power];
+    if (!cost) {
+        return { code: 'unknown', reason: 'Unknown power' };
+    }
+    
+    const now = Date.now();
+    const usage = getPowerUsage(player, power, now);
+    
+    if (player.isFrozen && now < player.frozenUntil) {
+        return { code: 'frozen', reason: 'You are frozen!', frozenRemaining: player.frozenUntil - now, ...usage };
+    }
+    if (usage.usesLeft <= 0) {
+        return { code: 'exhausted', reason: 'No uses left for this power', ...usage };
+    }
+    if (usage.cooldownRemaining > 0) {
+        return { code: 'cooldown', reason: `Ready in ${Math.ceil(usage.cooldownRemaining / 1000)}s`, ...usage };
+    }
+    if (player.score < cost) {
+        return { code: 'points', reason: 'Not enough points!', cost, ...usage };
+    }
+    
+    return null;
+}
+
 /**
  * Handle power usage - NOW USES POINTS INSTEAD OF ENERGY
  */
@@ -626,22 +1709,28 @@ function handleUsePower(playerId, power) {
     const opponent = game.players[opponentId];
     
     // Power costs in POINTS
-    const cost = POWER_COSTS[power];
-    if (!cost || player.score < cost) {
-        sendToPlayer(player.ws, { type: 'powerFailed', reason: 'Not enough points!' });
+    const cost = rules.RULESET.powerCosts[power];
+    const failure = getPowerFailure(player, power);
+    if (failure) {
+        sendToPlayer(player.ws, { type: 'powerFailed', power, ...failure });
         return;
     }
     
-    // Deduct points for using power
+    // Deduct points for using power and start its cooldown
+    const now = Date.now();
     player.score -= cost;
+    player.powers[power].uses++;
+    player.powers[power].readyAt = now + rules.RULESET.powerCooldowns[power];
+    const usage = getPowerUsage(player, power, now); // Sent back so buttons can show timers
+    
+    // Cells opened by the power (safeburst only), scored once the power is recorded
+    const revealed = [];
+    const outcome = {}; // Power-specific result kept for the replay
     
     switch (power) {
         case 'radar':
             // Find unrevealed AND unflagged mines only
-            if (!player.board) {
-                player.board = generateBoard(game.gridSize, game.mineCount);
-                player.boardInitialized = true;
-            }
+            initPlayerBoard(game, player);
             const mines = [];
             for (let y = 0; y < game.gridSize; y++) {
                 for (let x = 0; x < game.gridSize; x++) {
@@ -651,10 +1740,12 @@ function handleUsePower(playerId, power) {
                     }
                 }
             }
-            const highlightMines = mines.sort(() => Math.random() - 0.5).slice(0, 3);
+            const highlightMines = seededRandom.shuffle(mines, playerRandom(game, player, 'powers')).slice(0, 3);
+            outcome.mines = highlightMines;
             sendToPlayer(player.ws, {
                 type: 'powerActivated',
                 power: 'radar',
+                ...usage,
                 score: player.score,
                 mines: highlightMines
             });
@@ -662,10 +1753,7 @@ function handleUsePower(playerId, power) {
             
         case 'safeburst':
             // Find safe cells and reveal them
-            if (!player.board) {
-                player.board = generateBoard(game.gridSize, game.mineCount);
-                player.boardInitialized = true;
-            }
+            initPlayerBoard(game, player);
             const safeCells = [];
             for (let y = 0; y < game.gridSize; y++) {
                 for (let x = 0; x < game.gridSize; x++) {
@@ -675,27 +1763,16 @@ function handleUsePower(playerId, power) {
                     }
                 }
             }
-            const cellsToReveal = safeCells.sort(() => Math.random() - 0.5).slice(0, 3);
-            let totalPoints = 0;
-            const revealed = [];
+            const cellsToReveal = seededRandom.shuffle(safeCells, playerRandom(game, player, 'powers')).slice(0, 3);
             
             for (const pos of cellsToReveal) {
-                const result = revealCell(player.board, game.gridSize, pos.x, pos.y);
-                totalPoints += result.points;
-                revealed.push(...result.revealedCells);
+                revealed.push(...rules.revealCell(player.board, pos.x, pos.y));
             }
             
-            player.score += totalPoints;
             sendToPlayer(player.ws, {
                 type: 'powerActivated',
                 power: 'safeburst',
-                points: totalPoints,
-                score: player.score,
-                revealedCells: revealed
-            });
-            
-            sendToPlayer(opponent.ws, {
-                type: 'opponentUpdate',
+                ...usage,
                 score: player.score
             });
             break;
@@ -705,40 +1782,124 @@ function handleUsePower(playerId, power) {
             sendToPlayer(player.ws, {
                 type: 'powerActivated',
                 power: 'shield',
+                ...usage,
                 score: player.score
             });
             break;
             
         case 'freeze':
             opponent.isFrozen = true;
-            opponent.frozenUntil = Date.now() + 5000; // 5 seconds freeze
+            opponent.frozenUntil = now + FREEZE_DURATION;
+            opponent.timesFrozen++;
+            outcome.targetId = opponentId;
+            outcome.frozenFor = FREEZE_DURATION;
             sendToPlayer(player.ws, {
                 type: 'powerActivated',
                 power: 'freeze',
+                ...usage,
                 score: player.score
             });
             sendToPlayer(opponent.ws, {
                 type: 'frozen',
-                duration: 5000
+                duration: FREEZE_DURATION
             });
             break;
     }
     
+    recordAction(game, playerId, 'power', {
+        power,
+        cost,
+        score: player.score,
+        ...outcome
+    });
+    
     // Always send score update to opponent
     sendToPlayer(opponent.ws, {
         type: 'opponentUpdate',
         score: player.score
     });
+    
+    // Spectators see which power was used, but never the radar's mine positions
+    broadcastToSpectators(game, {
+        type: 'spectatorUpdate',
+        event: 'power',
+        playerId,
+        power,
+        score: player.score,
+        targetId: power === 'freeze' ? opponentId : null
+    });
+    
+    // Burst cells are scored like any reveal - this may complete the board and end the game
+    if (revealed.length > 0) {
+        applyRevealResult(game, playerId, { type: 'safeburst' }, revealed);
+    }
 }
 
+// Replay API - the page may be served from another origin than this server
+app.use('/api/replays', (req, res, next) => {
+    res.set('Access-Control-Allow-Origin', '*');
+    next();
+});
+
+app.get('/api/replays', async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || REPLAY_LIST_LIMIT, REPLAY_LIST_LIMIT);
+    
+    try {
+        const index = await getReplayIndex();
+        res.json({ replays: index.slice(0, limit) });
+    } catch (err) {
+        console.error('Failed to list replays:', err.message);
+        res.status(500).json({ error: 'Failed to list replays' });
+    }
+});
+
+app.get('/api/replays/:id', async (req, res) => {
+    if (!REPLAY_ID_PATTERN.test(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid replay id' });
+    }
+    
+    try {
+        res.json(await loadReplay(req.params.id));
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            return res.status(404).json({ error: 'Replay not found' });
+        }
+        console.error(`Failed to load replay ${req.params.id}:`, err.message);
+        res.status(500).json({ error: 'Failed to load replay' });
+    }
+});
+
 // Start server
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-    console.log(`
+Promise.all([
+    import('./js/shared/MatchmakingEngine.js'),
+    import('./js/shared/GameRules.js'),
+    import('./js/shared/BoardGenerator.js'),
+    import('./js/shared/SeededRandom.js'),
+    import('./lib/supabase.js'),
+    import('./lib/authMiddleware.js'),
+    import('./lib/gameResults.js'),
+    import('./lib/achievements.js')
+]).then(([{ MatchmakingEngine }, gameRules, noGuessGenerator, seeded, { supabaseAdmin }, { verifyAccessToken }, gameResults, achievements]) => {
+    matchmaking = new MatchmakingEngine();
+    rules = gameRules;
+    boardGenerator = noGuessGenerator;
+    seededRandom = seeded;
+    
+    if (supabaseAdmin) {
+        accounts = { verifyAccessToken, ...gameResults, ...achievements };
+    } else {
+        console.log('Supabase is not configured - all games are unranked');
+    }
+    setInterval(processMatchmakingQueue, QUEUE_SWEEP_INTERVAL);
+    
+    server.listen(PORT, () => {
+        console.log(`
 ╔══════════════════════════════════════════╗
 ║     MineDuel Server Running!             ║
 ║     http://localhost:${PORT}               ║
 ║     Ready for multiplayer battles!       ║
 ╚══════════════════════════════════════════╝
-    `);
-});
\ No newline at end of file
+        `);
+    });
+});